@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+contract MockQuoter {
+    // State variables
+    uint256 public constant DEFAULT_RATE = 110; // 110%, same as MockUniswapV3
+    uint256 public constant RATE_DENOMINATOR = 100;
+    mapping(bytes32 => uint256) public rates;
+    mapping(bytes32 => uint256) public depths;
+
+    // Errors
+    error NoLiquidity(bytes32 pathHash);
+
+    // =====================================================
+    // EXTERNAL FUNCTIONS
+    // =====================================================
+
+    /// @notice Sets the output rate for one path, in percent of amountIn; type(uint256).max makes it revert
+    function setRate(bytes calldata path, uint256 rate) external {
+        rates[keccak256(path)] = rate;
+    }
+
+    /// @notice Makes larger trades on one path get a worse price, like a constant-product pool holding `depth` of tokenIn; 0 is infinitely deep
+    function setDepth(bytes calldata path, uint256 depth) external {
+        depths[keccak256(path)] = depth;
+    }
+
+    /// @notice Same signature as the Uniswap Quoter; QuoterV2 callers decode only the first value
+    function quoteExactInput(bytes calldata path, uint256 amountIn) external view returns (uint256 amountOut) {
+        bytes32 pathHash = keccak256(path);
+        uint256 rate = rates[pathHash];
+        if (rate == type(uint256).max) revert NoLiquidity(pathHash);
+        if (rate == 0) rate = DEFAULT_RATE;
+        amountOut = (amountIn * rate) / RATE_DENOMINATOR;
+        uint256 depth = depths[pathHash];
+        if (depth != 0) amountOut = (amountOut * depth) / (depth + amountIn);
+    }
+}
@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+contract MockV3Factory {
+    // State variables
+    mapping(bytes32 => address) private pools;
+
+    // =====================================================
+    // EXTERNAL FUNCTIONS
+    // =====================================================
+
+    /// @notice Registers a pool for a pair and fee tier, in either token order
+    function setPool(address tokenA, address tokenB, uint24 fee, address pool) external {
+        pools[_key(tokenA, tokenB, fee)] = pool;
+    }
+
+    /// @notice Same signature as the Uniswap and PancakeSwap V3 factories
+    function getPool(address tokenA, address tokenB, uint24 fee) external view returns (address) {
+        return pools[_key(tokenA, tokenB, fee)];
+    }
+
+    // =====================================================
+    // INTERNAL FUNCTIONS
+    // =====================================================
+
+    function _key(address tokenA, address tokenB, uint24 fee) internal pure returns (bytes32) {
+        (address token0, address token1) = tokenA < tokenB ? (tokenA, tokenB) : (tokenB, tokenA);
+        return keccak256(abi.encode(token0, token1, fee));
+    }
+}
@@ -1,9 +1,27 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
-contract MockWormhole {
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "../utils/IWormhole.sol";
+
+interface IMintableERC20 {
+    function mint(address to, uint256 amount) external;
+}
+
+/**
+ * @notice Core bridge mock that verifies VAA signatures against a configured guardian set.
+ * @dev VAAs are produced off-chain with `scripts/lib/vaaBuilder.js`.
+ */
+contract MockWormhole is IWormhole {
     // State variables
     uint256 public constant MESSAGE_FEE = 0.01 ether;
+    uint32 public currentGuardianSetIndex;
+    mapping(uint32 => address[]) private _guardianSets;
+
+    // Events
+    event GuardianSetUpdated(uint32 indexed index, address[] guardians);
 
     // =====================================================
     // EXTERNAL FUNCTIONS
@@ -12,11 +30,114 @@ contract MockWormhole {
     function messageFee() external pure returns (uint256) {
         return MESSAGE_FEE;
     }
+
+    /**
+     * @notice Installs a guardian set and makes it the current one
+     * @param index The guardian set index VAAs will reference
+     * @param guardians Guardian addresses, ordered by guardian index
+     */
+    function setGuardianSet(uint32 index, address[] calldata guardians) external {
+        _guardianSets[index] = guardians;
+        currentGuardianSetIndex = index;
+        emit GuardianSetUpdated(index, guardians);
+    }
+
+    function getGuardianSet(uint32 index) external view returns (address[] memory) {
+        return _guardianSets[index];
+    }
+
+    function parseAndVerifyVM(bytes calldata encodedVM)
+        external
+        view
+        returns (VM memory vm, bool valid, string memory reason)
+    {
+        vm = parseVM(encodedVM);
+        (valid, reason) = verifyVM(vm);
+    }
+
+    // =====================================================
+    // PUBLIC FUNCTIONS
+    // =====================================================
+
+    function parseVM(bytes calldata encodedVM) public pure returns (VM memory vm) {
+        require(encodedVM.length >= 6, "VAA too short");
+        vm.version = uint8(encodedVM[0]);
+        require(vm.version == 1, "VM version incompatible");
+        vm.guardianSetIndex = uint32(bytes4(encodedVM[1:5]));
+
+        uint256 signatureCount = uint8(encodedVM[5]);
+        uint256 offset = 6;
+        require(encodedVM.length >= offset + signatureCount * 66 + 51, "VAA too short");
+
+        vm.signatures = new Signature[](signatureCount);
+        for (uint256 i = 0; i < signatureCount; i++) {
+            vm.signatures[i].guardianIndex = uint8(encodedVM[offset]);
+            vm.signatures[i].r = bytes32(encodedVM[offset + 1:offset + 33]);
+            vm.signatures[i].s = bytes32(encodedVM[offset + 33:offset + 65]);
+            vm.signatures[i].v = uint8(encodedVM[offset + 65]) + 27;
+            offset += 66;
+        }
+
+        bytes calldata body = encodedVM[offset:];
+        vm.hash = keccak256(abi.encodePacked(keccak256(body)));
+        vm.timestamp = uint32(bytes4(body[0:4]));
+        vm.nonce = uint32(bytes4(body[4:8]));
+        vm.emitterChainId = uint16(bytes2(body[8:10]));
+        vm.emitterAddress = bytes32(body[10:42]);
+        vm.sequence = uint64(bytes8(body[42:50]));
+        vm.consistencyLevel = uint8(body[50]);
+        vm.payload = body[51:];
+    }
+
+    /**
+     * @notice Checks quorum and that each signature recovers to its guardian
+     * @dev Mirrors the core bridge: signatures must be in strictly ascending guardian order
+     */
+    function verifyVM(VM memory vm) public view returns (bool valid, string memory reason) {
+        address[] storage guardians = _guardianSets[vm.guardianSetIndex];
+        if (guardians.length == 0) return (false, "invalid guardian set");
+        if (vm.signatures.length < (guardians.length * 2) / 3 + 1) return (false, "no quorum");
+
+        int256 lastIndex = -1;
+        for (uint256 i = 0; i < vm.signatures.length; i++) {
+            Signature memory sig = vm.signatures[i];
+            if (int256(uint256(sig.guardianIndex)) <= lastIndex) return (false, "signature indices must be ascending");
+            if (sig.guardianIndex >= guardians.length) return (false, "guardian index out of bounds");
+            if (ecrecover(vm.hash, sig.v, sig.r, sig.s) != guardians[sig.guardianIndex]) {
+                return (false, "VM signature invalid");
+            }
+            lastIndex = int256(uint256(sig.guardianIndex));
+        }
+        return (true, "");
+    }
 }
 
+/**
+ * @notice Token bridge mock that locks and releases native tokens and mints wrapped ones.
+ * @dev Amounts are normalized to 8 decimals on the wire, like the real Token Bridge.
+ */
 contract MockTokenBridge {
+    using SafeERC20 for IERC20;
+
+    // Type declarations: struct, enum
+    struct TransferWithPayload {
+        uint8 payloadID;
+        uint256 amount;
+        bytes32 tokenAddress;
+        uint16 tokenChain;
+        bytes32 to;
+        uint16 toChain;
+        bytes32 fromAddress;
+        bytes payload;
+    }
+
     // State variables
+    IWormhole public immutable wormhole;
+    uint16 public immutable chainId;
     uint64 private _sequenceCounter = 1;
+    mapping(uint16 => bytes32) public bridgeContracts;
+    mapping(bytes32 => bool) public isTransferCompleted;
+    mapping(uint16 => mapping(bytes32 => address)) private _wrappedAssets;
 
     // Events
     event TransferTokensWithPayload(
@@ -29,12 +150,35 @@ contract MockTokenBridge {
         uint64 sequence
     );
 
-    event CompleteTransferWithPayload(bytes encodedVm);
+    event TransferRedeemed(uint16 indexed emitterChainId, bytes32 indexed emitterAddress, uint64 indexed sequence);
+
+    constructor(IWormhole wormhole_, uint16 chainId_) {
+        wormhole = wormhole_;
+        chainId = chainId_;
+    }
 
     // =====================================================
     // EXTERNAL FUNCTIONS
     // =====================================================
 
+    /**
+     * @notice Registers the token bridge emitter trusted for a foreign chain
+     */
+    function registerChain(uint16 emitterChainId, bytes32 emitterAddress) external {
+        bridgeContracts[emitterChainId] = emitterAddress;
+    }
+
+    /**
+     * @notice Registers a mintable token (e.g. MockERC20) as the wrapped form of a foreign asset
+     */
+    function registerWrappedAsset(uint16 tokenChainId, bytes32 tokenAddress, address wrapped) external {
+        _wrappedAssets[tokenChainId][tokenAddress] = wrapped;
+    }
+
+    function wrappedAsset(uint16 tokenChainId, bytes32 tokenAddress) external view returns (address) {
+        return _wrappedAssets[tokenChainId][tokenAddress];
+    }
+
     function transferTokensWithPayload(
         address token,
         uint256 amount,
@@ -43,26 +187,93 @@ contract MockTokenBridge {
         uint32 nonce,
         bytes memory payload
     ) external payable returns (uint64 sequence) {
+        require(msg.value >= wormhole.messageFee(), "invalid fee");
+
+        // Dust below 8 decimals stays with the sender, as on the real bridge
+        uint256 transferred = _denormalize(_normalize(amount, token), token);
+        require(transferred > 0, "normalized amount must be > 0");
+        IERC20(token).safeTransferFrom(msg.sender, address(this), transferred);
+
         sequence = _sequenceCounter++;
+        emit TransferTokensWithPayload(token, transferred, recipientChain, recipient, nonce, payload, sequence);
+    }
+
+    /**
+     * @notice Verifies a transfer-with-payload VAA and pays out to its recipient
+     * @dev Reverts unless msg.sender is the transfer recipient
+     */
+    function completeTransferWithPayload(bytes memory encodedVm) external returns (bytes memory) {
+        (IWormhole.VM memory vm, bool valid, string memory reason) = wormhole.parseAndVerifyVM(encodedVm);
+        require(valid, reason);
+        require(bridgeContracts[vm.emitterChainId] == vm.emitterAddress, "invalid emitter");
+        require(!isTransferCompleted[vm.hash], "transfer already completed");
+        isTransferCompleted[vm.hash] = true;
+
+        TransferWithPayload memory transfer = parseTransferWithPayload(vm.payload);
+        require(transfer.toChain == chainId, "invalid target chain");
+        require(address(uint160(uint256(transfer.to))) == msg.sender, "invalid sender");
+
+        address token;
+        if (transfer.tokenChain == chainId) {
+            token = address(uint160(uint256(transfer.tokenAddress)));
+            IERC20(token).safeTransfer(msg.sender, _denormalize(transfer.amount, token));
+        } else {
+            token = _wrappedAssets[transfer.tokenChain][transfer.tokenAddress];
+            require(token != address(0), "no wrapper for this token created yet");
+            IMintableERC20(token).mint(msg.sender, _denormalize(transfer.amount, token));
+        }
+
+        emit TransferRedeemed(vm.emitterChainId, vm.emitterAddress, vm.sequence);
+        return encodedVm;
+    }
+
+    // =====================================================
+    // PUBLIC FUNCTIONS
+    // =====================================================
+
+    function parseTransferWithPayload(bytes memory encoded)
+        public
+        pure
+        returns (TransferWithPayload memory transfer)
+    {
+        require(encoded.length >= 133, "invalid Transfer");
+        uint256 amount;
+        bytes32 tokenAddress;
+        bytes32 to;
+        bytes32 fromAddress;
+        // Fixed layout: id(1) amount(32) token(32) tokenChain(2) to(32) toChain(2) from(32)
+        assembly {
+            amount := mload(add(encoded, 33))
+            tokenAddress := mload(add(encoded, 65))
+            to := mload(add(encoded, 99))
+            fromAddress := mload(add(encoded, 133))
+        }
+        transfer.payloadID = uint8(encoded[0]);
+        require(transfer.payloadID == 3, "invalid Transfer");
+        transfer.amount = amount;
+        transfer.tokenAddress = tokenAddress;
+        transfer.tokenChain = (uint16(uint8(encoded[65])) << 8) | uint8(encoded[66]);
+        transfer.to = to;
+        transfer.toChain = (uint16(uint8(encoded[99])) << 8) | uint8(encoded[100]);
+        transfer.fromAddress = fromAddress;
+
+        transfer.payload = new bytes(encoded.length - 133);
+        for (uint256 i = 0; i < transfer.payload.length; i++) {
+            transfer.payload[i] = encoded[133 + i];
+        }
+    }
+
+    // =====================================================
+    // INTERNAL FUNCTIONS
+    // =====================================================
+
+    function _normalize(uint256 amount, address token) internal view returns (uint256) {
+        uint8 decimals = IERC20Metadata(token).decimals();
+        return decimals > 8 ? amount / 10 ** (decimals - 8) : amount;
+    }
 
-        // For testing, we just emit an event and return a sequence number
-        // In real implementation, this would lock tokens and emit VAA
-        emit TransferTokensWithPayload(
-            token,
-            amount,
-            recipientChain,
-            recipient,
-            nonce,
-            payload,
-            sequence
-        );
-
-        return sequence;
-    }
-
-    function completeTransferWithPayload(bytes memory encodedVm) external {
-        // For testing, we just emit an event
-        // In real implementation, this would verify VAA and release tokens
-        emit CompleteTransferWithPayload(encodedVm);
+    function _denormalize(uint256 amount, address token) internal view returns (uint256) {
+        uint8 decimals = IERC20Metadata(token).decimals();
+        return decimals > 8 ? amount * 10 ** (decimals - 8) : amount;
     }
 }
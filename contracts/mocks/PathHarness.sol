@@ -0,0 +1,48 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "../utils/Path.sol";
+
+/// @notice Exposes the internal Path library so tests can compare it with scripts/lib/v3Path.js
+contract PathHarness {
+    using Path for bytes;
+
+    function hasMultiplePools(bytes memory path) external pure returns (bool) {
+        return path.hasMultiplePools();
+    }
+
+    function numPools(bytes memory path) external pure returns (uint256) {
+        return path.numPools();
+    }
+
+    function decodeFirstPool(bytes memory path) external pure returns (address tokenA, address tokenB, uint24 fee) {
+        return path.decodeFirstPool();
+    }
+
+    function getFirstPool(bytes memory path) external pure returns (bytes memory) {
+        return path.getFirstPool();
+    }
+
+    function skipToken(bytes memory path) external pure returns (bytes memory) {
+        return path.skipToken();
+    }
+
+    /// @notice Walks the path pool by pool, the way a V3 router executes exactInput
+    function decodePath(bytes memory path) external pure returns (address[] memory tokens, uint24[] memory fees) {
+        uint256 pools = path.numPools();
+        tokens = new address[](pools + 1);
+        fees = new uint24[](pools);
+        for (uint256 i = 0; i < pools; i++) {
+            (address tokenA, address tokenB, uint24 fee) = path.decodeFirstPool();
+            tokens[i] = tokenA;
+            tokens[i + 1] = tokenB;
+            fees[i] = fee;
+            if (path.hasMultiplePools()) path = path.skipToken();
+        }
+    }
+
+    /// @notice Key used by BridgeSwapStrategy.isPathAllowed
+    function pathHash(bytes memory path) external pure returns (bytes32) {
+        return keccak256(path);
+    }
+}
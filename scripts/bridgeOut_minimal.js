@@ -1,8 +1,11 @@
 const { ethers } = require("hardhat");
 require("dotenv").config();
+const { managedSigner, confirmTransaction } = require("./lib/txManager");
 
 async function main() {
-  const [signer] = await ethers.getSigners();
+  // Setup signer; the manager tracks the nonce and speeds up a stuck bridge-out
+  const [account] = await ethers.getSigners();
+  const signer = managedSigner(account, { speedUpAfter: 60, log: (line) => console.log(line) });
 
   // Address of your deployed MinimalWormholeRelayer contract
   const relayerContractAddress = "0xDB505e30Be5f3541F6267163dC90050c09488b64";
@@ -186,7 +189,7 @@ async function main() {
     console.log(`Transaction sent! Hash: ${tx.hash}`);
     console.log("Waiting for confirmation...");
 
-    const receipt = await tx.wait();
+    const receipt = await confirmTransaction(tx, signer);
 
     if (receipt.status === 0) {
       console.log("❌ Transaction reverted! Let's debug what went wrong...");
@@ -0,0 +1,1483 @@
+#!/usr/bin/env node
+// BridgeSwapStrategy operator CLI
+//
+//   node scripts/bss.js <command> --network <name> [options]
+//   npm run bss -- <command> --network <name> [options]
+//
+// The network is always explicit and picks both the Hardhat network and the
+// profile in scripts/lib/profiles.js (addresses recorded in
+// deployments/<network>.json, tokens and routes from catalog/<chainId>.json). Run
+// `node scripts/bss.js help` for the command list.
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const readline = require("readline/promises");
+const { ethers } = require("ethers");
+const { resolveProfile, peerNetwork, loadProfileCatalog } = require("./lib/profiles");
+const { assertStrategyConsistency } = require("./lib/deployments");
+const { chainName } = require("./lib/chains");
+const { DEXES, findToken, findRoute, getFee } = require("./lib/catalog");
+const { encodePath } = require("./lib/v3Path");
+const actions = require("./lib/strategyActions");
+const pathSync = require("./lib/pathSync");
+const roles = require("./lib/roles");
+const indexer = require("./lib/indexer");
+const pnl = require("./lib/pnl");
+const { VAA_API, resolveVaaSource } = require("./lib/vaaSources");
+const bridgeReconcile = require("./lib/bridgeReconcile");
+const relayer = require("./lib/relayer");
+const { managedSigner } = require("./lib/txManager");
+const { Simulation, SimulationSigner, formatSimulation } = require("./lib/simulate");
+const safeBatch = require("./lib/safeBatch");
+const { formatError } = require("./lib/errors");
+const quotes = require("./lib/quotes");
+const routeFinder = require("./lib/routeFinder");
+const twap = require("./lib/twap");
+const rebalancer = require("./lib/rebalancer");
+const holdings = require("./lib/holdings");
+
+const OPTIONS = {
+  network: { type: "string" },
+  strategy: { type: "string" },
+  catalog: { type: "string" },
+  token: { type: "string" },
+  amount: { type: "string" },
+  chain: { type: "string" },
+  recipient: { type: "string" },
+  solana: { type: "boolean" },
+  vaa: { type: "string" },
+  route: { type: "string" },
+  path: { type: "string" },
+  fees: { type: "string" },
+  reverse: { type: "boolean" },
+  dex: { type: "string" },
+  "min-out": { type: "string" },
+  slippage: { type: "string" },
+  "max-impact": { type: "string" },
+  quoter: { type: "string" },
+  factory: { type: "string" },
+  "max-hops": { type: "string" },
+  chunks: { type: "string" },
+  window: { type: "string" },
+  "impact-budget": { type: "string" },
+  targets: { type: "string" },
+  drift: { type: "string" },
+  plan: { type: "string" },
+  block: { type: "string" },
+  compare: { type: "string" },
+  to: { type: "string" },
+  account: { type: "string" },
+  role: { type: "string" },
+  "dry-run": { type: "boolean" },
+  yes: { type: "boolean", short: "y" },
+  "from-block": { type: "string" },
+  "to-block": { type: "string" },
+  confirmations: { type: "string" },
+  follow: { type: "boolean" },
+  interval: { type: "string" },
+  reset: { type: "boolean" },
+  store: { type: "string" },
+  method: { type: "string" },
+  format: { type: "string" },
+  output: { type: "string" },
+  "vaa-source": { type: "string" },
+  "stuck-after": { type: "string" },
+  "from-sequence": { type: "string" },
+  batch: { type: "string" },
+  timeout: { type: "string" },
+  "speed-up-after": { type: "string" },
+  hash: { type: "string" },
+  simulate: { type: "boolean" },
+  fork: { type: "boolean" },
+  "fork-block": { type: "string" },
+  from: { type: "string" },
+  propose: { type: "string" },
+  safe: { type: "string" },
+  address: { type: "string" },
+  help: { type: "boolean", short: "h" },
+};
+
+const COMMANDS = {
+  deposit: {
+    usage: "deposit --token <symbol|address> --amount <n>",
+    run: runDeposit,
+  },
+  "bridge-out": {
+    usage: "bridge-out --amount <n> (--solana | --chain <wormholeId> --recipient <address> --token <symbol|address>)",
+    run: runBridgeOut,
+  },
+  "bridge-in": {
+    usage: "bridge-in --vaa <base64|hex>",
+    run: runBridgeIn,
+  },
+  swap: {
+    usage: "swap (--route <name> [--reverse] | --path <A,B,...> [--fees <f1,...>]) --amount <n> [--slippage <bps>] [--max-impact <bps>] [--min-out <n>] [--quoter <address>] [--dex uniswap-v3|pancakeswap-v3]",
+    run: runSwap,
+  },
+  quote: {
+    usage: "quote (--route <name> [--reverse] | --path <A,B,...> [--fees <f1,...>]) --amount <n> [--quoter <address>]",
+    needsStrategy: false,
+    run: runQuote,
+  },
+  route: {
+    usage:
+      "route <tokenIn> <tokenOut> --amount <n> [--max-hops <n>] [--dex uniswap-v3|pancakeswap-v3 [--factory <address>] [--quoter <address>]]",
+    run: runRoute,
+  },
+  twap: {
+    usage:
+      "twap start (--route <name> [--reverse] | --path <A,B,...> [--fees <f1,...>]) --amount <n> (--chunks <n> | --impact-budget <bps>) [--window <seconds>] [--slippage <bps>] [--max-impact <bps>] [--quoter <address>] [--dex <dex>] [--store <file>] | twap resume|status|reconcile --store <file>",
+    simulate: false,
+    run: runTwap,
+  },
+  rebalance: {
+    usage:
+      "rebalance [plan|execute] [--targets <file>] [--drift <bps>] [--output <plan.json>] [--dex <dex> [--factory <address>] [--quoter <address>]] [--slippage <bps>] [--max-impact <bps>] | rebalance execute --plan <plan.json>",
+    run: runRebalance,
+  },
+  paths: {
+    usage:
+      "paths list | paths allow|disallow (--route <name> [--reverse] | --path <A,B,...> [--fees <f1,...>] [--dex <dex>]) | paths sync [--dry-run] [--yes] [--from-block <n>]",
+    run: runPaths,
+  },
+  roles: {
+    usage:
+      "roles [--account <address>] | roles list|audit [--from-block <n>] | roles grant|revoke --role <ADMIN|REPORTING_MANAGER|DEFAULT_ADMIN_ROLE> --account <address> | roles renounce --role <role> [--yes]",
+    run: runRoles,
+  },
+  withdraw: {
+    usage: "withdraw --token <symbol|address> --amount <n> [--to <address>]",
+    run: runWithdraw,
+  },
+  admin: {
+    usage:
+      "admin set-router --dex uniswap-v3|pancakeswap-v3 --address <router> | admin set-underlying --token <symbol|address> | admin set-aggregator --address <solana> | admin path-validation on|off | admin emergency-withdraw --token <symbol|address> [--to <address>]",
+    run: runAdmin,
+  },
+  pause: {
+    usage: "pause [status|on|off]",
+    run: runPause,
+  },
+  fee: {
+    usage: "fee",
+    run: runFee,
+  },
+  holdings: {
+    usage: "holdings [--block <n>] [--compare <block>] [--dex <dex> [--quoter <address>]] [--store <file>] [--dry-run]",
+    run: runHoldings,
+  },
+  index: {
+    usage:
+      "index [--from-block <n>] [--to-block <n>] [--confirmations <n>] [--follow [--interval <seconds>]] [--reset] [--store <file>]",
+    run: runIndex,
+  },
+  ledger: {
+    usage: "ledger [--store <file>]",
+    run: runLedger,
+  },
+  report: {
+    usage: "report [--method fifo|average] [--format table|csv|json] [--output <file>] [--store <file>] [--dex <dex> [--quoter <address>]]",
+    run: runReport,
+  },
+  reconcile: {
+    usage: "reconcile [--vaa-source <url|file>] [--stuck-after <hours>] [--format table|json] [--output <file>] [--store <file>]",
+    run: runReconcile,
+  },
+  relay: {
+    usage:
+      "relay [--chain <wormholeId,...>] [--from-sequence <n>] [--vaa-source <url|file>] [--batch <n>] [--follow [--interval <seconds>]] [--store <file>]",
+    simulate: false,
+    run: runRelay,
+  },
+  safe: {
+    usage: "safe verify <batch.json>",
+    needsStrategy: false,
+    simulate: false,
+    run: runSafe,
+  },
+  tx: {
+    usage: "tx [status] | tx speed-up|cancel --hash <txHash>",
+    needsStrategy: false,
+    simulate: false,
+    run: runTx,
+  },
+};
+
+/**
+ * Parses argv (without the node and script entries) into a command, its
+ * positional arguments and flags.
+ */
+function parseCommandLine(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: OPTIONS,
+    allowPositionals: true,
+    strict: true,
+  });
+  const [command, ...args] = positionals;
+  return { command, args, flags: values };
+}
+
+function usage() {
+  const lines = Object.values(COMMANDS).map((c) => `  ${c.usage}`);
+  return [
+    "Usage: node scripts/bss.js <command> --network <name> [--strategy <address>] [--catalog <dir>]",
+    "",
+    "Commands:",
+    ...lines,
+    "",
+    "Transactions wait for --confirmations <n> (default 1) up to --timeout <seconds> (default 300);",
+    "--speed-up-after <seconds> re-sends a transaction that is still pending with higher fees.",
+    "--simulate reports each transaction's return value, events, strategy balance changes and gas",
+    "without broadcasting; add --fork [--fork-block <n>] to run on a Hardhat fork of the network's",
+    "RPC URL, and --from <address> to simulate as another sender.",
+    "--propose <file> --safe <address> writes the transactions to a Safe Transaction Builder batch",
+    "instead of signing them; check a batch with `safe verify <file>` before approving it.",
+    `swap quotes the route first and sets the minimum output --slippage <bps> (default ${quotes.SLIPPAGE_BPS}) below`,
+    `the quote; it refuses when the price impact is over --max-impact <bps> (default ${quotes.MAX_PRICE_IMPACT_BPS}).`,
+  ].join("\n");
+}
+
+function requireFlag(flags, name) {
+  if (flags[name] === undefined) throw new Error(`Missing required flag --${name}`);
+  return flags[name];
+}
+
+async function resolveToken(ctx, symbolOrAddress) {
+  const token = findToken(ctx.catalog, symbolOrAddress);
+  if (!token) throw new Error(`Unknown token "${symbolOrAddress}" (not in the catalog and not an address)`);
+  const contract = actions.erc20(ethers.getAddress(token.address), ctx.signer);
+  return {
+    address: ethers.getAddress(token.address),
+    symbol: token.symbol || (await contract.symbol()),
+    decimals: token.decimals === undefined ? Number(await contract.decimals()) : token.decimals,
+  };
+}
+
+/**
+ * Resolves --route/--path/--fees/--reverse/--dex into token addresses, fee
+ * tiers, the DEX and the encoded V3 path.
+ */
+async function resolveRoute(ctx, flags) {
+  let symbols;
+  let fees;
+  let name;
+  let dex = flags.dex;
+  if (flags.route) {
+    if (!ctx.catalog) throw new Error("--route needs a token catalog for this chain (--catalog)");
+    const route = findRoute(ctx.catalog, flags.route, { reverse: flags.reverse });
+    if (dex && dex !== route.dex) {
+      throw new Error(`Route "${route.name}" is a ${route.dex} route, not ${dex}`);
+    }
+    symbols = route.path;
+    name = route.name;
+    dex = route.dex;
+  } else {
+    symbols = requireFlag(flags, "path").split(",").map((s) => s.trim());
+    if (flags.reverse) symbols.reverse();
+    name = symbols.join(" -> ");
+  }
+  dex = dex || "uniswap-v3";
+  if (!DEXES.includes(dex)) throw new Error(`Unknown DEX "${dex}". Expected one of: ${DEXES.join(", ")}`);
+
+  if (flags.fees) {
+    fees = flags.fees.split(",").map((f) => Number(f.trim()));
+    if (flags.reverse && !flags.route) fees.reverse();
+  } else {
+    if (!ctx.catalog) throw new Error("--fees is required without a token catalog");
+    fees = symbols.slice(1).map((symbol, i) => getFee(ctx.catalog, symbols[i], symbol, dex));
+  }
+
+  const tokens = [];
+  for (const symbol of symbols) tokens.push(await resolveToken(ctx, symbol));
+  if (fees.length !== tokens.length - 1) {
+    throw new Error(`Expected ${tokens.length - 1} fee(s) for ${tokens.length} tokens, got ${fees.length}`);
+  }
+
+  return {
+    name,
+    dex,
+    tokens,
+    fees,
+    path: encodePath(
+      tokens.map((t) => t.address),
+      fees
+    ),
+  };
+}
+
+function printResult(result) {
+  if (result.proposal) {
+    console.log(`Proposed as transaction #${result.proposal.index + 1} of the Safe batch (not signed):`);
+    console.log(`  to: ${result.proposal.to}`);
+    console.log(`  value: ${result.proposal.value}`);
+    console.log(`  data: ${result.proposal.data}`);
+    return;
+  }
+  if (result.simulation) {
+    console.log("Not broadcast (--simulate).");
+    return;
+  }
+  console.log(`Transaction: ${result.hash} (block ${result.blockNumber})`);
+  if (result.event) {
+    for (const [key, value] of Object.entries(result.event)) {
+      console.log(`  ${key}: ${value}`);
+    }
+  }
+}
+
+// =====================================================
+// COMMANDS
+// =====================================================
+
+async function runDeposit(ctx, flags) {
+  const token = await resolveToken(ctx, requireFlag(flags, "token"));
+  const amount = ethers.parseUnits(requireFlag(flags, "amount"), token.decimals);
+  console.log(`Depositing ${ethers.formatUnits(amount, token.decimals)} ${token.symbol}...`);
+  printResult(await actions.deposit(ctx.strategy, token.address, amount));
+}
+
+async function runBridgeOut(ctx, flags) {
+  const toSolana = Boolean(flags.solana);
+  const token = toSolana
+    ? await resolveToken(ctx, await ctx.strategy.underlyingToken())
+    : await resolveToken(ctx, requireFlag(flags, "token"));
+  const amount = ethers.parseUnits(requireFlag(flags, "amount"), token.decimals);
+  const chain = toSolana ? 1 : Number(requireFlag(flags, "chain"));
+  const recipient = toSolana ? undefined : requireFlag(flags, "recipient");
+
+  console.log(
+    `Bridging ${ethers.formatUnits(amount, token.decimals)} ${token.symbol} to chain ${chain}` +
+      (toSolana ? " (Solana aggregator)" : ` recipient ${recipient}`)
+  );
+  printResult(await actions.bridgeOut(ctx.strategy, { token: token.address, amount, chain, recipient }));
+}
+
+async function runBridgeIn(ctx, flags) {
+  const result = await actions.bridgeIn(ctx.strategy, requireFlag(flags, "vaa"));
+  console.log(`Redeemed VAA ${result.vaa.emitterChain}/${result.vaa.emitterAddress}/${result.vaa.sequence}`);
+  printResult(result);
+}
+
+async function runSwap(ctx, flags) {
+  const route = await resolveRoute(ctx, flags);
+  const tokenIn = route.tokens[0];
+  const tokenOut = route.tokens[route.tokens.length - 1];
+  const amountIn = ethers.parseUnits(requireFlag(flags, "amount"), tokenIn.decimals);
+  console.log(`Swapping ${flags.amount} ${tokenIn.symbol} -> ${tokenOut.symbol} via "${route.name}"`);
+
+  let amountOutMinimum;
+  if (flags["min-out"] !== undefined) {
+    if (flags.slippage !== undefined || flags["max-impact"] !== undefined) {
+      throw new Error("--min-out replaces the quote; it cannot be combined with --slippage or --max-impact");
+    }
+    amountOutMinimum = ethers.parseUnits(flags["min-out"], tokenOut.decimals);
+  } else {
+    const quoter = flags.quoter || quotes.quoterFor(ctx.profile.contracts, route.dex);
+    if (!quoter) {
+      throw new Error(
+        `No ${route.dex} quoter configured for ${ctx.profile.network}; pass --quoter, or --min-out to skip the quote`
+      );
+    }
+    const plan = await quotes.planSwap(quoter, ctx.signer, route.path, amountIn, {
+      slippageBps: flags.slippage === undefined ? undefined : quotes.parseBps(flags.slippage, "--slippage"),
+      maxPriceImpactBps:
+        flags["max-impact"] === undefined ? undefined : quotes.parseBps(flags["max-impact"], "--max-impact"),
+    });
+    console.log(quotes.formatSwapPlan(plan, tokenOut));
+    amountOutMinimum = plan.amountOutMinimum;
+  }
+  printResult(
+    await actions.swap(ctx.strategy, {
+      tokens: route.tokens.map((t) => t.address),
+      fees: route.fees,
+      amountIn,
+      amountOutMinimum,
+      dex: route.dex,
+    })
+  );
+}
+
+async function runQuote(ctx, flags) {
+  const route = await resolveRoute(ctx, flags);
+  const quoter = flags.quoter || quotes.quoterFor(ctx.profile.contracts, route.dex);
+  if (!quoter) throw new Error(`No ${route.dex} quoter configured for this network (--quoter)`);
+
+  const tokenIn = route.tokens[0];
+  const tokenOut = route.tokens[route.tokens.length - 1];
+  const amountIn = ethers.parseUnits(requireFlag(flags, "amount"), tokenIn.decimals);
+  const { amountOut, priceImpactBps } = await quotes.quoteWithImpact(quoter, ctx.signer, route.path, amountIn);
+
+  console.log(`Quote for "${route.name}":`);
+  console.log(`${flags.amount} ${tokenIn.symbol} = ~${ethers.formatUnits(amountOut, tokenOut.decimals)} ${tokenOut.symbol}`);
+  console.log(`Price impact: ${priceImpactBps === null ? "unknown" : quotes.formatBps(priceImpactBps)}`);
+}
+
+// The profile's contracts with --factory and --quoter standing in for those of --dex
+function routeContracts(ctx, flags) {
+  const contracts = { ...ctx.profile.contracts };
+  if (flags.factory || flags.quoter) {
+    if (!flags.dex) throw new Error("--factory and --quoter apply to one DEX; pass --dex");
+    if (flags.factory) contracts[routeFinder.FACTORY_KEYS[flags.dex]] = flags.factory;
+    if (flags.quoter) contracts[quotes.QUOTER_KEYS[flags.dex]] = flags.quoter;
+  }
+  return contracts;
+}
+
+async function runRoute(ctx, flags, [tokenIn, tokenOut]) {
+  if (!ctx.catalog) throw new Error("route needs a token catalog for this chain (--catalog)");
+  if (!tokenIn || !tokenOut) throw new Error("Expected route <tokenIn> <tokenOut>");
+  if (flags.dex && !DEXES.includes(flags.dex)) {
+    throw new Error(`Unknown DEX "${flags.dex}". Expected one of: ${DEXES.join(", ")}`);
+  }
+  const contracts = routeContracts(ctx, flags);
+  const maxHops = flags["max-hops"] === undefined ? 2 : Number(flags["max-hops"]);
+  if (!Number.isInteger(maxHops) || maxHops < 1) throw new Error("--max-hops must be a whole number of pools");
+
+  const input = await resolveToken(ctx, tokenIn);
+  const output = await resolveToken(ctx, tokenOut);
+  const amountIn = ethers.parseUnits(requireFlag(flags, "amount"), input.decimals);
+  const { validationEnabled, best, routes, unavailable } = await routeFinder.findBestRoutes(ctx.catalog, {
+    tokenIn: input.symbol,
+    tokenOut: output.symbol,
+    amountIn,
+    runner: ctx.signer,
+    contracts,
+    strategy: ctx.strategy,
+    dexes: flags.dex ? [flags.dex] : DEXES,
+    // The strategy swaps PancakeSwap through its single-pool entry point only
+    maxHops: { "uniswap-v3": maxHops, "pancakeswap-v3": 1 },
+  });
+
+  const amount = (value) => `${ethers.formatUnits(value, output.decimals)} ${output.symbol}`;
+  console.log(
+    `Best routes for ${flags.amount} ${input.symbol} -> ${output.symbol} ` +
+      `(path validation ${validationEnabled ? "on" : "off"}):`
+  );
+  for (const [dex, route] of Object.entries(best)) {
+    if (!route) {
+      console.log(`  ${dex}: none${unavailable[dex] ? ` (${unavailable[dex]})` : ""}`);
+      continue;
+    }
+    console.log(`  ${dex}: ${routeFinder.describeRoute(route)} = ${amount(route.amountOut)}`);
+    console.log(`    path ${route.path}`);
+    console.log(
+      `    bss swap --path ${route.symbols.join(",")} --fees ${route.fees.join(",")} --dex ${dex} --amount ${flags.amount}`
+    );
+  }
+  console.log(`Candidates (${routes.length}):`);
+  for (const route of routes) {
+    const result = route.amountOut === null ? route.error : amount(route.amountOut);
+    const tags = route.allowed ? "" : " [not allowed]";
+    console.log(`  ${route.dex} ${routeFinder.describeRoute(route)}: ${result}${tags}`);
+  }
+}
+
+/**
+ * Swaps an amount in chunks spread over --window seconds, or in as many
+ * chunks as keep each within --impact-budget. The run log lets `twap resume`
+ * carry on after a crash and `twap reconcile` check it against the chain.
+ */
+async function runTwap(ctx, flags, [action = "status"]) {
+  const known = ["start", "resume", "status", "reconcile"];
+  if (!known.includes(action)) {
+    throw new Error(`Unknown twap action "${action}" (expected ${known.join(", ")})`);
+  }
+  const identity = {
+    network: ctx.profile.network,
+    chainId: (await ctx.hre.ethers.provider.getNetwork()).chainId,
+    strategy: ctx.profile.strategy,
+  };
+  const { file, run } = action === "start" ? await startTwap(ctx, flags, identity) : openTwap(flags, identity);
+  const tokenIn = await resolveToken(ctx, run.order.tokens[0]);
+  const tokenOut = await resolveToken(ctx, run.order.tokens[run.order.tokens.length - 1]);
+  const amount = (value, token) => `${ethers.formatUnits(value, token.decimals)} ${token.symbol}`;
+
+  if (action === "reconcile") {
+    const swaps = await twap.scanSwapEvents(ctx.strategy, { fromBlock: run.startBlock });
+    const { matched, mismatched, missing, unrecorded } = twap.reconcileRun(run, swaps);
+    console.log(`Matched ${matched.length} fill(s) with their swap events`);
+    for (const { chunk, swap, fields } of mismatched) {
+      console.log(
+        `  chunk ${chunk.index + 1}: ${swap.transactionHash} differs (${fields.join(", ")}): ` +
+          `logged ${amount(chunk.fill.amountOut, tokenOut)}, event ${amount(swap.amountOut, tokenOut)}`
+      );
+    }
+    for (const chunk of missing) {
+      console.log(`  chunk ${chunk.index + 1}: no swap event in ${chunk.fill.transactionHash}`);
+    }
+    for (const swap of unrecorded) {
+      console.log(
+        `  unrecorded ${swap.event} of ${amount(swap.amountIn, tokenIn)} in ${swap.transactionHash} ` +
+          `(block ${swap.blockNumber})`
+      );
+    }
+    return;
+  }
+
+  if (action !== "status") {
+    try {
+      await twap.executeRun(run, {
+        strategy: ctx.strategy,
+        onProgress: (updated) => twap.saveRun(updated, file),
+        log: (line) => console.log(line),
+      });
+    } catch (error) {
+      console.log(`Stopped; carry on with \`twap resume --store ${file}\``);
+      throw error;
+    }
+  }
+
+  const summary = twap.runSummary(run);
+  console.log(
+    `${summary.filled}/${summary.chunks} chunk(s) filled: ` +
+      `${amount(summary.amountIn, tokenIn)} of ${amount(run.order.amountIn, tokenIn)} ` +
+      `swapped for ${amount(summary.amountOut, tokenOut)}`
+  );
+  for (const chunk of run.chunks) {
+    const detail = chunk.fill
+      ? `${amount(chunk.fill.amountOut, tokenOut)} in ${chunk.fill.transactionHash}`
+      : `from ${new Date(chunk.notBefore * 1000).toISOString()}` + (chunk.error ? ` (last error: ${chunk.error})` : "");
+    console.log(`  chunk ${chunk.index + 1}: ${amount(chunk.amountIn, tokenIn)} ${chunk.status}, ${detail}`);
+  }
+}
+
+// Plans a new order and writes its run log
+async function startTwap(ctx, flags, identity) {
+  const route = await resolveRoute(ctx, flags);
+  const tokenIn = route.tokens[0];
+  const amountIn = ethers.parseUnits(requireFlag(flags, "amount"), tokenIn.decimals);
+  const quoter = flags.quoter || quotes.quoterFor(ctx.profile.contracts, route.dex);
+  if (!quoter) throw new Error(`No ${route.dex} quoter configured for ${ctx.profile.network}; pass --quoter`);
+  if ((flags.chunks === undefined) === (flags["impact-budget"] === undefined)) {
+    throw new Error("Pass either --chunks or --impact-budget");
+  }
+  const window = flags.window === undefined ? 0 : Number(flags.window);
+  if (!Number.isInteger(window) || window < 0) throw new Error("--window must be a whole number of seconds");
+
+  let chunks;
+  let maxPriceImpactBps =
+    flags["max-impact"] === undefined ? undefined : quotes.parseBps(flags["max-impact"], "--max-impact");
+  if (flags.chunks !== undefined) {
+    chunks = Number(flags.chunks);
+  } else {
+    const budget = quotes.parseBps(flags["impact-budget"], "--impact-budget");
+    chunks = await twap.chunksForImpact(quoter, ctx.signer, route.path, amountIn, budget);
+    console.log(`${chunks} chunk(s) keep each swap within ${quotes.formatBps(budget)} of price impact`);
+    if (maxPriceImpactBps === undefined) maxPriceImpactBps = budget;
+  }
+
+  const createdAt = Math.floor(Date.now() / 1000);
+  const file = flags.store ? path.resolve(flags.store) : twap.defaultRunPath(ctx.profile.network, createdAt);
+  if (fs.existsSync(file)) throw new Error(`${file} already exists; resume it, or pass --store for a new order`);
+  const run = twap.createRun({
+    ...identity,
+    startBlock: await ctx.hre.ethers.provider.getBlockNumber(),
+    createdAt,
+    order: {
+      dex: route.dex,
+      tokens: route.tokens.map((t) => t.address),
+      fees: route.fees,
+      quoter,
+      amountIn,
+      chunks,
+      window,
+      slippageBps: flags.slippage === undefined ? quotes.SLIPPAGE_BPS : quotes.parseBps(flags.slippage, "--slippage"),
+      maxPriceImpactBps: maxPriceImpactBps === undefined ? quotes.MAX_PRICE_IMPACT_BPS : maxPriceImpactBps,
+    },
+  });
+  twap.saveRun(run, file);
+  console.log(`Swapping ${flags.amount} ${tokenIn.symbol} via "${route.name}" in ${chunks} chunk(s) over ${window}s`);
+  console.log(`Run log: ${file}`);
+  return { file, run };
+}
+
+function openTwap(flags, identity) {
+  const file = path.resolve(requireFlag(flags, "store"));
+  return { file, run: twap.openRun(file, identity) };
+}
+
+/**
+ * Plans the swaps that bring the strategy's holdings back to their target
+ * weights; `rebalance execute` sends them, or a plan saved with --output
+ * after review (--plan). --simulate and --propose apply to execute.
+ */
+async function runRebalance(ctx, flags, [action = "plan"]) {
+  if (action !== "plan" && action !== "execute") {
+    throw new Error(`Unknown rebalance action "${action}" (expected plan or execute)`);
+  }
+  if (!ctx.catalog) throw new Error("rebalance needs a token catalog for this chain (--catalog)");
+  if (flags.dex && !DEXES.includes(flags.dex)) {
+    throw new Error(`Unknown DEX "${flags.dex}". Expected one of: ${DEXES.join(", ")}`);
+  }
+  const identity = {
+    network: ctx.profile.network,
+    chainId: (await ctx.hre.ethers.provider.getNetwork()).chainId,
+    strategy: ctx.profile.strategy,
+  };
+  const underlying = await resolveToken(ctx, await ctx.strategy.underlyingToken());
+
+  let plan;
+  if (flags.plan) {
+    if (action !== "execute") throw new Error("--plan goes with rebalance execute");
+    plan = rebalancer.openPlan(path.resolve(flags.plan), identity);
+    console.log(`Plan from ${flags.plan}, made at block ${plan.blockNumber}`);
+  } else {
+    const targets = rebalancer.loadTargets(ctx.profile.network, ctx.catalog, {
+      file: flags.targets && path.resolve(flags.targets),
+    });
+    const contracts = routeContracts(ctx, flags);
+    const dexes = flags.dex ? [flags.dex] : DEXES;
+    const blockNumber = await ctx.hre.ethers.provider.getBlockNumber();
+    const holdings = await rebalancer.readHoldings(ctx.catalog, targets, {
+      underlying: underlying.symbol,
+      strategy: ctx.profile.strategy,
+      runner: ctx.signer,
+      contracts,
+      dexes,
+    });
+    plan = rebalancer.planRebalance(holdings, targets, {
+      underlying,
+      driftBps: flags.drift === undefined ? targets.driftBps : quotes.parseBps(flags.drift, "--drift"),
+    });
+    await rebalancer.routeTrades(plan, ctx.catalog, { runner: ctx.signer, contracts, strategy: ctx.strategy, dexes });
+    if (flags.output) {
+      rebalancer.savePlan(plan, flags.output, { ...identity, blockNumber });
+      console.log(`Wrote the plan to ${flags.output}`);
+    }
+  }
+  printRebalancePlan(ctx, plan, underlying);
+
+  if (action === "execute") {
+    const executed = await rebalancer.executePlan(plan, {
+      strategy: ctx.strategy,
+      slippageBps: flags.slippage === undefined ? undefined : quotes.parseBps(flags.slippage, "--slippage"),
+      maxPriceImpactBps:
+        flags["max-impact"] === undefined ? undefined : quotes.parseBps(flags["max-impact"], "--max-impact"),
+      // Proposed sells have not happened when the buys are built
+      capToBalance: !flags.propose,
+      log: (line) => console.log(line),
+    });
+    console.log(`${executed.length} of ${plan.trades.length} swap(s) done`);
+  }
+}
+
+// Holdings (fresh plans only) and the ordered swaps; a saved plan holds its amounts as strings
+function printRebalancePlan(ctx, plan, underlying) {
+  const units = (value, symbol) =>
+    `${ethers.formatUnits(BigInt(value), ctx.catalog.tokens[symbol].decimals)} ${symbol}`;
+  const signed = (bps) => (bps > 0 ? "+" : "") + quotes.formatBps(bps);
+  if (plan.rows) {
+    console.log(
+      `Holdings worth ${units(plan.totalValue, underlying.symbol)} (drift band ${quotes.formatBps(plan.driftBps)}):`
+    );
+    for (const row of plan.rows) {
+      const weights = `${quotes.formatBps(row.weightBps)} (target ${quotes.formatBps(row.targetBps)})`;
+      console.log(
+        `  ${row.symbol}: ${units(row.balance, row.symbol)} = ${units(row.value, underlying.symbol)}, ` +
+          `${weights}, drift ${signed(row.driftBps)}`
+      );
+    }
+  }
+  if (plan.trades.length === 0) {
+    console.log("Every holding is within the drift band; nothing to trade");
+  } else {
+    console.log(`Plan (${plan.trades.length} swap(s)):`);
+    plan.trades.forEach((trade, i) => {
+      const swap = `${trade.side} ${trade.symbol}: ${units(trade.amountIn, trade.tokenIn)} -> ${trade.tokenOut}`;
+      console.log(
+        trade.route
+          ? `  ${i + 1}. ${swap} via ${trade.route.dex} ${routeFinder.describeRoute(trade.route)}, ` +
+              `quoted ${units(trade.expectedOut, trade.tokenOut)}`
+          : `  ${i + 1}. ${swap}: blocked, ${trade.blocked}`
+      );
+    });
+  }
+  for (const trade of plan.skipped || []) {
+    const side = trade.side ? `${trade.side} ` : "";
+    console.log(`  skipped, ${trade.reason}: ${side}${units(trade.amountIn, trade.tokenIn)}`);
+  }
+}
+
+async function runPaths(ctx, flags, [action = "list"]) {
+  if (action === "list") {
+    if (!ctx.catalog) throw new Error("paths list needs a token catalog for this chain (--catalog)");
+    const paths = [];
+    for (const { name } of ctx.catalog.routes) {
+      for (const reverse of [false, true]) {
+        const route = await resolveRoute(ctx, { route: name, reverse });
+        paths.push({ name: route.name, path: route.path });
+      }
+    }
+    const { validationEnabled, paths: entries } = await actions.listPaths(ctx.strategy, paths);
+    console.log(`Path validation: ${validationEnabled ? "enabled" : "disabled"}`);
+    for (const entry of entries) {
+      console.log(`  [${entry.allowed ? "allowed" : "blocked"}] ${entry.name} ${entry.pathHash}`);
+    }
+    return;
+  }
+
+  if (action === "sync") {
+    await syncPaths(ctx, flags);
+    return;
+  }
+
+  if (action !== "allow" && action !== "disallow") {
+    throw new Error(`Unknown paths action "${action}" (expected list, allow, disallow or sync)`);
+  }
+  const route = await resolveRoute(ctx, flags);
+  console.log(`${action === "allow" ? "Allowing" : "Disallowing"} "${route.name}"`);
+  console.log(`  path: ${route.path}`);
+  const result =
+    action === "allow"
+      ? await actions.allowPath(ctx.strategy, route.path)
+      : await actions.disallowPath(ctx.strategy, route.path);
+  if (result.alreadyAllowed) {
+    console.log(`Path ${result.pathHash} is already allowed.`);
+  } else {
+    printResult(result);
+  }
+}
+
+/**
+ * Makes the on-chain allow-list equal to the catalog's routes in both
+ * directions: allows missing ones and disallows allowed paths no route uses.
+ */
+async function syncPaths(ctx, flags) {
+  if (!ctx.catalog) throw new Error("paths sync needs a token catalog for this chain (--catalog)");
+  const desired = pathSync.desiredPaths(ctx.catalog);
+  const fromBlock = flags["from-block"] !== undefined ? Number(flags["from-block"]) : deploymentBlock(ctx.profile);
+  console.log(`Scanning PathAllowed/PathDisallowed events from block ${fromBlock}...`);
+  const state = await pathSync.readPathState(ctx.strategy, desired, { fromBlock });
+  const diff = pathSync.diffPaths(state);
+
+  console.log(`${desired.length} catalog path(s), ${desired.length - diff.toAllow.length} already allowed`);
+  if (diff.toAllow.length === 0 && diff.toDisallow.length === 0) {
+    console.log("Allow-list is in sync with the catalog.");
+    return;
+  }
+  console.log(`Changes (${diff.toAllow.length} to allow, ${diff.toDisallow.length} to disallow):`);
+  for (const line of pathSync.formatPathDiff(diff, ctx.catalog)) console.log(line);
+
+  if (flags["dry-run"]) {
+    console.log("Dry run: nothing sent.");
+    return;
+  }
+  const count = diff.toAllow.length + diff.toDisallow.length;
+  if (!flags.yes && !flags.simulate && !flags.propose && !(await confirm(`Send ${count} transaction(s)?`))) {
+    console.log("Aborted.");
+    return;
+  }
+  for (const result of await pathSync.applyPathDiff(ctx.strategy, diff)) {
+    if (result.alreadyAllowed) {
+      console.log(`Path ${result.pathHash} is already allowed.`);
+      continue;
+    }
+    console.log(`${result.action === "allow" ? "Allowed" : "Disallowed"} ${result.pathHash}`);
+    printResult(result);
+  }
+}
+
+// First block worth scanning for strategy events: the recorded deployment, if any
+function deploymentBlock(profile) {
+  const strategy = profile.deployment && profile.deployment.bridgeSwapStrategy;
+  if (!strategy || strategy.proxy !== profile.strategy) return 0;
+  const deployed = strategy.history.find((entry) => entry.action === "deploy" && entry.blockNumber !== undefined);
+  return deployed ? deployed.blockNumber : 0;
+}
+
+async function confirm(question) {
+  if (!process.stdin.isTTY) throw new Error("Not a terminal; pass --yes to send without confirmation or --dry-run");
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    return /^y(es)?$/i.test((await rl.question(`${question} [y/N] `)).trim());
+  } finally {
+    rl.close();
+  }
+}
+
+async function runRoles(ctx, flags, [action = "show"]) {
+  if (action === "show") {
+    const account = flags.account || ctx.signer.address;
+    const roles = await actions.getRoles(ctx.strategy, account);
+    console.log(`Roles for ${account}:`);
+    for (const [role, held] of Object.entries(roles)) {
+      console.log(`  ${role}: ${held}`);
+    }
+    return;
+  }
+
+  if (action === "list" || action === "audit") {
+    const { holders, deployer } = await readRoles(ctx, flags);
+    for (const line of roles.formatRoleHolders(holders, { deployer })) console.log(line);
+    if (action === "list") return;
+    const findings = roles.auditRoles(holders, { deployer });
+    console.log();
+    if (findings.length === 0) console.log("No risky role setups found.");
+    for (const { level, message } of findings) console.log(`[${level}] ${message}`);
+    return;
+  }
+
+  if (action === "renounce") {
+    const role = requireFlag(flags, "role");
+    const { holders } = await readRoles(ctx, flags);
+    const entry = holders.find((r) => r.role === role);
+    const others = entry ? entry.holders.filter((h) => h.account !== ctx.signer.address) : [];
+    console.log(`Renouncing ${role} for ${ctx.signer.address}`);
+    if (entry && others.length === 0) console.log(`Nobody else holds ${role}; it will have no holders.`);
+    const question = `Give up ${role}? Only its admin role can grant it back.`;
+    if (!flags.yes && !flags.simulate && !flags.propose && !(await confirm(question))) {
+      console.log("Aborted.");
+      return;
+    }
+    printResult(await actions.renounceRole(ctx.strategy, role));
+    return;
+  }
+
+  if (action !== "grant" && action !== "revoke") {
+    throw new Error(`Unknown roles action "${action}" (expected show, list, audit, grant, revoke or renounce)`);
+  }
+  const role = requireFlag(flags, "role");
+  const account = ethers.getAddress(requireFlag(flags, "account"));
+  console.log(`${action === "grant" ? "Granting" : "Revoking"} ${role} ${action === "grant" ? "to" : "from"} ${account}`);
+  const result =
+    action === "grant"
+      ? await actions.grantRole(ctx.strategy, role, account)
+      : await actions.revokeRole(ctx.strategy, role, account);
+  if (result.alreadyGranted) {
+    console.log(`${account} already holds ${role}.`);
+  } else if (result.notHeld) {
+    console.log(`${account} does not hold ${role}.`);
+  } else {
+    printResult(result);
+  }
+}
+
+// Current role holders from RoleGranted/RoleRevoked events since the deployment
+async function readRoles(ctx, flags) {
+  const fromBlock = flags["from-block"] !== undefined ? Number(flags["from-block"]) : deploymentBlock(ctx.profile);
+  console.log(`Scanning RoleGranted/RoleRevoked events from block ${fromBlock}...`);
+  const holders = await roles.readRoleHolders(ctx.strategy, { fromBlock });
+  const deployment = ctx.profile.deployment && ctx.profile.deployment.bridgeSwapStrategy;
+  const recorded = deployment && deployment.proxy === ctx.profile.strategy ? deployment : undefined;
+  return { holders, deployer: roles.findDeployer(holders, recorded) };
+}
+
+async function runWithdraw(ctx, flags) {
+  const token = await resolveToken(ctx, requireFlag(flags, "token"));
+  const amount = ethers.parseUnits(requireFlag(flags, "amount"), token.decimals);
+  const to = ethers.getAddress(flags.to || ctx.signer.address);
+  console.log(`Withdrawing ${flags.amount} ${token.symbol} to ${to}`);
+  printResult(await actions.withdraw(ctx.strategy, token.address, amount, to));
+}
+
+/**
+ * Router, underlying token, Solana aggregator and path validation settings,
+ * and the paused-only emergency withdrawal of a token's whole balance.
+ */
+async function runAdmin(ctx, flags, [action, state]) {
+  if (action === "set-router") {
+    const dex = requireFlag(flags, "dex");
+    const router = ethers.getAddress(requireFlag(flags, "address"));
+    console.log(`Setting the ${dex} router to ${router}`);
+    printResult(await actions.setRouter(ctx.strategy, dex, router));
+  } else if (action === "set-underlying") {
+    const token = await resolveToken(ctx, requireFlag(flags, "token"));
+    console.log(`Setting the underlying token to ${token.symbol} (${token.address})`);
+    printResult(await actions.setUnderlyingToken(ctx.strategy, token.address));
+  } else if (action === "set-aggregator") {
+    const aggregator = requireFlag(flags, "address");
+    console.log(`Setting the Solana aggregator to ${aggregator}`);
+    printResult(await actions.setSolanaAggregator(ctx.strategy, aggregator));
+  } else if (action === "path-validation") {
+    if (state !== "on" && state !== "off") throw new Error("Expected admin path-validation on|off");
+    console.log(`Turning path validation ${state}`);
+    printResult(await actions.setPathValidation(ctx.strategy, state === "on"));
+  } else if (action === "emergency-withdraw") {
+    const token = await resolveToken(ctx, requireFlag(flags, "token"));
+    const to = ethers.getAddress(flags.to || ctx.signer.address);
+    console.log(`Withdrawing the strategy's whole ${token.symbol} balance to ${to}`);
+    printResult(await actions.emergencyWithdraw(ctx.strategy, token.address, to));
+  } else {
+    throw new Error(
+      `Unknown admin action "${action}" (expected set-router, set-underlying, set-aggregator, path-validation or emergency-withdraw)`
+    );
+  }
+}
+
+async function runPause(ctx, flags, [action = "status"]) {
+  if (action === "status") {
+    console.log(`Paused: ${await ctx.strategy.paused()}`);
+    return;
+  }
+  if (action !== "on" && action !== "off") {
+    throw new Error(`Unknown pause action "${action}" (expected status, on or off)`);
+  }
+  printResult(await actions.setPaused(ctx.strategy, action === "on"));
+}
+
+async function runFee(ctx) {
+  const fee = await actions.messageFee(ctx.strategy);
+  console.log(`Wormhole message fee: ${fee} wei (${ethers.formatEther(fee)} ${ctx.profile.nativeSymbol})`);
+}
+
+function storeFile(ctx, flags) {
+  return flags.store ? path.resolve(flags.store) : indexer.defaultStorePath(ctx.profile.network);
+}
+
+/**
+ * Values every catalog token the strategy holds at the latest block or
+ * --block, saves the snapshot and compares it with the one before it (or
+ * the one at --compare).
+ */
+async function runHoldings(ctx, flags) {
+  if (!ctx.catalog) throw new Error("holdings needs a token catalog for this chain (--catalog)");
+  if (flags.dex && !DEXES.includes(flags.dex)) {
+    throw new Error(`Unknown DEX "${flags.dex}". Expected one of: ${DEXES.join(", ")}`);
+  }
+  const provider = ctx.hre.ethers.provider;
+  const blockNumber = flags.block === undefined ? await provider.getBlockNumber() : Number(flags.block);
+  if (!Number.isInteger(blockNumber) || blockNumber < 0) throw new Error(`Invalid --block "${flags.block}"`);
+  const file = flags.store ? path.resolve(flags.store) : holdings.defaultHistoryPath(ctx.profile.network);
+  const history = holdings.openHistory(file, {
+    network: ctx.profile.network,
+    chainId: (await provider.getNetwork()).chainId,
+    strategy: ctx.profile.strategy,
+  });
+
+  const underlying = await resolveToken(ctx, await ctx.strategy.underlyingToken({ blockTag: blockNumber }));
+  const snapshot = await holdings.takeSnapshot(ctx.catalog, {
+    strategy: ctx.profile.strategy,
+    underlying: underlying.symbol,
+    blockNumber,
+    runner: ctx.signer,
+    contracts: routeContracts(ctx, flags),
+    dexes: flags.dex ? [flags.dex] : DEXES,
+  });
+  let previous = holdings.previousSnapshot(history, blockNumber);
+  if (flags.compare !== undefined) {
+    previous = history.snapshots.find((s) => s.blockNumber === Number(flags.compare));
+    if (!previous) throw new Error(`No snapshot at block ${flags.compare} in ${file}`);
+  }
+
+  const units = (value, symbol, decimals) => `${ethers.formatUnits(BigInt(value), decimals)} ${symbol}`;
+  const base = (value) => units(value, underlying.symbol, underlying.decimals);
+  const signed = (text) => (text.startsWith("-") ? text : `+${text}`);
+  const at = (s) => `block ${s.blockNumber} (${new Date(s.timestamp * 1000).toISOString()})`;
+  console.log(`Holdings at ${at(snapshot)}:`);
+  for (const holding of snapshot.holdings) {
+    const balance = units(holding.balance, holding.symbol, holding.decimals);
+    if (holding.symbol === underlying.symbol) console.log(`  ${balance}`);
+    else if (holding.value === null) console.log(`  ${balance}, not valued (${holding.error})`);
+    else console.log(`  ${balance} = ${base(holding.value)} via ${holding.dex}`);
+  }
+  console.log(`NAV: ${base(snapshot.nav)}`);
+  const unvalued = snapshot.holdings.filter((holding) => holding.value === null).length;
+  if (unvalued) console.log(`The NAV leaves out ${unvalued} holding(s) that could not be valued`);
+
+  if (previous) {
+    const { navChange, navChangeBps, tokens } = holdings.compareSnapshots(previous, snapshot);
+    const nav =
+      navChange === null
+        ? "not comparable (the underlying token changed)"
+        : signed(base(navChange)) + (navChangeBps === null ? "" : ` (${signed(quotes.formatBps(navChangeBps))})`);
+    console.log(`Since ${at(previous)}: NAV ${nav}`);
+    for (const token of tokens.filter((t) => t.balanceChange !== 0n || t.valueChange)) {
+      const value = token.valueChange === null ? "" : `, ${signed(base(token.valueChange))}`;
+      console.log(`  ${signed(units(token.balanceChange, token.symbol, token.decimals))}${value}`);
+    }
+  }
+
+  if (flags["dry-run"]) {
+    console.log("Not saved (--dry-run)");
+    return;
+  }
+  holdings.addSnapshot(history, snapshot);
+  holdings.saveHistory(history, file);
+  console.log(`Saved to ${file}`);
+}
+
+/**
+ * Backfills the strategy's events into the local ledger from its checkpoint,
+ * then with --follow keeps polling for new blocks.
+ */
+async function runIndex(ctx, flags) {
+  const file = storeFile(ctx, flags);
+  const identity = {
+    network: ctx.profile.network,
+    chainId: (await ctx.hre.ethers.provider.getNetwork()).chainId,
+    strategy: ctx.profile.strategy,
+    fromBlock: flags["from-block"] !== undefined ? Number(flags["from-block"]) : deploymentBlock(ctx.profile),
+  };
+  const store = flags.reset ? indexer.createStore(identity) : indexer.openStore(file, identity);
+  const options = {
+    toBlock: flags["to-block"] !== undefined ? Number(flags["to-block"]) : undefined,
+    confirmations: Number(flags.confirmations || 0),
+    onChunk: (updated) => indexer.saveStore(updated, file),
+  };
+  console.log(`Ledger: ${file}`);
+
+  for (;;) {
+    const result = await indexer.syncStore(store, ctx.strategy, options);
+    indexer.saveStore(store, file);
+    if (result.reorg) {
+      console.log(`Reorg: rolled back to block ${result.reorg.toBlock}, removed ${result.reorg.removed} event(s)`);
+    }
+    if (result.toBlock >= result.fromBlock) {
+      console.log(`Indexed blocks ${result.fromBlock}-${result.toBlock}: ${result.added} event(s), ${store.events.length} total`);
+    }
+    if (!flags.follow || (options.toBlock !== undefined && result.toBlock >= options.toBlock)) return;
+    await new Promise((resolve) => setTimeout(resolve, Number(flags.interval || 12) * 1000));
+  }
+}
+
+async function openLedger(ctx, flags) {
+  const file = storeFile(ctx, flags);
+  if (!fs.existsSync(file)) throw new Error(`No ledger at ${file}; run the index command first`);
+  const store = indexer.openStore(file, {
+    chainId: (await ctx.hre.ethers.provider.getNetwork()).chainId,
+    strategy: ctx.profile.strategy,
+  });
+  const checkpoint = store.checkpoint ? store.checkpoint.number : "none";
+  console.log(`Ledger: ${file} (${store.events.length} events, checkpoint block ${checkpoint})`);
+  return store;
+}
+
+/**
+ * Prints per-token totals from the local ledger.
+ */
+async function runLedger(ctx, flags) {
+  const store = await openLedger(ctx, flags);
+
+  for (const [address, totals] of Object.entries(indexer.ledgerTotals(store))) {
+    const token = await resolveToken(ctx, address);
+    console.log(`${token.symbol} (${address})`);
+    for (const [field, amount] of Object.entries(totals)) {
+      console.log(`  ${field}: ${ethers.formatUnits(amount, token.decimals)}`);
+    }
+  }
+}
+
+/**
+ * Position and PnL per asset from the ledger's swaps, marked to market by
+ * quoting each open position back into the underlying token.
+ */
+async function runReport(ctx, flags) {
+  const format = flags.format || "table";
+  if (!pnl.FORMATS.includes(format)) {
+    throw new Error(`Unknown format "${format}". Expected one of: ${pnl.FORMATS.join(", ")}`);
+  }
+  const methods = flags.method ? [flags.method] : pnl.METHODS;
+  if (flags.dex && !DEXES.includes(flags.dex)) {
+    throw new Error(`Unknown DEX "${flags.dex}". Expected one of: ${DEXES.join(", ")}`);
+  }
+  const store = await openLedger(ctx, flags);
+  const underlying = await resolveToken(ctx, await ctx.strategy.underlyingToken());
+
+  const positions = pnl.computePositions(store.events, underlying.address, methods[0]);
+  const tokens = {};
+  for (const address of Object.keys(positions)) tokens[address] = await resolveToken(ctx, address);
+
+  const marks = {};
+  const contracts = routeContracts(ctx, flags);
+  const dexes = flags.dex ? [flags.dex] : DEXES;
+  for (const [address, position] of Object.entries(positions)) {
+    if (position.quantity === 0n) continue;
+    if (!ctx.catalog) {
+      console.log(`No token catalog to mark ${tokens[address].symbol} with; leaving it unmarked`);
+      continue;
+    }
+    try {
+      const mark = await holdings.quoteInUnderlying(
+        ctx.catalog,
+        tokens[address].symbol,
+        underlying.symbol,
+        position.quantity,
+        { runner: ctx.signer, contracts, dexes }
+      );
+      marks[address] = mark.amountOut;
+    } catch (error) {
+      console.log(`${error.message}; leaving it unmarked`);
+    }
+  }
+
+  const report = pnl.buildPnlReport(store.events, { underlying, tokens, marks, methods });
+  const text = pnl.formatPnlReport(report, format);
+  if (flags.output) {
+    fs.writeFileSync(flags.output, text + "\n");
+    console.log(`Wrote ${report.rows.length} row(s) to ${flags.output}`);
+  } else {
+    console.log(text);
+  }
+  if (report.rows.some((row) => row.unmatched > 0n)) {
+    console.log("Some sales exceed the swapped-in quantity; the excess is counted at zero cost (unmatched).");
+  }
+}
+
+/**
+ * Token bridges to check redemptions on, per destination Wormhole chain. On a
+ * local node the mock token bridge stands in for every destination; otherwise
+ * a destination needs a deployment record and an RPC URL in hardhat.config.js.
+ */
+async function destinationBridges(ctx, chains) {
+  const destinations = {};
+  const runners = {};
+  for (const chain of chains) {
+    if (ctx.profile.local) {
+      destinations[chain] = await ctx.strategy.tokenBridge();
+      runners[chain] = ctx.hre.ethers.provider;
+      continue;
+    }
+    const network = peerNetwork(ctx.profile, chain);
+    const config = network && ctx.hre.config.networks[network];
+    const peer = network && resolveProfile(network);
+    if (!config || !config.url || !peer.contracts || !peer.contracts.tokenBridge) {
+      console.log(`No RPC URL or token bridge for ${chainName(chain)}; its signed transfers stay unverified`);
+      continue;
+    }
+    destinations[chain] = peer.contracts.tokenBridge;
+    runners[chain] = new ethers.JsonRpcProvider(config.url);
+  }
+  return { destinations, runners };
+}
+
+/**
+ * Matches every BridgedOut in the ledger with its signed VAA and checks
+ * whether the destination token bridge has redeemed it.
+ */
+async function runReconcile(ctx, flags) {
+  const format = flags.format || "table";
+  if (!bridgeReconcile.FORMATS.includes(format)) {
+    throw new Error(`Unknown format "${format}". Expected one of: ${bridgeReconcile.FORMATS.join(", ")}`);
+  }
+  const location =
+    flags["vaa-source"] ||
+    (ctx.profile.local ? undefined : VAA_API[ctx.profile.testnet ? "testnet" : "mainnet"]);
+  if (!location) throw new Error("Pass --vaa-source <url|file> to look up VAAs on a local network");
+  const stuckAfter =
+    flags["stuck-after"] !== undefined ? Number(flags["stuck-after"]) * 3600 : bridgeReconcile.DEFAULT_STUCK_AFTER;
+  if (!(stuckAfter >= 0)) throw new Error(`Invalid --stuck-after "${flags["stuck-after"]}"`);
+
+  const store = await openLedger(ctx, flags);
+  const transfers = bridgeReconcile.outboundTransfers(store.events);
+  const vaaSource = resolveVaaSource(location);
+  console.log(`VAA source: ${vaaSource.name}`);
+
+  const chains = [...new Set(transfers.map((t) => t.destinationChain))];
+  const { destinations, runners } = await destinationBridges(ctx, chains);
+  const tokens = {};
+  for (const { token } of transfers) tokens[token] = tokens[token] || (await resolveToken(ctx, token));
+
+  const results = await bridgeReconcile.reconcileTransfers(transfers, {
+    sourceChain: ctx.profile.wormholeChainId,
+    emitter: await ctx.strategy.tokenBridge(),
+    vaaSource,
+    destinations,
+    runners,
+    now: (await ctx.hre.ethers.provider.getBlock("latest")).timestamp,
+    stuckAfter,
+  });
+
+  const text = bridgeReconcile.formatReconciliation(results, format, tokens);
+  if (flags.output) {
+    fs.writeFileSync(flags.output, text + "\n");
+    console.log(`Wrote ${results.length} transfer(s) to ${flags.output}`);
+  } else {
+    console.log(text);
+  }
+}
+
+/**
+ * Redeems Token Bridge transfers addressed to the strategy as their VAAs get
+ * signed. Without --follow it makes one pass and exits; with --follow it keeps
+ * polling and backs off after failures.
+ */
+async function runRelay(ctx, flags) {
+  const location =
+    flags["vaa-source"] || (ctx.profile.local ? undefined : VAA_API[ctx.profile.testnet ? "testnet" : "mainnet"]);
+  if (!location) throw new Error("Pass --vaa-source <url|file> to look up VAAs on a local network");
+  const vaaSource = resolveVaaSource(location);
+  const file = flags.store ? path.resolve(flags.store) : relayer.defaultStatePath(ctx.profile.network);
+  const state = relayer.openState(file, {
+    network: ctx.profile.network,
+    chainId: (await ctx.hre.ethers.provider.getNetwork()).chainId,
+    strategy: ctx.profile.strategy,
+  });
+
+  const chains = (flags.chain || "1").split(",").map(Number);
+  for (const chain of chains) {
+    const source = relayer.watchSource(state, chain, {
+      emitter: await relayer.registeredEmitter(ctx.strategy, chain),
+      fromSequence: flags["from-sequence"],
+    });
+    console.log(`Watching ${chainName(chain)} emitter ${source.emitter} from sequence ${source.nextSequence}`);
+  }
+  relayer.saveState(state, file);
+  console.log(`State: ${file}`);
+  console.log(`VAA source: ${vaaSource.name}`);
+
+  const options = {
+    strategy: ctx.strategy,
+    vaaSource,
+    wormholeChainId: ctx.profile.wormholeChainId,
+    batch: flags.batch !== undefined ? Number(flags.batch) : relayer.DEFAULT_BATCH,
+    onProgress: (updated) => relayer.saveState(updated, file),
+    log: (line) => console.log(line),
+  };
+  if (!flags.follow) {
+    const { scanned, relayed } = await relayer.relayPass(state, options);
+    console.log(`Scanned ${scanned} sequence(s), ${relayed.length} addressed to the strategy`);
+    return;
+  }
+  await relayer.runRelayer(state, { ...options, interval: Number(flags.interval || 12) });
+}
+
+/**
+ * Decodes a Safe Transaction Builder batch into named calls and checks it
+ * against this network: chain, checksum, targets and displayed arguments.
+ */
+async function runSafe(ctx, flags, [action, file]) {
+  if (action !== "verify") throw new Error(`Unknown safe action "${action}" (expected verify)`);
+  if (!file) throw new Error("Expected safe verify <batch.json>");
+  const labels = {};
+  for (const [name, address] of Object.entries(ctx.profile.contracts || {})) {
+    if (ethers.isAddress(address)) labels[ethers.getAddress(address)] = name;
+  }
+  for (const token of Object.values((ctx.catalog && ctx.catalog.tokens) || {})) {
+    labels[ethers.getAddress(token.address)] = token.symbol;
+  }
+  if (ctx.profile.strategy) labels[ethers.getAddress(ctx.profile.strategy)] = "BridgeSwapStrategy";
+
+  const verified = safeBatch.verifySafeBatch(safeBatch.readSafeBatch(file), {
+    interfaces: [
+      (await ctx.hre.ethers.getContractFactory("BridgeSwapStrategy")).interface,
+      new ethers.Interface(actions.ERC20_ABI),
+    ],
+    chainId: (await ctx.hre.ethers.provider.getNetwork()).chainId,
+    labels,
+    describe: (param, value) => (param.type === "bytes" && param.name === "path" ? describeSwapPath(ctx, value) : null),
+  });
+  console.log(safeBatch.formatVerification(verified));
+  if (verified.problems.length) throw new Error(`${verified.problems.length} problem(s) in ${file}; do not approve it`);
+}
+
+// A V3 path argument with its hops; describePath returns undecodable bytes as they are
+function describeSwapPath(ctx, path) {
+  const hops = pathSync.describePath(path, ctx.catalog);
+  return hops === path ? null : `${path} (${hops})`;
+}
+
+/**
+ * Shows the signer's nonces and fees, or replaces one of its pending
+ * transactions with a faster copy or a cancellation.
+ */
+async function runTx(ctx, flags, [action = "status"]) {
+  const provider = ctx.hre.ethers.provider;
+  const manager = ctx.signer;
+
+  if (action === "status") {
+    const latest = await provider.getTransactionCount(manager.address, "latest");
+    const pending = await provider.getTransactionCount(manager.address, "pending");
+    const fees = await manager.feeFields();
+    console.log(`Nonce: ${latest} mined, ${pending - latest} pending`);
+    console.log(`Gas mode: ${await manager.gasMode()}`);
+    for (const [field, value] of Object.entries(fees)) {
+      console.log(`${field}: ${ethers.formatUnits(value, "gwei")} gwei`);
+    }
+    return;
+  }
+  if (action !== "speed-up" && action !== "cancel") throw new Error(`Unknown tx action "${action}"`);
+
+  const hash = requireFlag(flags, "hash");
+  const tx = await provider.getTransaction(hash);
+  if (!tx) throw new Error(`Transaction ${hash} not found`);
+  if (tx.from.toLowerCase() !== manager.address.toLowerCase()) {
+    throw new Error(`Transaction ${hash} was sent by ${tx.from}, not the signer ${manager.address}`);
+  }
+  if (tx.blockNumber !== null) throw new Error(`Transaction ${hash} is already mined in block ${tx.blockNumber}`);
+
+  manager.track(tx);
+  const replacement = action === "cancel" ? await manager.cancel(tx.nonce) : await manager.speedUp(tx.nonce);
+  console.log(`Replacement for nonce ${tx.nonce}: ${replacement.hash}`);
+  const receipt = await manager.wait(tx.nonce);
+  console.log(`Nonce ${tx.nonce} mined in block ${receipt.blockNumber} by ${receipt.hash}`);
+}
+
+// =====================================================
+// ENTRY POINT
+// =====================================================
+
+/**
+ * Connects to the profile's network and checks it is the chain the profile
+ * expects before any command runs. A strategy taken from the deployment
+ * registry must also match its recorded initialize parameters.
+ */
+async function createContext(profile, { needsStrategy = true, tx = {}, simulate, propose } = {}) {
+  const fork = Boolean(simulate && simulate.fork);
+  // Selecting the network must happen before Hardhat is loaded
+  process.env.HARDHAT_NETWORK = fork ? "hardhat" : profile.network;
+  const hre = require("hardhat");
+  if (fork) forkNetwork(hre, profile, simulate.forkBlock);
+  await hre.run("compile", { quiet: true });
+
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  if (profile.chainId !== undefined && Number(chainId) !== profile.chainId) {
+    throw new Error(
+      `Connected to chain ${chainId} but the "${profile.network}" profile expects ${profile.chainId}. Check the RPC URL.`
+    );
+  }
+
+  // Every command sends through the shared transaction manager, simulates, or proposes to a Safe
+  const [account] = await hre.ethers.getSigners();
+  const ctx = { hre, profile, catalog: loadProfileCatalog(profile, chainId) };
+  if (simulate) {
+    const from = simulate.from || (fork ? configuredAddress(hre, profile.network) : account && account.address);
+    if (!from) throw new Error(`No account configured for ${profile.network}; pass --from <address> to simulate as`);
+    ctx.simulation = await Simulation.create(hre.ethers.provider, {
+      interfaces: [(await hre.ethers.getContractFactory("BridgeSwapStrategy")).interface],
+      watch: profile.strategy,
+    });
+    ctx.signer = new SimulationSigner(new ethers.VoidSigner(ethers.getAddress(from), hre.ethers.provider), ctx.simulation, {
+      onReport: async (report) => console.log(formatSimulation(report, await simulationLabels(ctx, report))),
+    });
+  } else if (propose) {
+    ctx.signer = new safeBatch.ProposalSigner(new ethers.VoidSigner(propose.safe, hre.ethers.provider), {
+      interfaces: [
+        (await hre.ethers.getContractFactory("BridgeSwapStrategy")).interface,
+        new ethers.Interface(actions.ERC20_ABI),
+      ],
+    });
+  } else {
+    ctx.signer = managedSigner(account, tx);
+  }
+
+  if (needsStrategy) {
+    if (!profile.strategy) {
+      throw new Error(`No BridgeSwapStrategy recorded in deployments/${profile.network}.json; pass --strategy`);
+    }
+    if ((await hre.ethers.provider.getCode(profile.strategy)) === "0x") {
+      throw new Error(`No contract at ${profile.strategy} on ${profile.name}`);
+    }
+    const deployment = profile.deployment;
+    if (deployment && deployment.bridgeSwapStrategy && deployment.bridgeSwapStrategy.proxy === profile.strategy) {
+      await assertStrategyConsistency(deployment, hre.ethers.provider);
+    }
+    ctx.strategy = await hre.ethers.getContractAt("BridgeSwapStrategy", profile.strategy, ctx.signer);
+  }
+  return ctx;
+}
+
+/**
+ * Points the in-process Hardhat network at a fork of the profile's RPC URL,
+ * with the profile's chain id. Hardhat reads this when its provider is first used.
+ */
+function forkNetwork(hre, profile, blockNumber) {
+  const { url } = hre.config.networks[profile.network] || {};
+  if (!url) throw new Error(`No RPC URL configured for ${profile.network}; cannot fork it`);
+  const network = hre.config.networks.hardhat;
+  network.chainId = profile.chainId;
+  network.forking = { enabled: true, url, blockNumber, httpHeaders: {} };
+}
+
+// Writes what a --propose run queued as a Transaction Builder batch
+async function writeProposal(ctx, command, file) {
+  if (ctx.signer.transactions.length === 0) {
+    console.log("Nothing to propose.");
+    return;
+  }
+  const batch = await ctx.signer.batch({
+    name: `bss ${command} on ${ctx.profile.network}`,
+    description: ctx.signer.transactions.map((tx) => (tx.contractMethod ? tx.contractMethod.name : tx.data)).join(", "),
+  });
+  safeBatch.writeSafeBatch(file, batch);
+  console.log(`\nWrote ${batch.transactions.length} transaction(s) for Safe ${batch.meta.createdFromSafeAddress} to ${file}`);
+  console.log(`Import it in the Safe Transaction Builder; check it first with \`bss safe verify ${file}\``);
+}
+
+// Address of the first private key configured for a Hardhat network
+function configuredAddress(hre, network) {
+  const { accounts } = hre.config.networks[network] || {};
+  if (!Array.isArray(accounts) || accounts.length === 0) return undefined;
+  return new ethers.Wallet(typeof accounts[0] === "string" ? accounts[0] : accounts[0].privateKey).address;
+}
+
+// Catalog symbols for the tokens a simulation report mentions
+async function simulationLabels(ctx, report) {
+  const tokens = {};
+  for (const address of Object.keys(report.balanceDeltas || {})) {
+    tokens[address] = await resolveToken(ctx, address);
+  }
+  for (const event of report.events || []) {
+    const address = ethers.getAddress(event.address);
+    const token = findToken(ctx.catalog, address);
+    if (token.symbol && !tokens[address]) tokens[address] = token;
+  }
+  return { tokens, watchLabel: "Strategy" };
+}
+
+async function main(argv) {
+  const { command, args, flags } = parseCommandLine(argv);
+  if (!command || command === "help" || flags.help) {
+    console.log(usage());
+    return;
+  }
+
+  const spec = COMMANDS[command];
+  if (!spec) throw new Error(`Unknown command "${command}"\n\n${usage()}`);
+
+  const profile = resolveProfile(requireFlag(flags, "network"), {
+    strategy: flags.strategy,
+    catalog: flags.catalog,
+  });
+  if (flags.simulate && spec.simulate === false) throw new Error(`${command} does not support --simulate`);
+  if (!flags.simulate && (flags.fork || flags["fork-block"] !== undefined || flags.from !== undefined)) {
+    throw new Error("--fork, --fork-block and --from only apply with --simulate");
+  }
+  if (flags.propose !== undefined || flags.safe !== undefined) {
+    if (flags.propose === undefined || flags.safe === undefined) throw new Error("--propose and --safe go together");
+    if (spec.simulate === false || flags.simulate) throw new Error(`${command} cannot be proposed to a Safe`);
+  }
+  const propose = flags.propose ? { file: flags.propose, safe: ethers.getAddress(flags.safe) } : undefined;
+  const simulate = flags.simulate
+    ? {
+        fork: Boolean(flags.fork),
+        forkBlock: flags["fork-block"] !== undefined ? Number(flags["fork-block"]) : undefined,
+        from: flags.from,
+      }
+    : undefined;
+  const tx = { log: (line) => console.log(line) };
+  if (flags.timeout !== undefined) tx.timeout = Number(flags.timeout);
+  if (flags["speed-up-after"] !== undefined) tx.speedUpAfter = Number(flags["speed-up-after"]);
+  if (flags.confirmations !== undefined && command !== "index") tx.confirmations = Number(flags.confirmations);
+  const ctx = await createContext(profile, { needsStrategy: spec.needsStrategy !== false, tx, simulate, propose });
+
+  console.log(`Network: ${profile.name} (${profile.network})`);
+  if (ctx.strategy) console.log(`Strategy: ${profile.strategy}`);
+  console.log(`Signer: ${ctx.signer.address}`);
+  if (ctx.simulation) console.log(`Simulating with ${ctx.simulation.backend}; nothing is broadcast`);
+  if (propose) console.log(`Proposing to Safe ${propose.safe}; nothing is signed`);
+  console.log();
+
+  try {
+    await spec.run(ctx, flags, args);
+  } finally {
+    if (ctx.simulation) await ctx.simulation.finish();
+  }
+  if (propose) await writeProposal(ctx, command, propose.file);
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(`❌ ${formatError(error)}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  COMMANDS,
+  parseCommandLine,
+  resolveRoute,
+  main,
+};
@@ -1,38 +1,18 @@
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
 require("dotenv").config();
+const { loadDeployment } = require("./lib/deployments");
 
-// ============ NETWORK CONFIGURATION ============
-// Change this to switch between networks: 'mainnet', 'sepolia', or 'bscMainnet'
-const NETWORK = process.env.NETWORK || "mainnet";
-
-// Network configurations
-const NETWORK_CONFIG = {
-  mainnet: {
-    name: "Ethereum Mainnet",
-    wormhole: "0x98f3c9e6E3fAce36bAAd05FE09d375Ef1464288B",
-  },
-  sepolia: {
-    name: "Sepolia Testnet",
-    wormhole: "0x4a8bc80Ed5a4067f1CCf107057b8270E0cC11A78",
-  },
-  bscMainnet: {
-    name: "BSC Mainnet",
-    wormhole: "0x98f3c9e6E3fAce36bAAd05FE09d375Ef1464288B",
-  },
-};
+// The Wormhole core address comes from deployments/<network>.json for the
+// network passed to Hardhat (`--network ethereum`, `--network bsc_main`, ...).
 
 async function main() {
-  // Validate network configuration
-  if (!NETWORK_CONFIG[NETWORK]) {
-    throw new Error(
-      `Invalid network: ${NETWORK}. Must be 'mainnet', 'sepolia', or 'bscMainnet'`
-    );
+  const deployment = loadDeployment(network.name);
+  const wormholeAddress = deployment.contracts.wormhole;
+  if (!wormholeAddress) {
+    throw new Error(`No Wormhole core address in deployments/${network.name}.json`);
   }
 
-  const config = NETWORK_CONFIG[NETWORK];
-  const wormholeAddress = config.wormhole;
-
-  console.log(`Network: ${config.name}`);
+  console.log(`Network: ${network.name} (chain ${deployment.chainId})`);
   console.log(`Wormhole contract: ${wormholeAddress}`);
 
   // Wormhole contract ABI - only the messageFee function
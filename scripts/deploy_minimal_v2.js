@@ -6,6 +6,7 @@
 // global scope, and execute the script.
 const hre = require("hardhat");
 const bs58 = require("bs58");
+const { managedSigner } = require("./lib/txManager");
 
 // ============ DEPLOYMENT CONFIGURATION ============
 // Change this to switch between networks: 'ethereum', 'sepolia', or 'bsc_main'
@@ -37,7 +38,8 @@ const NETWORK_CONFIG = {
 
 
 async function main() {
-  const [deployer] = await hre.ethers.getSigners();
+  const [account] = await hre.ethers.getSigners();
+  const deployer = managedSigner(account, { log: (line) => console.log(line) });
 
   // Validate network configuration
   if (!NETWORK_CONFIG[NETWORK]) {
@@ -56,7 +58,8 @@ async function main() {
 
   // Get contract factory for MinimalWormholeRelayerV2
   const MinimalWormholeRelayerV2 = await hre.ethers.getContractFactory(
-    "MinimalWormholeRelayerV2"
+    "MinimalWormholeRelayerV2",
+    deployer
   );
 
   // Display deployment configuration
@@ -69,20 +72,14 @@ async function main() {
 
   console.log("⏳ Deploying contract...");
 
-  // Get current nonce from network to avoid nonce issues
-  console.log("--- Fetching Current Nonce ---");
-  const currentNonce = await deployer.getNonce();
-  console.log(`Current nonce: ${currentNonce}`);
-
-  // Deploy the contract with explicit nonce
+  // Deploy the contract
   const minimalWormholeRelayer = await MinimalWormholeRelayerV2.deploy(
     config.wormhole,
     config.tokenBridge,
-    config.pancakeRouter,
-    { nonce: currentNonce }
+    config.pancakeRouter
   );
 
-  await minimalWormholeRelayer.waitForDeployment();
+  await deployer.wait(minimalWormholeRelayer.deploymentTransaction());
 
   const deployedAddress = await minimalWormholeRelayer.getAddress();
 
@@ -108,17 +105,5 @@ async function main() {
 main().catch((error) => {
   console.error("❌ Deployment failed:");
   console.error(error.message);
-
-  // Handle nonce-related errors specifically
-  if (error.message.includes("nonce too low") || error.message.includes("nonce")) {
-    console.log("\n--- Nonce Error Detected ---");
-    console.log("This usually happens when:");
-    console.log("1. Previous transactions are still pending");
-    console.log("2. Multiple scripts are running simultaneously");
-    console.log("3. Network congestion causing nonce desynchronization");
-    console.log("\nTry running the deployment script again in a few seconds.");
-    console.log("If the issue persists, check for pending transactions in your wallet.");
-  }
-
   process.exitCode = 1;
 });
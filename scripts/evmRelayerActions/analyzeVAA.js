@@ -1,4 +1,7 @@
 const { ethers } = require("hardhat");
+const { parseVaa } = require("../lib/vaa");
+const { decodeTransferWithPayload } = require("../lib/tokenBridgePayload");
+const { chainName } = require("../lib/chains");
 require("dotenv").config();
 
 async function main() {
@@ -25,50 +28,28 @@ async function main() {
     console.log(`VAA Bytes Length: ${vaaBytes.length}`);
     console.log(`VAA Hex Length: ${encodedVAA.length}`);
 
-    // Parse VAA header manually
-    let offset = 0;
-    const version = vaaBytes.readUInt8(offset);
-    offset += 1;
-
-    const guardianSetIndex = vaaBytes.readUInt32BE(offset);
-    offset += 4;
-
-    const signaturesLength = vaaBytes.readUInt8(offset);
-    offset += 1;
+    const vaa = parseVaa(vaaBytes);
+    const {
+      version,
+      guardianSetIndex,
+      timestamp,
+      nonce,
+      emitterAddress,
+      sequence,
+      consistencyLevel,
+      payload,
+    } = vaa;
+    const emitterChainId = vaa.emitterChain;
 
     console.log(`Version: ${version}`);
     console.log(`Guardian Set Index: ${guardianSetIndex}`);
-    console.log(`Signatures Length: ${signaturesLength}`);
-
-    // Skip signatures
-    offset += signaturesLength * 66;
-
-    // Parse body
-    const timestamp = vaaBytes.readUInt32BE(offset);
-    offset += 4;
-
-    const nonce = vaaBytes.readUInt32BE(offset);
-    offset += 4;
-
-    const emitterChainId = vaaBytes.readUInt16BE(offset);
-    offset += 2;
-
-    const emitterAddress = vaaBytes.subarray(offset, offset + 32);
-    offset += 32;
-
-    const sequence = vaaBytes.readBigUInt64BE(offset);
-    offset += 8;
-
-    const consistencyLevel = vaaBytes.readUInt8(offset);
-    offset += 1;
-
-    const payload = vaaBytes.subarray(offset);
+    console.log(`Signatures Length: ${vaa.signatures.length}`);
 
     console.log(`\nVAA Header Info:`);
     console.log(`  Timestamp: ${new Date(timestamp * 1000).toISOString()}`);
     console.log(`  Nonce: ${nonce}`);
-    console.log(`  Emitter Chain: ${emitterChainId} (Sepolia)`);
-    console.log(`  Emitter Address: 0x${emitterAddress.toString('hex')}`);
+    console.log(`  Emitter Chain: ${emitterChainId} (${chainName(emitterChainId)})`);
+    console.log(`  Emitter Address: ${emitterAddress}`);
     console.log(`  Sequence: ${sequence.toString()}`);
     console.log(`  Consistency Level: ${consistencyLevel}`);
     console.log(`  Payload Length: ${payload.length} bytes`);
@@ -76,66 +57,34 @@ async function main() {
     console.log("\nSTEP 2: Transfer with Payload Analysis");
     console.log("-".repeat(50));
 
-    // Parse Transfer with Payload structure
-    let payloadOffset = 0;
-    const payloadType = payload.readUInt8(payloadOffset);
-    payloadOffset += 1;
-
-    console.log(`Payload Type: ${payloadType} (${payloadType === 3 ? 'Transfer with Payload' : 'Unknown'})`);
+    console.log(`Payload Type: ${payload[0]} (${payload[0] === 3 ? 'Transfer with Payload' : 'Unknown'})`);
 
-    if (payloadType !== 3) {
+    if (payload[0] !== 3) {
       console.log("❌ This is not a Transfer with Payload! That might be the issue.");
       return;
     }
 
-    // Amount (32 bytes)
-    const amount = payload.subarray(payloadOffset, payloadOffset + 32);
-    payloadOffset += 32;
-    const amountBigInt = ethers.toBigInt('0x' + amount.toString('hex'));
-
-    // Token address (32 bytes)
-    const tokenAddress = payload.subarray(payloadOffset, payloadOffset + 32);
-    payloadOffset += 32;
-    const tokenAddressHex = '0x' + tokenAddress.toString('hex');
-
-    // Token chain (2 bytes)
-    const tokenChain = payload.readUInt16BE(payloadOffset);
-    payloadOffset += 2;
-
-    // To address (32 bytes)
-    const toAddress = payload.subarray(payloadOffset, payloadOffset + 32);
-    payloadOffset += 32;
-    const toAddressHex = '0x' + toAddress.toString('hex');
-
-    // To chain (2 bytes)
-    const toChain = payload.readUInt16BE(payloadOffset);
-    payloadOffset += 2;
-
-    // From address (32 bytes) - This is key for Transfer with Payload!
-    const fromAddress = payload.subarray(payloadOffset, payloadOffset + 32);
-    payloadOffset += 32;
-    const fromAddressHex = '0x' + fromAddress.toString('hex');
-
-    // Additional payload (remaining bytes)
-    const additionalPayload = payload.subarray(payloadOffset);
+    const transfer = decodeTransferWithPayload(payload, { emitterChain: emitterChainId });
+    const amountBigInt = transfer.amount;
+    const additionalPayload = transfer.payload;
 
     console.log(`\nTransfer Details:`);
     console.log(`  Amount: ${amountBigInt.toString()} (${ethers.formatUnits(amountBigInt, 6)} USDC)`);
-    console.log(`  Token Address: ${tokenAddressHex}`);
-    console.log(`  Token Chain: ${tokenChain} (Sepolia)`);
-    console.log(`  To Address: ${toAddressHex}`);
-    console.log(`  To Chain: ${toChain} (BSC)`);
-    console.log(`  From Address: ${fromAddressHex}`);
+    console.log(`  Token Address: ${transfer.token.address}`);
+    console.log(`  Token Chain: ${transfer.token.chain} (${transfer.token.chainName})`);
+    console.log(`  To Address: ${transfer.to.address}`);
+    console.log(`  To Chain: ${transfer.to.chain} (${transfer.to.chainName})`);
+    console.log(`  From Address: ${transfer.from.address}`);
     console.log(`  Additional Payload: ${additionalPayload.length} bytes`);
 
     if (additionalPayload.length > 0) {
       console.log(`  Additional Payload Hex: 0x${additionalPayload.toString('hex')}`);
     }
 
-    // Extract actual addresses (remove padding)
-    const actualTokenAddress = '0x' + tokenAddressHex.slice(-40);
-    const actualToAddress = '0x' + toAddressHex.slice(-40);
-    const actualFromAddress = '0x' + fromAddressHex.slice(-40);
+    // Native (unpadded) addresses
+    const actualTokenAddress = transfer.token.native;
+    const actualToAddress = transfer.to.native;
+    const actualFromAddress = transfer.from.native;
 
     console.log(`\nCleaned Addresses:`);
     console.log(`  Token: ${actualTokenAddress}`);
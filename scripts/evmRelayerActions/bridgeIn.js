@@ -1,20 +1,18 @@
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const { loadDeployment, assertStrategyConsistency } = require("../lib/deployments");
+const { managedSigner, confirmTransaction } = require("../lib/txManager");
+const { SIMULATE, simulateCall, formatSimulation } = require("../lib/simulate");
 
 async function main() {
-  const [signer] = await ethers.getSigners();
-
-  // Address of your deployed MinimalWormholeRelayer contract
-  const relayerContractAddress = "0x4F3862D359D8f76498f69732740E4d53b7676639";
-
-  // Validate contract address
-  if (relayerContractAddress === "0xYOUR_MINIMAL_WORMHOLE_RELAYER_ADDRESS") {
-    console.error("\n❌ ERROR: Please replace the placeholder contract address with your actual deployed MinimalWormholeRelayer address.");
-    console.log("\n📋 To fix this:");
-    console.log("1. Deploy your MinimalWormholeRelayer contract first");
-    console.log("2. Copy the deployment address");
-    console.log("3. Replace '0xYOUR_MINIMAL_WORMHOLE_RELAYER_ADDRESS' with your actual contract address");
-    process.exit(1);
-  }
+  // Setup signer; the manager tracks the nonce and speeds up a stuck redemption
+  const [account] = await ethers.getSigners();
+  const signer = managedSigner(account, { speedUpAfter: 60, log: (line) => console.log(line) });
+
+  // BridgeSwapStrategy proxy from deployments/<network>.json
+  const relayerContractAddress = await assertStrategyConsistency(
+    loadDeployment(network.name),
+    ethers.provider
+  );
 
   const relayerAbi = [
     "function bridgeIn(bytes memory encodedVAA)",
@@ -33,7 +31,7 @@ async function main() {
     "AQAAAAQNAPVePxz72K2cxaRnUjzRltOSqR2iX4GTzcZGzW7vtEy+SuYqC84raywadSyUGF1MOyAUtFUOJWaCz9//c/upVy4BAV6Z+bfmkUzsfSy5olwTT7KjkJQ04KU9dUK+aryumJ68L1JOHsrTRo9tiiON2U7jEBsiDIglNM6aSu3lqlSXdGQAApYaz7pqCJe4+VZboxaGUfueXwuhGjkdgC9o7ZLL3/4PD0FMw/JAygdFuxGxzwCEokX0QpFVaMFUpRiTun7h9dMAAzW0Bi5Jz8gIpGfocjr80h5UiRdZGomuIDEFT3RTMv6lb0DnuvS8AxhWpo4UkIZvlciMBNvc1623+gvMUHfxmjYABthxagpknO28M2OCXc4c6BnnZ1umAcAgu9scrrksGpAXTNDNAL5JMmcHemQl4N2zQeQCoKc9u+S0Nk+xvQcIqosBB//nMY9QahppcYEcm8vA/nCBlaabnzF27R52tSluz78MYs21B6rJ6QWrxb1VKATpOSk3nou/8pkp7hDCrIKxJiYBCJIDxo7gs48/JUZ8+hnWd7ilbGdV71wxf2psCWkJobYyIblKl9ypVGFtUBUjarW4pLN+FzQLonyVYT1bIAc/ZnYAC733chzsFVkuWsyM6tgGdqmJ65FpenKcTE7odYnCy0qaFQhzrcPxrKlK0UajzHsY0xwOhxExcBwEf2zAunSWBOgBDPQLW8EXFqwTNVMYQVb1KxpE0tdzPoFoiujjAOC6+kZqRdN398Sc1MYui4gcci8skbxnEWCCDiUwoSQjGGDw9QwBDUl9AS22sC6RX0qV9iUjrnMzfmVDgz8leOCAEcfXNvRweqTzsC4Olm67yO4XR7ZIhjop5coow5OSd1WOOVDe8hEBDgWarNwfQaVOLdab2tA83Jp0UStcT+w29B91AnxZ04qUXC38wrmW5t1hVBRK3pQCPMIccHDIWaDrP84eR8dGZ2MADxEAd0ROkbvUvUgKkqkrjso3e9y/0fwlPqiZ9tBf1w3MCuUINzuvZ5lwsdz95rbJjfvA8twrHvAroIauesFZEbUBEWbBBc5douBsHLu3Oz+uEeQIkvE2R5sj/r2ivkm8mSBEQ/2Wbt5e0TdXhnvg8tIYALKpGgDicJrChKrw0MikCmQAaLrNv2i6zb8AAgAAAAAAAAAAAAAAAD7hiyIUr/lwANl0z2R+fDR+j6WFAAAAAAAIjQEBAwAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAPmAAAAAAAAAAAAAAAA2sF/lY0u5SOiIGIGmUWXwT2DHscAAgAAAAAAAAAAAAAAAE84YtNZ2PdkmPaXMnQOTVO3Z2Y5AAQAAAAAAAAAAAAAAAD5Dm6OH6/89KIE5Fs4BjkKh3/New==";
 
   console.log(`Using signer: ${signer.address}`);
-  console.log(`MinimalWormholeRelayer contract: ${relayerContractAddress}`);
+  console.log(`BridgeSwapStrategy contract: ${relayerContractAddress}`);
 
   if (vaaBase64 === "YOUR_VAA_IN_BASE64_HERE" || !vaaBase64) {
     console.error(
@@ -62,6 +60,16 @@ async function main() {
     console.log(`VAA Hex (first 100 chars): ${encodedVm.substring(0, 100)}...`);
     console.log(`VAA size: ${encodedVm.length - 2} bytes`);
 
+    // With SIMULATE=true, report what the redemption would do and stop
+    if (SIMULATE) {
+      console.log("\n--- Simulating Bridge In Transaction ---");
+      const report = await simulateCall(relayerContract, "bridgeIn", [encodedVm, { gasLimit: 500000 }], {
+        watch: relayerContractAddress,
+      });
+      console.log(formatSimulation(report, { watchLabel: "Strategy" }));
+      return;
+    }
+
     console.log("\n--- Executing Bridge In Transaction ---");
     console.log("Calling bridgeIn...");
 
@@ -72,13 +80,13 @@ async function main() {
     console.log(`Transaction sent! Hash: ${tx.hash}`);
     console.log("Waiting for confirmation...");
 
-    const receipt = await tx.wait();
+    const receipt = await confirmTransaction(tx, signer);
     console.log("Transaction confirmed.");
     console.log(`Block number: ${receipt.blockNumber}`);
     console.log(`Gas used: ${receipt.gasUsed.toString()}`);
 
     console.log("\n✅ Bridge-in transaction completed successfully!");
-    console.log("Tokens have been successfully bridged into the MinimalWormholeRelayer contract.");
+    console.log("Tokens have been successfully bridged into the BridgeSwapStrategy contract.");
   } catch (error) {
     console.error("\n❌ Error executing bridgeIn:", error.message);
 
@@ -1,10 +1,18 @@
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const { loadDeployment, assertStrategyConsistency } = require("../lib/deployments");
+const { managedSigner, confirmTransaction } = require("../lib/txManager");
+const { SIMULATE, simulateCall, formatSimulation } = require("../lib/simulate");
 
 async function main() {
-  const [signer] = await ethers.getSigners();
+  // Setup signer; the manager tracks the nonce and speeds up a stuck redemption
+  const [account] = await ethers.getSigners();
+  const signer = managedSigner(account, { speedUpAfter: 60, log: (line) => console.log(line) });
 
-  // Address of your deployed CustomStrategyWormhole proxy
-  const strategyContractAddress = "0xf90e6E8E1faFFCf4a204e45b3806390a877fcd7B"; // mainnet
+  // BridgeSwapStrategy proxy from deployments/<network>.json
+  const strategyContractAddress = await assertStrategyConsistency(
+    loadDeployment(network.name),
+    ethers.provider
+  );
 
   const strategyContractAbi = [
     "function bridgeInFromSolana(bytes memory encodedVAA)",
@@ -38,10 +46,19 @@ async function main() {
   console.log(`Encoded VAA (hex): ${encodedVm.substring(0, 100)}...`);
 
   try {
+    // With SIMULATE=true, report what the redemption would do and stop
+    if (SIMULATE) {
+      const report = await simulateCall(customStrategyWormhole, "bridgeInFromSolana", [encodedVm], {
+        watch: strategyContractAddress,
+      });
+      console.log(formatSimulation(report, { watchLabel: "Strategy" }));
+      return;
+    }
+
     const tx = await customStrategyWormhole.bridgeInFromSolana(encodedVm);
     console.log("Transaction sent. Waiting for confirmation...");
 
-    const receipt = await tx.wait();
+    const receipt = await confirmTransaction(tx, signer);
     console.log("Transaction confirmed.");
     console.log(`Transaction hash: ${receipt.transactionHash}`);
 
@@ -1,12 +1,24 @@
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
 require("dotenv").config();
+const {
+  loadDeployment,
+  getStrategyAddress,
+  assertStrategyConsistency,
+} = require("../lib/deployments");
+const { managedSigner, confirmTransaction } = require("../lib/txManager");
+const { SIMULATE, simulateCall, formatSimulation } = require("../lib/simulate");
+const { formatError } = require("../lib/errors");
 
 async function main() {
-  const [signer] = await ethers.getSigners();
-
-  // Address of your deployed BridgeSwapStrategy
-  const strategyContractAddress = "0xf90e6E8E1faFFCf4a204e45b3806390a877fcd7B"; // mainnet
-  // const strategyContractAddress = "0x487c7E54C092A56440Df2e3Facb72482d690C718"; // sepolia
+  // Setup signer; the manager tracks the nonce and speeds up a stuck bridge-out
+  const [account] = await ethers.getSigners();
+  const signer = managedSigner(account, { speedUpAfter: 60, log: (line) => console.log(line) });
+
+  // BridgeSwapStrategy proxy from deployments/<network>.json
+  const strategyContractAddress = await assertStrategyConsistency(
+    loadDeployment(network.name),
+    ethers.provider
+  );
 
   // Token to bridge (USDT)
   const tokenAddress = "0xdAC17F958D2ee523a2206206994597C13D831ec7";
@@ -18,7 +30,7 @@ async function main() {
   const destinationChainId = 4;
 
   // Recipient address on destination chain (convert to bytes32)
-  const recipientAddress = "0x4F3862D359D8f76498f69732740E4d53b7676639";
+  const recipientAddress = getStrategyAddress("bsc_main");
   const recipient = ethers.zeroPadValue(recipientAddress, 32);
 
   console.log(`Using signer: ${signer.address}`);
@@ -32,6 +44,7 @@ async function main() {
   // Contract ABIs
   const strategyContractAbi = [
     "function bridgeOut(address token, uint256 amount, uint16 destinationChainId, bytes32 recipient) payable",
+    "event BridgedOut(address token, uint256 amount, uint16 destinationChainId, bytes32 recipient, uint64 sequence, uint256 timestamp)",
     "function getMessageFee() view returns (uint256)",
     "function REPORTING_MANAGER() view returns (bytes32)",
     "function hasRole(bytes32 role, address account) view returns (bool)",
@@ -76,6 +89,19 @@ async function main() {
     const messageFee = await strategyContract.getMessageFee();
     console.log(`Required message fee: ${ethers.formatEther(messageFee)} ETH`);
 
+    // With SIMULATE=true, report what bridgeOut would do and stop
+    if (SIMULATE) {
+      console.log("\n--- Simulating Bridge Transaction ---");
+      const report = await simulateCall(
+        strategyContract,
+        "bridgeOut",
+        [tokenAddress, amount, destinationChainId, recipient, { value: messageFee }],
+        { watch: strategyContractAddress }
+      );
+      console.log(formatSimulation(report, { watchLabel: "Strategy" }));
+      return;
+    }
+
     // 4) Call bridgeOut on the strategy contract (contract holds the tokens)
     console.log("\n--- Executing Bridge Transaction ---");
     console.log("Calling strategy.bridgeOut...");
@@ -92,7 +118,7 @@ async function main() {
 
     console.log(`Transaction sent! Hash: ${tx.hash}`);
     console.log("Waiting for confirmation...");
-    const receipt = await tx.wait();
+    const receipt = await confirmTransaction(tx, signer);
     console.log("Transaction confirmed.");
     console.log(`Block number: ${receipt.blockNumber}`);
 
@@ -121,16 +147,7 @@ async function main() {
       console.log("BridgedOut event not found in the transaction receipt.");
     }
   } catch (error) {
-    console.error("\n❌ Error executing bridgeOut:", error);
-    if (error.message?.includes("Unauthorized") || error.message?.includes("AccessControl")) {
-      console.error("Access control: ensure the signer has REPORTING_MANAGER role.");
-    }
-    if (error.message?.includes("InsufficientBalance")) {
-      console.error("Contract doesn't have enough tokens to bridge.");
-    }
-    if (error.message?.includes("insufficient funds")) {
-      console.error("Insufficient ETH for gas and Wormhole fee on the signer.");
-    }
+    console.error(`\n❌ Error executing bridgeOut: ${formatError(error)}`);
     process.exit(1);
   }
 }
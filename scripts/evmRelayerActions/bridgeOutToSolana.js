@@ -1,5 +1,7 @@
 const { ethers } = require("hardhat");
 require("dotenv").config();
+const { managedSigner, confirmTransaction } = require("../lib/txManager");
+const { SIMULATE, simulateCall, formatSimulation } = require("../lib/simulate");
 
 async function main() {
   const contractAddress = "0x536eFD341e6B17798c52a201B4A87a961f0dC159"; // mainnet
@@ -9,7 +11,9 @@ async function main() {
   const amount = ethers.parseUnits("0.01", 6); // e.g., 0.1 USDC
 
   // --- SCRIPT LOGIC ---
-  const [signer] = await ethers.getSigners();
+  // Setup signer; the manager tracks the nonce and speeds up a stuck bridge-out
+  const [account] = await ethers.getSigners();
+  const signer = managedSigner(account, { speedUpAfter: 60, log: (line) => console.log(line) });
   console.log(`Using signer: ${signer.address}`);
 
   // Get the contract instance
@@ -36,13 +40,25 @@ async function main() {
     )} of underlying token...`
   );
 
+  // With SIMULATE=true, report what the bridge-out would do and stop
+  if (SIMULATE) {
+    const report = await simulateCall(
+      strategyContract,
+      "bridgeOutToSolana",
+      [amount, { value: messageFee, gasLimit: 500000 }],
+      { watch: contractAddress }
+    );
+    console.log(formatSimulation(report, { watchLabel: "Strategy" }));
+    return;
+  }
+
   const tx = await strategyContract.bridgeOutToSolana(amount, {
     value: messageFee, // Pass the message fee as msg.value
     gasLimit: 500000, // Set a reasonable gas limit
   });
 
   console.log(`Transaction sent! Hash: ${tx.hash}`);
-  const receipt = await tx.wait();
+  const receipt = await confirmTransaction(tx, signer);
   console.log("Transaction confirmed.");
 
   // Find and log the event from the receipt
@@ -1,4 +1,5 @@
 const { ethers } = require("hardhat");
+const { parseVaa } = require("../lib/vaa");
 require("dotenv").config();
 
 async function main() {
@@ -26,14 +27,17 @@ async function main() {
     console.log(`VAA Bytes length: ${problematicVAABytes.length}`);
     console.log(`VAA Hex length: ${problematicVAA.length}`);
 
-    // Check minimum VAA size
-    if (problematicVAABytes.length < 6) {
-      console.log("❌ VAA too short - invalid format");
+    // Check the VAA envelope parses (header, signatures and body)
+    try {
+      const vaa = parseVaa(problematicVAABytes);
+      console.log(
+        `✅ VAA structure parses (${vaa.signatures.length} signatures, digest ${vaa.digest})`
+      );
+    } catch (parseError) {
+      console.log(`❌ Invalid VAA format (${parseError.code}): ${parseError.message}`);
       return;
     }
 
-    console.log("✅ VAA has minimum required length");
-
     console.log("\nSTEP 2: Core Bridge VAA Validation");
     console.log("-".repeat(50));
 
@@ -130,24 +134,7 @@ async function main() {
     // Let's manually parse the payload to see what's wrong
     console.log("4A. Manual payload parsing...");
 
-    // Skip VAA header to get to payload
-    let offset = 0;
-    const version = problematicVAABytes.readUInt8(offset);
-    offset += 1;
-
-    const guardianSetIndex = problematicVAABytes.readUInt32BE(offset);
-    offset += 4;
-
-    const signaturesLength = problematicVAABytes.readUInt8(offset);
-    offset += 1;
-
-    // Skip signatures
-    offset += signaturesLength * 66;
-
-    // Skip timestamp, nonce, emitter chain, emitter address, sequence, consistency level
-    offset += 4 + 4 + 2 + 32 + 8 + 1;
-
-    const payload = problematicVAABytes.subarray(offset);
+    const { payload } = parseVaa(problematicVAABytes);
     console.log(`Payload length: ${payload.length} bytes`);
     console.log(`Payload hex: 0x${payload.toString("hex")}`);
 
@@ -1,7 +1,11 @@
 const { ethers } = require("hardhat");
+const { managedSigner, confirmTransaction } = require("../lib/txManager");
+const { SIMULATE, Simulation, formatSimulation } = require("../lib/simulate");
 
 async function main() {
-  const [signer] = await ethers.getSigners();
+  // Setup signer; the manager tracks the nonce and speeds up a stuck approval or deposit
+  const [account] = await ethers.getSigners();
+  const signer = managedSigner(account, { speedUpAfter: 60, log: (line) => console.log(line) });
 
   // Address of your deployed CustomStrategyWormhole proxy
   const strategyContractAddress = "0x487c7E54C092A56440Df2e3Facb72482d690C718";
@@ -23,11 +27,32 @@ async function main() {
   // Please adjust the amount and decimals accordingly.
   const amount = ethers.parseUnits("0.1", 6); 
 
+  // With SIMULATE=true, report what the approval and deposit would do and stop.
+  // Against a live node each call runs on its own, so the deposit may revert for want of the approval.
+  if (SIMULATE) {
+    const simulation = await Simulation.create(ethers.provider, {
+      interfaces: [customStrategyWormhole.interface],
+      watch: strategyContractAddress,
+    });
+    try {
+      for (const tx of [
+        await underlyingToken.approve.populateTransaction(strategyContractAddress, amount),
+        await customStrategyWormhole.deposit.populateTransaction(amount),
+      ]) {
+        const report = await simulation.run({ ...tx, from: signer.address });
+        console.log(formatSimulation(report, { watchLabel: "Strategy" }));
+      }
+    } finally {
+      await simulation.finish();
+    }
+    return;
+  }
+
   // Approve the strategy contract to spend the underlying token
   console.log(`Approving strategy contract to spend ${ethers.formatUnits(amount, 6)} USDC...`);
   const approveTx = await underlyingToken.approve(strategyContractAddress, amount);
   console.log("Approval transaction sent, waiting for confirmation... Tx hash:", approveTx.hash);
-  await approveTx.wait();
+  await confirmTransaction(approveTx, signer);
   console.log("Approval confirmed.");
 
 
@@ -39,7 +64,7 @@ async function main() {
     const tx = await customStrategyWormhole.deposit(amount);
     console.log("Transaction sent. Waiting for confirmation...");
     
-    const receipt = await tx.wait();
+    const receipt = await confirmTransaction(tx, signer);
     console.log("Transaction confirmed.");
     console.log(`Transaction hash: ${receipt.transactionHash}`);
     
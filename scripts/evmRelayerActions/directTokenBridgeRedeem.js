@@ -1,4 +1,5 @@
 const { ethers } = require("hardhat");
+const { parseVaa } = require("../lib/vaa");
 require("dotenv").config();
 
 async function main() {
@@ -42,8 +43,9 @@ async function main() {
       signer
     );
 
-    // Check if VAA is already processed
-    const vaaHash = ethers.keccak256(encodedVAA);
+    // Check if VAA is already processed (the token bridge keys transfers by VAA digest)
+    const vaa = parseVaa(encodedVAA);
+    const vaaHash = vaa.digest;
     console.log(`VAA Hash: ${vaaHash}`);
 
     const isCompleted = await tokenBridge.isTransferCompleted(vaaHash);
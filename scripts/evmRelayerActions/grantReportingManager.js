@@ -1,8 +1,9 @@
 const hre = require("hardhat");
+const { managedSigner, confirmTransaction } = require("../lib/txManager");
+const { SIMULATE, simulateCall, formatSimulation } = require("../lib/simulate");
+const { SAFE_ADDRESS, SAFE_BATCH_FILE, ProposalSigner, writeSafeBatch } = require("../lib/safeBatch");
 
 async function main() {
-  const [signer] = await hre.ethers.getSigners();
-  console.log("Using signer:", signer.address);
   // IMPORTANT: Replace with your deployed proxy contract address
   const proxyAddress = "0x536eFD341e6B17798c52a201B4A87a961f0dC159";
 
@@ -11,7 +12,17 @@ async function main() {
 
   // Get the contract factory for V2. The ABI includes the new grantReportingManager function.
   const CustomStrategyWormholeV2 = await hre.ethers.getContractFactory("CustomStrategyWormhole");
-  const contract = CustomStrategyWormholeV2.attach(proxyAddress);
+
+  // Setup signer; the manager tracks the nonce and speeds up a stuck grant.
+  // With SAFE_ADDRESS set the Safe is the sender and the grant is only proposed.
+  const [account] = await hre.ethers.getSigners();
+  const signer = SAFE_ADDRESS
+    ? new ProposalSigner(new hre.ethers.VoidSigner(SAFE_ADDRESS, hre.ethers.provider), {
+        interfaces: [CustomStrategyWormholeV2.interface],
+      })
+    : managedSigner(account, { speedUpAfter: 60, log: (line) => console.log(line) });
+  console.log("Using signer:", signer.address);
+  const contract = CustomStrategyWormholeV2.attach(proxyAddress).connect(signer);
 
   console.log(`Attached to CustomStrategyWormholeV2 at: ${await contract.getAddress()}`);
   console.log(`Granting REPORTING_MANAGER to: ${accountToGrant}`);
@@ -23,10 +34,27 @@ async function main() {
     console.error("Error: signer does not have ADMIN role. Aborting.");
     process.exit(1);
   }
+  // With SIMULATE=true, report what the grant would do and stop
+  if (SIMULATE) {
+    const report = await simulateCall(contract, "grantReportingManager", [accountToGrant]);
+    console.log(formatSimulation(report));
+    return;
+  }
+
+  // With SAFE_ADDRESS set, write the grant to a Safe Transaction Builder batch and stop
+  if (SAFE_ADDRESS) {
+    await contract.grantReportingManager(accountToGrant);
+    const file = SAFE_BATCH_FILE || "safe-batch-grantReportingManager.json";
+    writeSafeBatch(file, await signer.batch({ name: "Grant REPORTING_MANAGER" }));
+    console.log(`Calldata: ${signer.transactions[0].data}`);
+    console.log(`✅ Safe batch written to ${file}; verify it with \`bss safe verify ${file}\` before approving`);
+    return;
+  }
+
   // Call the grantReportingManager function
   const tx = await contract.grantReportingManager(accountToGrant);
   console.log("Transaction sent. Waiting for confirmation...");
-  await tx.wait();
+  await confirmTransaction(tx, signer);
 
   console.log(`Successfully granted REPORTING_MANAGER to ${accountToGrant}.`);
 }
@@ -1,8 +1,8 @@
 const { ethers } = require("hardhat");
+const { managedSigner, confirmTransaction } = require("../lib/txManager");
+const { SAFE_ADDRESS, SAFE_BATCH_FILE, ProposalSigner, writeSafeBatch } = require("../lib/safeBatch");
 
 async function main() {
-  const [signer] = await ethers.getSigners();
-
   // Address of your deployed CustomStrategyWormholeV2 proxy
   const strategyContractAddress = "0xD4597d6358F0533337022579147972F432553Bf0"; // mainnet
 
@@ -16,6 +16,15 @@ async function main() {
     "function ADMIN() view returns (bytes32)",
   ];
 
+  // Setup signer; the manager tracks the nonce and speeds up a stuck update.
+  // With SAFE_ADDRESS set the Safe is the sender and the update is only proposed.
+  const [account] = await ethers.getSigners();
+  const signer = SAFE_ADDRESS
+    ? new ProposalSigner(new ethers.VoidSigner(SAFE_ADDRESS, ethers.provider), {
+        interfaces: [new ethers.Interface(strategyContractAbi)],
+      })
+    : managedSigner(account, { speedUpAfter: 60, log: (line) => console.log(line) });
+
   const customStrategyWormhole = new ethers.Contract(
     strategyContractAddress,
     strategyContractAbi,
@@ -55,6 +64,16 @@ async function main() {
       console.log("No current router set or unable to read current router.");
     }
 
+    // With SAFE_ADDRESS set, write the update to a Safe Transaction Builder batch and stop
+    if (SAFE_ADDRESS) {
+      await customStrategyWormhole.setSwapRouter(UNISWAP_V3_SWAP_ROUTER);
+      const file = SAFE_BATCH_FILE || "safe-batch-setSwapRouter.json";
+      writeSafeBatch(file, await signer.batch({ name: "Set Uniswap swap router" }));
+      console.log(`Calldata: ${signer.transactions[0].data}`);
+      console.log(`✅ Safe batch written to ${file}; verify it with \`bss safe verify ${file}\` before approving`);
+      return;
+    }
+
     console.log("Calling setSwapRouter...");
     const tx = await customStrategyWormhole.setSwapRouter(
       UNISWAP_V3_SWAP_ROUTER
@@ -62,7 +81,7 @@ async function main() {
     console.log("Transaction sent. Waiting for confirmation...");
     console.log(`Transaction hash: ${tx.hash}`);
 
-    const receipt = await tx.wait();
+    const receipt = await confirmTransaction(tx, signer);
     console.log("Transaction confirmed.");
     console.log(`Block number: ${receipt.blockNumber}`);
 
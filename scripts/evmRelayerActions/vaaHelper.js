@@ -1,18 +1,32 @@
 const { ethers } = require("hardhat");
 const axios = require("axios");
+const { parseVaa } = require("../lib/vaa");
+const {
+  TokenBridgePayloadError,
+  decodeTokenBridgePayload,
+  decodeTransfer,
+  decodeTransferWithPayload,
+  decodeAttestMeta,
+} = require("../lib/tokenBridgePayload");
+const { loadDeployment } = require("../lib/deployments");
 require("dotenv").config();
 
 // Wormhole Testnet Configuration
+// Core and Token Bridge addresses come from deployments/bsc_test.json and
+// deployments/sepolia.json
+const BSC_TEST = loadDeployment("bsc_test");
+const SEPOLIA = loadDeployment("sepolia");
+
 const WORMHOLE_CONFIG = {
-  BSC_TOKEN_BRIDGE: "0x9dcF9D205C9De35334D646BeE44b2D2859712A09",
-  BSC_CORE_BRIDGE: "0x68605AD7b15c732a30b1BbC62BE8F2A509D74b4D",
-  SEPOLIA_TOKEN_BRIDGE: "0x3ee18B2214AFF97000D974cf647E7C347E8fa585",
+  BSC_TOKEN_BRIDGE: BSC_TEST.contracts.tokenBridge,
+  BSC_CORE_BRIDGE: BSC_TEST.contracts.wormhole,
+  SEPOLIA_TOKEN_BRIDGE: SEPOLIA.contracts.tokenBridge,
   BSC_RPC:
     process.env.BSC_TESTNET_RPC_URL ||
     "https://data-seed-prebsc-1-s1.binance.org:8545",
   WORMHOLE_API: "https://wormhole-v2-testnet-api.certus.one",
-  SEPOLIA_WORMHOLE_CHAIN_ID: 10002,
-  BSC_WORMHOLE_CHAIN_ID: 4,
+  SEPOLIA_WORMHOLE_CHAIN_ID: SEPOLIA.wormholeChainId,
+  BSC_WORMHOLE_CHAIN_ID: BSC_TEST.wormholeChainId,
 };
 
 // Contract ABIs
@@ -41,62 +55,28 @@ class VAA_Helper {
     console.log("🔍 Decoding VAA structure...\n");
 
     try {
-      const buffer = Buffer.isBuffer(vaaBytes)
-        ? vaaBytes
-        : Buffer.from(vaaBytes.replace("0x", ""), "hex");
-
-      if (buffer.length < 6) {
-        throw new Error("VAA too short");
-      }
-
-      let offset = 0;
-
-      // Header
-      const version = buffer.readUInt8(offset);
-      offset += 1;
-
-      const guardianSetIndex = buffer.readUInt32BE(offset);
-      offset += 4;
-
-      const signaturesLength = buffer.readUInt8(offset);
-      offset += 1;
+      const vaa = parseVaa(vaaBytes);
+      const {
+        version,
+        guardianSetIndex,
+        timestamp,
+        nonce,
+        emitterAddress,
+        sequence,
+        consistencyLevel,
+        payload,
+      } = vaa;
+      const emitterChainId = vaa.emitterChain;
+      const signaturesLength = vaa.signatures.length;
 
       console.log(`Version: ${version}`);
       console.log(`Guardian Set Index: ${guardianSetIndex}`);
       console.log(`Signatures Count: ${signaturesLength}`);
 
-      // Skip signatures
-      offset += signaturesLength * 66;
-
-      if (buffer.length <= offset + 51) {
-        throw new Error("VAA body too short");
-      }
-
-      // Body
-      const timestamp = buffer.readUInt32BE(offset);
-      offset += 4;
-
-      const nonce = buffer.readUInt32BE(offset);
-      offset += 4;
-
-      const emitterChainId = buffer.readUInt16BE(offset);
-      offset += 2;
-
-      const emitterAddress = buffer.subarray(offset, offset + 32);
-      offset += 32;
-
-      const sequence = buffer.readBigUInt64BE(offset);
-      offset += 8;
-
-      const consistencyLevel = buffer.readUInt8(offset);
-      offset += 1;
-
-      const payload = buffer.subarray(offset);
-
       console.log(`Timestamp: ${new Date(timestamp * 1000).toISOString()}`);
       console.log(`Nonce: ${nonce}`);
       console.log(`Emitter Chain ID: ${emitterChainId}`);
-      console.log(`Emitter Address: 0x${emitterAddress.toString("hex")}`);
+      console.log(`Emitter Address: ${emitterAddress}`);
       console.log(`Sequence: ${sequence.toString()}`);
       console.log(`Consistency Level: ${consistencyLevel}`);
       console.log(`Payload Length: ${payload.length} bytes`);
@@ -108,23 +88,16 @@ class VAA_Helper {
         `Payload hex: 0x${payload.toString("hex").substring(0, 20)}...`
       );
 
-      if (payload.length >= 133 && payload[0] === 1) {
-        console.log("\n📦 Decoding Token Transfer Payload:");
-        this.decodeTransferPayload(payload);
-      } else if (payload.length >= 100 && payload[0] === 2) {
-        console.log("\n📦 Decoding Token Attestation Payload:");
-        this.decodeAttestationPayload(payload);
-      } else if (payload.length >= 133 && payload[0] === 3) {
-        console.log("\n📦 Decoding Token Transfer with Payload:");
-        this.decodeTransferWithPayloadPayload(payload);
-      } else {
-        console.log(`\n📦 Unknown or custom payload type: ${payload[0]}`);
-        console.log(`Payload length: ${payload.length} bytes`);
-        // Still try to decode as transfer in case the type check is wrong
-        if (payload.length >= 133) {
-          console.log("\n📦 Attempting to decode as Token Transfer anyway:");
-          this.decodeTransferPayload(payload);
-        }
+      let tokenBridgePayload = null;
+      try {
+        tokenBridgePayload = decodeTokenBridgePayload(payload, {
+          emitterChain: emitterChainId,
+        });
+        console.log(`\n📦 Decoded Token Bridge ${tokenBridgePayload.type} payload:`);
+        this.logTokenBridgePayload(tokenBridgePayload);
+      } catch (payloadError) {
+        if (!(payloadError instanceof TokenBridgePayloadError)) throw payloadError;
+        console.log(`\n📦 Not a Token Bridge payload (${payloadError.code}): ${payloadError.message}`);
       }
 
       return {
@@ -134,10 +107,12 @@ class VAA_Helper {
         timestamp,
         nonce,
         emitterChainId,
-        emitterAddress: "0x" + emitterAddress.toString("hex"),
+        emitterAddress,
         sequence: sequence.toString(),
         consistencyLevel,
         payload: "0x" + payload.toString("hex"),
+        digest: vaa.digest,
+        tokenBridgePayload,
       };
     } catch (error) {
       console.error(`❌ Failed to decode VAA: ${error.message}`);
@@ -146,187 +121,42 @@ class VAA_Helper {
   }
 
   decodeTransferPayload(payload) {
-    try {
-      let offset = 0;
-
-      const payloadType = payload.readUInt8(offset);
-      offset += 1;
-
-      // Amount (32 bytes)
-      const amount = payload.subarray(offset, offset + 32);
-      offset += 32;
-
-      // Token address (32 bytes)
-      const tokenAddress = payload.subarray(offset, offset + 32);
-      offset += 32;
-
-      // Token chain (2 bytes)
-      const tokenChain = payload.readUInt16BE(offset);
-      offset += 2;
-
-      // To address (32 bytes)
-      const toAddress = payload.subarray(offset, offset + 32);
-      offset += 32;
-
-      // To chain (2 bytes)
-      const toChain = payload.readUInt16BE(offset);
-      offset += 2;
-
-      // Fee (32 bytes)
-      const fee = payload.subarray(offset, offset + 32);
-
-      console.log(`  Payload Type: ${payloadType} (Token Transfer)`);
-      const amountBig = ethers.toBigInt("0x" + amount.toString("hex"));
-      const feeBig = ethers.toBigInt("0x" + fee.toString("hex"));
-
-      console.log(`  Amount: ${amountBig.toString()}`);
-      console.log(
-        `  Amount (formatted): ${ethers.formatUnits(
-          amountBig,
-          6
-        )} (assuming 6 decimals)`
-      );
-      console.log(`  Token Address: 0x${tokenAddress.toString("hex")}`);
-      console.log(
-        `  Token Chain: ${tokenChain} ${
-          tokenChain === 10002 ? "(Sepolia)" : ""
-        }`
-      );
-      console.log(`  To Address: 0x${toAddress.toString("hex")}`);
-      console.log(
-        `  To Chain: ${toChain} ${toChain === 4 ? "(BSC Testnet)" : ""}`
-      );
-      console.log(`  Fee: ${feeBig.toString()}`);
-
-      // Check if this matches expected token
-      const expectedToken = "0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238";
-      const tokenHex = "0x" + tokenAddress.toString("hex");
-      const isExpectedToken = tokenHex
-        .toLowerCase()
-        .includes(expectedToken.toLowerCase().replace("0x", ""));
-      console.log(
-        `  ✅ Expected Token (${expectedToken}): ${
-          isExpectedToken ? "MATCH" : "NO MATCH"
-        }`
-      );
-    } catch (error) {
-      console.log(
-        `  ⚠️ Could not fully decode transfer payload: ${error.message}`
-      );
-    }
+    const transfer = decodeTransfer(payload);
+    this.logTokenBridgePayload(transfer);
+    return transfer;
   }
 
-  decodeTransferWithPayloadPayload(payload) {
-    try {
-      let offset = 0;
-
-      const payloadType = payload.readUInt8(offset);
-      offset += 1;
-
-      // Amount (32 bytes)
-      const amount = payload.subarray(offset, offset + 32);
-      offset += 32;
-
-      // Token address (32 bytes)
-      const tokenAddress = payload.subarray(offset, offset + 32);
-      offset += 32;
-
-      // Token chain (2 bytes)
-      const tokenChain = payload.readUInt16BE(offset);
-      offset += 2;
-
-      // To address (32 bytes)
-      const toAddress = payload.subarray(offset, offset + 32);
-      offset += 32;
-
-      // To chain (2 bytes)
-      const toChain = payload.readUInt16BE(offset);
-      offset += 2;
-
-      // From address (32 bytes)
-      const fromAddress = payload.subarray(offset, offset + 32);
-      offset += 32;
-
-      // Additional payload length and data would follow...
-
-      const amountBig = ethers.toBigInt("0x" + amount.toString("hex"));
-
-      console.log(
-        `  Payload Type: ${payloadType} (Token Transfer with Payload)`
-      );
-      console.log(`  Amount: ${amountBig.toString()}`);
-      console.log(
-        `  Amount (formatted): ${ethers.formatUnits(
-          amountBig,
-          6
-        )} (assuming 6 decimals)`
-      );
-      console.log(`  Token Address: 0x${tokenAddress.toString("hex")}`);
-      console.log(
-        `  Token Chain: ${tokenChain} ${
-          tokenChain === 10002 ? "(Sepolia)" : ""
-        }`
-      );
-      console.log(`  To Address: 0x${toAddress.toString("hex")}`);
-      console.log(
-        `  To Chain: ${toChain} ${toChain === 4 ? "(BSC Testnet)" : ""}`
-      );
-      console.log(`  From Address: 0x${fromAddress.toString("hex")}`);
-
-      // Check if this matches expected token
-      const expectedToken = "0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238";
-      const tokenHex = "0x" + tokenAddress.toString("hex");
-      const isExpectedToken = tokenHex
-        .toLowerCase()
-        .includes(expectedToken.toLowerCase().replace("0x", ""));
-      console.log(
-        `  ✅ Expected Token (${expectedToken}): ${
-          isExpectedToken ? "MATCH" : "NO MATCH"
-        }`
-      );
-    } catch (error) {
-      console.log(
-        `  ⚠️ Could not fully decode transfer with payload: ${error.message}`
-      );
-    }
+  decodeTransferWithPayloadPayload(payload, emitterChain) {
+    const transfer = decodeTransferWithPayload(payload, { emitterChain });
+    this.logTokenBridgePayload(transfer);
+    return transfer;
   }
 
   decodeAttestationPayload(payload) {
-    try {
-      let offset = 0;
-
-      const payloadType = payload.readUInt8(offset);
-      offset += 1;
-
-      // Token address (32 bytes)
-      const tokenAddress = payload.subarray(offset, offset + 32);
-      offset += 32;
-
-      // Token chain (2 bytes)
-      const tokenChain = payload.readUInt16BE(offset);
-      offset += 2;
-
-      // Decimals (1 byte)
-      const decimals = payload.readUInt8(offset);
-      offset += 1;
-
-      // Symbol (32 bytes)
-      const symbol = payload.subarray(offset, offset + 32);
-      offset += 32;
+    const attestation = decodeAttestMeta(payload);
+    this.logTokenBridgePayload(attestation);
+    return attestation;
+  }
 
-      // Name (32 bytes)
-      const name = payload.subarray(offset, offset + 32);
+  logTokenBridgePayload(decoded) {
+    const formatAddress = (described) =>
+      `${described.native || described.address} (chain ${described.chain} ${described.chainName})`;
 
-      console.log(`  Payload Type: ${payloadType} (Token Attestation)`);
-      console.log(`  Token Address: 0x${tokenAddress.toString("hex")}`);
-      console.log(`  Token Chain: ${tokenChain}`);
-      console.log(`  Decimals: ${decimals}`);
-      console.log(`  Symbol: ${symbol.toString().replace(/\0/g, "")}`);
-      console.log(`  Name: ${name.toString().replace(/\0/g, "")}`);
-    } catch (error) {
-      console.log(
-        `  ⚠️ Could not fully decode attestation payload: ${error.message}`
-      );
+    console.log(`  Payload Type: ${decoded.payloadId} (${decoded.type})`);
+    if (decoded.amount !== undefined) {
+      console.log(`  Amount (wire units, max 8 decimals): ${decoded.amount.toString()}`);
+    }
+    console.log(`  Token: ${formatAddress(decoded.token)}`);
+    if (decoded.to) console.log(`  To: ${formatAddress(decoded.to)}`);
+    if (decoded.from) console.log(`  From: ${formatAddress(decoded.from)}`);
+    if (decoded.fee !== undefined) console.log(`  Fee: ${decoded.fee.toString()}`);
+    if (decoded.payload) {
+      console.log(`  Additional Payload: 0x${decoded.payload.toString("hex")}`);
+    }
+    if (decoded.decimals !== undefined) {
+      console.log(`  Decimals: ${decoded.decimals}`);
+      console.log(`  Symbol: ${decoded.symbol}`);
+      console.log(`  Name: ${decoded.name}`);
     }
   }
 
@@ -347,8 +177,9 @@ class VAA_Helper {
         this.bscProvider
       );
 
-      // Get VAA hash
-      const vaaHash = ethers.keccak256(vaaBytes);
+      // Transfers are keyed by the VAA digest (double keccak of the body),
+      // not by a hash of the full signed VAA
+      const vaaHash = parseVaa(vaaBytes).digest;
       console.log(`VAA Hash: ${vaaHash}`);
 
       // Check if transfer completed using both bridges
@@ -451,7 +282,7 @@ class VAA_Helper {
   async checkBridgeableTokens() {
     console.log("🔍 Checking bridgeable token status...\n");
 
-    const tokenAddress = "0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238";
+    const tokenAddress = SEPOLIA.contracts.underlyingToken;
     const tokenBridge = new ethers.Contract(
       WORMHOLE_CONFIG.BSC_TOKEN_BRIDGE,
       [
@@ -509,7 +340,7 @@ async function main() {
     } else if (args.includes("--check-tokens")) {
       await helper.checkBridgeableTokens();
     } else if (args.includes("--get-vaa")) {
-      // Example: node vaaHelper.js --get-vaa 10002 0x3ee18B2214AFF97000D974cf647E7C347E8fa585 123
+      // Example: node vaaHelper.js --get-vaa 10002 0xDB5492265f6038831E89f495670FF909aDe94bd9 123
       if (args.length < 5) {
         console.log(
           "Usage: node vaaHelper.js --get-vaa <emitterChain> <emitterAddress> <sequence>"
@@ -543,7 +374,7 @@ async function main() {
       console.log("  npm run vaa-helper -- --decode");
       console.log("  npm run vaa-helper -- --check-tokens");
       console.log(
-        "  npm run vaa-helper -- --get-vaa 10002 0x3ee18B2214AFF97000D974cf647E7C347E8fa585 123"
+        "  npm run vaa-helper -- --get-vaa 10002 0xDB5492265f6038831E89f495670FF909aDe94bd9 123"
       );
     }
   } catch (error) {
@@ -1,8 +1,9 @@
 const { ethers } = require("hardhat");
+const { managedSigner, confirmTransaction } = require("../lib/txManager");
+const { SIMULATE, simulateCall, formatSimulation } = require("../lib/simulate");
+const { SAFE_ADDRESS, SAFE_BATCH_FILE, ProposalSigner, writeSafeBatch } = require("../lib/safeBatch");
 
 async function main() {
-  const [signer] = await ethers.getSigners();
-
   // Address of your deployed CustomStrategyWormhole proxy
   const strategyContractAddress = "0xa11410E204234599A9dE3b1b40535F02AdBFEA72";
 
@@ -10,6 +11,15 @@ async function main() {
     "function withdraw(uint256 amount)"
   ];
 
+  // Setup signer; the manager tracks the nonce and speeds up a stuck withdrawal.
+  // With SAFE_ADDRESS set the Safe is the sender and the withdrawal is only proposed.
+  const [account] = await ethers.getSigners();
+  const signer = SAFE_ADDRESS
+    ? new ProposalSigner(new ethers.VoidSigner(SAFE_ADDRESS, ethers.provider), {
+        interfaces: [new ethers.Interface(strategyContractAbi)],
+      })
+    : managedSigner(account, { speedUpAfter: 60, log: (line) => console.log(line) });
+
   const customStrategyWormhole = new ethers.Contract(strategyContractAddress, strategyContractAbi, signer);
 
   // The amount to withdraw.
@@ -22,10 +32,29 @@ async function main() {
   console.log(`Withdrawal amount: ${ethers.formatUnits(amount, 6)} tokens`);
 
   try {
+    // With SIMULATE=true, report what the withdrawal would do and stop
+    if (SIMULATE) {
+      const report = await simulateCall(customStrategyWormhole, "withdraw", [amount], {
+        watch: strategyContractAddress,
+      });
+      console.log(formatSimulation(report, { watchLabel: "Strategy" }));
+      return;
+    }
+
+    // With SAFE_ADDRESS set, write the withdrawal to a Safe Transaction Builder batch and stop
+    if (SAFE_ADDRESS) {
+      await customStrategyWormhole.withdraw(amount);
+      const file = SAFE_BATCH_FILE || "safe-batch-withdraw.json";
+      writeSafeBatch(file, await signer.batch({ name: "Withdraw from the strategy" }));
+      console.log(`Calldata: ${signer.transactions[0].data}`);
+      console.log(`✅ Safe batch written to ${file}; verify it with \`bss safe verify ${file}\` before approving`);
+      return;
+    }
+
     const tx = await customStrategyWormhole.withdraw(amount);
     console.log("Transaction sent. Waiting for confirmation...");
     
-    const receipt = await tx.wait();
+    const receipt = await confirmTransaction(tx, signer);
     console.log("Transaction confirmed.");
     console.log(`Transaction hash: ${receipt.transactionHash}`);
     
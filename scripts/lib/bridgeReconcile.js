@@ -0,0 +1,180 @@
+const { ethers } = require("ethers");
+const { chainName } = require("./chains");
+const { parseVaa } = require("./vaa");
+const { toWormholeAddress } = require("./tokenBridgePayload");
+
+// Reconciles the strategy's outbound transfers with their redemptions.
+//
+// Every `BridgedOut` in the indexer ledger carries the Token Bridge sequence
+// of its message. The message's VAA is looked up by (source chain, source
+// token bridge as emitter, sequence) through a VAA source (./vaaSources), and
+// its digest (`vm.hash`) is checked against `isTransferCompleted` on the
+// destination's token bridge. Each transfer ends up in one of:
+//
+//   pending     no signed VAA yet
+//   redeemable  signed, not yet redeemed on the destination
+//   completed   redeemed on the destination
+//   unverified  signed, but no destination token bridge to check
+//   stuck       pending or redeemable for longer than `stuckAfter`
+
+const STATUSES = ["pending", "redeemable", "completed", "unverified", "stuck"];
+const FORMATS = ["table", "json"];
+const DEFAULT_STUCK_AFTER = 24 * 60 * 60;
+
+const TOKEN_BRIDGE_ABI = ["function isTransferCompleted(bytes32 hash) view returns (bool)"];
+
+/**
+ * Lists the outbound transfers recorded in the ledger, oldest first.
+ * @returns {{sequence: bigint, token: string, amount: bigint, destinationChain: number, recipient: string,
+ *   timestamp: number, blockNumber: number, transactionHash: string}[]}
+ */
+function outboundTransfers(events) {
+  return events
+    .filter((e) => e.event === "BridgedOut")
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+    .map((e) => ({
+      sequence: BigInt(e.args.sequence),
+      token: e.args.token,
+      amount: BigInt(e.args.amount),
+      destinationChain: Number(e.args.destinationChainId),
+      recipient: e.args.recipient,
+      timestamp: Number(e.args.timestamp),
+      blockNumber: e.blockNumber,
+      transactionHash: e.transactionHash,
+    }));
+}
+
+/**
+ * Classifies each outbound transfer.
+ * @param {object[]} transfers From `outboundTransfers`
+ * @param {{sourceChain: number, emitter: string, vaaSource: {getVaa: Function},
+ *   destinations: Record<number, string | ethers.Contract>, runners?: Record<number, ethers.ContractRunner>,
+ *   now: number, stuckAfter?: number}} options
+ *   `emitter` is the source token bridge. `destinations` maps a Wormhole chain
+ *   id to its token bridge (a contract, or an address read through `runners`).
+ * @returns {object[]} The transfers with `status`, `age` (seconds), `vaaHash` and `redeemed`
+ */
+async function reconcileTransfers(transfers, options) {
+  const { sourceChain, emitter, vaaSource, destinations = {}, runners = {}, now } = options;
+  const stuckAfter = options.stuckAfter === undefined ? DEFAULT_STUCK_AFTER : options.stuckAfter;
+  const bridges = {};
+  const bridgeFor = (chain) => {
+    const bridge = destinations[chain];
+    if (!bridge) return undefined;
+    if (typeof bridge !== "string") return bridge;
+    bridges[chain] = bridges[chain] || new ethers.Contract(bridge, TOKEN_BRIDGE_ABI, runners[chain]);
+    return bridges[chain];
+  };
+
+  const results = [];
+  for (const transfer of transfers) {
+    const age = Math.max(0, now - transfer.timestamp);
+    const result = { ...transfer, age, vaaHash: null, redeemed: null };
+
+    const bytes = await vaaSource.getVaa(sourceChain, emitter, transfer.sequence);
+    if (bytes) {
+      const vaa = parseVaa(bytes);
+      if (
+        vaa.emitterChain !== Number(sourceChain) ||
+        vaa.emitterAddress.toLowerCase() !== toWormholeAddress(emitter).toLowerCase() ||
+        vaa.sequence !== transfer.sequence
+      ) {
+        throw new Error(
+          `VAA for sequence ${transfer.sequence} is from ${vaa.emitterChain}/${vaa.emitterAddress}/${vaa.sequence}`
+        );
+      }
+      result.vaaHash = vaa.digest;
+      const bridge = bridgeFor(transfer.destinationChain);
+      if (bridge) result.redeemed = await bridge.isTransferCompleted(vaa.digest);
+    }
+
+    if (result.redeemed) result.status = "completed";
+    else if (!result.vaaHash) result.status = age >= stuckAfter ? "stuck" : "pending";
+    else if (result.redeemed === null) result.status = "unverified";
+    else result.status = age >= stuckAfter ? "stuck" : "redeemable";
+    results.push(result);
+  }
+  return results;
+}
+
+/**
+ * Counts transfers per destination chain and status.
+ * @returns {Record<number, Record<string, number>>}
+ */
+function summarizeTransfers(results) {
+  const summary = {};
+  for (const { destinationChain, status } of results) {
+    summary[destinationChain] = summary[destinationChain] || Object.fromEntries(STATUSES.map((s) => [s, 0]));
+    summary[destinationChain][status] += 1;
+  }
+  return summary;
+}
+
+/**
+ * Renders seconds as the two largest units, e.g. "3d 4h", "12m 5s".
+ */
+function formatAge(seconds) {
+  const units = [
+    ["d", 86400],
+    ["h", 3600],
+    ["m", 60],
+    ["s", 1],
+  ];
+  const parts = [];
+  let rest = Math.floor(seconds);
+  for (const [unit, size] of units) {
+    if (parts.length === 0 && rest < size && size > 1) continue;
+    parts.push(`${Math.floor(rest / size)}${unit}`);
+    rest %= size;
+    if (parts.length === 2) break;
+  }
+  return parts.join(" ");
+}
+
+/**
+ * Renders the reconciliation grouped by destination chain, or as JSON.
+ * @param {object[]} results From `reconcileTransfers`
+ * @param {Record<string, {symbol: string, decimals: number}>} [tokens] Keyed by address, for amounts
+ */
+function formatReconciliation(results, format = "table", tokens = {}) {
+  const amount = (r) => {
+    const token = tokens[r.token];
+    return token ? `${ethers.formatUnits(r.amount, token.decimals)} ${token.symbol}` : `${r.amount} ${r.token}`;
+  };
+
+  if (format === "json") {
+    return JSON.stringify(
+      results.map((r) => ({
+        ...r,
+        sequence: r.sequence.toString(),
+        amount: r.amount.toString(),
+        destination: chainName(r.destinationChain),
+      })),
+      null,
+      2
+    );
+  }
+  if (format !== "table") throw new Error(`Unknown format "${format}". Expected one of: ${FORMATS.join(", ")}`);
+  if (results.length === 0) return "No outbound transfers in the ledger";
+
+  const lines = [];
+  for (const [chain, counts] of Object.entries(summarizeTransfers(results))) {
+    const totals = STATUSES.filter((s) => counts[s] > 0).map((s) => `${counts[s]} ${s}`);
+    lines.push(`${chainName(chain)} (${chain}): ${totals.join(", ")}`);
+    for (const r of results.filter((r) => r.destinationChain === Number(chain))) {
+      lines.push(`  #${r.sequence}  ${r.status.padEnd(10)}  ${formatAge(r.age).padStart(7)}  ${amount(r)}  tx ${r.transactionHash}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  STATUSES,
+  FORMATS,
+  DEFAULT_STUCK_AFTER,
+  outboundTransfers,
+  reconcileTransfers,
+  summarizeTransfers,
+  formatAge,
+  formatReconciliation,
+};
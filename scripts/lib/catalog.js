@@ -0,0 +1,218 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { getChain } = require("./chains");
+
+// Token and pool catalog, one file per EVM chain id:
+//
+//   catalog/<chainId>.json
+//   {
+//     "chainId": 56,
+//     "name": "BSC Mainnet",
+//     "tokens": { "USDTwh": { address, decimals, symbol, wormhole?: { chainId, address, symbol? } } },
+//     "baseTokens": ["USDT", ...],
+//     "pools": [{ name?, dex: "uniswap-v3" | "pancakeswap-v3", tokens: [A, B], fee }],
+//     "routes": [{ name, dex, path: [A, ..., Z] }]
+//   }
+//
+// `wormhole` marks a Token Bridge wrapped asset and records its origin chain
+// (Wormhole chain id) and native address. Each token pair has at most one pool
+// per DEX, so a fee lookup by DEX and pair is never ambiguous. `baseTokens`
+// are the liquid tokens the route finder may hop through. Routes are the
+// strategy's swaps, so a PancakeSwap route is a single pool: the strategy has
+// no PancakeSwap multi-hop entry point.
+
+const CATALOG_DIR = path.join(__dirname, "..", "..", "catalog");
+const DEXES = ["uniswap-v3", "pancakeswap-v3"];
+
+function pairKey(dex, a, b) {
+  return [dex, ...[a, b].sort()].join(":");
+}
+
+/**
+ * Validates one chain's catalog. Collects every problem before throwing so a
+ * broken file can be fixed in one pass.
+ */
+function validateChainCatalog(raw, source = `catalog/${raw.chainId}.json`) {
+  const problems = [];
+  const tokens = raw.tokens || {};
+  const pools = raw.pools || [];
+  const routes = raw.routes || [];
+  const baseTokens = raw.baseTokens || [];
+
+  if (!Number.isInteger(raw.chainId)) problems.push(`chainId must be an integer, got ${raw.chainId}`);
+
+  const symbolByAddress = new Map();
+  for (const [symbol, token] of Object.entries(tokens)) {
+    if (token.symbol !== symbol) problems.push(`tokens.${symbol}.symbol is "${token.symbol}"`);
+    if (!Number.isInteger(token.decimals) || token.decimals < 0 || token.decimals > 255) {
+      problems.push(`tokens.${symbol}.decimals must be an integer between 0 and 255`);
+    }
+    if (!ethers.isAddress(token.address) || ethers.getAddress(token.address) !== token.address) {
+      problems.push(`tokens.${symbol}.address is not a checksummed address: ${token.address}`);
+    } else if (symbolByAddress.has(token.address)) {
+      problems.push(`tokens.${symbol} has the same address as tokens.${symbolByAddress.get(token.address)}`);
+    } else {
+      symbolByAddress.set(token.address, symbol);
+    }
+
+    if (token.wormhole) {
+      const origin = getChain(token.wormhole.chainId);
+      if (!origin) {
+        problems.push(`tokens.${symbol}.wormhole.chainId ${token.wormhole.chainId} is not a known Wormhole chain`);
+      } else if (
+        origin.platform === "evm" &&
+        (!ethers.isAddress(token.wormhole.address) ||
+          ethers.getAddress(token.wormhole.address) !== token.wormhole.address)
+      ) {
+        problems.push(`tokens.${symbol}.wormhole.address is not a checksummed address: ${token.wormhole.address}`);
+      }
+    }
+  }
+
+  if (!Array.isArray(baseTokens)) {
+    problems.push("baseTokens must be a list of token symbols");
+  } else {
+    for (const symbol of baseTokens) {
+      if (!tokens[symbol]) problems.push(`baseTokens lists unknown token ${symbol}`);
+    }
+  }
+
+  const poolKeys = new Map();
+  pools.forEach((pool, i) => {
+    const label = `pools[${i}]${pool.name ? ` (${pool.name})` : ""}`;
+    if (!DEXES.includes(pool.dex)) problems.push(`${label}.dex must be one of ${DEXES.join(", ")}`);
+    if (!Array.isArray(pool.tokens) || pool.tokens.length !== 2 || pool.tokens[0] === pool.tokens[1]) {
+      problems.push(`${label}.tokens must name two different tokens`);
+      return;
+    }
+    for (const symbol of pool.tokens) {
+      if (!tokens[symbol]) problems.push(`${label} uses unknown token ${symbol}`);
+    }
+    if (!Number.isInteger(pool.fee) || pool.fee <= 0 || pool.fee >= 1000000) {
+      problems.push(`${label}.fee must be a fee tier in hundredths of a bip`);
+    }
+    const key = pairKey(pool.dex, ...pool.tokens);
+    if (poolKeys.has(key)) {
+      problems.push(`${label} duplicates ${poolKeys.get(key)}: one ${pool.dex} pool per token pair`);
+    } else {
+      poolKeys.set(key, label);
+    }
+  });
+
+  const routeNames = new Set();
+  routes.forEach((route, i) => {
+    const label = `routes[${i}] (${route.name})`;
+    if (routeNames.has(route.name)) problems.push(`${label} has a duplicate name`);
+    routeNames.add(route.name);
+    if (!DEXES.includes(route.dex)) problems.push(`${label}.dex must be one of ${DEXES.join(", ")}`);
+    if (!Array.isArray(route.path) || route.path.length < 2) {
+      problems.push(`${label}.path needs at least two tokens`);
+      return;
+    }
+    if (route.dex === "pancakeswap-v3" && route.path.length > 2) {
+      problems.push(
+        `${label} has ${route.path.length - 1} pools, but the strategy swaps PancakeSwap one pool at a time`
+      );
+    }
+    for (let hop = 0; hop < route.path.length - 1; hop++) {
+      if (!poolKeys.has(pairKey(route.dex, route.path[hop], route.path[hop + 1]))) {
+        problems.push(`${label} has no ${route.dex} pool for ${route.path[hop]}/${route.path[hop + 1]}`);
+      }
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid catalog ${source}:\n${problems.map((p) => `  - ${p}`).join("\n")}`);
+  }
+  return { chainId: raw.chainId, name: raw.name, tokens, baseTokens, pools, routes };
+}
+
+/**
+ * Loads every catalog/<chainId>.json, keyed by chain id.
+ * @returns {Record<number, object>}
+ */
+function loadCatalog({ dir = CATALOG_DIR } = {}) {
+  const catalog = {};
+  for (const file of fs.readdirSync(dir).filter((f) => f.endsWith(".json"))) {
+    const source = path.join(path.basename(dir), file);
+    const chain = validateChainCatalog(JSON.parse(fs.readFileSync(path.join(dir, file), "utf8")), source);
+    if (`${chain.chainId}.json` !== file) {
+      throw new Error(`Invalid catalog ${source}: file name does not match chainId ${chain.chainId}`);
+    }
+    catalog[chain.chainId] = chain;
+  }
+  return catalog;
+}
+
+/**
+ * Returns the validated catalog for one chain id.
+ */
+function getChainCatalog(chainId, { dir = CATALOG_DIR } = {}) {
+  const file = path.join(dir, `${Number(chainId)}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No token catalog for chain ${chainId} (expected ${file})`);
+  }
+  return validateChainCatalog(JSON.parse(fs.readFileSync(file, "utf8")), path.join(path.basename(dir), `${chainId}.json`));
+}
+
+/**
+ * Looks up a token by symbol, or by address for tokens outside the catalog.
+ * @returns {{address: string, decimals?: number, symbol?: string} | undefined}
+ */
+function findToken(chainCatalog, symbolOrAddress) {
+  const tokens = (chainCatalog && chainCatalog.tokens) || {};
+  if (tokens[symbolOrAddress]) return tokens[symbolOrAddress];
+  if (!ethers.isAddress(symbolOrAddress)) return undefined;
+  const address = ethers.getAddress(symbolOrAddress);
+  return Object.values(tokens).find((token) => token.address === address) || { address };
+}
+
+/**
+ * Finds the pool for a token pair on one DEX.
+ */
+function findPool(chainCatalog, dex, tokenASymbol, tokenBSymbol) {
+  const key = pairKey(dex, tokenASymbol, tokenBSymbol);
+  const pool = chainCatalog.pools.find((p) => pairKey(p.dex, ...p.tokens) === key);
+  if (!pool) {
+    throw new Error(`No ${dex} pool for ${tokenASymbol}/${tokenBSymbol} on chain ${chainCatalog.chainId}`);
+  }
+  return pool;
+}
+
+/**
+ * Fee tier of the catalog's `dex` pool for a pair of token symbols.
+ */
+function getFee(chainCatalog, tokenASymbol, tokenBSymbol, dex) {
+  if (!DEXES.includes(dex)) {
+    throw new Error(`Unknown DEX "${dex}". Expected one of: ${DEXES.join(", ")}`);
+  }
+  return findPool(chainCatalog, dex, tokenASymbol, tokenBSymbol).fee;
+}
+
+/**
+ * Finds a named route, optionally reversed.
+ * @returns {{name: string, dex: string, path: string[]}}
+ */
+function findRoute(chainCatalog, name, { reverse = false } = {}) {
+  const route = chainCatalog.routes.find((r) => r.name === name);
+  if (!route) {
+    const available = chainCatalog.routes.map((r) => `  - "${r.name}"`).join("\n");
+    throw new Error(`Route "${name}" not found.\n\nAvailable routes:\n${available}`);
+  }
+  return reverse
+    ? { name: `(REVERSE) ${route.name}`, dex: route.dex, path: [...route.path].reverse() }
+    : route;
+}
+
+module.exports = {
+  CATALOG_DIR,
+  DEXES,
+  validateChainCatalog,
+  loadCatalog,
+  getChainCatalog,
+  findToken,
+  findPool,
+  getFee,
+  findRoute,
+};
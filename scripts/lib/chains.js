@@ -0,0 +1,62 @@
+// Wormhole chain registry
+//
+// Maps Wormhole chain ids to a display name, the address platform used to render
+// 32-byte Wormhole addresses, and (for EVM chains) the EVM chain ids that share
+// that Wormhole id. Testnets reuse the mainnet Wormhole id for BSC (4), so the
+// EVM chain id is a list.
+const CHAINS = {
+  1: { name: "Solana", platform: "solana", evmChainIds: [] },
+  2: { name: "Ethereum", platform: "evm", evmChainIds: [1] },
+  4: { name: "Bsc", platform: "evm", evmChainIds: [56, 97] },
+  5: { name: "Polygon", platform: "evm", evmChainIds: [137] },
+  6: { name: "Avalanche", platform: "evm", evmChainIds: [43114] },
+  10: { name: "Fantom", platform: "evm", evmChainIds: [250] },
+  14: { name: "Celo", platform: "evm", evmChainIds: [42220] },
+  16: { name: "Moonbeam", platform: "evm", evmChainIds: [1284] },
+  21: { name: "Sui", platform: "sui", evmChainIds: [] },
+  22: { name: "Aptos", platform: "aptos", evmChainIds: [] },
+  23: { name: "Arbitrum", platform: "evm", evmChainIds: [42161] },
+  24: { name: "Optimism", platform: "evm", evmChainIds: [10] },
+  30: { name: "Base", platform: "evm", evmChainIds: [8453] },
+  10002: { name: "Sepolia", platform: "evm", evmChainIds: [11155111] },
+  10003: { name: "ArbitrumSepolia", platform: "evm", evmChainIds: [421614] },
+  10004: { name: "BaseSepolia", platform: "evm", evmChainIds: [84532] },
+  10005: { name: "OptimismSepolia", platform: "evm", evmChainIds: [11155420] },
+};
+
+/**
+ * @param {number} wormholeChainId
+ * @returns {{id: number, name: string, platform: string, evmChainIds: number[]} | undefined}
+ */
+function getChain(wormholeChainId) {
+  const chain = CHAINS[Number(wormholeChainId)];
+  return chain ? { id: Number(wormholeChainId), ...chain } : undefined;
+}
+
+/**
+ * Display name for a Wormhole chain id, e.g. `chainName(4) === "Bsc"`.
+ * Unknown ids render as `Unknown(<id>)` rather than throwing.
+ */
+function chainName(wormholeChainId) {
+  if (wormholeChainId === undefined || wormholeChainId === null) return "Unknown";
+  const chain = getChain(wormholeChainId);
+  return chain ? chain.name : `Unknown(${wormholeChainId})`;
+}
+
+/**
+ * Looks up the Wormhole chain id for an EVM chain id (e.g. 56 -> 4).
+ * @returns {number | undefined}
+ */
+function wormholeChainIdForEvm(evmChainId) {
+  const id = Object.keys(CHAINS).find((key) =>
+    CHAINS[key].evmChainIds.includes(Number(evmChainId))
+  );
+  return id === undefined ? undefined : Number(id);
+}
+
+module.exports = {
+  CHAINS,
+  getChain,
+  chainName,
+  wormholeChainIdForEvm,
+};
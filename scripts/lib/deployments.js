@@ -0,0 +1,304 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// Per-network deployment registry, one file per Hardhat network:
+//
+//   deployments/<network>.json
+//   {
+//     "version": 1,
+//     "network": "ethereum",
+//     "chainId": 1,
+//     "wormholeChainId": 2,
+//     "contracts": { wormhole, tokenBridge, underlyingToken, swapRouter, pancakeRouter, quoter, pancakeQuoter, factory, pancakeFactory },
+//     "solanaAggregatorAddress": "0x<32 bytes>",
+//     "bridgeSwapStrategy": {
+//       "proxy": "0x...",
+//       "implementation": "0x..." | null,
+//       "initialize": { wormhole, tokenBridge, underlyingToken, solanaAggregatorAddress, swapRouter, pancakeRouter },
+//       "history": [{ action: "deploy" | "upgrade", implementation, txHash, blockNumber, deployer, timestamp }]
+//     }
+//   }
+//
+// `contracts` are the inputs for a new deployment; `bridgeSwapStrategy.initialize`
+// records what the live proxy was initialized with and is what the on-chain
+// consistency check compares against.
+
+const REGISTRY_VERSION = 1;
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+
+// Order of BridgeSwapStrategy.initialize arguments, with the getter that reads each back
+const INITIALIZE_PARAMS = [
+  { name: "wormhole", getter: "wormhole" },
+  { name: "tokenBridge", getter: "tokenBridge" },
+  { name: "underlyingToken", getter: "underlyingToken" },
+  { name: "solanaAggregatorAddress", getter: "solanaAggregatorAddress", type: "bytes32" },
+  { name: "swapRouter", getter: "swapRouter" },
+  { name: "pancakeRouter", getter: "pancakeSmartRouter" },
+];
+
+const STRATEGY_GETTERS_ABI = [
+  "function wormhole() view returns (address)",
+  "function tokenBridge() view returns (address)",
+  "function underlyingToken() view returns (address)",
+  "function solanaAggregatorAddress() view returns (bytes32)",
+  "function swapRouter() view returns (address)",
+  "function pancakeSmartRouter() view returns (address)",
+];
+
+function deploymentFile(network, dir = DEPLOYMENTS_DIR) {
+  return path.join(dir, `${network}.json`);
+}
+
+function normalizeAddress(value, field, network) {
+  if (!ethers.isAddress(value)) {
+    throw new Error(`deployments/${network}.json: ${field} is not an address: ${value}`);
+  }
+  return ethers.getAddress(value);
+}
+
+function normalizeBytes32(value, field, network) {
+  if (!ethers.isHexString(value, 32)) {
+    throw new Error(`deployments/${network}.json: ${field} must be 32 bytes of hex: ${value}`);
+  }
+  return value.toLowerCase();
+}
+
+function normalizeInitialize(params, field, network) {
+  const normalized = {};
+  for (const { name, type } of INITIALIZE_PARAMS) {
+    if (params[name] === undefined) {
+      throw new Error(`deployments/${network}.json: ${field}.${name} is missing`);
+    }
+    normalized[name] =
+      type === "bytes32"
+        ? normalizeBytes32(params[name], `${field}.${name}`, network)
+        : normalizeAddress(params[name], `${field}.${name}`, network);
+  }
+  return normalized;
+}
+
+/**
+ * Validates a registry object and returns a copy with checksummed addresses.
+ */
+function normalizeDeployment(deployment, network) {
+  if (deployment.version !== REGISTRY_VERSION) {
+    throw new Error(
+      `deployments/${network}.json: unsupported registry version ${deployment.version} (expected ${REGISTRY_VERSION})`
+    );
+  }
+  if (deployment.network !== network) {
+    throw new Error(`deployments/${network}.json: file is for network "${deployment.network}"`);
+  }
+
+  const contracts = {};
+  for (const [name, address] of Object.entries(deployment.contracts || {})) {
+    contracts[name] = normalizeAddress(address, `contracts.${name}`, network);
+  }
+
+  const normalized = { ...deployment, contracts };
+  if (deployment.solanaAggregatorAddress !== undefined) {
+    normalized.solanaAggregatorAddress = normalizeBytes32(
+      deployment.solanaAggregatorAddress,
+      "solanaAggregatorAddress",
+      network
+    );
+  }
+
+  const strategy = deployment.bridgeSwapStrategy;
+  if (strategy) {
+    normalized.bridgeSwapStrategy = {
+      ...strategy,
+      proxy: normalizeAddress(strategy.proxy, "bridgeSwapStrategy.proxy", network),
+      implementation: strategy.implementation
+        ? normalizeAddress(strategy.implementation, "bridgeSwapStrategy.implementation", network)
+        : null,
+      initialize: normalizeInitialize(strategy.initialize || {}, "bridgeSwapStrategy.initialize", network),
+      history: strategy.history || [],
+    };
+  }
+  return normalized;
+}
+
+/**
+ * Returns true if `network` has a registry file.
+ */
+function hasDeployment(network, { dir } = {}) {
+  return fs.existsSync(deploymentFile(network, dir));
+}
+
+/**
+ * Loads and validates deployments/<network>.json.
+ */
+function loadDeployment(network, { dir } = {}) {
+  const file = deploymentFile(network, dir);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No deployment registry for network "${network}" (expected ${file})`);
+  }
+  return normalizeDeployment(JSON.parse(fs.readFileSync(file, "utf8")), network);
+}
+
+function saveDeployment(deployment, { dir = DEPLOYMENTS_DIR } = {}) {
+  const normalized = normalizeDeployment(deployment, deployment.network);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(deploymentFile(deployment.network, dir), JSON.stringify(normalized, null, 2) + "\n");
+  return normalized;
+}
+
+/**
+ * Returns the BridgeSwapStrategy proxy address recorded for `network`.
+ */
+function getStrategyAddress(network, options) {
+  const deployment = loadDeployment(network, options);
+  if (!deployment.bridgeSwapStrategy) {
+    throw new Error(`No BridgeSwapStrategy recorded in deployments/${network}.json`);
+  }
+  return deployment.bridgeSwapStrategy.proxy;
+}
+
+/**
+ * Builds the `initialize` arguments for a new deployment from the network's
+ * `contracts` and `solanaAggregatorAddress`.
+ * @returns {{params: object, args: Array<string>}}
+ */
+function initializeArgs(deployment) {
+  const params = {};
+  for (const { name } of INITIALIZE_PARAMS) {
+    const value = name === "solanaAggregatorAddress" ? deployment.solanaAggregatorAddress : deployment.contracts[name];
+    if (value === undefined) {
+      throw new Error(`deployments/${deployment.network}.json has no ${name} to initialize with`);
+    }
+    params[name] = value;
+  }
+  return { params, args: INITIALIZE_PARAMS.map(({ name }) => params[name]) };
+}
+
+/**
+ * Records a fresh BridgeSwapStrategy deployment, creating the registry file if
+ * it does not exist yet.
+ * @param {string} network
+ * @param {{chainId: number, proxy: string, implementation: string, initialize: object,
+ *   txHash?: string, blockNumber?: number, deployer?: string}} deployed
+ */
+function recordStrategyDeployment(network, deployed, { dir } = {}) {
+  const deployment = hasDeployment(network, { dir })
+    ? loadDeployment(network, { dir })
+    : { version: REGISTRY_VERSION, network, chainId: deployed.chainId, contracts: {} };
+  if (deployment.chainId !== deployed.chainId) {
+    throw new Error(
+      `deployments/${network}.json is for chain ${deployment.chainId}, but the deployment is on chain ${deployed.chainId}`
+    );
+  }
+
+  const previous = deployment.bridgeSwapStrategy;
+  deployment.bridgeSwapStrategy = {
+    proxy: deployed.proxy,
+    implementation: deployed.implementation,
+    initialize: deployed.initialize,
+    history: [
+      ...(previous ? previous.history : []),
+      historyEntry("deploy", deployed),
+    ],
+  };
+  return saveDeployment(deployment, { dir });
+}
+
+/**
+ * Records a new implementation behind the registered proxy.
+ * @param {{implementation: string, txHash?: string, blockNumber?: number, deployer?: string}} upgraded
+ */
+function recordStrategyUpgrade(network, upgraded, { dir } = {}) {
+  const deployment = loadDeployment(network, { dir });
+  const strategy = deployment.bridgeSwapStrategy;
+  if (!strategy) {
+    throw new Error(`No BridgeSwapStrategy recorded in deployments/${network}.json to upgrade`);
+  }
+  strategy.implementation = upgraded.implementation;
+  strategy.history = [...strategy.history, historyEntry("upgrade", upgraded)];
+  return saveDeployment(deployment, { dir });
+}
+
+function historyEntry(action, { implementation, txHash, blockNumber, deployer, proxy }) {
+  const entry = { action, implementation };
+  if (proxy) entry.proxy = proxy;
+  if (txHash) entry.txHash = txHash;
+  if (blockNumber !== undefined) entry.blockNumber = blockNumber;
+  if (deployer) entry.deployer = deployer;
+  entry.timestamp = new Date().toISOString();
+  return entry;
+}
+
+/**
+ * Reads the initialize parameters back from a live BridgeSwapStrategy.
+ */
+async function readStrategyParameters(address, runner) {
+  const strategy = new ethers.Contract(address, STRATEGY_GETTERS_ABI, runner);
+  const params = {};
+  for (const { name, getter, type } of INITIALIZE_PARAMS) {
+    const value = await strategy[getter]();
+    params[name] = type === "bytes32" ? value.toLowerCase() : ethers.getAddress(value);
+  }
+  return params;
+}
+
+/**
+ * Compares the registered proxy against the chain: the connected chain id,
+ * that code exists at the proxy and each recorded initialize parameter.
+ * @returns {Promise<{proxy: string, mismatches: {field: string, expected: string, actual: string}[]}>}
+ */
+async function checkStrategyConsistency(deployment, runner) {
+  const strategy = deployment.bridgeSwapStrategy;
+  if (!strategy) {
+    throw new Error(`No BridgeSwapStrategy recorded in deployments/${deployment.network}.json`);
+  }
+  const provider = runner.provider || runner;
+  const mismatches = [];
+
+  const { chainId } = await provider.getNetwork();
+  if (Number(chainId) !== deployment.chainId) {
+    mismatches.push({ field: "chainId", expected: String(deployment.chainId), actual: String(chainId) });
+    return { proxy: strategy.proxy, mismatches };
+  }
+  if ((await provider.getCode(strategy.proxy)) === "0x") {
+    mismatches.push({ field: "proxy", expected: "contract code", actual: "no code" });
+    return { proxy: strategy.proxy, mismatches };
+  }
+
+  const onChain = await readStrategyParameters(strategy.proxy, provider);
+  for (const { name } of INITIALIZE_PARAMS) {
+    if (onChain[name] !== strategy.initialize[name]) {
+      mismatches.push({ field: name, expected: strategy.initialize[name], actual: onChain[name] });
+    }
+  }
+  return { proxy: strategy.proxy, mismatches };
+}
+
+/**
+ * Same as `checkStrategyConsistency`, but throws listing every mismatch.
+ */
+async function assertStrategyConsistency(deployment, runner) {
+  const { proxy, mismatches } = await checkStrategyConsistency(deployment, runner);
+  if (mismatches.length > 0) {
+    const lines = mismatches.map((m) => `  ${m.field}: registry ${m.expected}, on-chain ${m.actual}`);
+    throw new Error(
+      `BridgeSwapStrategy ${proxy} does not match deployments/${deployment.network}.json:\n${lines.join("\n")}`
+    );
+  }
+  return proxy;
+}
+
+module.exports = {
+  REGISTRY_VERSION,
+  DEPLOYMENTS_DIR,
+  INITIALIZE_PARAMS,
+  hasDeployment,
+  loadDeployment,
+  saveDeployment,
+  getStrategyAddress,
+  initializeArgs,
+  recordStrategyDeployment,
+  recordStrategyUpgrade,
+  readStrategyParameters,
+  checkStrategyConsistency,
+  assertStrategyConsistency,
+};
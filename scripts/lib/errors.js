@@ -0,0 +1,295 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { ROLE_NAMES } = require("./strategyActions");
+
+// Revert decoding shared by the CLI and the standalone scripts.
+//
+// Custom errors come from the compiled BridgeSwapStrategy and archived relayer
+// artifacts, plus the OpenZeppelin errors they can bubble up from tokens and
+// base contracts. Error(string) reasons from the Uniswap/PancakeSwap routers
+// and pools and from the Wormhole contracts are matched against known
+// messages, and Panic(uint256) codes are named. Every decoded revert carries
+// an operator hint when there is something to do about it.
+
+const ARTIFACTS_DIR = path.join(__dirname, "..", "..", "artifacts", "contracts");
+const ARTIFACTS = [
+  "BridgeSwapStrategy.sol/BridgeSwapStrategy.json",
+  "archive/MinimalWormholeRelayerV2.sol/MinimalWormholeRelayerV2.json",
+];
+
+// Not always in the artifacts' ABIs: raised by tokens and OpenZeppelin bases
+const LIBRARY_ERRORS = [
+  "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+  "error AccessControlBadConfirmation()",
+  "error EnforcedPause()",
+  "error ExpectedPause()",
+  "error InvalidInitialization()",
+  "error NotInitializing()",
+  "error SafeERC20FailedOperation(address token)",
+  "error OwnableUnauthorizedAccount(address account)",
+  "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+  "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+];
+
+const ERROR_SELECTOR = ethers.id("Error(string)").slice(0, 10);
+const PANIC_SELECTOR = ethers.id("Panic(uint256)").slice(0, 10);
+
+// Role ids are the keccak256 of the name, except OpenZeppelin's DEFAULT_ADMIN_ROLE
+const ROLE_NAMES_BY_ID = Object.fromEntries(
+  ROLE_NAMES.map((name) => [name === "DEFAULT_ADMIN_ROLE" ? ethers.ZeroHash : ethers.id(name), name])
+);
+
+const PANIC_CODES = {
+  0x01: "assertion failed",
+  0x11: "arithmetic underflow or overflow",
+  0x12: "division or modulo by zero",
+  0x21: "invalid enum value",
+  0x22: "invalid storage byte array",
+  0x31: "pop on an empty array",
+  0x32: "array index out of bounds",
+  0x41: "out of memory",
+  0x51: "call to an uninitialized function",
+};
+
+const shortage = (needed, available) => `needs ${needed}, has ${available}`;
+
+const ERROR_HINTS = {
+  InsufficientBalance: (a) => {
+    const requested = a.requested !== undefined ? a.requested : a.required;
+    return `The contract's balance is short (${shortage(requested, a.available)}); lower the amount or deposit first`;
+  },
+  InsufficientBalanceToken: (a) =>
+    `The strategy's ${a.token} balance is short (${shortage(
+      a.required,
+      a.available
+    )}); lower the amount or deposit first`,
+  InsufficientOutput: () => "The swap returned less than the minimum; re-quote and lower --min-out",
+  InvalidAmount: () => "The amount must be greater than zero",
+  EmptyPath: () => "The swap path needs at least two tokens",
+  InvalidPath: () => "The swap path is malformed; it must be token, fee, token[, fee, token...]",
+  PathNotAllowed: () => "Path validation is on and this path is not allowed; run `bss paths allow` or `bss paths sync`",
+  ApprovalFailed: (a) =>
+    `${a.token} rejected the approval of ${a.spender}; check the token is not paused or blocklisted`,
+  Unauthorized: () => "The signer lacks the role this call needs; check it with `bss roles`",
+  AccessControlUnauthorizedAccount: (a) => {
+    const role = ROLE_NAMES_BY_ID[a.neededRole] || a.neededRole;
+    return `Grant ${role} to ${a.account}: \`bss roles grant --role ${role} --account ${a.account}\` from a DEFAULT_ADMIN_ROLE signer`;
+  },
+  OwnableUnauthorizedAccount: (a) => `Only the owner can call this; ${a.account} is not the owner`,
+  EnforcedPause: () => "The strategy is paused; an ADMIN can resume it with `bss pause off`",
+  ExpectedPause: () => "The strategy is not paused",
+  InvalidInitialization: () => "The proxy is already initialized",
+  SafeERC20FailedOperation: (a) => `A transfer or approval of ${a.token} failed; check balances and allowances`,
+  ERC20InsufficientBalance: (a) => `${a.sender} holds too little of the token (${shortage(a.needed, a.balance)})`,
+  ERC20InsufficientAllowance: (a) => `${a.spender} is not approved for enough (${shortage(a.needed, a.allowance)})`,
+  InvalidRouterAddress: () => "The router address must not be zero",
+  InvalidSolanaAggregatorAddress: () => "The Solana aggregator address must not be zero",
+  InvalidUnderlyingTokenAddress: () => "The underlying token address must not be zero",
+  PancakeSwapV3SwapFailed: () => "The PancakeSwap router call failed without a reason; check the pool and path",
+};
+
+// Revert strings of the Uniswap V3 / PancakeSwap V3 routers and pools and the Wormhole contracts
+const REASON_HINTS = {
+  "Too little received": "The swap returned less than amountOutMinimum; re-quote and lower --min-out",
+  "Too much requested": "The swap needed more input than amountInMaximum",
+  "Transaction too old": "The swap deadline passed before the transaction was mined; send it again",
+  STF: "The router could not pull the input token; the strategy's approval or balance is short",
+  ST: "The router could not send the output token",
+  SPL: "sqrtPriceLimitX96 is on the wrong side of the pool price; pass 0 for no limit",
+  AS: "The swap amount is zero",
+  LOK: "The pool is locked by a reentrant call",
+  IIA: "The pool received less input than expected; fee-on-transfer tokens are not supported",
+  "invalid fee": "msg.value must equal the Wormhole message fee; check it with `bss fee`",
+  "transfer already completed": "This VAA has already been redeemed",
+  "invalid emitter": "The VAA's emitter is not a Token Bridge registered on this chain",
+  "invalid target chain": "The VAA transfers to a different chain",
+  "invalid sender": "A transfer with payload can only be redeemed by its recipient; redeem through the strategy",
+};
+
+let libraryInterface = null;
+let missingArtifacts = [];
+
+// Errors from the artifacts that exist plus the library errors, each signature once
+function knownErrors() {
+  if (libraryInterface) return libraryInterface;
+  const fragments = new Map(LIBRARY_ERRORS.map((e) => [ethers.ErrorFragment.from(e).format("sighash"), e]));
+  missingArtifacts = [];
+  for (const artifact of ARTIFACTS) {
+    const file = path.join(ARTIFACTS_DIR, artifact);
+    if (!fs.existsSync(file)) {
+      missingArtifacts.push(artifact);
+      continue;
+    }
+    for (const fragment of JSON.parse(fs.readFileSync(file, "utf8")).abi) {
+      if (fragment.type !== "error") continue;
+      const error = ethers.ErrorFragment.from(fragment);
+      fragments.set(error.format("sighash"), error.format("full"));
+    }
+  }
+  libraryInterface = new ethers.Interface([...fragments.values()]);
+  return libraryInterface;
+}
+
+/**
+ * Finds revert data on an ethers or provider error, however deeply the
+ * provider nested it.
+ * @returns {string|undefined} 0x-prefixed data
+ */
+function revertData(error, depth = 0) {
+  if (!error || depth > 4) return undefined;
+  if (typeof error === "string") return ethers.isHexString(error) ? error : undefined;
+  if (typeof error !== "object") return undefined;
+  for (const key of ["data", "error", "info", "cause"]) {
+    const found = revertData(error[key], depth + 1);
+    if (found !== undefined) return found;
+  }
+  return undefined;
+}
+
+// Reason text from messages such as "execution reverted: STF" when no data survived
+function reasonFromMessage(message = "") {
+  const match =
+    /reverted with reason string '([^']*)'/.exec(message) ||
+    /execution reverted: ([^"\n(]+?)\s*(?:\(|"|$)/.exec(message);
+  return match ? match[1] : null;
+}
+
+function formatArgs(args) {
+  return Object.entries(args)
+    .map(([key, value]) => `${key}: ${value}`)
+    .join(", ");
+}
+
+function reasonError(reason, data) {
+  return {
+    kind: "reason",
+    name: "Error",
+    signature: "Error(string)",
+    args: { reason },
+    data,
+    message: `Error(reason: ${JSON.stringify(reason)})`,
+    hint: REASON_HINTS[reason] || null,
+  };
+}
+
+function customError(parsed, data) {
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    args[input.name || `arg${i}`] = parsed.args[i];
+  });
+  const hint = ERROR_HINTS[parsed.name];
+  return {
+    kind: "custom",
+    name: parsed.name,
+    signature: parsed.signature,
+    args,
+    data,
+    message: `${parsed.name}(${formatArgs(args)})`,
+    hint: hint ? hint(args) : null,
+  };
+}
+
+/**
+ * Decodes revert data into a custom error, Error(string) or Panic(uint256).
+ * `interfaces` are tried before the known errors, so a contract's own ABI wins.
+ *
+ * @param {string} data 0x-prefixed revert data
+ * @param {{interfaces?: ethers.Interface[]}} [options]
+ * @returns {{kind: string, name: string|null, signature: string|null, args: object, data: string,
+ *   message: string, hint: string|null}}
+ */
+function decodeRevertData(data, { interfaces = [] } = {}) {
+  if (!data || data === "0x") {
+    return {
+      kind: "empty",
+      name: null,
+      signature: null,
+      args: {},
+      data: "0x",
+      message: "reverted without a reason",
+      hint: "The call reverted with no data: a require without a message, a failed low-level call or a missing contract",
+    };
+  }
+  const selector = ethers.dataSlice(data, 0, 4);
+  if (selector === ERROR_SELECTOR) {
+    return reasonError(ethers.AbiCoder.defaultAbiCoder().decode(["string"], ethers.dataSlice(data, 4))[0], data);
+  }
+  if (selector === PANIC_SELECTOR) {
+    const code = ethers.AbiCoder.defaultAbiCoder().decode(["uint256"], ethers.dataSlice(data, 4))[0];
+    const meaning = PANIC_CODES[Number(code)] || "unknown panic";
+    return {
+      kind: "panic",
+      name: "Panic",
+      signature: "Panic(uint256)",
+      args: { code },
+      data,
+      message: `Panic(0x${code.toString(16)}: ${meaning})`,
+      hint: null,
+    };
+  }
+  for (const iface of [...interfaces, knownErrors()]) {
+    try {
+      const parsed = iface.parseError(data);
+      if (parsed) return customError(parsed, data);
+    } catch (e) {
+      // Try the next interface
+    }
+  }
+  return {
+    kind: "unknown",
+    name: null,
+    signature: null,
+    args: {},
+    data,
+    message: `unknown error ${selector}`,
+    hint: missingArtifacts.length
+      ? "Run `npx hardhat compile` so the contract artifacts can decode it"
+      : "The selector matches no BridgeSwapStrategy, relayer or OpenZeppelin error",
+  };
+}
+
+/**
+ * Decodes whatever revert an error carries. Returns null for errors that are
+ * not reverts (network failures, bad arguments), except insufficient funds,
+ * which get a hint of their own.
+ */
+function decodeError(error, options = {}) {
+  if (!error) return null;
+  const data = revertData(error);
+  if (data !== undefined && data !== "0x") return decodeRevertData(data, options);
+
+  const reason = error.reason || reasonFromMessage(error.message);
+  if (reason) return reasonError(reason, data);
+  if (error.code === "INSUFFICIENT_FUNDS" || /insufficient funds/i.test(error.message || "")) {
+    return {
+      kind: "funds",
+      name: null,
+      signature: null,
+      args: {},
+      data: undefined,
+      message: "insufficient funds for gas and value",
+      hint: "Top up the signer's native balance; bridge-outs also pay the Wormhole message fee",
+    };
+  }
+  if (error.code === "CALL_EXCEPTION" || data === "0x") return decodeRevertData("0x");
+  return null;
+}
+
+/**
+ * One-line description of an error: the decoded revert and its hint, or the
+ * error's own message when it is not a revert.
+ */
+function formatError(error, options = {}) {
+  const decoded = decodeError(error, options);
+  if (!decoded) return (error && (error.shortMessage || error.message)) || String(error);
+  return decoded.hint ? `${decoded.message}. ${decoded.hint}` : decoded.message;
+}
+
+module.exports = {
+  ROLE_NAMES_BY_ID,
+  revertData,
+  decodeRevertData,
+  decodeError,
+  formatError,
+};
@@ -0,0 +1,171 @@
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const { ethers } = require("ethers");
+
+// Pinned fork state: the account balances, nonces, code and storage slots a
+// forked Hardhat run read from its upstream node, saved as JSON so the same
+// run can later be replayed on a plain Hardhat network without network access.
+//
+//   {
+//     "network": "ethereum",
+//     "chainId": 1,
+//     "blockNumber": 21000000,
+//     "timestamp": 1729338359,
+//     "accounts": { "0x...": { balance?, nonce?, code?, storage?: { "0x<slot>": "0x<32 bytes>" } } }
+//   }
+//
+// Recording goes through a local JSON-RPC proxy (`StateRecorder`) placed
+// between Hardhat's fork and the upstream node. Values equal to a fresh
+// account's (zero balance and nonce, no code, zero slots) are left out, since
+// replaying onto a fresh chain gives them anyway.
+
+const STATE_FIELDS = {
+  eth_getBalance: "balance",
+  eth_getTransactionCount: "nonce",
+  eth_getCode: "code",
+  eth_getStorageAt: "storage",
+};
+
+class StateRecorder {
+  /**
+   * @param {string} upstreamUrl JSON-RPC endpoint of the network being forked
+   */
+  constructor(upstreamUrl) {
+    if (!upstreamUrl) throw new Error("StateRecorder needs an upstream RPC URL");
+    this.upstreamUrl = upstreamUrl;
+    this.accounts = new Map();
+    this.server = null;
+  }
+
+  /**
+   * Starts the proxy on a free local port.
+   * @returns {Promise<string>} URL to fork from
+   */
+  async start() {
+    this.server = http.createServer((request, response) => {
+      const chunks = [];
+      request.on("data", (chunk) => chunks.push(chunk));
+      request.on("end", () => {
+        this.forward(Buffer.concat(chunks).toString("utf8"))
+          .then((body) => {
+            response.writeHead(200, { "content-type": "application/json" });
+            response.end(body);
+          })
+          .catch((error) => {
+            response.writeHead(502, { "content-type": "text/plain" });
+            response.end(error.message);
+          });
+      });
+    });
+    await new Promise((resolve) => this.server.listen(0, "127.0.0.1", resolve));
+    return `http://127.0.0.1:${this.server.address().port}`;
+  }
+
+  async stop() {
+    if (!this.server) return;
+    await new Promise((resolve) => this.server.close(resolve));
+    this.server = null;
+  }
+
+  async forward(body) {
+    const upstream = await fetch(this.upstreamUrl, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body,
+    });
+    const text = await upstream.text();
+    if (!upstream.ok) throw new Error(`Upstream returned ${upstream.status}: ${text.slice(0, 200)}`);
+
+    const requests = [].concat(JSON.parse(body));
+    const responses = [].concat(JSON.parse(text));
+    const byId = new Map(responses.map((r) => [r.id, r]));
+    for (const req of requests) {
+      const res = byId.get(req.id);
+      if (res && res.result !== undefined) this.record(req.method, req.params, res.result);
+    }
+    return text;
+  }
+
+  record(method, params, result) {
+    const field = STATE_FIELDS[method];
+    if (!field) return;
+    const address = ethers.getAddress(params[0]);
+    if (!this.accounts.has(address)) this.accounts.set(address, { storage: {} });
+    const account = this.accounts.get(address);
+    if (field === "storage") {
+      account.storage[ethers.toBeHex(BigInt(params[1]), 32)] = ethers.toBeHex(BigInt(result), 32);
+    } else {
+      account[field] = result;
+    }
+  }
+
+  /**
+   * Builds the state file contents from everything read so far.
+   * @param {{network: string, chainId: number, blockNumber: number, timestamp: number, exclude?: string[]}} meta
+   *   `exclude` lists addresses whose upstream state must not be replayed (the local signers)
+   */
+  snapshot({ network, chainId, blockNumber, timestamp, exclude = [] }) {
+    const excluded = new Set(exclude.map((a) => ethers.getAddress(a)));
+    const accounts = {};
+    for (const address of [...this.accounts.keys()].sort()) {
+      if (excluded.has(address)) continue;
+      const recorded = this.accounts.get(address);
+      const account = {};
+      if (recorded.balance && BigInt(recorded.balance) !== 0n) account.balance = ethers.toQuantity(recorded.balance);
+      if (recorded.nonce && BigInt(recorded.nonce) !== 0n) account.nonce = ethers.toQuantity(recorded.nonce);
+      if (recorded.code && recorded.code !== "0x") account.code = recorded.code;
+      const slots = Object.keys(recorded.storage)
+        .filter((slot) => BigInt(recorded.storage[slot]) !== 0n)
+        .sort();
+      if (slots.length) account.storage = Object.fromEntries(slots.map((slot) => [slot, recorded.storage[slot]]));
+      if (Object.keys(account).length) accounts[address] = account;
+    }
+    return { network, chainId, blockNumber, timestamp, accounts };
+  }
+}
+
+/**
+ * Writes the recorded state to the local chain with Hardhat's `hardhat_set*`
+ * methods.
+ * @param {{send: Function}} provider Provider of an in-process Hardhat network
+ * @param {object} state Contents of a state file
+ * @returns {Promise<number>} Number of accounts written
+ */
+async function loadForkState(provider, state) {
+  const entries = Object.entries(state.accounts);
+  for (const [address, account] of entries) {
+    if (account.balance) await provider.send("hardhat_setBalance", [address, account.balance]);
+    if (account.nonce) await provider.send("hardhat_setNonce", [address, account.nonce]);
+    if (account.code) await provider.send("hardhat_setCode", [address, account.code]);
+    for (const [slot, value] of Object.entries(account.storage || {})) {
+      await provider.send("hardhat_setStorageAt", [address, ethers.toQuantity(slot), value]);
+    }
+  }
+  return entries.length;
+}
+
+/**
+ * Reads a state file, or returns null when it does not exist.
+ * @param {string} file
+ */
+function readForkState(file) {
+  if (!fs.existsSync(file)) return null;
+  const state = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!state.accounts || !Number.isInteger(state.blockNumber)) {
+    throw new Error(`${file} is not a fork state file: expected blockNumber and accounts`);
+  }
+  return state;
+}
+
+function writeForkState(file, state) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(state, null, 2) + "\n");
+}
+
+module.exports = {
+  StateRecorder,
+  loadForkState,
+  readForkState,
+  writeForkState,
+};
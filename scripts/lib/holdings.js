@@ -0,0 +1,211 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { DEXES } = require("./catalog");
+const { LEDGER_DIR, saveJson } = require("./jsonStore");
+const actions = require("./strategyActions");
+const { markPath } = require("./pnl");
+const { quoterFor } = require("./quotes");
+const { formatError } = require("./errors");
+
+// Holdings snapshots: the strategy's balance of every catalog token on its
+// chain at one block, each valued in the underlying token, and their total
+// (the NAV).
+//
+// A holding is valued by quoting its whole balance into the underlying along
+// a catalog route or pool (the paths `bss report` marks with) on the first DEX
+// with a quoter, so the value is what selling it would fetch, price impact
+// included. A holding that cannot be quoted is recorded without a value and
+// left out of the NAV. A snapshot at a past block reads balances and quotes at
+// that block, which needs an archive node.
+//
+// Snapshots are kept in block order, one file per network:
+//
+//   ledger/holdings-<network>.json
+//   {
+//     "version": 1, "network", "chainId", "strategy",
+//     "snapshots": [{ blockNumber, timestamp, underlying: { symbol, address, decimals }, nav,
+//                     holdings: [{ symbol, address, decimals, balance, value, dex, error }] }]
+//   }
+//
+// Amounts are decimal strings in base units; only non-zero balances are kept.
+// A new snapshot at a block already recorded replaces it.
+
+const HISTORY_VERSION = 1;
+const BPS = 10000n;
+
+function defaultHistoryPath(network) {
+  return path.join(LEDGER_DIR, `holdings-${network}.json`);
+}
+
+function createHistory({ network, chainId, strategy }) {
+  return {
+    version: HISTORY_VERSION,
+    network,
+    chainId: Number(chainId),
+    strategy: ethers.getAddress(strategy),
+    snapshots: [],
+  };
+}
+
+/**
+ * Loads the snapshot history, or starts a new one if the file does not exist.
+ * Refuses a file written for another strategy or chain.
+ */
+function openHistory(file, identity) {
+  if (!fs.existsSync(file)) return createHistory(identity);
+
+  const history = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (history.version !== HISTORY_VERSION) {
+    throw new Error(`${file}: unsupported holdings history version ${history.version} (expected ${HISTORY_VERSION})`);
+  }
+  const strategy = ethers.getAddress(identity.strategy);
+  if (history.chainId !== Number(identity.chainId) || history.strategy !== strategy) {
+    throw new Error(
+      `${file} is for strategy ${history.strategy} on chain ${history.chainId}, not ${strategy} on chain ${identity.chainId}. ` +
+        "Pass --store to use another file."
+    );
+  }
+  return history;
+}
+
+function saveHistory(history, file) {
+  saveJson(history, file);
+}
+
+/**
+ * Quotes `amount` of a catalog token into the underlying on the first DEX
+ * with a quoter and a catalog path between the two.
+ * @returns {Promise<{amountOut: bigint, dex: string}>}
+ */
+async function quoteInUnderlying(
+  chainCatalog,
+  symbol,
+  underlying,
+  amount,
+  { runner, contracts, dexes = DEXES, blockTag }
+) {
+  const failures = [];
+  for (const dex of dexes) {
+    const quoter = quoterFor(contracts, dex);
+    const path = quoter && markPath(chainCatalog, symbol, underlying, dex);
+    if (!path) continue;
+    try {
+      return { amountOut: await actions.quote(quoter, runner, path, amount, { blockTag }), dex };
+    } catch (error) {
+      failures.push(`${dex}: ${formatError(error)}`);
+    }
+  }
+  throw new Error(
+    `Cannot value ${symbol} in ${underlying}: ` +
+      (failures.length ? failures.join("; ") : "no catalog route or pool on a DEX with a quoter")
+  );
+}
+
+/**
+ * Reads the strategy's balance of every catalog token at `blockNumber` and
+ * values each in the underlying.
+ * @param {{strategy: string, underlying: string, blockNumber: number, runner: object, contracts?: object,
+ *   dexes?: string[]}} options `underlying` is the underlying token's catalog symbol
+ */
+async function takeSnapshot(chainCatalog, { strategy, underlying, blockNumber, runner, contracts, dexes = DEXES }) {
+  const base = chainCatalog.tokens[underlying];
+  if (!base) throw new Error(`The underlying token ${underlying} is not in the catalog`);
+  const blockTag = blockNumber;
+  const block = await runner.provider.getBlock(blockTag);
+
+  let nav = 0n;
+  const holdings = [];
+  for (const { symbol, address, decimals } of Object.values(chainCatalog.tokens)) {
+    const balance = await actions.erc20(address, runner).balanceOf(strategy, { blockTag });
+    if (balance === 0n) continue;
+    const holding = { symbol, address, decimals, balance: balance.toString(), value: null };
+    if (symbol === underlying) {
+      holding.value = holding.balance;
+    } else {
+      try {
+        const { amountOut, dex } = await quoteInUnderlying(chainCatalog, symbol, underlying, balance, {
+          runner,
+          contracts,
+          dexes,
+          blockTag,
+        });
+        holding.value = amountOut.toString();
+        holding.dex = dex;
+      } catch (error) {
+        holding.error = error.message;
+      }
+    }
+    if (holding.value !== null) nav += BigInt(holding.value);
+    holdings.push(holding);
+  }
+  return {
+    blockNumber,
+    timestamp: block.timestamp,
+    underlying: { symbol: underlying, address: base.address, decimals: base.decimals },
+    nav: nav.toString(),
+    holdings,
+  };
+}
+
+/**
+ * Adds a snapshot in block order, replacing one at the same block.
+ * @returns {object|undefined} The latest snapshot before it
+ */
+function addSnapshot(history, snapshot) {
+  history.snapshots = history.snapshots.filter((s) => s.blockNumber !== snapshot.blockNumber);
+  history.snapshots.push(snapshot);
+  history.snapshots.sort((a, b) => a.blockNumber - b.blockNumber);
+  return previousSnapshot(history, snapshot.blockNumber);
+}
+
+/**
+ * The latest snapshot before `blockNumber`.
+ */
+function previousSnapshot(history, blockNumber) {
+  return history.snapshots.filter((s) => s.blockNumber < blockNumber).pop();
+}
+
+/**
+ * Change per token and in the NAV from one snapshot to a later one. A token
+ * missing from a snapshot had no balance then. Values are compared only when
+ * both snapshots value the token in the same underlying.
+ * @returns {{navChange: bigint|null, navChangeBps: number|null, tokens: {symbol: string, decimals: number,
+ *   balanceChange: bigint, valueChange: bigint|null}[]}}
+ */
+function compareSnapshots(before, after) {
+  const sameUnderlying = before.underlying.address === after.underlying.address;
+  const bySymbol = (snapshot) => new Map(snapshot.holdings.map((holding) => [holding.symbol, holding]));
+  const earlier = bySymbol(before);
+  const later = bySymbol(after);
+  const amount = (holding, key) => (holding ? (holding[key] === null ? null : BigInt(holding[key])) : 0n);
+
+  const tokens = [];
+  for (const symbol of new Set([...earlier.keys(), ...later.keys()])) {
+    const [from, to] = [earlier.get(symbol), later.get(symbol)];
+    const [valueFrom, valueTo] = [amount(from, "value"), amount(to, "value")];
+    tokens.push({
+      symbol,
+      decimals: (to || from).decimals,
+      balanceChange: amount(to, "balance") - amount(from, "balance"),
+      valueChange: sameUnderlying && valueFrom !== null && valueTo !== null ? valueTo - valueFrom : null,
+    });
+  }
+
+  const navBefore = BigInt(before.nav);
+  const navChange = sameUnderlying ? BigInt(after.nav) - navBefore : null;
+  const navChangeBps = navChange === null || navBefore === 0n ? null : Number((navChange * BPS) / navBefore);
+  return { navChange, navChangeBps, tokens };
+}
+
+module.exports = {
+  HISTORY_VERSION,
+  defaultHistoryPath,
+  openHistory,
+  saveHistory,
+  quoteInUnderlying,
+  takeSnapshot,
+  addSnapshot,
+  previousSnapshot,
+  compareSnapshots,
+};
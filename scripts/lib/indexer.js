@@ -0,0 +1,239 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { LEDGER_DIR, LOG_CHUNK_SIZE, saveJson } = require("./jsonStore");
+
+// Local ledger of BridgeSwapStrategy events, kept as one JSON file per network:
+//
+//   ledger/<network>.json
+//   {
+//     "version": 1,
+//     "network": "ethereum",
+//     "chainId": 1,
+//     "strategy": "0x...",
+//     "fromBlock": 123,
+//     "checkpoint": { number, hash } | null,
+//     "blocks": [{ number, hash }],
+//     "events": [{ blockNumber, blockHash, transactionHash, logIndex, event, args }]
+//   }
+//
+// `checkpoint` is the last block fully indexed. `blocks` keeps the hashes of
+// recently indexed blocks (the checkpoints and every block with an event) so
+// a reorg can be rolled back to the newest block that is still canonical.
+// Event arguments are stored as JSON, with integers as decimal strings.
+
+const STORE_VERSION = 1;
+const REORG_DEPTH = 64;
+
+// Events that move tokens in or out of the strategy
+const LEDGER_EVENTS = ["Deposited", "BridgedOut", "BridgedIn", "Swapped", "PancakeSwapped", "Withdrawn"];
+// Configuration and access changes, kept for the audit trail
+const CONFIG_EVENTS = [
+  "Initialized",
+  "UnderlyingTokenUpdated",
+  "PathAllowed",
+  "PathDisallowed",
+  "PathValidationToggled",
+  "UniswapRouterUpdated",
+  "PancakeRouterUpdated",
+  "SolanaAggregatorAddressUpdated",
+  "Paused",
+  "Unpaused",
+  "RoleGranted",
+  "RoleRevoked",
+];
+
+function defaultStorePath(network) {
+  return path.join(LEDGER_DIR, `${network}.json`);
+}
+
+function createStore({ network, chainId, strategy, fromBlock = 0 }) {
+  return {
+    version: STORE_VERSION,
+    network,
+    chainId: Number(chainId),
+    strategy: ethers.getAddress(strategy),
+    fromBlock,
+    checkpoint: null,
+    blocks: [],
+    events: [],
+  };
+}
+
+/**
+ * Loads the ledger at `file`, or starts an empty one. An existing ledger must
+ * be for the same chain and strategy.
+ * @param {{network: string, chainId: number|bigint, strategy: string, fromBlock?: number}} identity
+ */
+function openStore(file, identity) {
+  if (!fs.existsSync(file)) return createStore(identity);
+
+  const store = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (store.version !== STORE_VERSION) {
+    throw new Error(`${file}: unsupported ledger version ${store.version} (expected ${STORE_VERSION})`);
+  }
+  const strategy = ethers.getAddress(identity.strategy);
+  if (store.chainId !== Number(identity.chainId) || store.strategy !== strategy) {
+    throw new Error(
+      `${file} is for strategy ${store.strategy} on chain ${store.chainId}, not ${strategy} on chain ${identity.chainId}. ` +
+        "Pass --reset to re-index or --store to use another file."
+    );
+  }
+  return store;
+}
+
+// Atomic, so a sync interrupted between chunks keeps the last checkpoint
+function saveStore(store, file) {
+  saveJson(store, file);
+}
+
+function indexedTopics(contractInterface) {
+  const names = new Set([...LEDGER_EVENTS, ...CONFIG_EVENTS]);
+  const topics = [];
+  contractInterface.forEachEvent((fragment) => {
+    if (names.has(fragment.name)) topics.push(fragment.topicHash);
+  });
+  return topics;
+}
+
+function serializeValue(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return value.map(serializeValue);
+  return value;
+}
+
+function serializeLog(contractInterface, log) {
+  const parsed = contractInterface.parseLog(log);
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    args[input.name] = serializeValue(parsed.args[i]);
+  });
+  return {
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash,
+    logIndex: log.index,
+    event: parsed.name,
+    args,
+  };
+}
+
+function trackBlock(store, block, reorgDepth) {
+  if (!store.blocks.some((b) => b.number === block.number)) {
+    store.blocks.push({ number: block.number, hash: block.hash });
+    store.blocks.sort((a, b) => a.number - b.number);
+  }
+  const oldest = block.number - reorgDepth;
+  store.blocks = store.blocks.filter((b) => b.number > oldest);
+}
+
+/**
+ * Compares the tracked blocks with the chain, newest first. If the checkpoint
+ * is no longer canonical, drops everything after the newest tracked block
+ * that still is and moves the checkpoint back to it.
+ * @returns {Promise<{toBlock: number, removed: number} | null>}
+ */
+async function rollbackReorg(store, provider) {
+  if (!store.checkpoint) return null;
+
+  for (let i = store.blocks.length - 1; i >= 0; i--) {
+    const tracked = store.blocks[i];
+    const block = await provider.getBlock(tracked.number);
+    if (!block || block.hash !== tracked.hash) continue;
+    if (tracked.number === store.checkpoint.number) return null;
+
+    const before = store.events.length;
+    store.events = store.events.filter((e) => e.blockNumber <= tracked.number);
+    store.blocks = store.blocks.slice(0, i + 1);
+    store.checkpoint = { number: tracked.number, hash: tracked.hash };
+    return { toBlock: tracked.number, removed: before - store.events.length };
+  }
+
+  const oldest = store.blocks.length > 0 ? store.blocks[0].number : store.checkpoint.number;
+  throw new Error(
+    `Chain reorganized below the oldest tracked block ${oldest}; re-index with --reset (and a --from-block before it)`
+  );
+}
+
+/**
+ * Rolls back any reorg, then indexes from the checkpoint up to `toBlock`
+ * (default: the head minus `confirmations`), saving progress per chunk
+ * through `onChunk`.
+ * @param {object} store Ledger from openStore
+ * @param {import("ethers").Contract} strategy BridgeSwapStrategy with a provider
+ * @returns {Promise<{fromBlock: number, toBlock: number, added: number, reorg: object | null}>}
+ */
+async function syncStore(
+  store,
+  strategy,
+  { toBlock, confirmations = 0, chunkSize = LOG_CHUNK_SIZE, reorgDepth = REORG_DEPTH, onChunk } = {}
+) {
+  const provider = strategy.runner.provider || strategy.runner;
+  const address = await strategy.getAddress();
+  const reorg = await rollbackReorg(store, provider);
+
+  const head = (await provider.getBlockNumber()) - confirmations;
+  const target = toBlock === undefined ? head : Math.min(toBlock, head);
+  const fromBlock = store.checkpoint ? store.checkpoint.number + 1 : store.fromBlock;
+  const topics = [indexedTopics(strategy.interface)];
+
+  let added = 0;
+  for (let start = fromBlock; start <= target; start += chunkSize) {
+    const end = Math.min(start + chunkSize - 1, target);
+    const logs = await provider.getLogs({ address, topics, fromBlock: start, toBlock: end });
+    for (const log of logs) {
+      store.events.push(serializeLog(strategy.interface, log));
+      trackBlock(store, { number: log.blockNumber, hash: log.blockHash }, reorgDepth);
+      added++;
+    }
+    const block = await provider.getBlock(end);
+    store.checkpoint = { number: end, hash: block.hash };
+    trackBlock(store, store.checkpoint, reorgDepth);
+    if (onChunk) await onChunk(store);
+  }
+  return { fromBlock, toBlock: target, added, reorg };
+}
+
+/**
+ * Token flows per token address, from the ledger events. A plain `bridgeIn`
+ * emits BridgedIn with no token or amount, so it has nothing to add.
+ * @returns {Record<string, {deposited: bigint, withdrawn: bigint, bridgedIn: bigint, bridgedOut: bigint,
+ *   swappedIn: bigint, swappedOut: bigint, net: bigint}>}
+ */
+function ledgerTotals(store) {
+  const totals = {};
+  const add = (token, field, amount) => {
+    const key = ethers.getAddress(token);
+    if (!totals[key]) {
+      totals[key] = { deposited: 0n, withdrawn: 0n, bridgedIn: 0n, bridgedOut: 0n, swappedIn: 0n, swappedOut: 0n, net: 0n };
+    }
+    totals[key][field] += BigInt(amount);
+    const sign = ["deposited", "bridgedIn", "swappedOut"].includes(field) ? 1n : -1n;
+    totals[key].net += sign * BigInt(amount);
+  };
+
+  for (const { event, args } of store.events) {
+    if (event === "Deposited") add(args.token, "deposited", args.amount);
+    if (event === "Withdrawn") add(args.token, "withdrawn", args.amount);
+    if (event === "BridgedIn" && args.token !== ethers.ZeroAddress) add(args.token, "bridgedIn", args.amount);
+    if (event === "BridgedOut") add(args.token, "bridgedOut", args.amount);
+    if (event === "Swapped" || event === "PancakeSwapped") {
+      add(args.tokenIn, "swappedIn", args.amountIn);
+      add(args.tokenOut, "swappedOut", args.amountOut);
+    }
+  }
+  return totals;
+}
+
+module.exports = {
+  STORE_VERSION,
+  LEDGER_EVENTS,
+  CONFIG_EVENTS,
+  defaultStorePath,
+  createStore,
+  openStore,
+  saveStore,
+  rollbackReorg,
+  syncStore,
+  ledgerTotals,
+};
@@ -0,0 +1,27 @@
+const fs = require("fs");
+const path = require("path");
+
+// Shared by the commands that keep local JSON state (the event ledger, TWAP
+// runs, holdings history, relayer cursors) and scan strategy events for it.
+
+const LEDGER_DIR = path.join(__dirname, "..", "..", "ledger");
+
+// Blocks per eth_getLogs request; most providers cap ranges around 10k
+const LOG_CHUNK_SIZE = 10000;
+
+/**
+ * Writes `data` as JSON through a temporary file so an interrupted write
+ * never leaves a truncated file behind.
+ */
+function saveJson(data, file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2) + "\n");
+  fs.renameSync(tmp, file);
+}
+
+module.exports = {
+  LEDGER_DIR,
+  LOG_CHUNK_SIZE,
+  saveJson,
+};
@@ -0,0 +1,136 @@
+const { findRoute, findToken } = require("./catalog");
+const { encodeRoutePath, decodePath, pathHash } = require("./v3Path");
+const actions = require("./strategyActions");
+const { LOG_CHUNK_SIZE } = require("./jsonStore");
+
+// Declarative sync of BridgeSwapStrategy's path allow-list with a chain catalog.
+//
+// The desired set is every catalog route, in both directions. The current set
+// is every path that ever appeared in a PathAllowed/PathDisallowed event (the
+// mapping itself cannot be enumerated), each checked against isPathAllowed.
+
+/**
+ * Encodes every catalog route (and its reverse) into the paths the strategy
+ * should allow.
+ * @returns {{name: string, path: string, pathHash: string}[]}
+ */
+function desiredPaths(chainCatalog, { reverse = true } = {}) {
+  const seen = new Set();
+  const desired = [];
+  for (const { name } of chainCatalog.routes) {
+    for (const reversed of reverse ? [false, true] : [false]) {
+      const route = findRoute(chainCatalog, name, { reverse: reversed });
+      const path = encodeRoutePath(chainCatalog, route.path, route.dex);
+      const hash = pathHash(path);
+      if (seen.has(hash)) continue;
+      seen.add(hash);
+      desired.push({ name: route.name, path, pathHash: hash });
+    }
+  }
+  return desired;
+}
+
+/**
+ * Collects every path named in PathAllowed/PathDisallowed events, scanning
+ * `chunkSize` blocks per getLogs call.
+ * @returns {Promise<Map<string, {path: string, event: string, blockNumber: number}>>} Latest event per path hash
+ */
+async function scanPathEvents(strategy, { fromBlock = 0, toBlock, chunkSize = LOG_CHUNK_SIZE } = {}) {
+  const provider = strategy.runner.provider;
+  const address = await strategy.getAddress();
+  const topics = [
+    [strategy.interface.getEvent("PathAllowed").topicHash, strategy.interface.getEvent("PathDisallowed").topicHash],
+  ];
+  const lastBlock = toBlock === undefined ? await provider.getBlockNumber() : toBlock;
+
+  const paths = new Map();
+  for (let start = fromBlock; start <= lastBlock; start += chunkSize) {
+    const end = Math.min(start + chunkSize - 1, lastBlock);
+    const logs = await provider.getLogs({ address, topics, fromBlock: start, toBlock: end });
+    for (const log of logs) {
+      const { name, args } = strategy.interface.parseLog(log);
+      paths.set(args.pathHash, { path: args.path, event: name, blockNumber: log.blockNumber });
+    }
+  }
+  return paths;
+}
+
+/**
+ * Reads whether each desired path, and each path seen in events, is allowed.
+ * @returns {Promise<{name?: string, path: string, pathHash: string, desired: boolean, allowed: boolean}[]>}
+ */
+async function readPathState(strategy, desired, scanOptions) {
+  const known = new Map(desired.map((entry) => [entry.pathHash, { ...entry, desired: true }]));
+  for (const [hash, { path }] of await scanPathEvents(strategy, scanOptions)) {
+    if (!known.has(hash)) known.set(hash, { path, pathHash: hash, desired: false });
+  }
+
+  const state = [];
+  for (const entry of known.values()) {
+    state.push({ ...entry, allowed: await strategy.isPathAllowed(entry.pathHash) });
+  }
+  return state;
+}
+
+/**
+ * Splits the path state into what has to change.
+ */
+function diffPaths(state) {
+  return {
+    toAllow: state.filter((entry) => entry.desired && !entry.allowed),
+    toDisallow: state.filter((entry) => !entry.desired && entry.allowed),
+    unchanged: state.filter((entry) => entry.desired === entry.allowed),
+  };
+}
+
+/**
+ * Human-readable hops of a path, using catalog symbols where known. allowPath
+ * accepts any non-empty bytes, so a path that does not decode is shown as hex.
+ */
+function describePath(path, chainCatalog) {
+  let decoded;
+  try {
+    decoded = decodePath(path);
+  } catch {
+    return path;
+  }
+  const { tokens, fees } = decoded;
+  const label = (address) => {
+    const token = findToken(chainCatalog, address);
+    return (token && token.symbol) || address;
+  };
+  return tokens.map((token, i) => (i < fees.length ? `${label(token)} -(${fees[i]})-> ` : label(token))).join("");
+}
+
+/**
+ * One line per change, prefixed with + (allow) or - (disallow).
+ */
+function formatPathDiff(diff, chainCatalog) {
+  const line = (sign, entry) => `  ${sign} ${entry.name || describePath(entry.path, chainCatalog)} ${entry.pathHash}`;
+  return [...diff.toAllow.map((entry) => line("+", entry)), ...diff.toDisallow.map((entry) => line("-", entry))];
+}
+
+/**
+ * Sends the allowPath calls, then the disallowPath calls, one transaction each.
+ * Allowing first means a route being replaced is never blocked in between.
+ */
+async function applyPathDiff(strategy, diff) {
+  const results = [];
+  for (const entry of diff.toAllow) {
+    results.push({ action: "allow", ...entry, ...(await actions.allowPath(strategy, entry.path)) });
+  }
+  for (const entry of diff.toDisallow) {
+    results.push({ action: "disallow", ...entry, ...(await actions.disallowPath(strategy, entry.path)) });
+  }
+  return results;
+}
+
+module.exports = {
+  desiredPaths,
+  scanPathEvents,
+  readPathState,
+  diffPaths,
+  describePath,
+  formatPathDiff,
+  applyPathDiff,
+};
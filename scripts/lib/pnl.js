@@ -0,0 +1,259 @@
+const { ethers } = require("ethers");
+const { findPool } = require("./catalog");
+const { encodeRoutePath } = require("./v3Path");
+
+// Position and PnL report over the swap events in the indexer ledger.
+//
+// Every amount is a bigint in the token's base units; cost basis, PnL and
+// flows are in the underlying token's base units. A swap from the underlying
+// into an asset is a buy, the reverse is a sell. An asset-to-asset swap moves
+// the cost basis of what was sold onto what was bought without realizing PnL.
+// Selling more than was bought through swaps (e.g. bridged-in inventory)
+// counts the excess at zero cost and reports it as `unmatched`.
+
+const METHODS = ["fifo", "average"];
+const FORMATS = ["table", "csv", "json"];
+
+const COLUMNS = [
+  { key: "symbol", header: "asset" },
+  { key: "method", header: "method" },
+  { key: "quantity", header: "quantity" },
+  { key: "costBasis", header: "cost_basis" },
+  { key: "averageCost", header: "avg_cost" },
+  { key: "markValue", header: "mark_value" },
+  { key: "realizedPnl", header: "realized_pnl" },
+  { key: "unrealizedPnl", header: "unrealized_pnl" },
+  { key: "netUnderlyingFlow", header: "net_underlying_flow" },
+  { key: "bought", header: "bought" },
+  { key: "sold", header: "sold" },
+  { key: "unmatched", header: "unmatched" },
+  { key: "token", header: "token" },
+];
+
+function newPosition() {
+  return {
+    quantity: 0n,
+    costBasis: 0n,
+    lots: [],
+    bought: 0n,
+    sold: 0n,
+    underlyingSpent: 0n,
+    underlyingReceived: 0n,
+    realizedPnl: 0n,
+    unmatched: 0n,
+  };
+}
+
+function acquire(position, quantity, cost) {
+  position.quantity += quantity;
+  position.costBasis += cost;
+  position.lots.push({ quantity, cost });
+}
+
+// Cost of the oldest lots first; a partly used lot keeps the rest of its cost
+function fifoCost(position, quantity) {
+  let cost = 0n;
+  let remaining = quantity;
+  while (remaining > 0n) {
+    const lot = position.lots[0];
+    if (lot.quantity <= remaining) {
+      cost += lot.cost;
+      remaining -= lot.quantity;
+      position.lots.shift();
+    } else {
+      const part = (lot.cost * remaining) / lot.quantity;
+      cost += part;
+      lot.quantity -= remaining;
+      lot.cost -= part;
+      remaining = 0n;
+    }
+  }
+  return cost;
+}
+
+// Takes `quantity` out of the position and returns the cost basis it carried.
+// Lots are only read by FIFO; average cost uses the running totals.
+function relieve(position, quantity, method) {
+  const matched = quantity > position.quantity ? position.quantity : quantity;
+  position.unmatched += quantity - matched;
+  let cost = 0n;
+  if (method === "fifo") cost = fifoCost(position, matched);
+  else if (matched > 0n) cost = (position.costBasis * matched) / position.quantity;
+  position.quantity -= matched;
+  position.costBasis -= cost;
+  return cost;
+}
+
+/**
+ * Replays the ledger's swaps into per-asset positions under one cost method.
+ * @param {{event: string, blockNumber: number, logIndex: number, args: object}[]} events
+ * @param {string} underlying Underlying token address (the unit of cost and PnL)
+ * @param {"fifo"|"average"} method
+ * @returns {Record<string, object>} Positions keyed by checksummed asset address
+ */
+function computePositions(events, underlying, method) {
+  if (!METHODS.includes(method)) {
+    throw new Error(`Unknown cost method "${method}". Expected one of: ${METHODS.join(", ")}`);
+  }
+  const base = ethers.getAddress(underlying);
+  const positions = {};
+  const position = (token) => (positions[token] = positions[token] || newPosition());
+
+  const swaps = events
+    .filter((e) => e.event === "Swapped" || e.event === "PancakeSwapped")
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+  for (const { args } of swaps) {
+    const tokenIn = ethers.getAddress(args.tokenIn);
+    const tokenOut = ethers.getAddress(args.tokenOut);
+    const amountIn = BigInt(args.amountIn);
+    const amountOut = BigInt(args.amountOut);
+    if (tokenIn === tokenOut) continue;
+
+    if (tokenIn === base) {
+      const bought = position(tokenOut);
+      bought.bought += amountOut;
+      bought.underlyingSpent += amountIn;
+      acquire(bought, amountOut, amountIn);
+    } else if (tokenOut === base) {
+      const sold = position(tokenIn);
+      sold.sold += amountIn;
+      sold.underlyingReceived += amountOut;
+      sold.realizedPnl += amountOut - relieve(sold, amountIn, method);
+    } else {
+      const sold = position(tokenIn);
+      sold.sold += amountIn;
+      const cost = relieve(sold, amountIn, method);
+      const bought = position(tokenOut);
+      bought.bought += amountOut;
+      acquire(bought, amountOut, cost);
+    }
+  }
+  return positions;
+}
+
+/**
+ * Finds a path on `dex` that sells `assetSymbol` for `underlyingSymbol`: a
+ * catalog route (either direction) or a direct pool.
+ * @returns {string | undefined} Encoded path
+ */
+function markPath(chainCatalog, assetSymbol, underlyingSymbol, dex = "uniswap-v3") {
+  for (const route of chainCatalog.routes.filter((r) => r.dex === dex)) {
+    const first = route.path[0];
+    const last = route.path[route.path.length - 1];
+    if (first === assetSymbol && last === underlyingSymbol) return encodeRoutePath(chainCatalog, route.path, dex);
+    if (first === underlyingSymbol && last === assetSymbol) {
+      return encodeRoutePath(chainCatalog, [...route.path].reverse(), dex);
+    }
+  }
+  try {
+    findPool(chainCatalog, dex, assetSymbol, underlyingSymbol);
+    return encodeRoutePath(chainCatalog, [assetSymbol, underlyingSymbol], dex);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Builds one row per asset and cost method.
+ * @param {object[]} events Ledger events
+ * @param {{underlying: {address: string, symbol: string, decimals: number},
+ *   tokens: Record<string, {symbol: string, decimals: number}>,
+ *   marks?: Record<string, bigint | null>, methods?: string[]}} options
+ *   `marks` is the underlying value of each asset's whole position, from the quoter
+ */
+function buildPnlReport(events, { underlying, tokens, marks = {}, methods = METHODS }) {
+  const rows = [];
+  for (const method of methods) {
+    const positions = computePositions(events, underlying.address, method);
+    for (const [token, p] of Object.entries(positions)) {
+      const { symbol, decimals } = tokens[token];
+      const markValue = p.quantity === 0n ? 0n : marks[token] === undefined ? null : marks[token];
+      rows.push({
+        token,
+        symbol,
+        decimals,
+        method,
+        quantity: p.quantity,
+        costBasis: p.costBasis,
+        // Underlying base units per one whole asset token
+        averageCost: p.quantity === 0n ? null : (p.costBasis * 10n ** BigInt(decimals)) / p.quantity,
+        markValue,
+        realizedPnl: p.realizedPnl,
+        unrealizedPnl: markValue === null ? null : markValue - p.costBasis,
+        netUnderlyingFlow: p.underlyingReceived - p.underlyingSpent,
+        bought: p.bought,
+        sold: p.sold,
+        unmatched: p.unmatched,
+      });
+    }
+  }
+  rows.sort((a, b) => a.symbol.localeCompare(b.symbol) || methods.indexOf(a.method) - methods.indexOf(b.method));
+  return { underlying, rows };
+}
+
+// Decimal strings for one row: asset quantities in the asset's decimals, the rest in the underlying's
+function formatRow(row, underlying) {
+  const asset = (v) => ethers.formatUnits(v, row.decimals);
+  const base = (v) => (v === null ? null : ethers.formatUnits(v, underlying.decimals));
+  return {
+    symbol: row.symbol,
+    method: row.method,
+    quantity: asset(row.quantity),
+    costBasis: base(row.costBasis),
+    averageCost: base(row.averageCost),
+    markValue: base(row.markValue),
+    realizedPnl: base(row.realizedPnl),
+    unrealizedPnl: base(row.unrealizedPnl),
+    netUnderlyingFlow: base(row.netUnderlyingFlow),
+    bought: asset(row.bought),
+    sold: asset(row.sold),
+    unmatched: asset(row.unmatched),
+    token: row.token,
+  };
+}
+
+function csvField(value) {
+  if (value === null) return "";
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Renders the report as an aligned table, CSV or JSON.
+ */
+function formatPnlReport(report, format = "table") {
+  const rows = report.rows.map((row) => formatRow(row, report.underlying));
+
+  if (format === "json") {
+    return JSON.stringify({ underlying: { ...report.underlying }, rows }, null, 2);
+  }
+  if (format === "csv") {
+    const lines = [COLUMNS.map((c) => c.header).join(",")];
+    for (const row of rows) lines.push(COLUMNS.map((c) => csvField(row[c.key])).join(","));
+    return lines.join("\n");
+  }
+  if (format !== "table") throw new Error(`Unknown format "${format}". Expected one of: ${FORMATS.join(", ")}`);
+
+  const cells = [
+    COLUMNS.map((c) => c.header),
+    ...rows.map((row) => COLUMNS.map((c) => (row[c.key] === null ? "n/a" : row[c.key]))),
+  ];
+  const widths = COLUMNS.map((_, i) => Math.max(...cells.map((line) => String(line[i]).length)));
+  const render = (line) => line.map((cell, i) => String(cell).padEnd(widths[i])).join("  ").trimEnd();
+  return [
+    `Amounts in ${report.underlying.symbol} unless noted; quantity, bought, sold and unmatched are in the asset`,
+    render(cells[0]),
+    render(widths.map((w) => "-".repeat(w))),
+    ...cells.slice(1).map(render),
+  ].join("\n");
+}
+
+module.exports = {
+  METHODS,
+  FORMATS,
+  computePositions,
+  markPath,
+  buildPnlReport,
+  formatPnlReport,
+};
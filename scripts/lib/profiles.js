@@ -0,0 +1,108 @@
+const fs = require("fs");
+const path = require("path");
+const { hasDeployment, loadDeployment } = require("./deployments");
+const { CATALOG_DIR, getChainCatalog } = require("./catalog");
+
+// Network profiles for the `bss` CLI, keyed by Hardhat network name.
+// Contract addresses, including the BridgeSwapStrategy proxy, come from
+// deployments/<network>.json; networks without a recorded strategy need an
+// explicit --strategy. Tokens, pools and routes come from catalog/<chainId>.json.
+const PROFILES = {
+  ethereum: {
+    name: "Ethereum Mainnet",
+    chainId: 1,
+    wormholeChainId: 2,
+    nativeSymbol: "ETH",
+  },
+  sepolia: {
+    name: "Sepolia Testnet",
+    chainId: 11155111,
+    wormholeChainId: 10002,
+    nativeSymbol: "ETH",
+    testnet: true,
+  },
+  bsc_main: {
+    name: "BSC Mainnet",
+    chainId: 56,
+    wormholeChainId: 4,
+    nativeSymbol: "BNB",
+  },
+  bsc_test: {
+    name: "BSC Testnet",
+    chainId: 97,
+    wormholeChainId: 4,
+    nativeSymbol: "BNB",
+    testnet: true,
+  },
+  hardhat: {
+    name: "Hardhat",
+    chainId: 1337,
+    wormholeChainId: 2,
+    nativeSymbol: "ETH",
+    local: true,
+  },
+  localhost: {
+    name: "Localhost",
+    wormholeChainId: 2,
+    nativeSymbol: "ETH",
+    local: true,
+  },
+};
+
+/**
+ * Resolves the profile for a network, applying command-line overrides.
+ * @param {string} network Hardhat network name
+ * @param {{strategy?: string, catalog?: string}} [overrides] `catalog` is a catalog directory
+ */
+function resolveProfile(network, overrides = {}) {
+  const profile = PROFILES[network];
+  if (!profile) {
+    throw new Error(
+      `Unknown network "${network}". Known profiles: ${Object.keys(PROFILES).join(", ")}`
+    );
+  }
+
+  const resolved = { network, ...profile };
+  if (hasDeployment(network)) {
+    const deployment = loadDeployment(network);
+    if (deployment.chainId !== profile.chainId) {
+      throw new Error(
+        `deployments/${network}.json is for chain ${deployment.chainId}, but the "${network}" profile expects ${profile.chainId}`
+      );
+    }
+    resolved.deployment = deployment;
+    resolved.contracts = deployment.contracts;
+    if (deployment.bridgeSwapStrategy) resolved.strategy = deployment.bridgeSwapStrategy.proxy;
+  }
+  if (overrides.strategy) resolved.strategy = overrides.strategy;
+  resolved.catalogDir = overrides.catalog ? path.resolve(overrides.catalog) : CATALOG_DIR;
+  return resolved;
+}
+
+/**
+ * Finds the network on the other end of a Wormhole transfer: the profile with
+ * that Wormhole chain id on the same side (mainnet or testnet) as `profile`.
+ * BSC mainnet and testnet share Wormhole id 4, so the side decides.
+ * @returns {string | undefined} Network name
+ */
+function peerNetwork(profile, wormholeChainId) {
+  return Object.keys(PROFILES).find((network) => {
+    const peer = PROFILES[network];
+    return peer.wormholeChainId === Number(wormholeChainId) && !peer.local && !!peer.testnet === !!profile.testnet;
+  });
+}
+
+/**
+ * Loads the token catalog for the connected chain, if there is one.
+ */
+function loadProfileCatalog(profile, chainId) {
+  if (!fs.existsSync(path.join(profile.catalogDir, `${Number(chainId)}.json`))) return undefined;
+  return getChainCatalog(chainId, { dir: profile.catalogDir });
+}
+
+module.exports = {
+  PROFILES,
+  resolveProfile,
+  peerNetwork,
+  loadProfileCatalog,
+};
@@ -0,0 +1,119 @@
+const { ethers } = require("ethers");
+const { quote } = require("./strategyActions");
+
+// Quote engine for strategy swaps: a fresh quote right before sending, the
+// amountOutMinimum it implies at a slippage in basis points, and a price
+// impact check that refuses swaps too large for the pools.
+//
+// Quotes come from the DEX's QuoterV2 (`contracts.quoter` for Uniswap,
+// `contracts.pancakeQuoter` for PancakeSwap in deployments/<network>.json);
+// both share the V1 Quoter's quoteExactInput(path, amountIn) signature.
+//
+// Price impact compares the quote's price with that of a reference trade of
+// 0.1% of the amount along the same path. Pool fees apply to both, so what is
+// left is the price the swap itself moves.
+//
+// Standalone scripts read SLIPPAGE_BPS and MAX_PRICE_IMPACT_BPS; the bss CLI
+// takes --slippage and --max-impact.
+
+const BPS = 10000n;
+const REFERENCE_DIVISOR = 1000n;
+const QUOTER_KEYS = { "uniswap-v3": "quoter", "pancakeswap-v3": "pancakeQuoter" };
+
+/**
+ * Parses a basis-point setting, 0 to 10000.
+ */
+function parseBps(value, name) {
+  const bps = Number(value);
+  if (!/^\d+$/.test(String(value).trim()) || bps > Number(BPS)) {
+    throw new Error(`${name} must be a whole number of basis points from 0 to 10000, got "${value}"`);
+  }
+  return bps;
+}
+
+const SLIPPAGE_BPS = parseBps(process.env.SLIPPAGE_BPS || "50", "SLIPPAGE_BPS");
+const MAX_PRICE_IMPACT_BPS = parseBps(process.env.MAX_PRICE_IMPACT_BPS || "100", "MAX_PRICE_IMPACT_BPS");
+
+/**
+ * The quoter for a DEX from a deployment's contracts, if one is configured.
+ */
+function quoterFor(contracts, dex) {
+  return (contracts && contracts[QUOTER_KEYS[dex]]) || undefined;
+}
+
+function minimumOut(amountOut, slippageBps) {
+  return (amountOut * (BPS - BigInt(slippageBps))) / BPS;
+}
+
+function formatBps(bps) {
+  return `${(bps / 100).toFixed(2)}%`;
+}
+
+/**
+ * Quotes `amountIn` along an encoded path and measures its price impact.
+ * `priceImpactBps` is null when the reference trade is too small to price.
+ * @returns {Promise<{amountIn: bigint, amountOut: bigint, referenceIn: bigint, referenceOut: bigint, priceImpactBps: number|null}>}
+ */
+async function quoteWithImpact(quoterAddress, runner, path, amountIn) {
+  const amountOut = await quote(quoterAddress, runner, path, amountIn);
+  const referenceIn = amountIn / REFERENCE_DIVISOR || 1n;
+  const referenceOut = await quote(quoterAddress, runner, path, referenceIn);
+
+  let priceImpactBps = null;
+  if (referenceOut > 0n) {
+    const ratio = (amountOut * referenceIn * BPS) / (referenceOut * amountIn);
+    priceImpactBps = ratio >= BPS ? 0 : Number(BPS - ratio);
+  }
+  return { amountIn, amountOut, referenceIn, referenceOut, priceImpactBps };
+}
+
+/**
+ * Quotes a swap and derives its amountOutMinimum. Throws, so nothing is sent,
+ * when the quote is zero or the price impact is over the limit.
+ * @param {{slippageBps?: number, maxPriceImpactBps?: number}} [options]
+ * @returns {Promise<object>} quoteWithImpact's result plus slippageBps and amountOutMinimum
+ */
+async function planSwap(
+  quoterAddress,
+  runner,
+  path,
+  amountIn,
+  { slippageBps = SLIPPAGE_BPS, maxPriceImpactBps = MAX_PRICE_IMPACT_BPS } = {}
+) {
+  const quoted = await quoteWithImpact(quoterAddress, runner, path, amountIn);
+  if (quoted.amountOut === 0n) {
+    throw new Error(`The quoter returns nothing for ${amountIn}; the path has no liquidity for this amount`);
+  }
+  if (quoted.priceImpactBps !== null && quoted.priceImpactBps > maxPriceImpactBps) {
+    throw new Error(
+      `Price impact of ${formatBps(quoted.priceImpactBps)} is over the ${formatBps(maxPriceImpactBps)} limit; ` +
+        "swap a smaller amount or raise the limit"
+    );
+  }
+  return { ...quoted, slippageBps, amountOutMinimum: minimumOut(quoted.amountOut, slippageBps) };
+}
+
+/**
+ * One line describing a plan, with amounts in the output token's units.
+ */
+function formatSwapPlan(plan, { decimals, symbol }) {
+  const amount = (value) => `${ethers.formatUnits(value, decimals)} ${symbol}`;
+  const impact = plan.priceImpactBps === null ? "unknown" : formatBps(plan.priceImpactBps);
+  return (
+    `Quote: ${amount(plan.amountOut)}, price impact ${impact}; ` +
+    `minimum out ${amount(plan.amountOutMinimum)} at ${formatBps(plan.slippageBps)} slippage`
+  );
+}
+
+module.exports = {
+  SLIPPAGE_BPS,
+  MAX_PRICE_IMPACT_BPS,
+  QUOTER_KEYS,
+  parseBps,
+  quoterFor,
+  minimumOut,
+  formatBps,
+  quoteWithImpact,
+  planSwap,
+  formatSwapPlan,
+};
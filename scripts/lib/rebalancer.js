@@ -0,0 +1,322 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { DEXES } = require("./catalog");
+const actions = require("./strategyActions");
+const { quoterFor, planSwap } = require("./quotes");
+const { findBestRoutes } = require("./routeFinder");
+const { quoteInUnderlying } = require("./holdings");
+const { formatError } = require("./errors");
+
+// Portfolio rebalancer: trades the strategy's holdings back to target weights.
+//
+// Targets live in one file per Hardhat network:
+//
+//   targets/<network>.json
+//   {
+//     "chainId": 1,
+//     "weights": { "USDC": 5000, "WETH": 2500, "WBTC": 2500 },
+//     "driftBps": 250,
+//     "minTradeValue": "100"
+//   }
+//
+// Weights are basis points of the portfolio's value and add up to 10000; only
+// the tokens they name are valued and traded. Holdings are the strategy's
+// balanceOf each token, priced in the underlying token by quoting one whole
+// token along a catalog route or pool (the same paths `bss report` marks
+// with); one that cannot be quoted, or is quoted at zero, is left unpriced
+// and untraded. A token whose weight is more than `driftBps` off target is
+// traded back to it through the underlying: overweight tokens are sold first,
+// then the proceeds buy the underweight ones. Trades worth less than
+// `minTradeValue` (in the underlying's units) are skipped. Each trade takes
+// the best route the route finder quotes among paths the strategy allows.
+
+const BPS = 10000n;
+const TARGETS_DIR = path.join(__dirname, "..", "..", "targets");
+const DEFAULT_DRIFT_BPS = 250;
+const PLAN_VERSION = 1;
+const UNDER_MINIMUM = "under the minimum trade value";
+// The strategy swaps PancakeSwap through its single-pool entry point only
+const MAX_HOPS = { "uniswap-v3": 2, "pancakeswap-v3": 1 };
+
+/**
+ * Validates a targets file against the chain's catalog. Collects every problem
+ * before throwing so a broken file can be fixed in one pass.
+ * @returns {{chainId: number, weights: Record<string, number>, driftBps: number, minTradeValue: string}}
+ */
+function validateTargets(raw, chainCatalog, source = "targets") {
+  const problems = [];
+  const weights = raw.weights || {};
+  const driftBps = raw.driftBps === undefined ? DEFAULT_DRIFT_BPS : raw.driftBps;
+  const minTradeValue = raw.minTradeValue === undefined ? "0" : raw.minTradeValue;
+
+  if (raw.chainId !== chainCatalog.chainId) {
+    problems.push(`chainId is ${raw.chainId}, but the catalog is for chain ${chainCatalog.chainId}`);
+  }
+  let total = 0;
+  for (const [symbol, weight] of Object.entries(weights)) {
+    if (!chainCatalog.tokens[symbol]) problems.push(`weights names unknown token ${symbol}`);
+    if (!Number.isInteger(weight) || weight < 0) {
+      problems.push(`weights.${symbol} must be a whole number of basis points`);
+    } else {
+      total += weight;
+    }
+  }
+  if (Object.keys(weights).length === 0) problems.push("weights must name at least one token");
+  else if (total !== Number(BPS)) problems.push(`weights add up to ${total} basis points, not ${BPS}`);
+  if (!Number.isInteger(driftBps) || driftBps < 0 || driftBps > Number(BPS)) {
+    problems.push("driftBps must be a whole number of basis points from 0 to 10000");
+  }
+  if (typeof minTradeValue !== "string" || !/^\d+(\.\d+)?$/.test(minTradeValue)) {
+    problems.push(`minTradeValue must be a decimal string, got ${JSON.stringify(minTradeValue)}`);
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid targets ${source}:\n${problems.map((p) => `  - ${p}`).join("\n")}`);
+  }
+  return { chainId: raw.chainId, weights, driftBps, minTradeValue };
+}
+
+/**
+ * Loads and validates targets/<network>.json, or `file` when given.
+ */
+function loadTargets(network, chainCatalog, { file, dir = TARGETS_DIR } = {}) {
+  const source = file || path.join(dir, `${network}.json`);
+  if (!fs.existsSync(source)) {
+    throw new Error(`No target weights for ${network} (expected ${source}; see targets/example.json)`);
+  }
+  return validateTargets(JSON.parse(fs.readFileSync(source, "utf8")), chainCatalog, source);
+}
+
+/**
+ * Reads the strategy's balance of each target token and values it in the
+ * underlying. Tokens the strategy does not hold are not priced. A token that
+ * cannot be quoted, or is quoted at zero (a pool with dust liquidity), is left
+ * unpriced with the reason in `error`.
+ * @param {{underlying: string, strategy: string, runner: object, contracts?: object, dexes?: string[]}} options
+ *   `underlying` is the underlying token's catalog symbol
+ * @returns {Promise<{symbol: string, address: string, decimals: number, balance: bigint, price: bigint|null,
+ *   value: bigint, error?: string}[]>} `price` is in underlying base units per whole token
+ */
+async function readHoldings(chainCatalog, targets, { underlying, strategy, runner, contracts, dexes = DEXES }) {
+  if (!chainCatalog.tokens[underlying]) throw new Error(`The underlying token ${underlying} is not in the catalog`);
+  const holdings = [];
+  for (const symbol of Object.keys(targets.weights)) {
+    const { address, decimals } = chainCatalog.tokens[symbol];
+    const balance = await actions.erc20(address, runner).balanceOf(strategy);
+    const unit = 10n ** BigInt(decimals);
+    const holding = { symbol, address, decimals, balance, price: null, value: 0n };
+    if (symbol === underlying) {
+      holding.price = unit;
+    } else if (balance > 0n) {
+      try {
+        const quote = await quoteInUnderlying(chainCatalog, symbol, underlying, unit, { runner, contracts, dexes });
+        if (quote.amountOut === 0n) holding.error = "quoted at zero";
+        else holding.price = quote.amountOut;
+      } catch (error) {
+        holding.error = error.message;
+      }
+    }
+    if (holding.price !== null) holding.value = (balance * holding.price) / unit;
+    holdings.push(holding);
+  }
+  return holdings;
+}
+
+/**
+ * Works out the trades that bring every token outside the drift band back to
+ * its target weight. Buys are scaled down if they would spend more of the
+ * underlying than the strategy holds plus what the sells bring in. A token
+ * held without a price is not traded and is listed as skipped, with the
+ * reason it could not be priced.
+ * @param {{underlying: {symbol: string, decimals: number}, driftBps?: number}} options
+ * @returns {{totalValue: bigint, driftBps: number, rows: object[], trades: object[], skipped: object[]}}
+ *   Each row adds weightBps, targetBps, targetValue and the signed driftBps to its holding; trades are
+ *   {side: "sell"|"buy", symbol, tokenIn, tokenOut, amountIn, value}, sells first and largest first; skipped
+ *   trades add a `reason`
+ */
+function planRebalance(holdings, targets, { underlying, driftBps = targets.driftBps }) {
+  const totalValue = holdings.reduce((sum, holding) => sum + holding.value, 0n);
+  if (totalValue === 0n) throw new Error("The strategy holds none of the target tokens");
+  const minTradeValue = ethers.parseUnits(targets.minTradeValue, underlying.decimals);
+
+  const rows = holdings.map((holding) => {
+    const targetBps = targets.weights[holding.symbol];
+    const weightBps = Number((holding.value * BPS) / totalValue);
+    return {
+      ...holding,
+      weightBps,
+      targetBps,
+      targetValue: (totalValue * BigInt(targetBps)) / BPS,
+      driftBps: weightBps - targetBps,
+    };
+  });
+
+  const sells = [];
+  const buys = [];
+  const skipped = [];
+  for (const row of rows) {
+    if (row.symbol === underlying.symbol) continue;
+    if (row.price === null && row.balance > 0n) {
+      const reason = row.error || "no price";
+      skipped.push({ symbol: row.symbol, tokenIn: row.symbol, amountIn: row.balance, value: 0n, reason });
+      continue;
+    }
+    if (Math.abs(row.driftBps) <= driftBps) continue;
+    if (row.value > row.targetValue) {
+      const value = row.value - row.targetValue;
+      const amount = (value * 10n ** BigInt(row.decimals)) / row.price;
+      const amountIn = row.targetBps === 0 || amount > row.balance ? row.balance : amount;
+      const trade = { side: "sell", symbol: row.symbol, tokenIn: row.symbol, tokenOut: underlying.symbol };
+      if (value < minTradeValue) skipped.push({ ...trade, amountIn, value, reason: UNDER_MINIMUM });
+      else sells.push({ ...trade, amountIn, value });
+    } else {
+      const value = row.targetValue - row.value;
+      const trade = { side: "buy", symbol: row.symbol, tokenIn: underlying.symbol, tokenOut: row.symbol };
+      if (value < minTradeValue) skipped.push({ ...trade, amountIn: value, value, reason: UNDER_MINIMUM });
+      else buys.push({ ...trade, amountIn: value, value });
+    }
+  }
+
+  const held = rows.find((row) => row.symbol === underlying.symbol);
+  const available = (held ? held.balance : 0n) + sells.reduce((sum, trade) => sum + trade.value, 0n);
+  const needed = buys.reduce((sum, trade) => sum + trade.amountIn, 0n);
+  if (needed > available) {
+    for (const trade of buys) trade.amountIn = (trade.amountIn * available) / needed;
+  }
+
+  const largestFirst = (a, b) => (b.value > a.value ? 1 : b.value < a.value ? -1 : 0);
+  const trades = [...sells.sort(largestFirst), ...buys.sort(largestFirst)];
+  return { totalValue, driftBps, rows, trades, skipped };
+}
+
+/**
+ * Picks each trade's best quoted route across the DEXes among paths the
+ * strategy allows. A trade without one is marked `blocked` and left out of
+ * execution.
+ */
+async function routeTrades(plan, chainCatalog, { runner, contracts, strategy, dexes = DEXES }) {
+  for (const trade of plan.trades) {
+    const { best } = await findBestRoutes(chainCatalog, {
+      tokenIn: trade.tokenIn,
+      tokenOut: trade.tokenOut,
+      amountIn: trade.amountIn,
+      runner,
+      contracts,
+      strategy,
+      dexes,
+      maxHops: MAX_HOPS,
+    });
+    const [route] = Object.values(best)
+      .filter(Boolean)
+      .sort((a, b) => (b.amountOut > a.amountOut ? 1 : b.amountOut < a.amountOut ? -1 : 0));
+    if (!route) {
+      trade.blocked = "no allowed route with a quote";
+      continue;
+    }
+    const { dex, symbols, tokens, fees } = route;
+    trade.route = { dex, symbols, tokens, fees, path: route.path, quoter: quoterFor(contracts, dex) };
+    trade.expectedOut = route.amountOut;
+  }
+  return plan;
+}
+
+// JSON.stringify replacer for bigints
+function serializeValue(key, value) {
+  return typeof value === "bigint" ? value.toString() : value;
+}
+
+/**
+ * Writes a plan for review and later execution, with who it was made for.
+ */
+function savePlan(plan, file, { network, chainId, strategy, blockNumber }) {
+  const saved = {
+    version: PLAN_VERSION,
+    network,
+    chainId: Number(chainId),
+    strategy: ethers.getAddress(strategy),
+    blockNumber,
+    ...plan,
+  };
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(saved, serializeValue, 2) + "\n");
+}
+
+/**
+ * Loads a saved plan. Refuses one made for another strategy or chain.
+ */
+function openPlan(file, identity) {
+  const plan = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (plan.version !== PLAN_VERSION) {
+    throw new Error(`${file}: unsupported plan version ${plan.version} (expected ${PLAN_VERSION})`);
+  }
+  const strategy = ethers.getAddress(identity.strategy);
+  if (plan.chainId !== Number(identity.chainId) || plan.strategy !== strategy) {
+    throw new Error(
+      `${file} is for strategy ${plan.strategy} on chain ${plan.chainId}, not ${strategy} on chain ${identity.chainId}`
+    );
+  }
+  return plan;
+}
+
+/**
+ * Sends a plan's routed trades in order, each with a fresh quote-derived
+ * minimum. A buy is cut down to the underlying the strategy holds when the
+ * sells brought in less than planned, unless `capToBalance` is off (when the
+ * transactions are only being proposed, the sells have not happened yet).
+ * Stops at the first failed trade.
+ * @param {{strategy: ethers.Contract, slippageBps?: number, maxPriceImpactBps?: number, capToBalance?: boolean,
+ *   log?: Function}} options
+ * @returns {Promise<{trade: object, amountIn: bigint, quote: object, result: object}[]>}
+ */
+async function executePlan(plan, { strategy, slippageBps, maxPriceImpactBps, capToBalance = true, log = () => {} }) {
+  const runner = strategy.runner;
+  const executed = [];
+  for (const [i, trade] of plan.trades.entries()) {
+    const label = `Step ${i + 1}/${plan.trades.length} (${trade.side} ${trade.symbol})`;
+    if (!trade.route) {
+      log(`${label}: skipped, ${trade.blocked}`);
+      continue;
+    }
+    let amountIn = BigInt(trade.amountIn);
+    if (capToBalance && trade.side === "buy") {
+      const available = await actions.erc20(trade.route.tokens[0], runner).balanceOf(await strategy.getAddress());
+      if (available < amountIn) {
+        log(`${label}: only ${available} of ${trade.tokenIn} left, buying with that`);
+        amountIn = available;
+      }
+    }
+    try {
+      const quote = await planSwap(trade.route.quoter, runner, trade.route.path, amountIn, {
+        slippageBps,
+        maxPriceImpactBps,
+      });
+      const result = await actions.swap(strategy, {
+        tokens: trade.route.tokens,
+        fees: trade.route.fees,
+        amountIn,
+        amountOutMinimum: quote.amountOutMinimum,
+        dex: trade.route.dex,
+      });
+      executed.push({ trade, amountIn, quote, result });
+      const outcome = result.proposal ? "proposed" : result.simulation ? "simulated" : `sent in ${result.hash}`;
+      log(`${label}: ${outcome}`);
+    } catch (error) {
+      throw new Error(`${label} failed: ${formatError(error)}`);
+    }
+  }
+  return executed;
+}
+
+module.exports = {
+  TARGETS_DIR,
+  DEFAULT_DRIFT_BPS,
+  validateTargets,
+  loadTargets,
+  readHoldings,
+  planRebalance,
+  routeTrades,
+  savePlan,
+  openPlan,
+  executePlan,
+};
@@ -0,0 +1,264 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { chainName } = require("./chains");
+const { parseVaa } = require("./vaa");
+const { PAYLOAD_ID, decodeTransferWithPayload, toWormholeAddress } = require("./tokenBridgePayload");
+const { LEDGER_DIR, saveJson } = require("./jsonStore");
+const actions = require("./strategyActions");
+const { formatError } = require("./errors");
+
+// Bridge-in relayer: redeems Token Bridge transfers addressed to the strategy.
+//
+// For each watched source chain the relayer walks the sequences of that
+// chain's token bridge emitter (as registered on the local token bridge) from
+// a persisted cursor. A VAA that is a transfer with payload to the strategy on
+// this chain is checked with `parseAndVerifyVM` as a call, skipped if
+// `isTransferCompleted` already says so, and otherwise redeemed through
+// `bridgeInFromSolana` (Solana) or `bridgeIn`. Anything else is stepped over.
+// The cursor stops at the first sequence without a signed VAA; the next pass
+// resumes there. Progress is saved after every sequence:
+//
+//   ledger/relayer-<network>.json
+//   {
+//     "version": 1, "network", "chainId", "strategy",
+//     "sources": { "<wormholeChainId>": { "emitter": "0x..", "nextSequence": "12" } },
+//     "transfers": [{ emitterChain, sequence, digest, amount, status, transactionHash, reason }]
+//   }
+//
+// `transfers` records every VAA addressed to the strategy, with status
+// "redeemed", "already-completed" or "rejected" (failed verification).
+
+const STATE_VERSION = 1;
+const DEFAULT_BATCH = 50;
+const BACKOFF = { initial: 5, max: 300 };
+
+const WORMHOLE_ABI = [
+  "function parseAndVerifyVM(bytes encodedVM) view returns (tuple(uint8 version, uint32 timestamp, uint32 nonce, uint16 emitterChainId, bytes32 emitterAddress, uint64 sequence, uint8 consistencyLevel, bytes payload, uint32 guardianSetIndex, tuple(bytes32 r, bytes32 s, uint8 v, uint8 guardianIndex)[] signatures, bytes32 hash) vm, bool valid, string reason)",
+];
+const TOKEN_BRIDGE_ABI = [
+  "function bridgeContracts(uint16 chainId) view returns (bytes32)",
+  "function isTransferCompleted(bytes32 hash) view returns (bool)",
+];
+
+function defaultStatePath(network) {
+  return path.join(LEDGER_DIR, `relayer-${network}.json`);
+}
+
+function createState({ network, chainId, strategy }) {
+  return {
+    version: STATE_VERSION,
+    network,
+    chainId: Number(chainId),
+    strategy: ethers.getAddress(strategy),
+    sources: {},
+    transfers: [],
+  };
+}
+
+/**
+ * Loads the relayer state, or starts a new one if the file does not exist.
+ * Refuses a file written for another strategy or chain.
+ */
+function openState(file, identity) {
+  if (!fs.existsSync(file)) return createState(identity);
+
+  const state = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (state.version !== STATE_VERSION) {
+    throw new Error(`${file}: unsupported relayer state version ${state.version} (expected ${STATE_VERSION})`);
+  }
+  const strategy = ethers.getAddress(identity.strategy);
+  if (state.chainId !== Number(identity.chainId) || state.strategy !== strategy) {
+    throw new Error(
+      `${file} is for strategy ${state.strategy} on chain ${state.chainId}, not ${strategy} on chain ${identity.chainId}. ` +
+        "Pass --store to use another file."
+    );
+  }
+  return state;
+}
+
+function saveState(state, file) {
+  saveJson(state, file);
+}
+
+/**
+ * Adds a source chain to watch, starting at `fromSequence`. An existing source
+ * keeps its cursor unless `fromSequence` is given.
+ */
+function watchSource(state, emitterChain, { emitter, fromSequence }) {
+  const key = String(Number(emitterChain));
+  const existing = state.sources[key];
+  if (existing && fromSequence === undefined) return existing;
+  if (fromSequence === undefined) {
+    throw new Error(`No cursor for ${chainName(emitterChain)} yet; pass the first sequence to watch`);
+  }
+  state.sources[key] = { emitter: toWormholeAddress(emitter), nextSequence: BigInt(fromSequence).toString() };
+  return state.sources[key];
+}
+
+/**
+ * Decides whether a VAA is a transfer the relayer should redeem.
+ * @returns {{transfer: object} | {skip: string}}
+ */
+function inspectVaa(vaa, { wormholeChainId, strategy }) {
+  if (vaa.payload.length === 0 || vaa.payload[0] !== PAYLOAD_ID.TRANSFER_WITH_PAYLOAD) {
+    return { skip: "not a transfer with payload" };
+  }
+  let transfer;
+  try {
+    transfer = decodeTransferWithPayload(vaa.payload, { emitterChain: vaa.emitterChain });
+  } catch (error) {
+    return { skip: error.message };
+  }
+  const to = transfer.to.address.toLowerCase();
+  if (transfer.to.chain !== Number(wormholeChainId) || to !== toWormholeAddress(strategy)) {
+    return { skip: `addressed to ${transfer.to.native || transfer.to.address} on ${transfer.to.chainName}` };
+  }
+  return { transfer };
+}
+
+/**
+ * Exponential backoff in seconds after `failures` consecutive failed passes.
+ */
+function backoffDelay(failures, { initial = BACKOFF.initial, max = BACKOFF.max } = {}) {
+  return Math.min(max, initial * 2 ** Math.max(0, failures - 1));
+}
+
+/**
+ * Handles one signed VAA from a watched source; throws on anything that
+ * should be retried (RPC errors, a reverted redemption).
+ */
+async function relayVaa(bytes, expected, { strategy, wormhole, tokenBridge, wormholeChainId, strategyAddress, log }) {
+  const vaa = parseVaa(bytes);
+  if (
+    vaa.emitterChain !== expected.emitterChain ||
+    vaa.emitterAddress.toLowerCase() !== expected.emitter ||
+    vaa.sequence !== expected.sequence
+  ) {
+    throw new Error(
+      `VAA source returned ${vaa.emitterChain}/${vaa.emitterAddress}/${vaa.sequence} ` +
+        `for ${expected.emitterChain}/${expected.emitter}/${expected.sequence}`
+    );
+  }
+  const { transfer, skip } = inspectVaa(vaa, { wormholeChainId, strategy: strategyAddress });
+  if (skip) return null;
+
+  const record = {
+    emitterChain: vaa.emitterChain,
+    sequence: vaa.sequence.toString(),
+    digest: vaa.digest,
+    amount: transfer.amount.toString(),
+  };
+  if (await tokenBridge.isTransferCompleted(vaa.digest)) {
+    log(`${chainName(vaa.emitterChain)} #${vaa.sequence}: already redeemed`);
+    return { ...record, status: "already-completed" };
+  }
+  const [, valid, reason] = await wormhole.parseAndVerifyVM(bytes);
+  if (!valid) {
+    log(`${chainName(vaa.emitterChain)} #${vaa.sequence}: rejected (${reason})`);
+    return { ...record, status: "rejected", reason };
+  }
+
+  const result = await actions.bridgeIn(strategy, bytes);
+  log(`${chainName(vaa.emitterChain)} #${vaa.sequence}: redeemed in ${result.hash}`);
+  return { ...record, status: "redeemed", transactionHash: result.hash };
+}
+
+/**
+ * Walks every watched source from its cursor until the first unsigned
+ * sequence (or `batch` sequences) and redeems what is addressed to the strategy.
+ * @param {object} state Relayer state, updated in place
+ * @param {{strategy: ethers.Contract, vaaSource: {getVaa: Function}, wormholeChainId: number,
+ *   batch?: number, onProgress?: Function, log?: Function}} options
+ * @returns {Promise<{scanned: number, relayed: object[]}>}
+ */
+async function relayPass(state, options) {
+  const { strategy, vaaSource, wormholeChainId, batch = DEFAULT_BATCH, onProgress = () => {}, log = () => {} } =
+    options;
+  const context = {
+    strategy,
+    wormhole: new ethers.Contract(await strategy.wormhole(), WORMHOLE_ABI, strategy.runner),
+    tokenBridge: new ethers.Contract(await strategy.tokenBridge(), TOKEN_BRIDGE_ABI, strategy.runner),
+    wormholeChainId,
+    strategyAddress: await strategy.getAddress(),
+    log,
+  };
+
+  let scanned = 0;
+  const relayed = [];
+  for (const [emitterChain, source] of Object.entries(state.sources)) {
+    for (let i = 0; i < batch; i++) {
+      const sequence = BigInt(source.nextSequence);
+      const bytes = await vaaSource.getVaa(Number(emitterChain), source.emitter, sequence);
+      if (!bytes) break;
+
+      const expected = { emitterChain: Number(emitterChain), emitter: source.emitter, sequence };
+      const record = await relayVaa(bytes, expected, context);
+      if (record) {
+        state.transfers.push(record);
+        relayed.push(record);
+      }
+      source.nextSequence = (sequence + 1n).toString();
+      scanned += 1;
+      onProgress(state);
+    }
+  }
+  return { scanned, relayed };
+}
+
+/**
+ * Reads the emitter each source chain's token bridge is registered with
+ * locally, which is the only emitter the local token bridge will redeem from.
+ */
+async function registeredEmitter(strategy, emitterChain) {
+  const tokenBridge = new ethers.Contract(await strategy.tokenBridge(), TOKEN_BRIDGE_ABI, strategy.runner);
+  const emitter = await tokenBridge.bridgeContracts(emitterChain);
+  if (emitter === ethers.ZeroHash) {
+    throw new Error(`No token bridge registered for ${chainName(emitterChain)} on the local token bridge`);
+  }
+  return emitter;
+}
+
+/**
+ * Runs passes until `shouldStop` says so. A failed pass is logged and retried
+ * after an exponential backoff; progress made before the failure is kept.
+ * @param {{interval?: number, backoff?: {initial: number, max: number}, sleep?: Function,
+ *   shouldStop?: Function}} options Seconds; `shouldStop(passes)` is checked after each pass
+ */
+async function runRelayer(state, options) {
+  const {
+    interval = 12,
+    backoff = BACKOFF,
+    sleep = (seconds) => new Promise((resolve) => setTimeout(resolve, seconds * 1000)),
+    shouldStop = () => false,
+    log = () => {},
+  } = options;
+  let failures = 0;
+  for (let passes = 1; ; passes++) {
+    try {
+      const { scanned, relayed } = await relayPass(state, options);
+      failures = 0;
+      if (scanned > 0) log(`Scanned ${scanned} sequence(s), ${relayed.length} addressed to the strategy`);
+    } catch (error) {
+      failures += 1;
+      log(`Pass failed (${formatError(error)}); retrying in ${backoffDelay(failures, backoff)}s`);
+    }
+    if (shouldStop(passes)) return;
+    await sleep(failures > 0 ? backoffDelay(failures, backoff) : interval);
+  }
+}
+
+module.exports = {
+  DEFAULT_BATCH,
+  BACKOFF,
+  defaultStatePath,
+  createState,
+  openState,
+  saveState,
+  watchSource,
+  inspectVaa,
+  backoffDelay,
+  relayPass,
+  registeredEmitter,
+  runRelayer,
+};
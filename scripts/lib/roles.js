@@ -0,0 +1,159 @@
+const { ethers } = require("ethers");
+const { LOG_CHUNK_SIZE } = require("./jsonStore");
+const { ROLE_NAMES } = require("./strategyActions");
+
+// Role holders of a BridgeSwapStrategy and an audit of how they are set up.
+//
+// AccessControl cannot enumerate members, so holders come from replaying every
+// RoleGranted/RoleRevoked event in block order; each one is then checked
+// against hasRole, which catches a scan that started after a grant.
+
+/**
+ * Replays RoleGranted/RoleRevoked events, scanning `chunkSize` blocks per
+ * getLogs call.
+ * @returns {Promise<Map<string, Map<string, {grantedBy: string, blockNumber: number, transactionHash: string}>>>}
+ *   Current members per role id, in grant order
+ */
+async function scanRoleEvents(strategy, { fromBlock = 0, toBlock, chunkSize = LOG_CHUNK_SIZE } = {}) {
+  const provider = strategy.runner.provider;
+  const address = await strategy.getAddress();
+  const topics = [
+    [strategy.interface.getEvent("RoleGranted").topicHash, strategy.interface.getEvent("RoleRevoked").topicHash],
+  ];
+  const lastBlock = toBlock === undefined ? await provider.getBlockNumber() : toBlock;
+
+  const members = new Map();
+  for (let start = fromBlock; start <= lastBlock; start += chunkSize) {
+    const end = Math.min(start + chunkSize - 1, lastBlock);
+    const logs = await provider.getLogs({ address, topics, fromBlock: start, toBlock: end });
+    for (const log of logs) {
+      const { name, args } = strategy.interface.parseLog(log);
+      if (!members.has(args.role)) members.set(args.role, new Map());
+      const holders = members.get(args.role);
+      if (name === "RoleGranted") {
+        holders.set(args.account, {
+          grantedBy: args.sender,
+          blockNumber: log.blockNumber,
+          transactionHash: log.transactionHash,
+        });
+      } else {
+        holders.delete(args.account);
+      }
+    }
+  }
+  return members;
+}
+
+/**
+ * Lists the holders of every strategy role, with each role's admin role and
+ * whether each holder is a contract (a multisig or timelock) or an EOA.
+ * @returns {Promise<{role: string, roleId: string, adminRole: string, holders: object[]}[]>}
+ */
+async function readRoleHolders(strategy, scanOptions) {
+  const provider = strategy.runner.provider;
+  const ids = {};
+  for (const role of ROLE_NAMES) ids[role] = await strategy[role]();
+  const nameOf = (id) => ROLE_NAMES.find((role) => ids[role] === id) || id;
+
+  const members = await scanRoleEvents(strategy, scanOptions);
+  const codes = new Map();
+  const roles = [];
+  for (const role of ROLE_NAMES) {
+    const holders = [];
+    for (const [account, grant] of members.get(ids[role]) || new Map()) {
+      if (!(await strategy.hasRole(ids[role], account))) continue;
+      if (!codes.has(account)) codes.set(account, await provider.getCode(account));
+      holders.push({ account, contract: codes.get(account) !== "0x", ...grant });
+    }
+    roles.push({ role, roleId: ids[role], adminRole: nameOf(await strategy.getRoleAdmin(ids[role])), holders });
+  }
+  return roles;
+}
+
+/**
+ * The account that deployed the strategy: the deployment record's deployer, or
+ * whoever granted themselves DEFAULT_ADMIN_ROLE first (initialize does).
+ */
+function findDeployer(roles, deployment) {
+  const recorded = deployment && deployment.history.find((entry) => entry.action === "deploy" && entry.deployer);
+  if (recorded) return ethers.getAddress(recorded.deployer);
+  const admins = roles.find((entry) => entry.role === "DEFAULT_ADMIN_ROLE").holders;
+  const self = admins.filter((holder) => holder.grantedBy === holder.account);
+  return self.length ? self.sort((a, b) => a.blockNumber - b.blockNumber)[0].account : undefined;
+}
+
+/**
+ * Flags risky role setups. Findings are `high` when one compromised or lost
+ * key is enough to take over or brick the strategy, `warning` otherwise.
+ * @param {object[]} roles Output of readRoleHolders
+ * @param {{deployer?: string}} [options]
+ * @returns {{level: "high"|"warning", message: string}[]}
+ */
+function auditRoles(roles, { deployer } = {}) {
+  const byRole = Object.fromEntries(roles.map((entry) => [entry.role, entry.holders]));
+  const findings = [];
+  const flag = (level, message) => findings.push({ level, message });
+
+  for (const { role, holders } of roles) {
+    if (holders.length > 0) continue;
+    flag(
+      role === "DEFAULT_ADMIN_ROLE" ? "high" : "warning",
+      role === "DEFAULT_ADMIN_ROLE"
+        ? "Nobody holds DEFAULT_ADMIN_ROLE: roles can never be granted or revoked again"
+        : `Nobody holds ${role}`
+    );
+  }
+
+  const accounts = new Map(roles.flatMap(({ holders }) => holders.map((holder) => [holder.account, holder])));
+  for (const [account, holder] of accounts) {
+    if (!holder.contract && ROLE_NAMES.every((role) => byRole[role].some((h) => h.account === account))) {
+      flag("high", `${account} is an EOA holding every role; one leaked key controls the strategy and its funds`);
+    }
+  }
+
+  const admins = byRole.DEFAULT_ADMIN_ROLE;
+  if (admins.length > 0 && admins.every((holder) => !holder.contract)) {
+    flag("warning", "DEFAULT_ADMIN_ROLE is held only by EOAs; hand it to a multisig");
+  }
+
+  if (deployer) {
+    for (const role of ["DEFAULT_ADMIN_ROLE", "ADMIN"]) {
+      const holders = byRole[role];
+      const handedOff = holders.some((holder) => holder.account !== deployer);
+      if (handedOff && holders.some((holder) => holder.account === deployer)) {
+        flag(
+          "warning",
+          `Deployer ${deployer} still holds ${role} after handing it off; ` +
+            `renounce it with \`bss roles renounce --role ${role}\` from the deployer`
+        );
+      }
+    }
+  }
+  return findings;
+}
+
+/**
+ * One block per role: its admin role, then a line per holder.
+ */
+function formatRoleHolders(roles, { deployer } = {}) {
+  const lines = [];
+  for (const { role, adminRole, holders } of roles) {
+    lines.push(`${role} (admin: ${adminRole}), ${holders.length} holder(s)`);
+    for (const holder of holders) {
+      const tags = [holder.contract ? "contract" : "EOA"];
+      if (holder.account === deployer) tags.push("deployer");
+      lines.push(
+        `  ${holder.account} [${tags.join(", ")}] granted by ${holder.grantedBy} in block ${holder.blockNumber}`
+      );
+    }
+  }
+  return lines;
+}
+
+module.exports = {
+  scanRoleEvents,
+  readRoleHolders,
+  findDeployer,
+  auditRoles,
+  formatRoleHolders,
+};
@@ -0,0 +1,155 @@
+const { ethers } = require("ethers");
+const { DEXES } = require("./catalog");
+const { encodePath, pathHash } = require("./v3Path");
+const { quote } = require("./strategyActions");
+const { quoterFor } = require("./quotes");
+const { formatError } = require("./errors");
+
+// Best-route search across the V3 DEXes of a chain.
+//
+// Candidate token paths come from the catalog: the direct pair, then paths
+// through its `baseTokens` up to `maxHops` pools. Every fee tier of each hop is
+// checked on the DEX's factory (`contracts.factory` for Uniswap,
+// `contracts.pancakeFactory` for PancakeSwap); each combination of existing
+// pools is quoted, and the best quote per DEX wins. With a strategy, paths its
+// isPathAllowed allow-list would reject are reported but never picked.
+
+const FEE_TIERS = {
+  "uniswap-v3": [100, 500, 3000, 10000],
+  "pancakeswap-v3": [100, 500, 2500, 10000],
+};
+const FACTORY_KEYS = { "uniswap-v3": "factory", "pancakeswap-v3": "pancakeFactory" };
+const FACTORY_ABI = ["function getPool(address tokenA, address tokenB, uint24 fee) view returns (address pool)"];
+
+/**
+ * The V3 factory for a DEX from a deployment's contracts, if one is configured.
+ */
+function factoryFor(contracts, dex) {
+  return (contracts && contracts[FACTORY_KEYS[dex]]) || undefined;
+}
+
+/**
+ * Token symbol paths from `tokenIn` to `tokenOut`: direct first, then through
+ * distinct base tokens, with at most `maxHops` pools.
+ * @returns {string[][]}
+ */
+function candidateTokenPaths(chainCatalog, tokenIn, tokenOut, maxHops) {
+  const bases = (chainCatalog.baseTokens || []).filter((symbol) => symbol !== tokenIn && symbol !== tokenOut);
+  const paths = [];
+  let prefixes = [[tokenIn]];
+  while (prefixes.length > 0 && prefixes[0].length <= maxHops) {
+    paths.push(...prefixes.map((prefix) => [...prefix, tokenOut]));
+    prefixes = prefixes.flatMap((prefix) =>
+      bases.filter((symbol) => !prefix.includes(symbol)).map((symbol) => [...prefix, symbol])
+    );
+  }
+  return paths;
+}
+
+// Fee tiers with a pool for one pair: the DEX's standard tiers plus any the catalog names
+async function existingFees(factory, chainCatalog, dex, a, b) {
+  const fees = new Set(FEE_TIERS[dex]);
+  for (const pool of chainCatalog.pools) {
+    if (pool.dex === dex && pool.tokens.includes(a) && pool.tokens.includes(b)) fees.add(pool.fee);
+  }
+  const existing = [];
+  for (const fee of [...fees].sort((x, y) => x - y)) {
+    const pool = await factory.getPool(chainCatalog.tokens[a].address, chainCatalog.tokens[b].address, fee);
+    if (pool !== ethers.ZeroAddress) existing.push(fee);
+  }
+  return existing;
+}
+
+// Every combination of one fee per hop
+function feeCombinations(feesPerHop) {
+  return feesPerHop.reduce((combos, fees) => combos.flatMap((combo) => fees.map((fee) => [...combo, fee])), [[]]);
+}
+
+/**
+ * Quotes every candidate route for `amountIn` of `tokenIn` and picks the best
+ * per DEX. A DEX without a configured factory or quoter is listed in
+ * `unavailable`.
+ *
+ * @param {object} chainCatalog
+ * @param {{tokenIn: string, tokenOut: string, amountIn: bigint, runner: object, contracts?: object,
+ *   strategy?: object, dexes?: string[], maxHops?: number|Record<string, number>}} options
+ *   `maxHops` is a number or a limit per DEX (default 2)
+ * @returns {Promise<{validationEnabled: boolean|null, best: Record<string, object|null>, routes: object[], unavailable: Record<string, string>}>}
+ *   `routes` holds every candidate, best quote first: {dex, symbols, tokens, fees, path, pathHash, amountOut, allowed, error}
+ */
+async function findBestRoutes(
+  chainCatalog,
+  { tokenIn, tokenOut, amountIn, runner, contracts, strategy, dexes = DEXES, maxHops = 2 }
+) {
+  for (const symbol of [tokenIn, tokenOut]) {
+    if (!chainCatalog.tokens[symbol]) throw new Error(`Unknown token ${symbol} on chain ${chainCatalog.chainId}`);
+  }
+  if (tokenIn === tokenOut) throw new Error("tokenIn and tokenOut are the same token");
+  const validationEnabled = strategy ? await strategy.isPathValidationEnabled() : null;
+
+  const routes = [];
+  const best = {};
+  const unavailable = {};
+  for (const dex of dexes) {
+    best[dex] = null;
+    const factoryAddress = factoryFor(contracts, dex);
+    const quoterAddress = quoterFor(contracts, dex);
+    if (!factoryAddress || !quoterAddress) {
+      unavailable[dex] = `no ${!factoryAddress ? "factory" : "quoter"} configured`;
+      continue;
+    }
+    const factory = new ethers.Contract(factoryAddress, FACTORY_ABI, runner);
+    const limit = typeof maxHops === "object" ? maxHops[dex] : maxHops;
+
+    const pairFees = new Map();
+    for (const symbols of candidateTokenPaths(chainCatalog, tokenIn, tokenOut, limit)) {
+      const feesPerHop = [];
+      for (let hop = 0; hop < symbols.length - 1; hop++) {
+        const key = [symbols[hop], symbols[hop + 1]].sort().join(":");
+        if (!pairFees.has(key)) {
+          pairFees.set(key, await existingFees(factory, chainCatalog, dex, symbols[hop], symbols[hop + 1]));
+        }
+        feesPerHop.push(pairFees.get(key));
+      }
+
+      const tokens = symbols.map((symbol) => ethers.getAddress(chainCatalog.tokens[symbol].address));
+      for (const fees of feeCombinations(feesPerHop)) {
+        const path = encodePath(tokens, fees);
+        const route = { dex, symbols, tokens, fees, path, pathHash: pathHash(path), amountOut: null, allowed: true };
+        if (validationEnabled) route.allowed = await strategy.isPathAllowed(route.pathHash);
+        try {
+          route.amountOut = await quote(quoterAddress, runner, path, amountIn);
+        } catch (error) {
+          route.error = formatError(error);
+        }
+        routes.push(route);
+        if (route.allowed && route.amountOut > 0n && (!best[dex] || route.amountOut > best[dex].amountOut)) {
+          best[dex] = route;
+        }
+      }
+    }
+  }
+
+  // Unquoted routes last
+  const rank = (route) => (route.amountOut === null ? -1n : route.amountOut);
+  routes.sort((a, b) => (rank(b) > rank(a) ? 1 : rank(b) < rank(a) ? -1 : 0));
+  return { validationEnabled, best, routes, unavailable };
+}
+
+/**
+ * A route's hops, e.g. `USDC -(500)-> WETH -(3000)-> WBTC`.
+ */
+function describeRoute(route) {
+  return route.symbols
+    .map((symbol, i) => (i < route.fees.length ? `${symbol} -(${route.fees[i]})-> ` : symbol))
+    .join("");
+}
+
+module.exports = {
+  FEE_TIERS,
+  FACTORY_KEYS,
+  factoryFor,
+  candidateTokenPaths,
+  findBestRoutes,
+  describeRoute,
+};
@@ -0,0 +1,337 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { ROLE_NAMES_BY_ID } = require("./errors");
+
+// Safe{Wallet} Transaction Builder batches for operations a multisig must
+// approve, and a verifier that decodes a proposed batch back into calls.
+//
+// A batch file is the JSON the Transaction Builder app imports and exports:
+//
+//   {
+//     "version": "1.0",
+//     "chainId": "1",
+//     "createdAt": 1700000000000,
+//     "meta": { name, description, txBuilderVersion, createdFromSafeAddress, createdFromOwnerAddress, checksum },
+//     "transactions": [{ to, value, data, contractMethod?, contractInputsValues? }]
+//   }
+//
+// `data` always carries the raw calldata; `contractMethod` and
+// `contractInputsValues` are added when the call decodes, so the app shows
+// named arguments. The checksum is the app's own: keccak256 of a key-sorted
+// serialization of the batch with meta.name nulled and no checksum.
+//
+// Standalone scripts opt in with SAFE_ADDRESS=<safe> (and SAFE_BATCH_FILE);
+// the bss CLI with --propose <file> --safe <address>.
+
+const SAFE_ADDRESS = process.env.SAFE_ADDRESS;
+const SAFE_BATCH_FILE = process.env.SAFE_BATCH_FILE;
+const TX_BUILDER_VERSION = "1.16.5";
+
+// The Transaction Builder's serializeJSONObject
+function serializeJSONObject(json) {
+  const replacer = (_, value) => (value === undefined ? null : value);
+  if (Array.isArray(json)) return `[${json.map((element) => serializeJSONObject(element)).join(",")}]`;
+  if (typeof json === "object" && json !== null) {
+    const keys = Object.keys(json).sort();
+    return `{${JSON.stringify(keys, replacer)}${keys.map((key) => `${serializeJSONObject(json[key])},`).join("")}}`;
+  }
+  return JSON.stringify(json, replacer);
+}
+
+/**
+ * Checksum the Transaction Builder stores in meta.checksum and checks on import.
+ */
+function batchChecksum(batch) {
+  const meta = { ...batch.meta, name: null };
+  delete meta.checksum;
+  return ethers.id(serializeJSONObject({ ...batch, meta }));
+}
+
+function inputValue(param, value) {
+  if (param.baseType === "array" || param.baseType === "tuple") {
+    return JSON.stringify(value, (_, v) => (typeof v === "bigint" ? v.toString() : v));
+  }
+  return String(value);
+}
+
+function parseInputValue(param, value) {
+  return param.baseType === "array" || param.baseType === "tuple" ? JSON.parse(value) : value;
+}
+
+/**
+ * Transaction Builder entry for a call, with its method and arguments when
+ * one of `interfaces` decodes the calldata.
+ * @param {{to: string, value?: bigint, data?: string}} tx
+ * @param {ethers.Interface[]} [interfaces]
+ */
+function batchTransaction(tx, interfaces = []) {
+  const data = tx.data || "0x";
+  const entry = { to: ethers.getAddress(tx.to), value: String(tx.value || 0n), data };
+  for (const iface of interfaces) {
+    const parsed = data.length >= 10 ? iface.parseTransaction({ data, value: tx.value || 0n }) : null;
+    if (!parsed) continue;
+    const { inputs } = parsed.fragment;
+    entry.contractMethod = {
+      inputs: inputs.map((input, i) => ({ internalType: input.type, name: input.name || `arg${i}`, type: input.type })),
+      name: parsed.name,
+      payable: parsed.fragment.payable,
+    };
+    entry.contractInputsValues = Object.fromEntries(
+      inputs.map((input, i) => [input.name || `arg${i}`, inputValue(input, parsed.args[i])])
+    );
+    break;
+  }
+  return entry;
+}
+
+/**
+ * Transaction Builder entry for `contract[method](...args)`.
+ */
+async function proposalCall(contract, method, args) {
+  const tx = await contract[method].populateTransaction(...args);
+  return batchTransaction(tx, [contract.interface]);
+}
+
+/**
+ * Builds a checksummed batch file.
+ * @param {{chainId: bigint|number, safe: string, transactions: object[], name?: string, description?: string,
+ *   createdAt?: number}} options
+ */
+function buildSafeBatch({ chainId, safe, transactions, name = "Transactions Batch", description = "", createdAt }) {
+  const batch = {
+    version: "1.0",
+    chainId: String(chainId),
+    createdAt: createdAt === undefined ? Date.now() : createdAt,
+    meta: {
+      name,
+      description,
+      txBuilderVersion: TX_BUILDER_VERSION,
+      createdFromSafeAddress: ethers.getAddress(safe),
+      createdFromOwnerAddress: "",
+    },
+    transactions,
+  };
+  batch.meta.checksum = batchChecksum(batch);
+  return batch;
+}
+
+function writeSafeBatch(file, batch) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(batch, null, 2) + "\n");
+}
+
+function readSafeBatch(file) {
+  const batch = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!batch.meta || !Array.isArray(batch.transactions)) {
+    throw new Error(`${file} is not a Safe Transaction Builder batch: expected meta and transactions`);
+  }
+  return batch;
+}
+
+/**
+ * Collects transactions into a Safe batch instead of signing them. The Safe is
+ * the sender, so role and balance pre-checks run against it; `wait` returns a
+ * receipt-like object with no hash or logs and the batch entry as `proposal`.
+ */
+class ProposalSigner extends ethers.AbstractSigner {
+  /**
+   * @param {ethers.Signer} safe Signer whose address is the Safe; it never signs (a VoidSigner)
+   * @param {{interfaces?: ethers.Interface[]}} [options] Used to name each call's method and arguments
+   */
+  constructor(safe, { interfaces = [] } = {}) {
+    super(safe.provider);
+    this.safe = safe;
+    this.address = safe.address;
+    this.interfaces = interfaces;
+    this.transactions = [];
+    this.receipts = new Map();
+  }
+
+  async getAddress() {
+    return this.safe.getAddress();
+  }
+
+  connect(provider) {
+    const signer = new ProposalSigner(this.safe.connect(provider), { interfaces: this.interfaces });
+    signer.transactions = this.transactions;
+    signer.receipts = this.receipts;
+    return signer;
+  }
+
+  async signTransaction() {
+    throw new Error("Refusing to sign a transaction proposed to a Safe");
+  }
+
+  async signMessage() {
+    throw new Error("Refusing to sign a message for a Safe proposal");
+  }
+
+  async signTypedData() {
+    throw new Error("Refusing to sign typed data for a Safe proposal");
+  }
+
+  async sendTransaction(tx) {
+    const request = await this.populateCall(tx);
+    const entry = batchTransaction(request, this.interfaces);
+    this.transactions.push(entry);
+    const hash = ethers.id(`proposed:${this.transactions.length}:${entry.data}`);
+    const proposal = { index: this.transactions.length - 1, ...entry };
+    this.receipts.set(hash, { hash: null, blockNumber: null, status: 1, logs: [], proposal });
+    return {
+      hash,
+      from: this.address,
+      to: entry.to,
+      data: entry.data,
+      value: BigInt(entry.value),
+      nonce: 0,
+      wait: async () => this.wait({ hash }),
+    };
+  }
+
+  async wait(response) {
+    const receipt = this.receipts.get(response.hash);
+    if (!receipt) throw new Error(`Transaction ${response.hash} was not proposed here`);
+    return receipt;
+  }
+
+  /**
+   * The batch of everything sent so far.
+   */
+  async batch(options = {}) {
+    const { chainId } = await this.provider.getNetwork();
+    return buildSafeBatch({ chainId, safe: this.address, transactions: this.transactions, ...options });
+  }
+}
+
+function describeValue(param, value, labels, describe) {
+  const described = describe && describe(param, value);
+  if (described) return described;
+  if (param.type === "address") {
+    const label = labels[ethers.getAddress(value)];
+    return label ? `${value} (${label})` : value;
+  }
+  if (param.type === "bytes32" && ROLE_NAMES_BY_ID[value]) return `${value} (${ROLE_NAMES_BY_ID[value]})`;
+  return typeof value === "object" && value !== null
+    ? JSON.stringify(value, (_, v) => (typeof v === "bigint" ? v.toString() : v))
+    : String(value);
+}
+
+/**
+ * Decodes a batch's calls and checks it before signers approve it: the
+ * checksum, the chain, targets against the known contracts, and that the
+ * method and arguments the app will display encode to the calldata sent.
+ *
+ * @param {object} batch Contents of a batch file
+ * @param {{interfaces?: ethers.Interface[], chainId?: bigint|number, labels?: Object<string, string>,
+ *   describe?: Function}} [options] `labels` names known addresses, and calls to any other address are
+ *   flagged; `describe(param, value)` may return a better rendering of an argument (a swap path)
+ * @returns {{chainId: string, safe: string, checksum: string, problems: string[], calls: object[]}}
+ */
+function verifySafeBatch(batch, { interfaces = [], chainId, labels = {}, describe } = {}) {
+  const known = Object.fromEntries(
+    Object.entries(labels).map(([address, label]) => [ethers.getAddress(address), label])
+  );
+  const problems = [];
+  let checksum = "missing";
+  if (batch.meta.checksum) {
+    checksum = batchChecksum(batch) === batch.meta.checksum ? "valid" : "mismatch";
+    if (checksum === "mismatch") problems.push("The checksum does not match: the file was edited after it was created");
+  }
+  if (chainId !== undefined && batch.chainId !== String(chainId)) {
+    problems.push(`The batch is for chain ${batch.chainId}, not ${chainId}`);
+  }
+
+  const calls = batch.transactions.map((tx, index) => {
+    const call = {
+      index,
+      to: tx.to,
+      label: known[ethers.getAddress(tx.to)],
+      value: BigInt(tx.value || 0),
+      problems: [],
+    };
+    let data = tx.data && tx.data !== "0x" ? tx.data : null;
+    if (tx.contractMethod) {
+      const fragment = ethers.FunctionFragment.from({
+        type: "function",
+        name: tx.contractMethod.name,
+        inputs: tx.contractMethod.inputs,
+        stateMutability: tx.contractMethod.payable ? "payable" : "nonpayable",
+      });
+      const values = fragment.inputs.map((input) => parseInputValue(input, tx.contractInputsValues[input.name]));
+      const encoded = new ethers.Interface([fragment]).encodeFunctionData(fragment, values);
+      if (data && encoded.toLowerCase() !== data.toLowerCase()) {
+        call.problems.push(`The displayed ${fragment.format()} call does not encode to the calldata sent`);
+      }
+      data = data || encoded;
+    }
+    call.data = data || "0x";
+    if (!call.label) call.problems.push(`${tx.to} is not a known contract`);
+
+    for (const iface of interfaces) {
+      const parsed = data ? iface.parseTransaction({ data, value: call.value }) : null;
+      if (!parsed) continue;
+      call.name = parsed.name;
+      call.signature = parsed.signature;
+      call.args = parsed.fragment.inputs.map((input, i) => ({
+        name: input.name || `arg${i}`,
+        value: parsed.args[i],
+        text: describeValue(input, parsed.args[i], known, describe),
+      }));
+      if (call.value > 0n && !parsed.fragment.payable)
+        call.problems.push(`${parsed.name} is not payable but sends value`);
+      break;
+    }
+    if (!call.name && data) call.problems.push(`Unknown function selector ${ethers.dataSlice(data, 0, 4)}`);
+    return call;
+  });
+
+  for (const call of calls) problems.push(...call.problems.map((problem) => `#${call.index + 1}: ${problem}`));
+  return {
+    chainId: batch.chainId,
+    safe: batch.meta.createdFromSafeAddress,
+    name: batch.meta.name,
+    checksum,
+    problems,
+    calls,
+  };
+}
+
+/**
+ * Human-readable lines for a verified batch.
+ */
+function formatVerification(verified) {
+  const lines = [
+    `Batch "${verified.name}" for Safe ${verified.safe} on chain ${verified.chainId}, ${verified.calls.length} transaction(s)`,
+    `Checksum: ${verified.checksum}`,
+  ];
+  for (const call of verified.calls) {
+    const target = call.label ? `${call.label} (${call.to})` : call.to;
+    const value = call.value > 0n ? ` with ${ethers.formatEther(call.value)} native` : "";
+    lines.push(`#${call.index + 1} ${target}${value}`);
+    if (call.name) {
+      lines.push(`  ${call.name}(`);
+      for (const arg of call.args) lines.push(`    ${arg.name}: ${arg.text}`);
+      lines.push("  )");
+    } else {
+      lines.push(`  data: ${call.data}`);
+    }
+  }
+  lines.push(verified.problems.length ? "Problems:" : "No problems found.");
+  for (const problem of verified.problems) lines.push(`  - ${problem}`);
+  return lines.join("\n");
+}
+
+module.exports = {
+  SAFE_ADDRESS,
+  SAFE_BATCH_FILE,
+  batchChecksum,
+  batchTransaction,
+  proposalCall,
+  buildSafeBatch,
+  writeSafeBatch,
+  readSafeBatch,
+  ProposalSigner,
+  verifySafeBatch,
+  formatVerification,
+};
@@ -0,0 +1,379 @@
+const { ethers } = require("ethers");
+const { decodeError } = require("./errors");
+
+// Simulation of state-changing calls: nothing is broadcast.
+//
+// Each transaction is reported with its decoded return value, gas estimate,
+// emitted events and the ERC-20 balance changes (from Transfer events) of a
+// watched address such as the strategy. Two backends:
+//
+//   "hardhat"   The provider is a Hardhat network: the in-process one, a
+//               `hardhat node`, or a mainnet fork. Transactions really run,
+//               from an impersonated sender, inside an evm_snapshot that
+//               `finish()` reverts, so a sequence (approve, then deposit)
+//               sees its own effects.
+//   "eth_call"  Any other node: the return value comes from eth_call against
+//               the live state and the events from debug_traceCall's
+//               callTracer when the node supports it. Each transaction runs
+//               on its own, so one that depends on an earlier simulated one
+//               (a deposit after its approval) may revert.
+//
+// Standalone scripts opt in with SIMULATE=true; the bss CLI with --simulate.
+
+const SIMULATE = process.env.SIMULATE === "true";
+const BACKENDS = ["hardhat", "eth_call"];
+
+const ERC20_INTERFACE = new ethers.Interface([
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function transfer(address to, uint256 amount) returns (bool)",
+  "function transferFrom(address from, address to, uint256 amount) returns (bool)",
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "event Approval(address indexed owner, address indexed spender, uint256 value)",
+]);
+const TRANSFER_TOPIC = ERC20_INTERFACE.getEvent("Transfer").topicHash;
+
+async function detectBackend(provider) {
+  try {
+    if (/hardhat/i.test(await provider.send("web3_clientVersion", []))) return "hardhat";
+  } catch (e) {
+    // Nodes without web3_clientVersion are not Hardhat
+  }
+  return "eth_call";
+}
+
+function toRpcTransaction(tx, gas) {
+  const request = {
+    from: tx.from,
+    to: tx.to,
+    data: tx.data || "0x",
+    value: ethers.toQuantity(tx.value || 0n),
+  };
+  if (gas !== undefined) request.gas = ethers.toQuantity(gas);
+  return request;
+}
+
+function parseLog(log, interfaces) {
+  for (const iface of interfaces) {
+    try {
+      const parsed = iface.parseLog(log);
+      if (parsed) return { address: log.address, name: parsed.name, args: parsed.args.toObject() };
+    } catch (e) {
+      // Try the next interface
+    }
+  }
+  return { address: log.address, name: null, topics: log.topics, data: log.data };
+}
+
+/**
+ * Net ERC-20 balance change of `account` per token, from Transfer events.
+ * @returns {Object<string, bigint>} Keyed by token address; tokens that net to zero are kept
+ */
+function balanceDeltas(logs, account) {
+  const deltas = {};
+  const watched = account.toLowerCase();
+  for (const log of logs) {
+    if (log.topics.length !== 3 || log.topics[0] !== TRANSFER_TOPIC) continue;
+    const from = ethers.getAddress(ethers.dataSlice(log.topics[1], 12)).toLowerCase();
+    const to = ethers.getAddress(ethers.dataSlice(log.topics[2], 12)).toLowerCase();
+    if (from !== watched && to !== watched) continue;
+    const token = ethers.getAddress(log.address);
+    const value = BigInt(log.data);
+    deltas[token] = (deltas[token] || 0n) + (to === watched ? value : 0n) - (from === watched ? value : 0n);
+  }
+  return deltas;
+}
+
+// Logs of every frame that did not revert, in execution order
+function traceLogs(frame) {
+  if (frame.error) return [];
+  const logs = [];
+  for (const log of frame.logs || []) logs.push({ address: log.address, topics: log.topics, data: log.data });
+  for (const call of frame.calls || []) logs.push(...traceLogs(call));
+  return logs;
+}
+
+class Simulation {
+  /**
+   * @param {ethers.Provider} provider
+   * @param {{backend: "hardhat"|"eth_call", interfaces?: ethers.Interface[], watch?: string}} options
+   *   `interfaces` decode return values, events and errors; `watch` is the address
+   *   whose token balance changes are reported
+   */
+  constructor(provider, { backend, interfaces = [], watch } = {}) {
+    if (!BACKENDS.includes(backend)) {
+      throw new Error(`Unknown simulation backend "${backend}". Expected one of: ${BACKENDS.join(", ")}`);
+    }
+    this.provider = provider;
+    this.backend = backend;
+    this.interfaces = [...interfaces, ERC20_INTERFACE];
+    this.watch = watch;
+    this.snapshot = null;
+    this.impersonated = new Set();
+    this.reports = [];
+  }
+
+  static async create(provider, options = {}) {
+    return new Simulation(provider, { ...options, backend: options.backend || (await detectBackend(provider)) });
+  }
+
+  describeCall(tx) {
+    const selector = ethers.dataSlice(tx.data || "0x", 0, 4);
+    for (const iface of this.interfaces) {
+      const fragment = tx.data && tx.data.length >= 10 ? iface.getFunction(selector) : null;
+      if (fragment) return { iface, fragment };
+    }
+    return null;
+  }
+
+  /**
+   * Simulates one transaction ({from, to, data, value, gasLimit?}).
+   * @returns {Promise<object>} Report with `function`, `returnValue`, `gasEstimate`, raw
+   *   `logs`, decoded `events` and `balanceDeltas` (null when the backend cannot see
+   *   events), or `revert` with an operator `revertHint` when ./errors has one
+   */
+  async run(tx) {
+    const call = this.describeCall(tx);
+    const report = {
+      backend: this.backend,
+      from: ethers.getAddress(tx.from),
+      to: tx.to ? ethers.getAddress(tx.to) : null,
+      function: call ? call.fragment.format("sighash") : tx.data && tx.data !== "0x" ? ethers.dataSlice(tx.data, 0, 4) : null,
+      value: BigInt(tx.value || 0n),
+    };
+    this.reports.push(report);
+    if (this.backend === "hardhat" && this.snapshot === null) {
+      this.snapshot = await this.provider.send("evm_snapshot", []);
+    }
+
+    let output;
+    try {
+      output = await this.provider.send("eth_call", [toRpcTransaction(tx), "latest"]);
+    } catch (error) {
+      const decoded = decodeError(error, { interfaces: this.interfaces });
+      if (!decoded) throw error;
+      report.revert = decoded.message;
+      if (decoded.hint) report.revertHint = decoded.hint;
+      return report;
+    }
+    report.returnValue = call ? call.iface.decodeFunctionResult(call.fragment, output).toArray() : output;
+    report.gasEstimate = BigInt(await this.provider.send("eth_estimateGas", [toRpcTransaction(tx)]));
+
+    const logs = this.backend === "hardhat" ? await this.execute(tx, report) : await this.trace(tx, report);
+    report.logs = logs;
+    if (logs) {
+      report.events = logs.map((log) => parseLog(log, this.interfaces));
+      report.balanceDeltas = this.watch ? balanceDeltas(logs, this.watch) : null;
+    } else {
+      report.events = null;
+      report.balanceDeltas = null;
+    }
+    return report;
+  }
+
+  // Sends the transaction on the Hardhat network inside the snapshot and returns its logs
+  async execute(tx, report) {
+    if (!this.impersonated.has(report.from)) {
+      await this.provider.send("hardhat_impersonateAccount", [report.from]);
+      this.impersonated.add(report.from);
+    }
+    const gas = tx.gasLimit !== undefined && tx.gasLimit !== null ? tx.gasLimit : report.gasEstimate;
+    const hash = await this.provider.send("eth_sendTransaction", [toRpcTransaction(tx, gas)]);
+    let receipt = await this.provider.getTransactionReceipt(hash);
+    if (!receipt) {
+      await this.provider.send("evm_mine", []);
+      receipt = await this.provider.getTransactionReceipt(hash);
+    }
+    report.gasUsed = receipt.gasUsed;
+    return receipt.logs.map((log) => ({ address: log.address, topics: [...log.topics], data: log.data }));
+  }
+
+  async trace(tx, report) {
+    try {
+      const frame = await this.provider.send("debug_traceCall", [
+        toRpcTransaction(tx),
+        "latest",
+        { tracer: "callTracer", tracerConfig: { withLog: true } },
+      ]);
+      return traceLogs(frame);
+    } catch (error) {
+      report.note = `events unavailable: the node does not support debug_traceCall with callTracer (${
+        error.shortMessage || error.message
+      })`;
+      return null;
+    }
+  }
+
+  /**
+   * Undoes everything the simulation executed on a Hardhat network.
+   */
+  async finish() {
+    for (const address of this.impersonated) {
+      await this.provider.send("hardhat_stopImpersonatingAccount", [address]);
+    }
+    this.impersonated.clear();
+    if (this.snapshot !== null) {
+      await this.provider.send("evm_revert", [this.snapshot]);
+      this.snapshot = null;
+    }
+  }
+}
+
+/**
+ * A signer that simulates instead of sending; a transaction that would
+ * revert throws. Like a TransactionManager it is waited on with `wait`.
+ */
+class SimulationSigner extends ethers.AbstractSigner {
+  /**
+   * @param {ethers.Signer} signer Supplies the sender address; it never signs
+   * @param {Simulation} simulation
+   * @param {{onReport?: Function}} [options] Awaited with each report as it is made
+   */
+  constructor(signer, simulation, { onReport = async () => {} } = {}) {
+    super(signer.provider);
+    this.signer = signer;
+    this.address = signer.address;
+    this.simulation = simulation;
+    this.onReport = onReport;
+    this.receipts = new Map();
+  }
+
+  async getAddress() {
+    return this.signer.getAddress();
+  }
+
+  connect(provider) {
+    return new SimulationSigner(this.signer.connect(provider), this.simulation, { onReport: this.onReport });
+  }
+
+  async signTransaction() {
+    throw new Error("Refusing to sign a transaction while simulating");
+  }
+
+  async signMessage(message) {
+    return this.signer.signMessage(message);
+  }
+
+  async signTypedData(domain, types, value) {
+    return this.signer.signTypedData(domain, types, value);
+  }
+
+  /**
+   * Simulates the transaction and returns a response under a placeholder
+   * hash (there is no real one); `wait` resolves it.
+   */
+  async sendTransaction(tx) {
+    const request = await this.populateCall(tx);
+    const report = await this.simulation.run(request);
+    await this.onReport(report);
+    if (report.revert) {
+      throw new Error(`Simulated ${report.function || "transaction"} reverted: ${report.revert}`);
+    }
+    const hash = ethers.id(`simulated:${this.simulation.reports.length}:${request.data || ""}`);
+    this.receipts.set(hash, { hash: null, blockNumber: null, status: 1, logs: report.logs || [], simulation: report });
+    return {
+      hash,
+      from: report.from,
+      to: report.to,
+      data: request.data,
+      value: report.value,
+      nonce: 0,
+      gasLimit: report.gasEstimate,
+      chainId: 0n,
+      wait: async () => this.wait({ hash }),
+    };
+  }
+
+  /**
+   * Receipt-like result of a simulated transaction: `hash` and `blockNumber`
+   * are null, `logs` are the simulated logs and `simulation` the report.
+   */
+  async wait(response) {
+    const receipt = this.receipts.get(response.hash);
+    if (!receipt) throw new Error(`Transaction ${response.hash} was not simulated here`);
+    return receipt;
+  }
+}
+
+/**
+ * Simulates `contract[method](...args)` from the contract's signer in its own
+ * simulation (reverted when done).
+ * @param {ethers.Contract} contract Connected to the signer to simulate as
+ * @param {string} method
+ * @param {Array} args Call arguments, optionally ending with overrides ({value, gasLimit})
+ * @param {{watch?: string, interfaces?: ethers.Interface[], backend?: string}} [options]
+ */
+async function simulateCall(contract, method, args, options = {}) {
+  const tx = await contract[method].populateTransaction(...args);
+  tx.from = await contract.runner.getAddress();
+  const simulation = await Simulation.create(contract.runner.provider, {
+    ...options,
+    interfaces: [contract.interface, ...(options.interfaces || [])],
+  });
+  try {
+    return await simulation.run(tx);
+  } finally {
+    await simulation.finish();
+  }
+}
+
+function formatValue(value) {
+  if (Array.isArray(value)) return `[${value.map(formatValue).join(", ")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.entries(value)
+      .map(([key, v]) => `${key}: ${formatValue(v)}`)
+      .join(", ")}}`;
+  }
+  return String(value);
+}
+
+/**
+ * Renders a simulation report for the terminal.
+ * @param {object} report From `Simulation.run`
+ * @param {{tokens?: Object<string, {symbol: string, decimals: number}>, watchLabel?: string}} [options]
+ *   `tokens` is keyed by token address
+ */
+function formatSimulation(report, { tokens = {}, watchLabel = "Watched address" } = {}) {
+  const lines = [`Simulated ${report.function || "transfer"} on ${report.to} from ${report.from} [${report.backend}]`];
+  if (report.value > 0n) lines.push(`  Value: ${report.value} wei`);
+  if (report.revert) {
+    lines.push(`  Reverted: ${report.revert}`);
+    if (report.revertHint) lines.push(`  Hint: ${report.revertHint}`);
+    return lines.join("\n");
+  }
+  const returned = Array.isArray(report.returnValue) ? report.returnValue : [report.returnValue];
+  lines.push(`  Returns: ${returned.length === 0 ? "(nothing)" : returned.map(formatValue).join(", ")}`);
+  lines.push(
+    `  Gas estimate: ${report.gasEstimate}` + (report.gasUsed !== undefined ? ` (used ${report.gasUsed})` : "")
+  );
+
+  if (report.events === null) {
+    lines.push(`  Events: ${report.note || "unavailable"}`);
+    return lines.join("\n");
+  }
+  lines.push(`  Events (${report.events.length}):`);
+  for (const event of report.events) {
+    const token = tokens[ethers.getAddress(event.address)];
+    const at = token ? token.symbol : event.address;
+    lines.push(event.name ? `    ${event.name}(${formatValue(event.args).slice(1, -1)}) at ${at}` : `    unknown event at ${at}`);
+  }
+  if (report.balanceDeltas) {
+    const entries = Object.entries(report.balanceDeltas);
+    lines.push(`  ${watchLabel} balance changes:${entries.length === 0 ? " none" : ""}`);
+    for (const [address, delta] of entries) {
+      const token = tokens[address];
+      const amount = token ? `${ethers.formatUnits(delta, token.decimals)} ${token.symbol}` : `${delta} of ${address}`;
+      lines.push(`    ${delta > 0n ? "+" : ""}${amount}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  SIMULATE,
+  BACKENDS,
+  Simulation,
+  SimulationSigner,
+  balanceDeltas,
+  simulateCall,
+  formatSimulation,
+};
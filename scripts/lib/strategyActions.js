@@ -0,0 +1,365 @@
+const { ethers } = require("ethers");
+const { parseVaa, toVaaBuffer } = require("./vaa");
+const { toWormholeAddress } = require("./tokenBridgePayload");
+const { encodePath, pathHash: hashPath } = require("./v3Path");
+const { confirmTransaction } = require("./txManager");
+
+// Operations on a BridgeSwapStrategy proxy, shared by the `bss` CLI and tests.
+// Every function takes an ethers Contract connected to the signer that should
+// send the transaction and returns plain data; printing is left to callers.
+// A signer wrapped in a TransactionManager (./txManager) is waited on through
+// it, so replaced transactions are followed. With a SimulationSigner
+// (./simulate) nothing is sent and results carry the `simulation` report; with
+// a ProposalSigner (./safeBatch) results carry the Safe batch entry as `proposal`.
+
+const ERC20_ABI = [
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function balanceOf(address owner) view returns (uint256)",
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+];
+
+const QUOTER_ABI = [
+  "function quoteExactInput(bytes memory path, uint256 amountIn) external returns (uint256 amountOut)",
+];
+
+const ROLE_NAMES = ["DEFAULT_ADMIN_ROLE", "ADMIN", "REPORTING_MANAGER"];
+
+function erc20(address, runner) {
+  return new ethers.Contract(address, ERC20_ABI, runner);
+}
+
+/**
+ * Returns the parsed logs for `eventName` emitted by `contract` in a receipt.
+ */
+function findEvents(receipt, contract, eventName) {
+  return receipt.logs
+    .map((log) => {
+      try {
+        return contract.interface.parseLog(log);
+      } catch (e) {
+        return null;
+      }
+    })
+    .filter((parsed) => parsed && parsed.name === eventName);
+}
+
+async function send(txPromise, contract, eventName) {
+  const tx = await txPromise;
+  const receipt = await confirmTransaction(tx, contract.runner);
+  const [event] = eventName ? findEvents(receipt, contract, eventName) : [];
+  return {
+    hash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    event: event ? event.args.toObject() : undefined,
+    ...(receipt.simulation ? { simulation: receipt.simulation } : {}),
+    ...(receipt.proposal ? { proposal: receipt.proposal } : {}),
+  };
+}
+
+async function requireRole(strategy, roleName, account) {
+  const role = await strategy[roleName]();
+  if (!(await strategy.hasRole(role, account))) {
+    throw new Error(`${account} does not have the ${roleName} role on ${await strategy.getAddress()}`);
+  }
+}
+
+async function signerAddress(strategy) {
+  return strategy.runner.getAddress();
+}
+
+/**
+ * Approves and deposits `amount` of `token` from the signer into the strategy.
+ */
+async function deposit(strategy, token, amount) {
+  await requireRole(strategy, "REPORTING_MANAGER", await signerAddress(strategy));
+  const approval = await erc20(token, strategy.runner).approve(await strategy.getAddress(), amount);
+  await confirmTransaction(approval, strategy.runner);
+  return send(strategy.deposit(token, amount), strategy, "Deposited");
+}
+
+/**
+ * Bridges strategy-held tokens out through the Token Bridge, paying the
+ * Wormhole message fee. Without a `recipient` on chain 1 this uses
+ * `bridgeOutToSolana`, which sends the underlying token to the aggregator.
+ */
+async function bridgeOut(strategy, { token, amount, chain, recipient }) {
+  await requireRole(strategy, "REPORTING_MANAGER", await signerAddress(strategy));
+  const messageFee = await strategy.getMessageFee();
+  const strategyAddress = await strategy.getAddress();
+
+  const toSolana = Number(chain) === 1 && !recipient;
+  const tokenAddress = toSolana ? await strategy.underlyingToken() : token;
+  const balance = await erc20(tokenAddress, strategy.runner).balanceOf(strategyAddress);
+  if (balance < amount) {
+    throw new Error(`Insufficient strategy balance: required ${amount}, available ${balance}`);
+  }
+
+  if (toSolana) {
+    return send(strategy.bridgeOutToSolana(amount, { value: messageFee }), strategy, "BridgedOut");
+  }
+  return send(
+    strategy.bridgeOut(tokenAddress, amount, chain, toWormholeAddress(recipient), { value: messageFee }),
+    strategy,
+    "BridgedOut"
+  );
+}
+
+/**
+ * Redeems a Token Bridge VAA (base64 or hex) into the strategy. Transfers
+ * from Solana go through `bridgeInFromSolana` so the received amount is emitted.
+ */
+async function bridgeIn(strategy, encodedVaa) {
+  await requireRole(strategy, "REPORTING_MANAGER", await signerAddress(strategy));
+  const bytes = toVaaBuffer(encodedVaa);
+  const vaa = parseVaa(bytes);
+  const txPromise = vaa.emitterChain === 1 ? strategy.bridgeInFromSolana(bytes) : strategy.bridgeIn(bytes);
+  return { vaa, ...(await send(txPromise, strategy, "BridgedIn")) };
+}
+
+/**
+ * Swaps strategy-held tokens. A single-hop path uses the single-pool entry
+ * point of the chosen DEX; longer paths go through Uniswap `exactInput`.
+ *
+ * @param {{tokens: string[], fees: number[], amountIn: bigint, amountOutMinimum?: bigint, dex?: "uniswap-v3"|"pancakeswap-v3"}} params
+ */
+async function swap(strategy, { tokens, fees, amountIn, amountOutMinimum = 0n, dex = "uniswap-v3" }) {
+  await requireRole(strategy, "REPORTING_MANAGER", await signerAddress(strategy));
+  if (tokens.length < 2 || fees.length !== tokens.length - 1) {
+    throw new Error("A swap needs at least two tokens and one fee per hop");
+  }
+
+  if (tokens.length === 2) {
+    const [tokenIn, tokenOut] = tokens;
+    if (dex === "pancakeswap-v3") {
+      return send(
+        strategy.swapExactInputSinglePancakeV3(tokenIn, tokenOut, fees[0], amountIn, amountOutMinimum, 0),
+        strategy,
+        "PancakeSwapped"
+      );
+    }
+    return send(
+      strategy.swapExactInputSingle(tokenIn, tokenOut, fees[0], amountIn, amountOutMinimum, 0),
+      strategy,
+      "Swapped"
+    );
+  }
+
+  if (dex === "pancakeswap-v3") {
+    throw new Error("Multi-hop swaps are only supported on Uniswap");
+  }
+  return send(
+    strategy.swapExactInput(encodePath(tokens, fees), amountIn, amountOutMinimum),
+    strategy,
+    "Swapped"
+  );
+}
+
+/**
+ * Quotes an exact-input swap with the Uniswap QuoterV2/Quoter `quoteExactInput`,
+ * at `overrides.blockTag` when given.
+ */
+async function quote(quoterAddress, runner, path, amountIn, overrides = {}) {
+  const quoter = new ethers.Contract(quoterAddress, QUOTER_ABI, runner);
+  // QuoterV2 returns extra values after amountOut; decoding only the first works for both
+  return quoter.quoteExactInput.staticCall(path, amountIn, overrides);
+}
+
+/**
+ * Allows a path unless it already is.
+ * @returns {Promise<{pathHash: string, alreadyAllowed: boolean, hash?: string}>}
+ */
+async function allowPath(strategy, path) {
+  await requireRole(strategy, "ADMIN", await signerAddress(strategy));
+  const pathHash = hashPath(path);
+  if (await strategy.isPathAllowed(pathHash)) {
+    return { pathHash, alreadyAllowed: true };
+  }
+  return { pathHash, alreadyAllowed: false, ...(await send(strategy.allowPath(path), strategy, "PathAllowed")) };
+}
+
+async function disallowPath(strategy, path) {
+  await requireRole(strategy, "ADMIN", await signerAddress(strategy));
+  const pathHash = hashPath(path);
+  return { pathHash, ...(await send(strategy.disallowPath(path), strategy, "PathDisallowed")) };
+}
+
+/**
+ * Reports whether each of the given paths is allowed on the strategy.
+ * @param {{name: string, path: string}[]} paths Encoded paths with display names
+ */
+async function listPaths(strategy, paths) {
+  const validationEnabled = await strategy.isPathValidationEnabled();
+  const entries = [];
+  for (const { name, path } of paths) {
+    const pathHash = hashPath(path);
+    entries.push({ name, path, pathHash, allowed: await strategy.isPathAllowed(pathHash) });
+  }
+  return { validationEnabled, paths: entries };
+}
+
+/**
+ * Returns which strategy roles `account` holds, keyed by role name.
+ */
+async function getRoles(strategy, account) {
+  const roles = {};
+  for (const roleName of ROLE_NAMES) {
+    const role = await strategy[roleName]();
+    roles[roleName] = await strategy.hasRole(role, account);
+  }
+  return roles;
+}
+
+/**
+ * Grants a role unless `account` already holds it. The signer must hold the
+ * role's admin role.
+ * @returns {Promise<{alreadyGranted: boolean, hash?: string}>}
+ */
+async function grantRole(strategy, roleName, account) {
+  const role = await requireRoleAdmin(strategy, roleName);
+  if (await strategy.hasRole(role, account)) return { alreadyGranted: true };
+  return { alreadyGranted: false, ...(await send(strategy.grantRole(role, account), strategy, "RoleGranted")) };
+}
+
+/**
+ * Revokes a role unless `account` does not hold it. The signer must hold the
+ * role's admin role.
+ * @returns {Promise<{notHeld: boolean, hash?: string}>}
+ */
+async function revokeRole(strategy, roleName, account) {
+  const role = await requireRoleAdmin(strategy, roleName);
+  if (!(await strategy.hasRole(role, account))) return { notHeld: true };
+  return { notHeld: false, ...(await send(strategy.revokeRole(role, account), strategy, "RoleRevoked")) };
+}
+
+/**
+ * Gives up one of the signer's own roles. This cannot be undone by the signer.
+ */
+async function renounceRole(strategy, roleName) {
+  const role = await roleId(strategy, roleName);
+  const account = await signerAddress(strategy);
+  await requireRole(strategy, roleName, account);
+  return send(strategy.renounceRole(role, account), strategy, "RoleRevoked");
+}
+
+async function requireRoleAdmin(strategy, roleName) {
+  const role = await roleId(strategy, roleName);
+  const adminRole = await strategy.getRoleAdmin(role);
+  const account = await signerAddress(strategy);
+  if (!(await strategy.hasRole(adminRole, account))) {
+    let adminName = adminRole;
+    for (const name of ROLE_NAMES) {
+      if ((await strategy[name]()) === adminRole) adminName = name;
+    }
+    throw new Error(`${account} cannot grant or revoke ${roleName}: it needs ${adminName}, the role's admin role`);
+  }
+  return role;
+}
+
+async function roleId(strategy, roleName) {
+  if (!ROLE_NAMES.includes(roleName)) {
+    throw new Error(`Unknown role "${roleName}". Expected one of: ${ROLE_NAMES.join(", ")}`);
+  }
+  return strategy[roleName]();
+}
+
+async function withdraw(strategy, token, amount, to) {
+  await requireRole(strategy, "ADMIN", await signerAddress(strategy));
+  return send(strategy.withdraw(token, amount, to), strategy, "Withdrawn");
+}
+
+async function setPaused(strategy, paused) {
+  await requireRole(strategy, "ADMIN", await signerAddress(strategy));
+  return send(paused ? strategy.pause() : strategy.unpause(), strategy, paused ? "Paused" : "Unpaused");
+}
+
+const ROUTER_SETTERS = {
+  "uniswap-v3": ["setUniswapRouter", "UniswapRouterUpdated"],
+  "pancakeswap-v3": ["setPancakeRouter", "PancakeRouterUpdated"],
+};
+
+/**
+ * Points the strategy at a new router for `dex` (uniswap-v3 or pancakeswap-v3).
+ */
+async function setRouter(strategy, dex, router) {
+  if (!ROUTER_SETTERS[dex]) {
+    throw new Error(`Unknown DEX "${dex}". Expected one of: ${Object.keys(ROUTER_SETTERS).join(", ")}`);
+  }
+  await requireRole(strategy, "ADMIN", await signerAddress(strategy));
+  const [method, eventName] = ROUTER_SETTERS[dex];
+  return send(strategy[method](router), strategy, eventName);
+}
+
+async function setUnderlyingToken(strategy, token) {
+  await requireRole(strategy, "ADMIN", await signerAddress(strategy));
+  return send(strategy.setUnderlyingToken(token), strategy, "UnderlyingTokenUpdated");
+}
+
+/**
+ * @param {string} aggregator Solana address as base58 or 32-byte hex
+ */
+async function setSolanaAggregator(strategy, aggregator) {
+  await requireRole(strategy, "ADMIN", await signerAddress(strategy));
+  return send(
+    strategy.setSolanaAggregatorAddress(toWormholeAddress(aggregator)),
+    strategy,
+    "SolanaAggregatorAddressUpdated"
+  );
+}
+
+async function setPathValidation(strategy, enabled) {
+  await requireRole(strategy, "ADMIN", await signerAddress(strategy));
+  return send(strategy.setPathValidationEnabled(enabled), strategy, "PathValidationToggled");
+}
+
+/**
+ * Sends the strategy's whole balance of `token` to `to`. Only works while paused.
+ */
+async function emergencyWithdraw(strategy, token, to) {
+  await requireRole(strategy, "ADMIN", await signerAddress(strategy));
+  if (!(await strategy.paused())) throw new Error("emergencyWithdraw only works while the strategy is paused");
+  return send(strategy.emergencyWithdraw(token, to), strategy, "Withdrawn");
+}
+
+/**
+ * Reads the Wormhole message fee through the strategy.
+ */
+async function messageFee(strategy) {
+  return strategy.getMessageFee();
+}
+
+/**
+ * Converts a human-readable amount to base units using the token's decimals.
+ */
+async function parseTokenAmount(token, amount, runner) {
+  const decimals = await erc20(token, runner).decimals();
+  return ethers.parseUnits(String(amount), decimals);
+}
+
+module.exports = {
+  ERC20_ABI,
+  ROLE_NAMES,
+  erc20,
+  findEvents,
+  parseTokenAmount,
+  deposit,
+  bridgeOut,
+  bridgeIn,
+  swap,
+  quote,
+  allowPath,
+  disallowPath,
+  listPaths,
+  getRoles,
+  grantRole,
+  revokeRole,
+  renounceRole,
+  withdraw,
+  setPaused,
+  setRouter,
+  setUnderlyingToken,
+  setSolanaAggregator,
+  setPathValidation,
+  emergencyWithdraw,
+  messageFee,
+};
@@ -0,0 +1,332 @@
+const { ethers } = require("ethers");
+const { getChain, chainName } = require("./chains");
+
+// Token Bridge payload ids
+const PAYLOAD_ID = {
+  TRANSFER: 1,
+  ATTEST_META: 2,
+  TRANSFER_WITH_PAYLOAD: 3,
+};
+
+// payloadId (1) | amount (32) | tokenAddress (32) | tokenChain (2) | to (32) | toChain (2) | fee (32)
+const TRANSFER_LENGTH = 133;
+// payloadId (1) | tokenAddress (32) | tokenChain (2) | decimals (1) | symbol (32) | name (32)
+const ATTEST_META_LENGTH = 100;
+// payloadId (1) | amount (32) | tokenAddress (32) | tokenChain (2) | to (32) | toChain (2) | fromAddress (32) | payload
+const TRANSFER_WITH_PAYLOAD_MIN_LENGTH = 133;
+
+// The Token Bridge truncates amounts to at most 8 decimals on the wire
+const MAX_WIRE_DECIMALS = 8;
+
+class TokenBridgePayloadError extends Error {
+  /**
+   * @param {string} code Machine-readable reason ("UNKNOWN_PAYLOAD_ID", "BAD_LENGTH", "BAD_INPUT")
+   * @param {string} message Human-readable description
+   * @param {object} [details] Extra context such as the payload id or length
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = "TokenBridgePayloadError";
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function toPayloadBuffer(payload) {
+  if (Buffer.isBuffer(payload)) return payload;
+  try {
+    return Buffer.from(ethers.getBytes(payload));
+  } catch (error) {
+    throw new TokenBridgePayloadError("BAD_INPUT", `Payload is not bytes or 0x-hex: ${error.message}`);
+  }
+}
+
+function readBytes32(buffer, offset) {
+  return "0x" + buffer.subarray(offset, offset + 32).toString("hex");
+}
+
+function readUint256(buffer, offset) {
+  return ethers.toBigInt(buffer.subarray(offset, offset + 32));
+}
+
+function readFixedString(buffer, offset) {
+  return buffer.subarray(offset, offset + 32).toString("utf8").replace(/\0+$/, "");
+}
+
+/**
+ * Renders a 32-byte Wormhole address in the native format of its chain:
+ * a checksummed 20-byte address on EVM chains, base58 on Solana and the raw
+ * 32 bytes elsewhere. EVM addresses with non-zero upper bytes render as null.
+ */
+function nativeAddress(bytes32, wormholeChainId) {
+  const chain = getChain(wormholeChainId);
+  if (!chain) return null;
+
+  if (chain.platform === "evm") {
+    if (!/^0x0{24}/i.test(bytes32)) return null;
+    return ethers.getAddress("0x" + bytes32.slice(-40));
+  }
+  if (chain.platform === "solana") {
+    return ethers.encodeBase58(bytes32);
+  }
+  return bytes32;
+}
+
+/**
+ * @returns {{address: string, native: string|null, chain: number|null, chainName: string}}
+ */
+function describeAddress(bytes32, wormholeChainId) {
+  return {
+    address: bytes32,
+    native: nativeAddress(bytes32, wormholeChainId),
+    chain: wormholeChainId === undefined ? null : wormholeChainId,
+    chainName: chainName(wormholeChainId),
+  };
+}
+
+function assertPayloadId(buffer, expected) {
+  if (buffer.length === 0) {
+    throw new TokenBridgePayloadError("BAD_LENGTH", "Token Bridge payload is empty", { length: 0 });
+  }
+  if (buffer[0] !== expected) {
+    throw new TokenBridgePayloadError(
+      "UNKNOWN_PAYLOAD_ID",
+      `Expected Token Bridge payload id ${expected}, got ${buffer[0]}`,
+      { payloadId: buffer[0], expected }
+    );
+  }
+}
+
+function assertLength(buffer, expected, exact, type) {
+  const ok = exact ? buffer.length === expected : buffer.length >= expected;
+  if (!ok) {
+    throw new TokenBridgePayloadError(
+      "BAD_LENGTH",
+      `${type} payload must be ${exact ? "exactly" : "at least"} ${expected} bytes, got ${buffer.length}`,
+      { type, expected, length: buffer.length }
+    );
+  }
+}
+
+/**
+ * Decodes a Token Bridge Transfer (payload id 1).
+ * @param {Buffer|string} payload
+ */
+function decodeTransfer(payload) {
+  const buffer = toPayloadBuffer(payload);
+  assertPayloadId(buffer, PAYLOAD_ID.TRANSFER);
+  assertLength(buffer, TRANSFER_LENGTH, true, "Transfer");
+
+  const tokenChain = buffer.readUInt16BE(65);
+  const toChain = buffer.readUInt16BE(99);
+
+  return {
+    payloadId: PAYLOAD_ID.TRANSFER,
+    type: "Transfer",
+    amount: readUint256(buffer, 1),
+    token: describeAddress(readBytes32(buffer, 33), tokenChain),
+    to: describeAddress(readBytes32(buffer, 67), toChain),
+    fee: readUint256(buffer, 101),
+  };
+}
+
+/**
+ * Decodes a Token Bridge AssetMeta attestation (payload id 2).
+ * @param {Buffer|string} payload
+ */
+function decodeAttestMeta(payload) {
+  const buffer = toPayloadBuffer(payload);
+  assertPayloadId(buffer, PAYLOAD_ID.ATTEST_META);
+  assertLength(buffer, ATTEST_META_LENGTH, true, "AttestMeta");
+
+  const tokenChain = buffer.readUInt16BE(33);
+
+  return {
+    payloadId: PAYLOAD_ID.ATTEST_META,
+    type: "AttestMeta",
+    token: describeAddress(readBytes32(buffer, 1), tokenChain),
+    decimals: buffer.readUInt8(35),
+    symbol: readFixedString(buffer, 36),
+    name: readFixedString(buffer, 68),
+  };
+}
+
+/**
+ * Decodes a Token Bridge TransferWithPayload (payload id 3).
+ *
+ * The sender's chain is not part of the payload; pass the VAA's emitter chain
+ * as `emitterChain` so `from.native` can be rendered.
+ *
+ * @param {Buffer|string} payload
+ * @param {{emitterChain?: number}} [context]
+ */
+function decodeTransferWithPayload(payload, context = {}) {
+  const buffer = toPayloadBuffer(payload);
+  assertPayloadId(buffer, PAYLOAD_ID.TRANSFER_WITH_PAYLOAD);
+  assertLength(buffer, TRANSFER_WITH_PAYLOAD_MIN_LENGTH, false, "TransferWithPayload");
+
+  const tokenChain = buffer.readUInt16BE(65);
+  const toChain = buffer.readUInt16BE(99);
+
+  return {
+    payloadId: PAYLOAD_ID.TRANSFER_WITH_PAYLOAD,
+    type: "TransferWithPayload",
+    amount: readUint256(buffer, 1),
+    token: describeAddress(readBytes32(buffer, 33), tokenChain),
+    to: describeAddress(readBytes32(buffer, 67), toChain),
+    from: describeAddress(readBytes32(buffer, 101), context.emitterChain),
+    payload: Buffer.from(buffer.subarray(TRANSFER_WITH_PAYLOAD_MIN_LENGTH)),
+  };
+}
+
+/**
+ * Decodes any Token Bridge payload by its leading payload id.
+ * Throws a TokenBridgePayloadError with code UNKNOWN_PAYLOAD_ID for anything else.
+ *
+ * @param {Buffer|string} payload
+ * @param {{emitterChain?: number}} [context]
+ */
+function decodeTokenBridgePayload(payload, context = {}) {
+  const buffer = toPayloadBuffer(payload);
+  if (buffer.length === 0) {
+    throw new TokenBridgePayloadError("BAD_LENGTH", "Token Bridge payload is empty", { length: 0 });
+  }
+
+  switch (buffer[0]) {
+    case PAYLOAD_ID.TRANSFER:
+      return decodeTransfer(buffer);
+    case PAYLOAD_ID.ATTEST_META:
+      return decodeAttestMeta(buffer);
+    case PAYLOAD_ID.TRANSFER_WITH_PAYLOAD:
+      return decodeTransferWithPayload(buffer, context);
+    default:
+      throw new TokenBridgePayloadError(
+        "UNKNOWN_PAYLOAD_ID",
+        `Unknown Token Bridge payload id: ${buffer[0]}`,
+        { payloadId: buffer[0] }
+      );
+  }
+}
+
+/**
+ * Converts an address to the 32-byte Wormhole form. Accepts a 20-byte EVM
+ * address, an already padded 32-byte hex value or a base58 (Solana) address.
+ * @returns {string} 0x-prefixed 32-byte hex
+ */
+function toWormholeAddress(address) {
+  if (typeof address === "string" && /^0x[0-9a-fA-F]{40}$/.test(address)) {
+    return ethers.zeroPadValue(address, 32).toLowerCase();
+  }
+  if (typeof address === "string" && /^0x[0-9a-fA-F]{64}$/.test(address)) {
+    return address.toLowerCase();
+  }
+  if (typeof address === "string" && /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(address)) {
+    return ethers.toBeHex(ethers.decodeBase58(address), 32);
+  }
+  throw new TokenBridgePayloadError("BAD_INPUT", `Cannot convert ${address} to a Wormhole address`, {
+    address,
+  });
+}
+
+function encodeFixedString(value) {
+  const bytes = ethers.toUtf8Bytes(value);
+  if (bytes.length > 32) {
+    throw new TokenBridgePayloadError("BAD_INPUT", `"${value}" does not fit in 32 bytes`);
+  }
+  return ethers.zeroPadBytes(bytes, 32);
+}
+
+/**
+ * Encodes a Token Bridge Transfer (payload id 1).
+ * @param {{amount: bigint, tokenAddress: string, tokenChain: number, to: string, toChain: number, fee?: bigint}} transfer
+ * @returns {Buffer}
+ */
+function encodeTransfer(transfer) {
+  return Buffer.from(
+    ethers.getBytes(
+      ethers.solidityPacked(
+        ["uint8", "uint256", "bytes32", "uint16", "bytes32", "uint16", "uint256"],
+        [
+          PAYLOAD_ID.TRANSFER,
+          transfer.amount,
+          toWormholeAddress(transfer.tokenAddress),
+          transfer.tokenChain,
+          toWormholeAddress(transfer.to),
+          transfer.toChain,
+          transfer.fee || 0n,
+        ]
+      )
+    )
+  );
+}
+
+/**
+ * Encodes a Token Bridge AssetMeta attestation (payload id 2).
+ * @param {{tokenAddress: string, tokenChain: number, decimals: number, symbol: string, name: string}} meta
+ * @returns {Buffer}
+ */
+function encodeAttestMeta(meta) {
+  return Buffer.from(
+    ethers.getBytes(
+      ethers.concat([
+        ethers.solidityPacked(
+          ["uint8", "bytes32", "uint16", "uint8"],
+          [PAYLOAD_ID.ATTEST_META, toWormholeAddress(meta.tokenAddress), meta.tokenChain, meta.decimals]
+        ),
+        encodeFixedString(meta.symbol),
+        encodeFixedString(meta.name),
+      ])
+    )
+  );
+}
+
+/**
+ * Encodes a Token Bridge TransferWithPayload (payload id 3).
+ * @param {{amount: bigint, tokenAddress: string, tokenChain: number, to: string, toChain: number, fromAddress: string, payload?: string|Uint8Array}} transfer
+ * @returns {Buffer}
+ */
+function encodeTransferWithPayload(transfer) {
+  return Buffer.from(
+    ethers.getBytes(
+      ethers.solidityPacked(
+        ["uint8", "uint256", "bytes32", "uint16", "bytes32", "uint16", "bytes32", "bytes"],
+        [
+          PAYLOAD_ID.TRANSFER_WITH_PAYLOAD,
+          transfer.amount,
+          toWormholeAddress(transfer.tokenAddress),
+          transfer.tokenChain,
+          toWormholeAddress(transfer.to),
+          transfer.toChain,
+          toWormholeAddress(transfer.fromAddress),
+          transfer.payload || "0x",
+        ]
+      )
+    )
+  );
+}
+
+/**
+ * Converts a wire amount (at most 8 decimals) back to token base units.
+ * @param {bigint} amount Amount as carried in the VAA
+ * @param {number} decimals The token's decimals on the chain being credited
+ */
+function denormalizeAmount(amount, decimals) {
+  if (decimals <= MAX_WIRE_DECIMALS) return amount;
+  return amount * 10n ** BigInt(decimals - MAX_WIRE_DECIMALS);
+}
+
+module.exports = {
+  PAYLOAD_ID,
+  TokenBridgePayloadError,
+  nativeAddress,
+  describeAddress,
+  decodeTransfer,
+  decodeAttestMeta,
+  decodeTransferWithPayload,
+  decodeTokenBridgePayload,
+  denormalizeAmount,
+  toWormholeAddress,
+  encodeTransfer,
+  encodeAttestMeta,
+  encodeTransferWithPayload,
+};
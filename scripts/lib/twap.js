@@ -0,0 +1,367 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { LEDGER_DIR, LOG_CHUNK_SIZE, saveJson } = require("./jsonStore");
+const { encodePath } = require("./v3Path");
+const actions = require("./strategyActions");
+const { quoteWithImpact, planSwap } = require("./quotes");
+const { formatError } = require("./errors");
+
+// Split-order executor: swaps a large amount through the strategy in chunks
+// so no single swap moves a pool too far.
+//
+// An order is split into equal chunks (the last one takes the remainder),
+// either as many as asked for or the fewest whose quoted price impact stays
+// within a budget, and the chunks are spread evenly over a time window. Each
+// chunk is quoted right before it is sent and gets its own amountOutMinimum
+// from quotes.planSwap. The run log is saved before and after every chunk:
+//
+//   ledger/twap-<network>-<createdAt>.json
+//   {
+//     "version": 1, "network", "chainId", "strategy", "startBlock", "createdAt",
+//     "order": { dex, tokens, fees, path, quoter, amountIn, window, slippageBps, maxPriceImpactBps },
+//     "chunks": [{ index, amountIn, notBefore, status, attempts, fromBlock, fill, error }]
+//   }
+//
+// A chunk is "open", "sending" (marked just before its transaction goes out)
+// or "filled". A run that crashed while a chunk was "sending" looks for the
+// chunk's Swapped/PancakeSwapped event from `fromBlock` when it resumes, so a
+// swap that made it on-chain is recorded rather than sent twice.
+
+const RUN_VERSION = 1;
+const MAX_CHUNKS = 64;
+
+function defaultRunPath(network, createdAt) {
+  return path.join(LEDGER_DIR, `twap-${network}-${createdAt}.json`);
+}
+
+/**
+ * Splits `amountIn` into `chunks` equal parts, the remainder going to the last.
+ * @returns {bigint[]}
+ */
+function splitAmount(amountIn, chunks) {
+  if (!Number.isInteger(chunks) || chunks < 1) throw new Error("The number of chunks must be a whole number above 0");
+  const size = amountIn / BigInt(chunks);
+  if (size === 0n) throw new Error(`${amountIn} cannot be split into ${chunks} non-empty chunks`);
+  const amounts = Array(chunks).fill(size);
+  amounts[chunks - 1] = amountIn - size * BigInt(chunks - 1);
+  return amounts;
+}
+
+/**
+ * The fewest chunks whose largest chunk quotes within `budgetBps` of price
+ * impact, searched by doubling and then bisecting up to `maxChunks`.
+ * @returns {Promise<number>}
+ */
+async function chunksForImpact(quoterAddress, runner, path, amountIn, budgetBps, { maxChunks = MAX_CHUNKS } = {}) {
+  const fits = async (chunks) => {
+    const amounts = splitAmount(amountIn, chunks);
+    const { priceImpactBps } = await quoteWithImpact(quoterAddress, runner, path, amounts[chunks - 1]);
+    return priceImpactBps === null || priceImpactBps <= budgetBps;
+  };
+
+  let high = 1;
+  while (!(await fits(high))) {
+    if (high >= maxChunks) {
+      throw new Error(`Even ${maxChunks} chunks are over the ${budgetBps} bps price impact budget`);
+    }
+    high = Math.min(high * 2, maxChunks);
+  }
+  let low = Math.floor(high / 2);
+  while (high - low > 1) {
+    const middle = Math.floor((low + high) / 2);
+    if (await fits(middle)) high = middle;
+    else low = middle;
+  }
+  return high;
+}
+
+/**
+ * Starts a run log for an order; chunk i may be sent from `createdAt + i * window / chunks`.
+ * @param {{network: string, chainId: number|bigint, strategy: string, startBlock: number, createdAt: number,
+ *   order: {dex: string, tokens: string[], fees: number[], quoter: string, amountIn: bigint, chunks: number,
+ *   window?: number, slippageBps: number, maxPriceImpactBps: number}}} params `window` and `createdAt` in seconds
+ */
+function createRun({ network, chainId, strategy, startBlock, createdAt, order }) {
+  const { dex, tokens, fees, quoter, amountIn, chunks, window = 0, slippageBps, maxPriceImpactBps } = order;
+  if (tokens.length < 2 || fees.length !== tokens.length - 1) {
+    throw new Error("An order needs at least two tokens and one fee per hop");
+  }
+  return {
+    version: RUN_VERSION,
+    network,
+    chainId: Number(chainId),
+    strategy: ethers.getAddress(strategy),
+    startBlock,
+    createdAt,
+    order: {
+      dex,
+      tokens: tokens.map((token) => ethers.getAddress(token)),
+      fees,
+      path: encodePath(tokens, fees),
+      quoter: ethers.getAddress(quoter),
+      amountIn: amountIn.toString(),
+      window,
+      slippageBps,
+      maxPriceImpactBps,
+    },
+    chunks: splitAmount(amountIn, chunks).map((amount, index) => ({
+      index,
+      amountIn: amount.toString(),
+      notBefore: createdAt + Math.floor((index * window) / chunks),
+      status: "open",
+      attempts: 0,
+    })),
+  };
+}
+
+/**
+ * Loads a run log. Refuses a file written for another strategy or chain.
+ */
+function openRun(file, identity) {
+  if (!fs.existsSync(file)) throw new Error(`No run log at ${file}`);
+
+  const run = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (run.version !== RUN_VERSION) {
+    throw new Error(`${file}: unsupported run log version ${run.version} (expected ${RUN_VERSION})`);
+  }
+  const strategy = ethers.getAddress(identity.strategy);
+  if (run.chainId !== Number(identity.chainId) || run.strategy !== strategy) {
+    throw new Error(
+      `${file} is for strategy ${run.strategy} on chain ${run.chainId}, not ${strategy} on chain ${identity.chainId}`
+    );
+  }
+  return run;
+}
+
+// Written after every chunk, so it must never be left half-written
+function saveRun(run, file) {
+  saveJson(run, file);
+}
+
+// The event the strategy emits for the order's swaps
+function swapEventName(order) {
+  return order.dex === "pancakeswap-v3" && order.tokens.length === 2 ? "PancakeSwapped" : "Swapped";
+}
+
+/**
+ * Collects the strategy's Swapped and PancakeSwapped events, scanning
+ * `chunkSize` blocks per getLogs call.
+ * @returns {Promise<{event: string, tokenIn: string, tokenOut: string, amountIn: bigint, amountOut: bigint,
+ *   transactionHash: string, blockNumber: number}[]>}
+ */
+async function scanSwapEvents(strategy, { fromBlock = 0, toBlock, chunkSize = LOG_CHUNK_SIZE } = {}) {
+  const provider = strategy.runner.provider;
+  const address = await strategy.getAddress();
+  const topics = [
+    [strategy.interface.getEvent("Swapped").topicHash, strategy.interface.getEvent("PancakeSwapped").topicHash],
+  ];
+  const lastBlock = toBlock === undefined ? await provider.getBlockNumber() : toBlock;
+
+  const swaps = [];
+  for (let start = fromBlock; start <= lastBlock; start += chunkSize) {
+    const end = Math.min(start + chunkSize - 1, lastBlock);
+    const logs = await provider.getLogs({ address, topics, fromBlock: start, toBlock: end });
+    for (const log of logs) {
+      const { name, args } = strategy.interface.parseLog(log);
+      swaps.push({
+        event: name,
+        tokenIn: args.tokenIn,
+        tokenOut: args.tokenOut,
+        amountIn: args.amountIn,
+        amountOut: args.amountOut,
+        transactionHash: log.transactionHash,
+        blockNumber: log.blockNumber,
+      });
+    }
+  }
+  return swaps;
+}
+
+// Whether a swap event is one of the order's chunks of `amountIn`
+function isOrderSwap(order, swap, amountIn) {
+  return (
+    swap.event === swapEventName(order) &&
+    swap.tokenIn === order.tokens[0] &&
+    swap.tokenOut === order.tokens[order.tokens.length - 1] &&
+    swap.amountIn === BigInt(amountIn)
+  );
+}
+
+function recordedHashes(run) {
+  return new Set(run.chunks.filter((chunk) => chunk.fill).map((chunk) => chunk.fill.transactionHash));
+}
+
+// Finds the event of a chunk whose transaction may have been mined before the run stopped
+async function findChunkSwap(run, chunk, strategy) {
+  const recorded = recordedHashes(run);
+  const swaps = await scanSwapEvents(strategy, { fromBlock: chunk.fromBlock });
+  return swaps.find((swap) => isOrderSwap(run.order, swap, chunk.amountIn) && !recorded.has(swap.transactionHash));
+}
+
+/**
+ * Sends the run's open chunks in order, waiting for each one's `notBefore`.
+ * Stops at the first chunk that fails to quote or send, leaving it open with
+ * the error; the run can be resumed from there.
+ *
+ * @param {{strategy: ethers.Contract, now?: Function, sleep?: Function, onProgress?: Function,
+ *   log?: Function}} options `now()` and `sleep(seconds)` in seconds
+ * @returns {Promise<object[]>} The chunks filled by this call
+ */
+async function executeRun(run, options) {
+  const {
+    strategy,
+    now = () => Math.floor(Date.now() / 1000),
+    sleep = (seconds) => new Promise((resolve) => setTimeout(resolve, seconds * 1000)),
+    onProgress = () => {},
+    log = () => {},
+  } = options;
+  const { order } = run;
+  const runner = strategy.runner;
+  const filled = [];
+
+  for (const chunk of run.chunks) {
+    if (chunk.status === "filled") continue;
+    const label = `Chunk ${chunk.index + 1}/${run.chunks.length}`;
+
+    if (chunk.status === "sending") {
+      const swap = await findChunkSwap(run, chunk, strategy);
+      if (swap) {
+        chunk.status = "filled";
+        chunk.fill = {
+          transactionHash: swap.transactionHash,
+          blockNumber: swap.blockNumber,
+          amountOut: swap.amountOut.toString(),
+          recovered: true,
+        };
+        delete chunk.error;
+        onProgress(run);
+        filled.push(chunk);
+        log(`${label}: found its swap in ${swap.transactionHash}`);
+        continue;
+      }
+      const signer = await runner.getAddress();
+      const [mined, pending] = await Promise.all([
+        runner.provider.getTransactionCount(signer, "latest"),
+        runner.provider.getTransactionCount(signer, "pending"),
+      ]);
+      if (pending > mined) {
+        throw new Error(`${label} may still be pending; wait for the signer's transactions (bss tx) and resume`);
+      }
+      chunk.status = "open";
+    }
+
+    const wait = chunk.notBefore - now();
+    if (wait > 0) {
+      log(`${label}: waiting ${wait}s`);
+      await sleep(wait);
+    }
+
+    chunk.attempts += 1;
+    try {
+      const plan = await planSwap(order.quoter, runner, order.path, BigInt(chunk.amountIn), {
+        slippageBps: order.slippageBps,
+        maxPriceImpactBps: order.maxPriceImpactBps,
+      });
+      chunk.status = "sending";
+      chunk.fromBlock = await runner.provider.getBlockNumber();
+      onProgress(run);
+
+      const result = await actions.swap(strategy, {
+        tokens: order.tokens,
+        fees: order.fees,
+        amountIn: BigInt(chunk.amountIn),
+        amountOutMinimum: plan.amountOutMinimum,
+        dex: order.dex,
+      });
+      chunk.status = "filled";
+      chunk.fill = {
+        transactionHash: result.hash,
+        blockNumber: result.blockNumber,
+        amountOut: result.event.amountOut.toString(),
+        quotedOut: plan.amountOut.toString(),
+        amountOutMinimum: plan.amountOutMinimum.toString(),
+        priceImpactBps: plan.priceImpactBps,
+      };
+      delete chunk.error;
+    } catch (error) {
+      // A chunk that got as far as sending stays "sending" for the next resume to look up
+      chunk.error = formatError(error);
+      onProgress(run);
+      throw new Error(`${label} failed: ${chunk.error}`);
+    }
+    onProgress(run);
+    filled.push(chunk);
+    log(`${label}: swapped ${chunk.amountIn} for ${chunk.fill.amountOut} in ${chunk.fill.transactionHash}`);
+  }
+  return filled;
+}
+
+/**
+ * Checks the run log against the strategy's swap events since the run
+ * started: each fill's transaction must hold a matching event, and any swap of
+ * a chunk's size along the order's pair that the log does not know of is
+ * reported as unrecorded.
+ * @returns {{matched: object[], mismatched: object[], missing: object[], unrecorded: object[]}}
+ *   `mismatched` entries are {chunk, swap, fields}
+ */
+function reconcileRun(run, swaps) {
+  const { order } = run;
+  const byHash = new Map(swaps.map((swap) => [swap.transactionHash, swap]));
+  const result = { matched: [], mismatched: [], missing: [], unrecorded: [] };
+
+  for (const chunk of run.chunks.filter((c) => c.fill)) {
+    const swap = byHash.get(chunk.fill.transactionHash);
+    if (!swap) {
+      result.missing.push(chunk);
+      continue;
+    }
+    const fields = [];
+    if (!isOrderSwap(order, swap, chunk.amountIn)) fields.push("swap");
+    if (swap.amountOut !== BigInt(chunk.fill.amountOut)) fields.push("amountOut");
+    if (fields.length) result.mismatched.push({ chunk, swap, fields });
+    else result.matched.push(chunk);
+  }
+
+  const recorded = recordedHashes(run);
+  const sizes = new Set(run.chunks.map((chunk) => chunk.amountIn));
+  result.unrecorded = swaps.filter(
+    (swap) =>
+      swap.blockNumber >= run.startBlock &&
+      !recorded.has(swap.transactionHash) &&
+      [...sizes].some((size) => isOrderSwap(order, swap, size))
+  );
+  return result;
+}
+
+/**
+ * Totals of a run: amounts swapped so far, and chunks per status.
+ */
+function runSummary(run) {
+  const counts = { open: 0, sending: 0, filled: 0 };
+  let amountIn = 0n;
+  let amountOut = 0n;
+  for (const chunk of run.chunks) {
+    counts[chunk.status] += 1;
+    if (chunk.fill) {
+      amountIn += BigInt(chunk.amountIn);
+      amountOut += BigInt(chunk.fill.amountOut);
+    }
+  }
+  return { ...counts, chunks: run.chunks.length, done: counts.filled === run.chunks.length, amountIn, amountOut };
+}
+
+module.exports = {
+  RUN_VERSION,
+  MAX_CHUNKS,
+  defaultRunPath,
+  splitAmount,
+  chunksForImpact,
+  createRun,
+  openRun,
+  saveRun,
+  scanSwapEvents,
+  executeRun,
+  reconcileRun,
+  runSummary,
+};
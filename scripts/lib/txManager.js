@@ -0,0 +1,371 @@
+const { ethers } = require("ethers");
+
+// Shared transaction sender.
+//
+// A TransactionManager wraps a signer and is an ethers signer itself, so it
+// goes anywhere a signer does (contracts, factories, hardhat-upgrades). It
+// hands out nonces from a local cursor rather than trusting the node's pending
+// count for back-to-back sends, fills in EIP-1559 or legacy fees by chain, and
+// remembers every transaction it sent per nonce. A stuck transaction can then
+// be sped up (same transaction, higher fees) or cancelled (a 0-value transfer
+// to self) by replacement, and `wait` resolves with whichever one was mined.
+
+// BSC prices gas with a plain gasPrice
+const LEGACY_GAS_CHAINS = [56, 97];
+// Nodes only accept a replacement that raises every fee field by at least 10%
+const DEFAULT_BUMP_PERCENT = 15;
+const DEFAULT_TIMEOUT = 300;
+const DEFAULT_POLL_INTERVAL = 2;
+const DEFAULT_MAX_SPEED_UPS = 3;
+
+class TransactionError extends Error {
+  /**
+   * @param {string} code Machine-readable reason ("TIMEOUT", "REVERTED", "NONCE_TAKEN", "UNKNOWN_NONCE")
+   * @param {string} message Human-readable description
+   * @param {object} [details] Extra context such as the nonce, hashes or receipt
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = "TransactionError";
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function isNonceError(error) {
+  if (error.code === "NONCE_EXPIRED" || error.code === "REPLACEMENT_UNDERPRICED") return true;
+  return /nonce too low|nonce has already been used|replacement (transaction )?underpriced/i.test(error.message || "");
+}
+
+/**
+ * Hash of the transaction a node rejected as one it already holds, as when a
+ * send is retried after its reply was lost. Geth says "already known", Hardhat
+ * "Known transaction: <hash>". Null for any other error, undefined when the
+ * hash cannot be told.
+ */
+function knownTransactionHash(error) {
+  const message = error.message || "";
+  if (!/already known|known transaction/i.test(message)) return null;
+  const payload = error.info && error.info.payload;
+  if (payload && payload.method === "eth_sendRawTransaction") return ethers.keccak256(payload.params[0]);
+  const quoted = message.match(/0x[0-9a-f]{64}\b/i);
+  return quoted ? quoted[0] : undefined;
+}
+
+// Raises a fee by `percent`, rounding up so a replacement always clears the minimum bump
+function bump(value, percent) {
+  return (value * BigInt(100 + percent) + 99n) / 100n;
+}
+
+const isSet = (value) => value !== null && value !== undefined;
+
+function maxOf(...values) {
+  return values.filter(isSet).reduce((a, b) => (a > b ? a : b));
+}
+
+const sleep = (seconds) => new Promise((resolve) => setTimeout(resolve, seconds * 1000));
+
+class TransactionManager extends ethers.AbstractSigner {
+  /**
+   * @param {ethers.Signer} signer
+   * @param {{gasMode?: "eip1559"|"legacy", bumpPercent?: number, confirmations?: number, timeout?: number,
+   *   pollInterval?: number, speedUpAfter?: number, maxSpeedUps?: number, log?: Function}} [options]
+   *   Times are in seconds. `gasMode` defaults by chain id. With `speedUpAfter`, `wait`
+   *   replaces a transaction that has not been mined after that long, up to `maxSpeedUps` times.
+   */
+  constructor(signer, options = {}) {
+    super(signer.provider);
+    this.signer = signer;
+    this.address = signer.address;
+    this.options = {
+      bumpPercent: DEFAULT_BUMP_PERCENT,
+      confirmations: 1,
+      timeout: DEFAULT_TIMEOUT,
+      pollInterval: DEFAULT_POLL_INTERVAL,
+      maxSpeedUps: DEFAULT_MAX_SPEED_UPS,
+      log: () => {},
+      ...options,
+    };
+    this.cursor = null;
+    this.sent = new Map();
+    this.queue = Promise.resolve();
+  }
+
+  async getAddress() {
+    return this.signer.getAddress();
+  }
+
+  connect(provider) {
+    return new TransactionManager(this.signer.connect(provider), this.options);
+  }
+
+  async signTransaction(tx) {
+    return this.signer.signTransaction(tx);
+  }
+
+  async signMessage(message) {
+    return this.signer.signMessage(message);
+  }
+
+  async signTypedData(domain, types, value) {
+    return this.signer.signTypedData(domain, types, value);
+  }
+
+  async gasMode() {
+    if (this.options.gasMode) return this.options.gasMode;
+    const { chainId } = await this.provider.getNetwork();
+    return LEGACY_GAS_CHAINS.includes(Number(chainId)) ? "legacy" : "eip1559";
+  }
+
+  /**
+   * Current fee fields for the chain's gas mode. Chains without a base fee
+   * fall back to legacy pricing.
+   */
+  async feeFields() {
+    const feeData = await this.provider.getFeeData();
+    if ((await this.gasMode()) === "eip1559" && feeData.maxFeePerGas !== null) {
+      return { maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas };
+    }
+    return { gasPrice: feeData.gasPrice };
+  }
+
+  /**
+   * Next nonce to use: the local cursor, unless the node has seen more
+   * transactions from this account (e.g. sent by another process) or no
+   * longer knows the transaction sent at its pending nonce (dropped).
+   */
+  async nextNonce() {
+    const pending = await this.provider.getTransactionCount(await this.getAddress(), "pending");
+    if (this.cursor === null || pending >= this.cursor) return pending;
+    const entry = this.sent.get(pending);
+    if (entry) {
+      for (const response of entry.responses) {
+        if (await this.provider.getTransaction(response.hash)) return this.cursor;
+      }
+    }
+    return pending;
+  }
+
+  /**
+   * Re-reads the nonce from the node, dropping the local cursor.
+   */
+  async resyncNonce() {
+    this.cursor = await this.provider.getTransactionCount(await this.getAddress(), "pending");
+    return this.cursor;
+  }
+
+  // Sends are serialized so concurrent callers never read the same nonce
+  sendTransaction(tx) {
+    const result = this.queue.then(() => this.sendNext(tx));
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  async sendNext(tx) {
+    const hasFees = isSet(tx.gasPrice) || isSet(tx.maxFeePerGas);
+    for (let attempt = 0; ; attempt++) {
+      const nonce = isSet(tx.nonce) && attempt === 0 ? Number(tx.nonce) : await this.nextNonce();
+      const request = { ...tx, nonce, ...(hasFees ? {} : await this.feeFields()) };
+      try {
+        const response = await this.signer.sendTransaction(request);
+        this.cursor = nonce + 1;
+        this.sent.set(nonce, { request, responses: [response], sentAt: Date.now() });
+        return response;
+      } catch (error) {
+        // Already pending: sending it again at a fresh nonce would run the call twice
+        const known = knownTransactionHash(error);
+        const response = known && (await this.provider.getTransaction(known));
+        if (response) {
+          this.options.log(`Nonce ${nonce}: the node already has this transaction (${known})`);
+          this.cursor = nonce + 1;
+          this.sent.set(nonce, { request, responses: [response], sentAt: Date.now() });
+          return response;
+        }
+        if (known !== null || !isNonceError(error) || attempt >= 2) throw error;
+        this.options.log(`Nonce ${nonce} is taken (${error.shortMessage || error.message}); resyncing`);
+        await this.resyncNonce();
+      }
+    }
+  }
+
+  /**
+   * Starts tracking a transaction this manager did not send (e.g. found by
+   * hash after a restart) so it can be sped up, cancelled or waited on.
+   * @param {ethers.TransactionResponse} response
+   */
+  track(response) {
+    const request = {
+      to: response.to,
+      data: response.data,
+      value: response.value,
+      gasLimit: response.gasLimit,
+      nonce: response.nonce,
+      chainId: response.chainId,
+      ...(isSet(response.maxFeePerGas)
+        ? { maxFeePerGas: response.maxFeePerGas, maxPriorityFeePerGas: response.maxPriorityFeePerGas }
+        : { gasPrice: response.gasPrice }),
+    };
+    const entry = this.sent.get(response.nonce);
+    if (entry) {
+      if (!entry.responses.some((r) => r.hash === response.hash)) entry.responses.push(response);
+    } else {
+      this.sent.set(response.nonce, { request, responses: [response], sentAt: Date.now() });
+    }
+    return this.sent.get(response.nonce);
+  }
+
+  async replace(nonce, changes, { bumpPercent = this.options.bumpPercent } = {}) {
+    const entry = this.sent.get(Number(nonce));
+    if (!entry) throw new TransactionError("UNKNOWN_NONCE", `No transaction sent with nonce ${nonce}`, { nonce });
+
+    const fresh = await this.feeFields();
+    const previous = entry.request;
+    let fees;
+    if (isSet(previous.maxFeePerGas) && fresh.maxFeePerGas !== undefined) {
+      const maxPriorityFeePerGas = maxOf(bump(previous.maxPriorityFeePerGas, bumpPercent), fresh.maxPriorityFeePerGas);
+      fees = {
+        maxPriorityFeePerGas,
+        maxFeePerGas: maxOf(bump(previous.maxFeePerGas, bumpPercent), fresh.maxFeePerGas, maxPriorityFeePerGas),
+      };
+    } else {
+      const old = isSet(previous.gasPrice) ? previous.gasPrice : previous.maxFeePerGas;
+      fees = { gasPrice: maxOf(bump(old, bumpPercent), fresh.gasPrice, fresh.maxFeePerGas) };
+    }
+
+    const { gasPrice, maxFeePerGas, maxPriorityFeePerGas, ...rest } = previous;
+    const request = { ...rest, ...changes, ...fees, nonce: Number(nonce) };
+    const response = await this.signer.sendTransaction(request);
+    entry.request = request;
+    entry.responses.push(response);
+    entry.sentAt = Date.now();
+    return response;
+  }
+
+  /**
+   * Re-sends the transaction at `nonce` with fees raised by `bumpPercent`
+   * (or to the current network fees, if higher).
+   */
+  async speedUp(nonce, options) {
+    const response = await this.replace(nonce, {}, options);
+    this.options.log(`Sped up nonce ${nonce}: ${response.hash}`);
+    return response;
+  }
+
+  /**
+   * Replaces the transaction at `nonce` with a 0-value transfer to self.
+   */
+  async cancel(nonce, options) {
+    const self = await this.getAddress();
+    const response = await this.replace(nonce, { to: self, data: "0x", value: 0n, gasLimit: 21000n }, options);
+    this.options.log(`Cancelling nonce ${nonce}: ${response.hash}`);
+    return response;
+  }
+
+  /**
+   * Waits until one of the transactions sent with this nonce has
+   * `confirmations` confirmations, speeding it up if `speedUpAfter` is set.
+   * Throws a TransactionError on revert, timeout, or if another transaction
+   * took the nonce.
+   * @param {ethers.TransactionResponse | number} responseOrNonce
+   * @returns {Promise<ethers.TransactionReceipt>}
+   */
+  async wait(responseOrNonce, options = {}) {
+    const { confirmations, timeout, pollInterval, speedUpAfter, maxSpeedUps } = { ...this.options, ...options };
+    const entry =
+      typeof responseOrNonce === "number" ? this.sent.get(responseOrNonce) : this.track(responseOrNonce);
+    if (!entry) {
+      throw new TransactionError("UNKNOWN_NONCE", `No transaction sent with nonce ${responseOrNonce}`, {
+        nonce: responseOrNonce,
+      });
+    }
+    const nonce = entry.request.nonce;
+    const deadline = Date.now() + timeout * 1000;
+    let speedUps = 0;
+
+    for (;;) {
+      const mined = await this.provider.getTransactionCount(await this.getAddress(), "latest");
+      for (const response of [...entry.responses].reverse()) {
+        const receipt = await this.provider.getTransactionReceipt(response.hash);
+        if (!receipt) continue;
+        if (receipt.status === 0) {
+          throw new TransactionError("REVERTED", `Transaction ${receipt.hash} reverted`, { nonce, receipt });
+        }
+        if ((await receipt.confirmations()) >= confirmations) return receipt;
+      }
+      const hashes = entry.responses.map((r) => r.hash);
+      if (mined > nonce && !(await this.anyMined(hashes))) {
+        throw new TransactionError("NONCE_TAKEN", `Nonce ${nonce} was used by a transaction not sent from here`, {
+          nonce,
+          hashes,
+        });
+      }
+      if (Date.now() >= deadline) {
+        throw new TransactionError("TIMEOUT", `Nonce ${nonce} not confirmed after ${timeout}s (${hashes.join(", ")})`, {
+          nonce,
+          hashes,
+        });
+      }
+      if (mined <= nonce && speedUpAfter !== undefined && speedUps < maxSpeedUps) {
+        if (Date.now() - entry.sentAt >= speedUpAfter * 1000) {
+          speedUps += 1;
+          try {
+            await this.speedUp(nonce);
+          } catch (error) {
+            // Mined since the count above; the receipt lookup finds it
+            if (!isNonceError(error) && knownTransactionHash(error) === null) throw error;
+            this.options.log(`Nonce ${nonce} was taken before it could be sped up`);
+            continue;
+          }
+        }
+      }
+      await sleep(pollInterval);
+    }
+  }
+
+  async anyMined(hashes) {
+    for (const hash of hashes) {
+      if (await this.provider.getTransactionReceipt(hash)) return true;
+    }
+    return false;
+  }
+}
+
+// One manager per account and provider, so every contract built on the same
+// signer shares its nonce cursor
+const managers = new Map();
+
+/**
+ * Returns the shared TransactionManager for a signer, creating it on first use.
+ * A manager passed in is returned as is.
+ */
+function managedSigner(signer, options = {}) {
+  if (signer instanceof TransactionManager) return signer;
+  if (!managers.has(signer.provider)) managers.set(signer.provider, new Map());
+  const byAddress = managers.get(signer.provider);
+  const key = signer.address.toLowerCase();
+  if (!byAddress.has(key)) byAddress.set(key, new TransactionManager(signer, options));
+  const manager = byAddress.get(key);
+  Object.assign(manager.options, options);
+  return manager;
+}
+
+/**
+ * Waits for a transaction through its signer when the signer tracks what it
+ * sent (a TransactionManager follows replacements, a SimulationSigner returns
+ * the simulated receipt); otherwise falls back to `tx.wait()`.
+ */
+async function confirmTransaction(tx, runner, options = {}) {
+  if (runner && typeof runner.wait === "function") return runner.wait(tx, options);
+  return tx.wait(options.confirmations);
+}
+
+module.exports = {
+  LEGACY_GAS_CHAINS,
+  DEFAULT_BUMP_PERCENT,
+  TransactionError,
+  TransactionManager,
+  isNonceError,
+  knownTransactionHash,
+  managedSigner,
+  confirmTransaction,
+};
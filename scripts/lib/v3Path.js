@@ -0,0 +1,169 @@
+const { ethers } = require("ethers");
+const { getFee } = require("./catalog");
+
+// Uniswap V3 / PancakeSwap V3 path layout, as read by contracts/utils/Path.sol:
+//
+//   token0 (20) | fee0 (3) | token1 (20) | fee1 (3) | ... | tokenN (20)
+//
+// BridgeSwapStrategy allow-lists paths by the keccak256 of these bytes, so the
+// encoding has to match the contract byte for byte.
+const ADDR_SIZE = 20;
+const FEE_SIZE = 3;
+const NEXT_OFFSET = ADDR_SIZE + FEE_SIZE;
+const POP_OFFSET = NEXT_OFFSET + ADDR_SIZE;
+const MULTIPLE_POOLS_MIN_LENGTH = POP_OFFSET + NEXT_OFFSET;
+const MAX_FEE = 2 ** 24 - 1;
+
+/**
+ * Packs token addresses and fee tiers into a V3 path.
+ * @param {string[]} tokens Token addresses, in swap order
+ * @param {number[]} fees One fee tier per hop (tokens.length - 1)
+ * @returns {string} 0x-prefixed packed path
+ */
+function encodePath(tokens, fees) {
+  if (tokens.length < 2) {
+    throw new Error(`A path needs at least two tokens, got ${tokens.length}`);
+  }
+  if (fees.length !== tokens.length - 1) {
+    throw new Error(`Expected ${tokens.length - 1} fee(s) for ${tokens.length} tokens, got ${fees.length}`);
+  }
+  const types = [];
+  const values = [];
+  tokens.forEach((token, i) => {
+    if (!ethers.isAddress(token)) throw new Error(`Path token ${i} is not an address: ${token}`);
+    types.push("address");
+    values.push(token);
+    if (i < fees.length) {
+      const fee = Number(fees[i]);
+      if (!Number.isInteger(fee) || fee < 0 || fee > MAX_FEE) {
+        throw new Error(`Path fee ${i} does not fit in a uint24: ${fees[i]}`);
+      }
+      types.push("uint24");
+      values.push(fee);
+    }
+  });
+  return ethers.solidityPacked(types, values);
+}
+
+/**
+ * Encodes a list of catalog token symbols as a V3 path, taking each hop's fee
+ * from the chain's `dex` pools.
+ * @returns {string} 0x-prefixed packed path
+ */
+function encodeRoutePath(chainCatalog, symbols, dex) {
+  const tokens = symbols.map((symbol) => {
+    const token = chainCatalog.tokens[symbol];
+    if (!token) throw new Error(`Unknown token ${symbol} on chain ${chainCatalog.chainId}`);
+    return token.address;
+  });
+  const fees = symbols.slice(1).map((symbol, i) => getFee(chainCatalog, symbols[i], symbol, dex));
+  return encodePath(tokens, fees);
+}
+
+function pathBytes(path) {
+  const bytes = ethers.getBytes(path);
+  if (bytes.length < POP_OFFSET || (bytes.length - ADDR_SIZE) % NEXT_OFFSET !== 0) {
+    throw new Error(
+      `Invalid V3 path length ${bytes.length}: expected ${ADDR_SIZE} + ${NEXT_OFFSET} * n bytes with n >= 1`
+    );
+  }
+  return bytes;
+}
+
+function readAddress(bytes, offset) {
+  return ethers.getAddress(ethers.hexlify(bytes.subarray(offset, offset + ADDR_SIZE)));
+}
+
+function readFee(bytes, offset) {
+  return (bytes[offset] << 16) | (bytes[offset + 1] << 8) | bytes[offset + 2];
+}
+
+/**
+ * Splits a packed V3 path back into checksummed token addresses and fee tiers.
+ * @returns {{tokens: string[], fees: number[]}}
+ */
+function decodePath(path) {
+  const bytes = pathBytes(path);
+  const tokens = [readAddress(bytes, 0)];
+  const fees = [];
+  for (let offset = ADDR_SIZE; offset < bytes.length; offset += NEXT_OFFSET) {
+    fees.push(readFee(bytes, offset));
+    tokens.push(readAddress(bytes, offset + FEE_SIZE));
+  }
+  return { tokens, fees };
+}
+
+/**
+ * Decodes a path into its pools, in swap order.
+ * @returns {{tokenIn: string, tokenOut: string, fee: number}[]}
+ */
+function decodeHops(path) {
+  const { tokens, fees } = decodePath(path);
+  return fees.map((fee, i) => ({ tokenIn: tokens[i], tokenOut: tokens[i + 1], fee }));
+}
+
+/**
+ * Returns the path that swaps the same pools in the opposite direction.
+ */
+function reversePath(path) {
+  const { tokens, fees } = decodePath(path);
+  return encodePath([...tokens].reverse(), [...fees].reverse());
+}
+
+/**
+ * The key BridgeSwapStrategy uses in `isPathAllowed`.
+ */
+function pathHash(path) {
+  return ethers.keccak256(path);
+}
+
+// Mirrors of the Path.sol helpers, for code that walks a path the way the routers do
+
+/**
+ * Number of pools in the path (Path.numPools).
+ */
+function numPools(path) {
+  return (pathBytes(path).length - ADDR_SIZE) / NEXT_OFFSET;
+}
+
+/**
+ * True if the path has two or more pools (Path.hasMultiplePools).
+ */
+function hasMultiplePools(path) {
+  return ethers.getBytes(path).length >= MULTIPLE_POOLS_MIN_LENGTH;
+}
+
+/**
+ * First pool of the path (Path.decodeFirstPool).
+ * @returns {{tokenA: string, tokenB: string, fee: number}}
+ */
+function decodeFirstPool(path) {
+  const bytes = pathBytes(path);
+  return { tokenA: readAddress(bytes, 0), fee: readFee(bytes, ADDR_SIZE), tokenB: readAddress(bytes, NEXT_OFFSET) };
+}
+
+/**
+ * The path without its first token and fee (Path.skipToken).
+ */
+function skipToken(path) {
+  const bytes = pathBytes(path);
+  if (bytes.length < MULTIPLE_POOLS_MIN_LENGTH) throw new Error("Cannot skip the only pool of a path");
+  return ethers.hexlify(bytes.subarray(NEXT_OFFSET));
+}
+
+module.exports = {
+  ADDR_SIZE,
+  FEE_SIZE,
+  NEXT_OFFSET,
+  MAX_FEE,
+  encodePath,
+  encodeRoutePath,
+  decodePath,
+  decodeHops,
+  reversePath,
+  pathHash,
+  numPools,
+  hasMultiplePools,
+  decodeFirstPool,
+  skipToken,
+};
@@ -0,0 +1,191 @@
+const { ethers } = require("ethers");
+
+// Wormhole VAA (v1) layout
+//
+// header: version (1) | guardianSetIndex (4) | signatureCount (1) | signatures (66 * n)
+// signature: guardianIndex (1) | r (32) | s (32) | v (1)
+// body: timestamp (4) | nonce (4) | emitterChain (2) | emitterAddress (32) |
+//       sequence (8) | consistencyLevel (1) | payload (rest)
+const HEADER_LENGTH = 6;
+const SIGNATURE_LENGTH = 66;
+const BODY_FIXED_LENGTH = 51;
+
+class VaaParseError extends Error {
+  /**
+   * @param {string} code Machine-readable reason (e.g. "TRUNCATED", "BAD_VERSION")
+   * @param {string} message Human-readable description
+   * @param {object} [details] Extra context such as the byte offset
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = "VaaParseError";
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Normalizes a VAA given as Buffer, Uint8Array, 0x-prefixed hex or base64.
+ * @returns {Buffer}
+ */
+function toVaaBuffer(input) {
+  if (Buffer.isBuffer(input)) return input;
+  if (input instanceof Uint8Array) return Buffer.from(input);
+  if (typeof input !== "string") {
+    throw new VaaParseError("BAD_INPUT", `Unsupported VAA input type: ${typeof input}`);
+  }
+
+  const trimmed = input.trim();
+  if (/^0x[0-9a-fA-F]*$/.test(trimmed)) {
+    if (trimmed.length % 2 !== 0) {
+      throw new VaaParseError("BAD_INPUT", "Hex VAA has an odd number of characters");
+    }
+    return Buffer.from(trimmed.slice(2), "hex");
+  }
+  if (/^[A-Za-z0-9+/]+={0,2}$/.test(trimmed)) {
+    return Buffer.from(trimmed, "base64");
+  }
+  throw new VaaParseError("BAD_INPUT", "VAA string is neither 0x-hex nor base64");
+}
+
+function ensureLength(buffer, offset, length, field) {
+  if (buffer.length < offset + length) {
+    throw new VaaParseError(
+      "TRUNCATED",
+      `VAA truncated while reading ${field}: need ${offset + length} bytes, have ${buffer.length}`,
+      { field, offset, length: buffer.length }
+    );
+  }
+}
+
+function toHex(bytes) {
+  return "0x" + Buffer.from(bytes).toString("hex");
+}
+
+/**
+ * Parses the body (the guardian-signed part) of a VAA.
+ * @param {Buffer|Uint8Array|string} input
+ */
+function parseVaaBody(input) {
+  const body = toVaaBuffer(input);
+  ensureLength(body, 0, BODY_FIXED_LENGTH, "body");
+
+  return {
+    timestamp: body.readUInt32BE(0),
+    nonce: body.readUInt32BE(4),
+    emitterChain: body.readUInt16BE(8),
+    emitterAddress: toHex(body.subarray(10, 42)),
+    sequence: body.readBigUInt64BE(42),
+    consistencyLevel: body.readUInt8(50),
+    payload: Buffer.from(body.subarray(BODY_FIXED_LENGTH)),
+  };
+}
+
+/**
+ * Parses a signed VAA into its header, guardian signatures and body.
+ *
+ * `bodyHash` is keccak256(body); `digest` is keccak256(bodyHash), which is what
+ * guardians sign and what the core bridge returns as `vm.hash` (and the key the
+ * Token Bridge uses for `isTransferCompleted`).
+ *
+ * @param {Buffer|Uint8Array|string} input
+ */
+function parseVaa(input) {
+  const buffer = toVaaBuffer(input);
+  ensureLength(buffer, 0, HEADER_LENGTH, "header");
+
+  const version = buffer.readUInt8(0);
+  if (version !== 1) {
+    throw new VaaParseError("BAD_VERSION", `Unsupported VAA version: ${version}`, { version });
+  }
+
+  const guardianSetIndex = buffer.readUInt32BE(1);
+  const signatureCount = buffer.readUInt8(5);
+
+  let offset = HEADER_LENGTH;
+  ensureLength(buffer, offset, signatureCount * SIGNATURE_LENGTH, "signatures");
+
+  const signatures = [];
+  for (let i = 0; i < signatureCount; i++) {
+    signatures.push({
+      guardianIndex: buffer.readUInt8(offset),
+      r: toHex(buffer.subarray(offset + 1, offset + 33)),
+      s: toHex(buffer.subarray(offset + 33, offset + 65)),
+      v: buffer.readUInt8(offset + 65),
+    });
+    offset += SIGNATURE_LENGTH;
+  }
+
+  const body = Buffer.from(buffer.subarray(offset));
+  const bodyFields = parseVaaBody(body);
+  const bodyHash = ethers.keccak256(body);
+
+  return {
+    version,
+    guardianSetIndex,
+    signatures,
+    ...bodyFields,
+    body,
+    bodyHash,
+    digest: ethers.keccak256(bodyHash),
+  };
+}
+
+function writeBytes32(value, field) {
+  const bytes = Buffer.from(ethers.getBytes(value));
+  if (bytes.length !== 32) {
+    throw new VaaParseError("BAD_FIELD", `${field} must be 32 bytes, got ${bytes.length}`, { field });
+  }
+  return bytes;
+}
+
+/**
+ * Serializes the body fields of a VAA (timestamp through payload).
+ * @returns {Buffer}
+ */
+function serializeVaaBody(vaa) {
+  const fixed = Buffer.alloc(BODY_FIXED_LENGTH);
+  fixed.writeUInt32BE(vaa.timestamp, 0);
+  fixed.writeUInt32BE(vaa.nonce, 4);
+  fixed.writeUInt16BE(vaa.emitterChain, 8);
+  writeBytes32(vaa.emitterAddress, "emitterAddress").copy(fixed, 10);
+  fixed.writeBigUInt64BE(BigInt(vaa.sequence), 42);
+  fixed.writeUInt8(vaa.consistencyLevel, 50);
+
+  return Buffer.concat([fixed, Buffer.from(ethers.getBytes(vaa.payload))]);
+}
+
+/**
+ * Serializes a VAA object (as returned by `parseVaa`) back to bytes.
+ * @returns {Buffer}
+ */
+function serializeVaa(vaa) {
+  const signatures = vaa.signatures || [];
+  const header = Buffer.alloc(HEADER_LENGTH);
+  header.writeUInt8(vaa.version === undefined ? 1 : vaa.version, 0);
+  header.writeUInt32BE(vaa.guardianSetIndex, 1);
+  header.writeUInt8(signatures.length, 5);
+
+  const encodedSignatures = signatures.map((sig) => {
+    const encoded = Buffer.alloc(SIGNATURE_LENGTH);
+    encoded.writeUInt8(sig.guardianIndex, 0);
+    writeBytes32(sig.r, "signature.r").copy(encoded, 1);
+    writeBytes32(sig.s, "signature.s").copy(encoded, 33);
+    encoded.writeUInt8(sig.v, 65);
+    return encoded;
+  });
+
+  return Buffer.concat([header, ...encodedSignatures, serializeVaaBody(vaa)]);
+}
+
+module.exports = {
+  VaaParseError,
+  HEADER_LENGTH,
+  SIGNATURE_LENGTH,
+  BODY_FIXED_LENGTH,
+  toVaaBuffer,
+  parseVaa,
+  parseVaaBody,
+  serializeVaa,
+  serializeVaaBody,
+};
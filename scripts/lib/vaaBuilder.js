@@ -0,0 +1,113 @@
+const { ethers } = require("ethers");
+const { parseVaa, serializeVaa, serializeVaaBody } = require("./vaa");
+
+// Deterministic guardian keys for local networks and tests. Never use these
+// anywhere a real Wormhole guardian set is expected.
+const DEFAULT_GUARDIAN_COUNT = 1;
+
+/**
+ * Derives `count` deterministic dev guardian private keys.
+ * @returns {string[]}
+ */
+function devGuardianKeys(count = DEFAULT_GUARDIAN_COUNT) {
+  return Array.from({ length: count }, (_, i) => ethers.id(`bridgeSwapStrategy.devGuardian.${i}`));
+}
+
+/**
+ * Guardian addresses for a list of private keys, in guardian-index order.
+ * This is what a mock core bridge should be initialized with.
+ * @returns {string[]}
+ */
+function guardianAddresses(keys) {
+  return keys.map((key) => ethers.computeAddress(key));
+}
+
+/**
+ * Signs a VAA body with the given guardian keys. Signatures are sorted by
+ * guardian index, as the core bridge requires, and `v` is stored as 0/1.
+ *
+ * @param {Buffer|Uint8Array|string} body Serialized VAA body
+ * @param {string[]} keys Guardian private keys, indexed by guardian index
+ * @param {number[]} [signers] Guardian indices that sign (defaults to all)
+ */
+function signVaaBody(body, keys, signers) {
+  const digest = ethers.keccak256(ethers.keccak256(body));
+  const indices = [...(signers || keys.map((_, i) => i))].sort((a, b) => a - b);
+
+  return indices.map((guardianIndex) => {
+    if (!keys[guardianIndex]) {
+      throw new Error(`No key for guardian index ${guardianIndex}`);
+    }
+    const signature = new ethers.SigningKey(keys[guardianIndex]).sign(digest);
+    return {
+      guardianIndex,
+      r: signature.r,
+      s: signature.s,
+      v: signature.v - 27,
+    };
+  });
+}
+
+/**
+ * Builds and signs a VAA.
+ *
+ * @param {object} params
+ * @param {number} params.emitterChain Wormhole chain id of the emitter
+ * @param {string} params.emitterAddress 32-byte emitter address (20-byte addresses are padded)
+ * @param {bigint|number} params.sequence
+ * @param {Buffer|Uint8Array|string} params.payload e.g. from `encodeTransferWithPayload`
+ * @param {number} [params.consistencyLevel=1]
+ * @param {number} [params.timestamp] Defaults to now
+ * @param {number} [params.nonce=0]
+ * @param {number} [params.guardianSetIndex=0]
+ * @param {string[]} [params.guardianKeys] Defaults to `devGuardianKeys()`
+ * @param {number[]} [params.signers] Guardian indices that sign (defaults to all)
+ * @returns {{bytes: Buffer, hex: string, base64: string, vaa: object}}
+ */
+function buildVaa(params) {
+  const guardianKeys = params.guardianKeys || devGuardianKeys();
+  const emitterAddress = ethers.getBytes(params.emitterAddress).length === 20
+    ? ethers.zeroPadValue(params.emitterAddress, 32)
+    : params.emitterAddress;
+
+  const fields = {
+    version: 1,
+    guardianSetIndex: params.guardianSetIndex || 0,
+    timestamp: params.timestamp === undefined ? Math.floor(Date.now() / 1000) : params.timestamp,
+    nonce: params.nonce || 0,
+    emitterChain: params.emitterChain,
+    emitterAddress,
+    sequence: BigInt(params.sequence),
+    consistencyLevel: params.consistencyLevel === undefined ? 1 : params.consistencyLevel,
+    payload: params.payload,
+  };
+
+  const signatures = signVaaBody(serializeVaaBody(fields), guardianKeys, params.signers);
+  const bytes = serializeVaa({ ...fields, signatures });
+
+  return {
+    bytes,
+    hex: "0x" + bytes.toString("hex"),
+    base64: bytes.toString("base64"),
+    vaa: parseVaa(bytes),
+  };
+}
+
+/**
+ * Recovers the guardian address behind each signature of a parsed VAA.
+ * @returns {{guardianIndex: number, address: string}[]}
+ */
+function recoverGuardians(vaa) {
+  return vaa.signatures.map((sig) => ({
+    guardianIndex: sig.guardianIndex,
+    address: ethers.recoverAddress(vaa.digest, { r: sig.r, s: sig.s, v: sig.v + 27 }),
+  }));
+}
+
+module.exports = {
+  devGuardianKeys,
+  guardianAddresses,
+  signVaaBody,
+  buildVaa,
+  recoverGuardians,
+};
@@ -0,0 +1,101 @@
+const fs = require("fs");
+const axios = require("axios");
+const { toVaaBuffer, parseVaa } = require("./vaa");
+const { toWormholeAddress } = require("./tokenBridgePayload");
+
+// Where signed VAAs come from. A source has a `name` for logs and
+// `getVaa(emitterChain, emitterAddress, sequence)`, which resolves to the VAA
+// bytes or null while the message is not signed yet.
+
+const VAA_API = {
+  mainnet: "https://api.wormholescan.io",
+  testnet: "https://api.testnet.wormholescan.io",
+};
+
+// The Wormhole APIs key emitters as 64 lowercase hex characters without 0x
+function vaaKey(emitterChain, emitterAddress, sequence) {
+  return `${Number(emitterChain)}/${toWormholeAddress(emitterAddress).slice(2).toLowerCase()}/${BigInt(sequence)}`;
+}
+
+/**
+ * VAA source backed by the Wormhole API (`/v1/signed_vaa/{chain}/{emitter}/{seq}`)
+ * or anything serving the same route, such as a local mock server.
+ * @returns {{name: string, getVaa: (chain: number, emitter: string, sequence: bigint) => Promise<Buffer | null>}}
+ */
+function apiVaaSource(baseUrl, { timeout = 10000 } = {}) {
+  const base = baseUrl.replace(/\/+$/, "");
+  return {
+    name: base,
+    async getVaa(emitterChain, emitterAddress, sequence) {
+      try {
+        const response = await axios.get(`${base}/v1/signed_vaa/${vaaKey(emitterChain, emitterAddress, sequence)}`, {
+          timeout,
+        });
+        return response.data && response.data.vaaBytes ? Buffer.from(response.data.vaaBytes, "base64") : null;
+      } catch (error) {
+        if (error.response && error.response.status === 404) return null;
+        throw error;
+      }
+    },
+  };
+}
+
+/**
+ * VAA source backed by a JSON file mapping `<chain>/<emitter>/<sequence>` to a
+ * base64 or hex VAA, for working offline. The file is read on every lookup so
+ * entries can be added while a relayer is running.
+ */
+function fileVaaSource(file) {
+  return {
+    name: file,
+    async getVaa(emitterChain, emitterAddress, sequence) {
+      const entries = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+      const wanted = vaaKey(emitterChain, emitterAddress, sequence);
+      for (const [key, value] of Object.entries(entries)) {
+        const [chain, emitter, seq] = key.split("/");
+        if (vaaKey(chain, emitter.startsWith("0x") ? emitter : `0x${emitter}`, seq) === wanted) {
+          return toVaaBuffer(value);
+        }
+      }
+      return null;
+    },
+  };
+}
+
+/**
+ * In-memory VAA source for tests and local runs; `add` publishes a signed VAA
+ * under its own emitter and sequence.
+ */
+function memoryVaaSource(vaas = []) {
+  const entries = new Map();
+  const source = {
+    name: "memory",
+    add(input) {
+      const bytes = toVaaBuffer(input);
+      const vaa = parseVaa(bytes);
+      entries.set(vaaKey(vaa.emitterChain, vaa.emitterAddress, vaa.sequence), bytes);
+      return source;
+    },
+    async getVaa(emitterChain, emitterAddress, sequence) {
+      return entries.get(vaaKey(emitterChain, emitterAddress, sequence)) || null;
+    },
+  };
+  vaas.forEach((vaa) => source.add(vaa));
+  return source;
+}
+
+/**
+ * Picks a VAA source: an http(s) URL is an API, anything else a JSON file.
+ */
+function resolveVaaSource(location) {
+  return /^https?:\/\//.test(location) ? apiVaaSource(location) : fileVaaSource(location);
+}
+
+module.exports = {
+  VAA_API,
+  vaaKey,
+  apiVaaSource,
+  fileVaaSource,
+  memoryVaaSource,
+  resolveVaaSource,
+};
@@ -1,23 +1,34 @@
 const { ethers } = require("hardhat");
 require("dotenv").config();
+const { getChainCatalog, getFee } = require("../lib/catalog");
+const { encodePath } = require("../lib/v3Path");
+const { managedSigner } = require("../lib/txManager");
+const { SIMULATE, simulateCall, formatSimulation } = require("../lib/simulate");
+const { formatError } = require("../lib/errors");
+const { loadDeployment } = require("../lib/deployments");
+const { quoterFor, planSwap, formatSwapPlan } = require("../lib/quotes");
 
 // Contract configuration
 const CONTRACT_ADDRESS = "0x12f0012a5f8256935FEA24EB03A072CE5E12857B"; // MinimalWormholeRelayerV2
 
-// Token addresses
-const USDTWH_ADDRESS = "0x524bC91Dc82d6b90EF29F76A3ECAaBAffFD490Bc"; // USDTwh
-const USDT_ADDRESS = "0x55d398326f99059fF775485246999027B3197955"; // USDT
-const EOS_ADDRESS = "0x56b6fB708fC5732DEC1Afc8D8556423A2EDcCbD6"; // EOS
+// Tokens and pools come from catalog/56.json. The relayer swaps multi-hop on
+// PancakeSwap, which the strategy cannot, so the route is not a catalog route.
+const CATALOG = getChainCatalog(56);
+const ROUTE = { name: "USDTwh to EOS (Multi-Hop)", dex: "pancakeswap-v3", path: ["USDTwh", "USDT", "EOS"] };
+const USDTWH_ADDRESS = CATALOG.tokens.USDTwh.address;
+const EOS_ADDRESS = CATALOG.tokens.EOS.address;
 
 // Swap configuration
 const AMOUNT_TO_SWAP = "500000"; // 1 USDTwh (6 decimals)
-const SLIPPAGE_TOLERANCE = 1; // 0.05; // 5% slippage tolerance
-const SWAP_PATH = [
-  { address: USDTWH_ADDRESS, symbol: "USDTwh" },
-  { address: USDT_ADDRESS, symbol: "USDT" },
-  { address: EOS_ADDRESS, symbol: "EOS" },
-];
-const FEES = [100, 2500]; // 0.01% for USDTwh/USDT, 0.25% for USDT/EOS
+// Slippage and the price impact limit come from SLIPPAGE_BPS and MAX_PRICE_IMPACT_BPS
+const QUOTER_ADDRESS = quoterFor(loadDeployment("bsc_main").contracts, ROUTE.dex);
+const SWAP_PATH = ROUTE.path.map((symbol) => ({
+  address: CATALOG.tokens[symbol].address,
+  symbol,
+}));
+const FEES = ROUTE.path
+  .slice(1)
+  .map((symbol, i) => getFee(CATALOG, ROUTE.path[i], symbol, ROUTE.dex));
 
 // Contract ABI
 const CONTRACT_ABI = [
@@ -39,34 +50,6 @@ const CONTRACT_ABI = [
     stateMutability: "view",
     type: "function",
   },
-  // Custom errors
-  {
-    inputs: [{ internalType: "uint256", name: "amount", type: "uint256" }],
-    name: "InvalidAmount",
-    type: "error",
-  },
-  {
-    inputs: [
-      { internalType: "address", name: "token", type: "address" },
-      { internalType: "uint256", name: "required", type: "uint256" },
-      { internalType: "uint256", name: "available", type: "uint256" },
-    ],
-    name: "InsufficientBalance",
-    type: "error",
-  },
-  {
-    inputs: [
-      { internalType: "uint256", name: "expected", type: "uint256" },
-      { internalType: "uint256", name: "received", type: "uint256" },
-    ],
-    name: "InsufficientOutput",
-    type: "error",
-  },
-  {
-    inputs: [],
-    name: "InvalidPath",
-    type: "error",
-  },
 ];
 
 // ERC20 ABI for balance and allowance checks
@@ -121,32 +104,6 @@ const POOL_ABI = [
   },
 ];
 
-// Helper function to encode multi-hop path
-function encodeMultiHopPath(tokens, fees) {
-  if (tokens.length !== fees.length + 1) {
-    throw new Error("Invalid path: number of tokens must be fees + 1");
-  }
-
-  const pathComponents = [];
-  const types = [];
-
-  for (let i = 0; i < tokens.length - 1; i++) {
-    // Add token address
-    pathComponents.push(ethers.getAddress(tokens[i].address));
-    types.push("address");
-
-    // Add fee
-    pathComponents.push(fees[i]);
-    types.push("uint24");
-  }
-
-  // Add final token address
-  pathComponents.push(ethers.getAddress(tokens[tokens.length - 1].address));
-  types.push("address");
-
-  return ethers.solidityPacked(types, pathComponents);
-}
-
 // Pool verification function
 async function checkPool(tokenA, tokenB, fee, provider) {
   const factory = new ethers.Contract(FACTORY_ADDRESS, FACTORY_ABI, provider);
@@ -176,53 +133,12 @@ async function checkPool(tokenA, tokenB, fee, provider) {
   }
 }
 
-// Error decoding helper
-function decodeError(error, contractInterface) {
-  if (!error.data) return null;
-
-  try {
-    const decoded = contractInterface.parseError(error.data);
-    return {
-      name: decoded.name,
-      args: decoded.args,
-      decoded: true,
-    };
-  } catch (e) {
-    return {
-      name: "Unknown",
-      data: error.data,
-      decoded: false,
-    };
-  }
-}
-
-// Format readable error message
-function formatErrorMessage(error, contractInterface) {
-  const decoded = decodeError(error, contractInterface);
-
-  if (!decoded || !decoded.decoded) {
-    return error.message;
-  }
-
-  switch (decoded.name) {
-    case "InvalidAmount":
-      return `Invalid amount: ${decoded.args[0]}`;
-    case "InsufficientBalance":
-      return `Insufficient balance in token ${decoded.args[0]}. Required: ${decoded.args[1]}, Available: ${decoded.args[2]}`;
-    case "InsufficientOutput":
-      return `Insufficient output. Expected: ${decoded.args[0]}, Received: ${decoded.args[1]}`;
-    case "InvalidPath":
-      return "Invalid swap path provided";
-    default:
-      return `Custom error ${decoded.name}: ${JSON.stringify(decoded.args)}`;
-  }
-}
-
 async function main() {
   console.log("=== PancakeSwap V3 Multi-Hop Swap: USDTwh -> USDT -> EOS ===\n");
 
-  // Setup signer
-  const [signer] = await ethers.getSigners();
+  // Setup signer; the manager tracks the nonce and speeds up a stuck swap
+  const [account] = await ethers.getSigners();
+  const signer = managedSigner(account, { speedUpAfter: 60, log: (line) => console.log(line) });
   console.log(`Signer: ${signer.address}`);
   console.log(`Network: ${(await ethers.provider.getNetwork()).name}\n`);
 
@@ -295,7 +211,10 @@ async function main() {
   }
 
   // Encode multi-hop path
-  const encodedPath = encodeMultiHopPath(SWAP_PATH, FEES);
+  const encodedPath = encodePath(
+    SWAP_PATH.map((t) => t.address),
+    FEES
+  );
   console.log(`\nSwap Path: ${SWAP_PATH.map((t) => t.symbol).join(" -> ")}`);
   console.log(`Fees: ${FEES.map((f) => `${f / 10000}%`).join(", ")}`);
   console.log(`Encoded Path: ${encodedPath}`);
@@ -343,19 +262,10 @@ async function main() {
     )} ${tokenInSymbol}`
   );
 
-  // Calculate minimum amount out (with slippage tolerance)
-  // This is a simplified calculation - in production you'd want to get a quote first
-  const estimatedAmountOut = ethers.parseUnits("0.01", tokenOutDecimals); // Conservative estimate
-  const amountOutMinimum =
-    (estimatedAmountOut * BigInt(Math.floor((1 - SLIPPAGE_TOLERANCE) * 1000))) /
-    BigInt(1000);
-
-  console.log(
-    `Amount Out Minimum: ${ethers.formatUnits(
-      amountOutMinimum,
-      tokenOutDecimals
-    )} ${tokenOutSymbol}`
-  );
+  // Fresh quote from the Pancake quoter; aborts when the price impact is over the limit
+  const plan = await planSwap(QUOTER_ADDRESS, ethers.provider, encodedPath, amountIn);
+  console.log(formatSwapPlan(plan, { decimals: tokenOutDecimals, symbol: tokenOutSymbol }));
+  const { amountOutMinimum } = plan;
 
   // Verify pools exist and have liquidity before attempting swap
   console.log("\n--- Pool Verification ---");
@@ -407,15 +317,19 @@ async function main() {
       console.log(`❌ Gas estimation failed: ${gasError.message}`);
 
       // Try to get more detailed error information
-      const contractInterface = new ethers.Interface(CONTRACT_ABI);
-      const readableError = formatErrorMessage(gasError, contractInterface);
+      const readableError = formatError(gasError);
       console.log(`Detailed error: ${readableError}`);
     }
 
-    // Get current nonce from network to avoid nonce issues
-    console.log("\n--- Fetching Current Nonce ---");
-    const currentNonce = await signer.getNonce();
-    console.log(`Current nonce: ${currentNonce}`);
+    // With SIMULATE=true, report what the swap would do and stop
+    if (SIMULATE) {
+      console.log("\n--- Simulating Multi-Hop Swap ---");
+      const report = await simulateCall(contract, "swapExactInput", [encodedPath, amountIn, amountOutMinimum], {
+        watch: CONTRACT_ADDRESS,
+      });
+      console.log(formatSimulation(report, { watchLabel: "Contract" }));
+      return;
+    }
 
     // Execute swap
     console.log("\n--- Executing Multi-Hop Swap ---");
@@ -426,12 +340,11 @@ async function main() {
       amountOutMinimum,
       {
         gasLimit: 300000, // Set reasonable gas limit for multi-hop swap
-        nonce: currentNonce, // Explicitly set nonce to avoid conflicts
       }
     );
 
     console.log(`Transaction sent: ${tx.hash}`);
-    const receipt = await tx.wait();
+    const receipt = await signer.wait(tx);
     console.log(`Transaction confirmed in block: ${receipt.blockNumber}`);
     console.log(`Gas used: ${receipt.gasUsed.toString()}`);
 
@@ -488,22 +401,10 @@ async function main() {
   } catch (error) {
     console.error("\n❌ Swap execution failed:", error.message);
 
-    // Handle nonce-related errors specifically
-    if (error.message.includes("nonce too low") || error.message.includes("nonce")) {
-      console.log("\n--- Nonce Error Detected ---");
-      console.log("This usually happens when:");
-      console.log("1. Previous transactions are still pending");
-      console.log("2. Multiple scripts are running simultaneously");
-      console.log("3. Network congestion causing nonce desynchronization");
-      console.log("\nTry running the script again in a few seconds.");
-      console.log("If the issue persists, check for pending transactions in your wallet.");
-    }
-
     // Try to decode the error if it's a contract error
     if (error.data) {
       try {
-        const contractInterface = new ethers.Interface(CONTRACT_ABI);
-        const readableError = formatErrorMessage(error, contractInterface);
+        const readableError = formatError(error);
         console.error("Contract error:", readableError);
       } catch (decodeError) {
         console.error("Raw error data:", error.data);
@@ -521,11 +422,7 @@ async function main() {
     } catch (staticError) {
       console.error("Static call error:", staticError.message);
 
-      const contractInterface = new ethers.Interface(CONTRACT_ABI);
-      const readableStaticError = formatErrorMessage(
-        staticError,
-        contractInterface
-      );
+      const readableStaticError = formatError(staticError);
       console.error("Detailed static error:", readableStaticError);
     }
 
@@ -1,27 +1,37 @@
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
 require("dotenv").config();
+const { getStrategyAddress, loadDeployment } = require("../lib/deployments");
+const { getChainCatalog, getFee } = require("../lib/catalog");
+const { SIMULATE, simulateCall, formatSimulation } = require("../lib/simulate");
+const { formatError } = require("../lib/errors");
+const { managedSigner, confirmTransaction } = require("../lib/txManager");
+const { encodePath } = require("../lib/v3Path");
+const { planSwap, formatSwapPlan } = require("../lib/quotes");
 
 // Contract configuration
-const CONTRACT_ADDRESS = "0x4F3862D359D8f76498f69732740E4d53b7676639";
+const CONTRACT_ADDRESS = getStrategyAddress(network.name);
 
 // Role-based access control constants
 const REPORTING_MANAGER = ethers.keccak256(ethers.toUtf8Bytes("REPORTING_MANAGER"));
 const ADMIN = ethers.keccak256(ethers.toUtf8Bytes("ADMIN"));
 
-// Swap parameters
+// Swap parameters, from catalog/56.json
 // USDT to EOS
-const TOKEN_IN = "0x55d398326f99059fF775485246999027B3197955"; // USDT
-const TOKEN_OUT = "0x56b6fB708fC5732DEC1Afc8D8556423A2EDcCbD6"; // EOS
+const CATALOG = getChainCatalog(56);
+const TOKEN_IN = CATALOG.tokens.USDT.address;
+const TOKEN_OUT = CATALOG.tokens.EOS.address;
+const CATALOG_TOKENS = Object.fromEntries(Object.values(CATALOG.tokens).map((token) => [token.address, token]));
 
-const FEE = 2500; // 0.25%
+const FEE = getFee(CATALOG, "USDT", "EOS", "pancakeswap-v3");
 // const AMOUNT_IN = "500000"; // 0.5 USDT (6 decimals)
 const AMOUNT_IN = "1985575097259435"; // USDT
-const AMOUNT_OUT_MINIMUM = 0;
+// Slippage and the price impact limit come from SLIPPAGE_BPS and MAX_PRICE_IMPACT_BPS
+const QUOTER_ADDRESS = loadDeployment(network.name).contracts.pancakeQuoter;
 // const SQRT_PRICE_LIMIT_X96 = 0;
 
 const SQRT_PRICE_LIMIT_X96 = 0;
 
-// Contract ABI with custom errors
+// Contract ABI
 const CONTRACT_ABI = [
   {
     inputs: [
@@ -37,61 +47,6 @@ const CONTRACT_ABI = [
     stateMutability: "nonpayable",
     type: "function",
   },
-  // Custom errors from BridgeSwapStrategy
-  {
-    inputs: [],
-    name: "Unauthorized",
-    type: "error",
-  },
-  {
-    inputs: [
-      { internalType: "uint256", name: "requested", type: "uint256" },
-      { internalType: "uint256", name: "available", type: "uint256" },
-    ],
-    name: "InsufficientBalance",
-    type: "error",
-  },
-  {
-    inputs: [
-      { internalType: "address", name: "token", type: "address" },
-      { internalType: "uint256", name: "required", type: "uint256" },
-      { internalType: "uint256", name: "available", type: "uint256" },
-    ],
-    name: "InsufficientBalanceToken",
-    type: "error",
-  },
-  {
-    inputs: [{ internalType: "bytes32", name: "pathHash", type: "bytes32" }],
-    name: "PathNotAllowed",
-    type: "error",
-  },
-  {
-    inputs: [],
-    name: "EmptyPath",
-    type: "error",
-  },
-  {
-    inputs: [],
-    name: "InvalidRouterAddress",
-    type: "error",
-  },
-  {
-    inputs: [
-      { internalType: "address", name: "token", type: "address" },
-      { internalType: "address", name: "spender", type: "address" },
-      { internalType: "uint256", name: "amount", type: "uint256" },
-    ],
-    name: "ApprovalFailed",
-    type: "error",
-  },
-  {
-    inputs: [
-      { internalType: "uint256", name: "expected", type: "uint256" },
-      { internalType: "uint256", name: "received", type: "uint256" },
-    ],
-    name: "InsufficientOutput",
-    type: "error",
-  },
 ];
 
 // Access Control ABI for BridgeSwapStrategy
@@ -133,63 +88,12 @@ const ERC20_ABI = [
   },
 ];
 
-// Error decoding function
-function decodeError(error, contractInterface) {
-  if (error.data) {
-    try {
-      const decoded = contractInterface.parseError(error.data);
-      return {
-        name: decoded.name,
-        args: decoded.args,
-        decoded: true,
-      };
-    } catch (e) {
-      // If we can't decode it, return the raw data
-      return {
-        name: "Unknown",
-        data: error.data,
-        decoded: false,
-      };
-    }
-  }
-  return null;
-}
-
-// Format readable error message
-function formatErrorMessage(error, contractInterface) {
-  const decoded = decodeError(error, contractInterface);
-
-  if (!decoded || !decoded.decoded) {
-    return error.message;
-  }
-
-  switch (decoded.name) {
-    case "Unauthorized":
-      return "Unauthorized: Caller does not have the required role (REPORTING_MANAGER)";
-    case "InsufficientBalance":
-      return `Insufficient balance. Requested: ${decoded.args[0]}, Available: ${decoded.args[1]}`;
-    case "InsufficientBalanceToken":
-      return `Insufficient balance in token ${decoded.args[0]}. Required: ${decoded.args[1]}, Available: ${decoded.args[2]}`;
-    case "PathNotAllowed":
-      return `Path not allowed. Path hash: ${decoded.args[0]}`;
-    case "EmptyPath":
-      return "Empty path provided for swap";
-    case "InvalidRouterAddress":
-      return "Invalid router address provided";
-    case "ApprovalFailed":
-      return `Approval failed for token ${decoded.args[0]} to spender ${decoded.args[1]} with amount ${decoded.args[2]}`;
-    case "InsufficientOutput":
-      return `Insufficient output. Expected: ${decoded.args[1]}, Received: ${decoded.args[0]}`;
-    default:
-      return `Custom error ${decoded.name}: ${JSON.stringify(decoded.args)}`;
-  }
-}
-
 async function main() {
   console.log("=== PancakeSwap V3 Swap: USDT → EOS ===\n");
 
-  // Setup signer
-  const [signer] = await ethers.getSigners();
+  // Setup signer; the manager tracks the nonce and speeds up a stuck swap
+  const [account] = await ethers.getSigners();
+  const signer = managedSigner(account, { speedUpAfter: 60, log: (line) => console.log(line) });
   console.log(`Signer: ${signer.address}`);
   console.log(`Network: ${(await ethers.provider.getNetwork()).name}\n`);
 
@@ -350,6 +254,16 @@ async function main() {
     )} USDT → EOS`
   );
 
+  // Fresh quote from the Pancake quoter; aborts when the price impact is over the limit
+  const plan = await planSwap(
+    QUOTER_ADDRESS,
+    ethers.provider,
+    encodePath([TOKEN_IN, TOKEN_OUT], [FEE]),
+    BigInt(AMOUNT_IN)
+  );
+  console.log(formatSwapPlan(plan, { decimals: tokenOutDecimals, symbol: "EOS" }));
+  const amountOutMinimum = plan.amountOutMinimum;
+
   // Test contract connectivity with a simple view function
   console.log("\n--- Contract Connectivity Test ---");
   try {
@@ -372,7 +286,7 @@ async function main() {
     console.log(`TokenOut: ${TOKEN_OUT}`);
     console.log(`Fee: ${FEE}`);
     console.log(`AmountIn: ${AMOUNT_IN}`);
-    console.log(`AmountOutMinimum: ${AMOUNT_OUT_MINIMUM}`);
+    console.log(`AmountOutMinimum: ${amountOutMinimum}`);
     console.log(`SqrtPriceLimitX96: ${SQRT_PRICE_LIMIT_X96}`);
 
     // Manual function call data encoding for debugging
@@ -386,7 +300,7 @@ async function main() {
           TOKEN_OUT,
           FEE,
           AMOUNT_IN,
-          AMOUNT_OUT_MINIMUM,
+          amountOutMinimum,
           SQRT_PRICE_LIMIT_X96,
         ]
       );
@@ -694,7 +608,7 @@ async function main() {
         fee: FEE,
         recipient: CONTRACT_ADDRESS,
         amountIn: AMOUNT_IN,
-        amountOutMinimum: AMOUNT_OUT_MINIMUM,
+        amountOutMinimum,
         sqrtPriceLimitX96: SQRT_PRICE_LIMIT_X96,
       };
 
@@ -723,14 +637,14 @@ async function main() {
         TOKEN_OUT,
         FEE,
         AMOUNT_IN,
-        AMOUNT_OUT_MINIMUM,
+        amountOutMinimum,
         SQRT_PRICE_LIMIT_X96
       );
       console.log(`Estimated gas: ${gasEstimate.toString()}`);
     } catch (error) {
       console.log("❌ Gas estimation failed:");
       const contractInterface = new ethers.Interface(CONTRACT_ABI);
-      const readableError = formatErrorMessage(error, contractInterface);
+      const readableError = formatError(error);
       console.log(`Error: ${readableError}`);
 
       if (error.data) {
@@ -752,7 +666,7 @@ async function main() {
             TOKEN_OUT,
             FEE,
             AMOUNT_IN,
-            AMOUNT_OUT_MINIMUM,
+            amountOutMinimum,
             SQRT_PRICE_LIMIT_X96,
           ]),
           from: signer.address,
@@ -768,6 +682,19 @@ async function main() {
       throw error; // Don't proceed if gas estimation fails
     }
 
+    // With SIMULATE=true, report what the swap would do and stop
+    if (SIMULATE) {
+      console.log("\n--- Simulating Swap ---");
+      const report = await simulateCall(
+        contract,
+        "swapExactInputSinglePancakeV3",
+        [TOKEN_IN, TOKEN_OUT, FEE, AMOUNT_IN, amountOutMinimum, SQRT_PRICE_LIMIT_X96, { gasLimit: 500000 }],
+        { watch: CONTRACT_ADDRESS }
+      );
+      console.log(formatSimulation(report, { tokens: CATALOG_TOKENS, watchLabel: "Strategy" }));
+      return;
+    }
+
     // Execute swap
     console.log("\n--- Executing Swap ---");
     const tx = await contract.swapExactInputSinglePancakeV3(
@@ -775,7 +702,7 @@ async function main() {
       TOKEN_OUT,
       FEE,
       AMOUNT_IN,
-      AMOUNT_OUT_MINIMUM,
+      amountOutMinimum,
       SQRT_PRICE_LIMIT_X96,
       { gasLimit: 500000 }
     );
@@ -783,7 +710,7 @@ async function main() {
     console.log(`Transaction: ${tx.hash}`);
 
     // Wait for confirmation
-    const receipt = await tx.wait();
+    const receipt = await confirmTransaction(tx, signer);
     console.log(`✅ Swap completed (Block: ${receipt.blockNumber})`);
     console.log(`Gas used: ${receipt.gasUsed.toString()}\n`);
 
@@ -825,8 +752,7 @@ async function main() {
   } catch (error) {
     console.error("❌ Swap failed:");
 
-    const contractInterface = new ethers.Interface(CONTRACT_ABI);
-    const readableError = formatErrorMessage(error, contractInterface);
+    const readableError = formatError(error);
     console.error(`Error: ${readableError}`);
 
     if (error.data) {
@@ -848,13 +774,13 @@ async function main() {
           TOKEN_OUT,
           FEE,
           AMOUNT_IN,
-          AMOUNT_OUT_MINIMUM,
+          amountOutMinimum,
           SQRT_PRICE_LIMIT_X96
         );
       } catch (staticError) {
         console.error(
           "Revert reason:",
-          formatErrorMessage(staticError, contractInterface)
+          formatError(staticError)
         );
       }
     }
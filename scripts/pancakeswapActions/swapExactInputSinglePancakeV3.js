@@ -14,35 +14,46 @@
  * - Enhanced error handling for custom contract errors
  */
 
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
 require("dotenv").config();
+const { loadDeployment, assertStrategyConsistency } = require("../lib/deployments");
+const { getChainCatalog, getFee } = require("../lib/catalog");
+const { SIMULATE, simulateCall, formatSimulation } = require("../lib/simulate");
+const { formatError } = require("../lib/errors");
+const { managedSigner, confirmTransaction } = require("../lib/txManager");
+const { encodePath } = require("../lib/v3Path");
+const { planSwap, formatSwapPlan } = require("../lib/quotes");
 
 // Role constants for BridgeSwapStrategy
 const REPORTING_MANAGER = ethers.keccak256(ethers.toUtf8Bytes("REPORTING_MANAGER"));
 const ADMIN = ethers.keccak256(ethers.toUtf8Bytes("ADMIN"));
 
-// Contract configuration
-const CONTRACT_ADDRESS = "0x4F3862D359D8f76498f69732740E4d53b7676639";
+// Contract configuration, from deployments/<network>.json
+const DEPLOYMENT = loadDeployment(network.name);
+const CONTRACT_ADDRESS = DEPLOYMENT.bridgeSwapStrategy.proxy;
+const PANCAKE_SMART_ROUTER = DEPLOYMENT.contracts.pancakeRouter;
+const QUOTER_ADDRESS = DEPLOYMENT.contracts.pancakeQuoter;
 
-// Swap parameters
+// Swap parameters, from catalog/56.json
 // whUSDT to USDT
-const TOKEN_IN = "0x524bC91Dc82d6b90EF29F76A3ECAaBAffFD490Bc"; // USDTwh
-const TOKEN_OUT = "0x55d398326f99059fF775485246999027B3197955"; // USDT
-
-// USDT to whUSDT
-// const TOKEN_IN = "0x55d398326f99059fF775485246999027B3197955"; // USDT
-// const TOKEN_OUT = "0x524bC91Dc82d6b90EF29F76A3ECAaBAffFD490Bc"; // USDTwh
-
-
-const FEE = 100; // 0.01%
+const CATALOG = getChainCatalog(56);
+const TOKEN_IN_SYMBOL = "USDTwh";
+const TOKEN_OUT_SYMBOL = "USDT";
+// const TOKEN_IN_SYMBOL = "USDT";
+// const TOKEN_OUT_SYMBOL = "USDTwh";
+const TOKEN_IN = CATALOG.tokens[TOKEN_IN_SYMBOL].address;
+const TOKEN_OUT = CATALOG.tokens[TOKEN_OUT_SYMBOL].address;
+const CATALOG_TOKENS = Object.fromEntries(Object.values(CATALOG.tokens).map((token) => [token.address, token]));
+
+const FEE = getFee(CATALOG, TOKEN_IN_SYMBOL, TOKEN_OUT_SYMBOL, "pancakeswap-v3");
 const AMOUNT_IN = "1000"; // 0.5 USDTwh (6 decimals)
 // const AMOUNT_IN = "499912421689649300"; // 0.4999124216896493 USDT
-const AMOUNT_OUT_MINIMUM = 0;
+// Slippage and the price impact limit come from SLIPPAGE_BPS and MAX_PRICE_IMPACT_BPS
 // const SQRT_PRICE_LIMIT_X96 = 0;
 
 const SQRT_PRICE_LIMIT_X96 = 0;
 
-// Contract ABI with custom errors from BridgeSwapStrategy
+// Contract ABI
 const CONTRACT_ABI = [
   {
     inputs: [
@@ -58,66 +69,6 @@ const CONTRACT_ABI = [
     stateMutability: "nonpayable",
     type: "function",
   },
-  // Custom errors from BridgeSwapStrategy
-  {
-    inputs: [],
-    name: "Unauthorized",
-    type: "error",
-  },
-  {
-    inputs: [{ internalType: "uint256", name: "amount", type: "uint256" }],
-    name: "InvalidAmount",
-    type: "error",
-  },
-  {
-    inputs: [
-      { internalType: "uint256", name: "requested", type: "uint256" },
-      { internalType: "uint256", name: "available", type: "uint256" },
-    ],
-    name: "InsufficientBalance",
-    type: "error",
-  },
-  {
-    inputs: [
-      { internalType: "address", name: "token", type: "address" },
-      { internalType: "uint256", name: "required", type: "uint256" },
-      { internalType: "uint256", name: "available", type: "uint256" },
-    ],
-    name: "InsufficientBalanceToken",
-    type: "error",
-  },
-  {
-    inputs: [
-      { internalType: "address", name: "token", type: "address" },
-      { internalType: "address", name: "spender", type: "address" },
-      { internalType: "uint256", name: "amount", type: "uint256" },
-    ],
-    name: "ApprovalFailed",
-    type: "error",
-  },
-  {
-    inputs: [
-      { internalType: "uint256", name: "expected", type: "uint256" },
-      { internalType: "uint256", name: "received", type: "uint256" },
-    ],
-    name: "InsufficientOutput",
-    type: "error",
-  },
-  {
-    inputs: [{ internalType: "bytes32", name: "pathHash", type: "bytes32" }],
-    name: "PathNotAllowed",
-    type: "error",
-  },
-  {
-    inputs: [],
-    name: "EmptyPath",
-    type: "error",
-  },
-  {
-    inputs: [],
-    name: "InvalidRouterAddress",
-    type: "error",
-  },
 ];
 
 // ERC20 ABI
@@ -138,71 +89,22 @@ const ERC20_ABI = [
   },
 ];
 
-// Error decoding function
-function decodeError(error, contractInterface) {
-  if (error.data) {
-    try {
-      const decoded = contractInterface.parseError(error.data);
-      return {
-        name: decoded.name,
-        args: decoded.args,
-        decoded: true,
-      };
-    } catch (e) {
-      // If we can't decode it, return the raw data
-      return {
-        name: "Unknown",
-        data: error.data,
-        decoded: false,
-      };
-    }
-  }
-  return null;
-}
-
-// Format readable error message
-function formatErrorMessage(error, contractInterface) {
-  const decoded = decodeError(error, contractInterface);
-
-  if (!decoded || !decoded.decoded) {
-    return error.message;
-  }
-
-  switch (decoded.name) {
-    case "Unauthorized":
-      return "Unauthorized: Caller does not have the required role (REPORTING_MANAGER)";
-    case "InvalidAmount":
-      return `Invalid amount: ${decoded.args[0]}`;
-    case "InsufficientBalance":
-      return `Insufficient balance. Requested: ${decoded.args[0]}, Available: ${decoded.args[1]}`;
-    case "InsufficientBalanceToken":
-      return `Insufficient balance in token ${decoded.args[0]}. Required: ${decoded.args[1]}, Available: ${decoded.args[2]}`;
-    case "ApprovalFailed":
-      return `Approval failed for token ${decoded.args[0]} to spender ${decoded.args[1]} with amount ${decoded.args[2]}`;
-    case "InsufficientOutput":
-      return `Insufficient output. Expected: ${decoded.args[0]}, Received: ${decoded.args[1]}`;
-    case "PathNotAllowed":
-      return `Path not allowed. Path hash: ${decoded.args[0]}`;
-    case "EmptyPath":
-      return "Empty path provided for swap";
-    case "InvalidRouterAddress":
-      return "Invalid router address provided";
-    default:
-      return `Custom error ${decoded.name}: ${JSON.stringify(decoded.args)}`;
-  }
-}
-
 async function main() {
   console.log("=== PancakeSwap V3 Swap ===\n");
 
-  // Setup signer
-  const [signer] = await ethers.getSigners();
+  // Setup signer; the manager tracks the nonce and speeds up a stuck swap
+  const [account] = await ethers.getSigners();
+  const signer = managedSigner(account, { speedUpAfter: 60, log: (line) => console.log(line) });
   console.log(`Signer: ${signer.address}`);
   console.log(`Network: ${(await ethers.provider.getNetwork()).name}\n`);
 
   // Pre-flight checks
   console.log("--- Pre-flight Checks ---");
 
+  // Check the proxy matches its registry entry
+  await assertStrategyConsistency(DEPLOYMENT, ethers.provider);
+  console.log(`✅ Contract matches deployments/${network.name}.json`);
+
   // Check if contract exists
   const contractCode = await ethers.provider.getCode(CONTRACT_ADDRESS);
   if (contractCode === "0x") {
@@ -286,8 +188,7 @@ async function main() {
   console.log(`✅ TokenOut contract exists`);
 
   // Check PancakeSwap router
-  // const PANCAKE_ROUTER = "0x1b81D678ffb9C0263b24A97847620C99d213eB14"; // PancakeSwap V3 router on BSC
-  const PANCAKE_ROUTER = "0x13f4EA83D0bd40E75C8222255bc855a974568Dd4"; // PancakeSwap Smart Router
+  const PANCAKE_ROUTER = PANCAKE_SMART_ROUTER;
   const routerCode = await ethers.provider.getCode(PANCAKE_ROUTER);
   if (routerCode === "0x") {
     console.log(
@@ -378,6 +279,16 @@ async function main() {
     )} USDTwh → USDT`
   );
 
+  // Fresh quote from the Pancake quoter; aborts when the price impact is over the limit
+  const plan = await planSwap(
+    QUOTER_ADDRESS,
+    ethers.provider,
+    encodePath([TOKEN_IN, TOKEN_OUT], [FEE]),
+    BigInt(AMOUNT_IN)
+  );
+  console.log(formatSwapPlan(plan, { decimals: tokenOutDecimals, symbol: TOKEN_OUT_SYMBOL }));
+  const amountOutMinimum = plan.amountOutMinimum;
+
   // Test contract connectivity with a simple view function
   console.log("\n--- Contract Connectivity Test ---");
   try {
@@ -400,7 +311,7 @@ async function main() {
     console.log(`TokenOut: ${TOKEN_OUT}`);
     console.log(`Fee: ${FEE}`);
     console.log(`AmountIn: ${AMOUNT_IN}`);
-    console.log(`AmountOutMinimum: ${AMOUNT_OUT_MINIMUM}`);
+    console.log(`AmountOutMinimum: ${amountOutMinimum}`);
     console.log(`SqrtPriceLimitX96: ${SQRT_PRICE_LIMIT_X96}`);
 
     // Manual function call data encoding for debugging
@@ -414,7 +325,7 @@ async function main() {
           TOKEN_OUT,
           FEE,
           AMOUNT_IN,
-          AMOUNT_OUT_MINIMUM,
+          amountOutMinimum,
           SQRT_PRICE_LIMIT_X96,
         ]
       );
@@ -553,7 +464,7 @@ async function main() {
     const configuredRouter = await contractWithRouter.pancakeSmartRouter();
     console.log(`Contract's configured PancakeSwap router: ${configuredRouter}`);
 
-    const expectedRouter = "0x13f4EA83D0bd40E75C8222255bc855a974568Dd4"; // PancakeSwap Smart Router on BSC
+    const expectedRouter = PANCAKE_SMART_ROUTER;
     if (configuredRouter === "0x0000000000000000000000000000000000000000") {
       console.log("❌ PancakeSwap router not configured in contract");
     } else if (configuredRouter.toLowerCase() !== expectedRouter.toLowerCase()) {
@@ -609,7 +520,7 @@ async function main() {
         allowanceABI,
         ethers.provider
       );
-      const routerAddress = "0x13f4EA83D0bd40E75C8222255bc855a974568Dd4"; // PancakeSwap Smart Router
+      const routerAddress = PANCAKE_SMART_ROUTER;
 
       const currentAllowance = await tokenInWithAllowance.allowance(
         CONTRACT_ADDRESS,
@@ -712,7 +623,7 @@ async function main() {
       ];
 
       const routerContract = new ethers.Contract(
-        "0x13f4EA83D0bd40E75C8222255bc855a974568Dd4", // PancakeSwap Smart Router
+        PANCAKE_SMART_ROUTER,
         routerABI,
         ethers.provider
       );
@@ -724,7 +635,7 @@ async function main() {
         fee: FEE,
         recipient: CONTRACT_ADDRESS,
         amountIn: AMOUNT_IN,
-        amountOutMinimum: AMOUNT_OUT_MINIMUM,
+        amountOutMinimum,
         sqrtPriceLimitX96: SQRT_PRICE_LIMIT_X96,
       };
 
@@ -753,14 +664,14 @@ async function main() {
         TOKEN_OUT,
         FEE,
         AMOUNT_IN,
-        AMOUNT_OUT_MINIMUM,
+        amountOutMinimum,
         SQRT_PRICE_LIMIT_X96
       );
       console.log(`Estimated gas: ${gasEstimate.toString()}`);
     } catch (error) {
       console.log("❌ Gas estimation failed:");
       const contractInterface = new ethers.Interface(CONTRACT_ABI);
-      const readableError = formatErrorMessage(error, contractInterface);
+      const readableError = formatError(error);
       console.log(`Error: ${readableError}`);
 
       if (error.data) {
@@ -782,7 +693,7 @@ async function main() {
             TOKEN_OUT,
             FEE,
             AMOUNT_IN,
-            AMOUNT_OUT_MINIMUM,
+            amountOutMinimum,
             SQRT_PRICE_LIMIT_X96,
           ]),
           from: signer.address,
@@ -798,6 +709,19 @@ async function main() {
       throw error; // Don't proceed if gas estimation fails
     }
 
+    // With SIMULATE=true, report what the swap would do and stop
+    if (SIMULATE) {
+      console.log("\n--- Simulating Swap ---");
+      const report = await simulateCall(
+        contract,
+        "swapExactInputSinglePancakeV3",
+        [TOKEN_IN, TOKEN_OUT, FEE, AMOUNT_IN, amountOutMinimum, SQRT_PRICE_LIMIT_X96, { gasLimit: 500000 }],
+        { watch: CONTRACT_ADDRESS }
+      );
+      console.log(formatSimulation(report, { tokens: CATALOG_TOKENS, watchLabel: "Strategy" }));
+      return;
+    }
+
     // Execute swap
     console.log("\n--- Executing Swap ---");
     const tx = await contract.swapExactInputSinglePancakeV3(
@@ -805,7 +729,7 @@ async function main() {
       TOKEN_OUT,
       FEE,
       AMOUNT_IN,
-      AMOUNT_OUT_MINIMUM,
+      amountOutMinimum,
       SQRT_PRICE_LIMIT_X96,
       { gasLimit: 500000 }
     );
@@ -813,7 +737,7 @@ async function main() {
     console.log(`Transaction: ${tx.hash}`);
 
     // Wait for confirmation
-    const receipt = await tx.wait();
+    const receipt = await confirmTransaction(tx, signer);
     console.log(`✅ Swap completed (Block: ${receipt.blockNumber})`);
     console.log(`Gas used: ${receipt.gasUsed.toString()}\n`);
 
@@ -855,8 +779,7 @@ async function main() {
   } catch (error) {
     console.error("❌ Swap failed:");
 
-    const contractInterface = new ethers.Interface(CONTRACT_ABI);
-    const readableError = formatErrorMessage(error, contractInterface);
+    const readableError = formatError(error);
     console.error(`Error: ${readableError}`);
 
     if (error.data) {
@@ -878,13 +801,13 @@ async function main() {
           TOKEN_OUT,
           FEE,
           AMOUNT_IN,
-          AMOUNT_OUT_MINIMUM,
+          amountOutMinimum,
           SQRT_PRICE_LIMIT_X96
         );
       } catch (staticError) {
         console.error(
           "Revert reason:",
-          formatErrorMessage(staticError, contractInterface)
+          formatError(staticError)
         );
       }
     }
@@ -1,5 +1,11 @@
 const { ethers } = require("hardhat");
 require("dotenv").config();
+const { SIMULATE, simulateCall, formatSimulation } = require("../lib/simulate");
+const { formatError } = require("../lib/errors");
+const { managedSigner, confirmTransaction } = require("../lib/txManager");
+const { loadDeployment } = require("../lib/deployments");
+const { encodePath } = require("../lib/v3Path");
+const { planSwap, formatSwapPlan } = require("../lib/quotes");
 
 // Contract configuration
 const CONTRACT_ADDRESS = "0x171eC5BBcB2b32de280776e775aa5B143D59104C";
@@ -9,12 +15,13 @@ const TOKEN_IN = "0x55d398326f99059fF775485246999027B3197955"; // USDT
 const TOKEN_OUT = "0xe9e7CEA3DedcA5984780Bafc599bD69ADd087D56"; // BUSD
 const FEE = 100; // 0.01%
 const AMOUNT_IN = "100000"; // 0.1 USDT (6 decimals)
-const AMOUNT_OUT_MINIMUM = 0;
+// Slippage and the price impact limit come from SLIPPAGE_BPS and MAX_PRICE_IMPACT_BPS
+const QUOTER_ADDRESS = loadDeployment("bsc_main").contracts.quoter;
 // const SQRT_PRICE_LIMIT_X96 = 0;
 
 const SQRT_PRICE_LIMIT_X96 = 0;
 
-// Contract ABI with custom errors
+// Contract ABI
 const CONTRACT_ABI = [
   {
     inputs: [
@@ -30,38 +37,6 @@ const CONTRACT_ABI = [
     stateMutability: "nonpayable",
     type: "function",
   },
-  // Custom errors
-  {
-    inputs: [{ internalType: "uint256", name: "amount", type: "uint256" }],
-    name: "InvalidAmount",
-    type: "error",
-  },
-  {
-    inputs: [
-      { internalType: "address", name: "token", type: "address" },
-      { internalType: "address", name: "spender", type: "address" },
-      { internalType: "uint256", name: "amount", type: "uint256" },
-    ],
-    name: "ApprovalFailed",
-    type: "error",
-  },
-  {
-    inputs: [
-      { internalType: "address", name: "token", type: "address" },
-      { internalType: "uint256", name: "required", type: "uint256" },
-      { internalType: "uint256", name: "available", type: "uint256" },
-    ],
-    name: "InsufficientBalance",
-    type: "error",
-  },
-  {
-    inputs: [
-      { internalType: "uint256", name: "expected", type: "uint256" },
-      { internalType: "uint256", name: "received", type: "uint256" },
-    ],
-    name: "InsufficientOutput",
-    type: "error",
-  },
 ];
 
 // ERC20 ABI
@@ -82,55 +57,12 @@ const ERC20_ABI = [
   },
 ];
 
-// Error decoding function
-function decodeError(error, contractInterface) {
-  if (error.data) {
-    try {
-      const decoded = contractInterface.parseError(error.data);
-      return {
-        name: decoded.name,
-        args: decoded.args,
-        decoded: true,
-      };
-    } catch (e) {
-      // If we can't decode it, return the raw data
-      return {
-        name: "Unknown",
-        data: error.data,
-        decoded: false,
-      };
-    }
-  }
-  return null;
-}
-
-// Format readable error message
-function formatErrorMessage(error, contractInterface) {
-  const decoded = decodeError(error, contractInterface);
-
-  if (!decoded || !decoded.decoded) {
-    return error.message;
-  }
-
-  switch (decoded.name) {
-    case "InvalidAmount":
-      return `Invalid amount: ${decoded.args[0]}`;
-    case "ApprovalFailed":
-      return `Approval failed for token ${decoded.args[0]} to spender ${decoded.args[1]} with amount ${decoded.args[2]}`;
-    case "InsufficientBalance":
-      return `Insufficient balance in token ${decoded.args[0]}. Required: ${decoded.args[1]}, Available: ${decoded.args[2]}`;
-    case "InsufficientOutput":
-      return `Insufficient output. Expected: ${decoded.args[1]}, Received: ${decoded.args[0]}`;
-    default:
-      return `Custom error ${decoded.name}: ${JSON.stringify(decoded.args)}`;
-  }
-}
-
 async function main() {
   console.log("=== PancakeSwap V3 Swap ===\n");
 
-  // Setup signer
-  const [signer] = await ethers.getSigners();
+  // Setup signer; the manager tracks the nonce and speeds up a stuck swap
+  const [account] = await ethers.getSigners();
+  const signer = managedSigner(account, { speedUpAfter: 60, log: (line) => console.log(line) });
   console.log(`Signer: ${signer.address}`);
   console.log(`Network: ${(await ethers.provider.getNetwork()).name}\n`);
 
@@ -266,6 +198,16 @@ async function main() {
     )} USDT → BUSD`
   );
 
+  // Fresh quote from the Uniswap quoter; aborts when the price impact is over the limit
+  const plan = await planSwap(
+    QUOTER_ADDRESS,
+    ethers.provider,
+    encodePath([TOKEN_IN, TOKEN_OUT], [FEE]),
+    BigInt(AMOUNT_IN)
+  );
+  console.log(formatSwapPlan(plan, { decimals: tokenOutDecimals, symbol: "BUSD" }));
+  const amountOutMinimum = plan.amountOutMinimum;
+
   // Test contract connectivity with a simple view function
   console.log("\n--- Contract Connectivity Test ---");
   try {
@@ -288,7 +230,7 @@ async function main() {
     console.log(`TokenOut: ${TOKEN_OUT}`);
     console.log(`Fee: ${FEE}`);
     console.log(`AmountIn: ${AMOUNT_IN}`);
-    console.log(`AmountOutMinimum: ${AMOUNT_OUT_MINIMUM}`);
+    console.log(`AmountOutMinimum: ${amountOutMinimum}`);
     console.log(`SqrtPriceLimitX96: ${SQRT_PRICE_LIMIT_X96}`);
 
     // Manual function call data encoding for debugging
@@ -302,7 +244,7 @@ async function main() {
           TOKEN_OUT,
           FEE,
           AMOUNT_IN,
-          AMOUNT_OUT_MINIMUM,
+          amountOutMinimum,
           SQRT_PRICE_LIMIT_X96,
         ]
       );
@@ -583,7 +525,7 @@ async function main() {
         fee: FEE,
         recipient: CONTRACT_ADDRESS,
         amountIn: AMOUNT_IN,
-        amountOutMinimum: AMOUNT_OUT_MINIMUM,
+        amountOutMinimum,
         sqrtPriceLimitX96: SQRT_PRICE_LIMIT_X96,
       };
 
@@ -612,14 +554,14 @@ async function main() {
         TOKEN_OUT,
         FEE,
         AMOUNT_IN,
-        AMOUNT_OUT_MINIMUM,
+        amountOutMinimum,
         SQRT_PRICE_LIMIT_X96
       );
       console.log(`Estimated gas: ${gasEstimate.toString()}`);
     } catch (error) {
       console.log("❌ Gas estimation failed:");
       const contractInterface = new ethers.Interface(CONTRACT_ABI);
-      const readableError = formatErrorMessage(error, contractInterface);
+      const readableError = formatError(error);
       console.log(`Error: ${readableError}`);
 
       if (error.data) {
@@ -641,7 +583,7 @@ async function main() {
             TOKEN_OUT,
             FEE,
             AMOUNT_IN,
-            AMOUNT_OUT_MINIMUM,
+            amountOutMinimum,
             SQRT_PRICE_LIMIT_X96,
           ]),
           from: signer.address,
@@ -657,6 +599,19 @@ async function main() {
       throw error; // Don't proceed if gas estimation fails
     }
 
+    // With SIMULATE=true, report what the swap would do and stop
+    if (SIMULATE) {
+      console.log("\n--- Simulating Swap ---");
+      const report = await simulateCall(
+        contract,
+        "swapExactInputSingle",
+        [TOKEN_IN, TOKEN_OUT, FEE, AMOUNT_IN, amountOutMinimum, SQRT_PRICE_LIMIT_X96, { gasLimit: 500000 }],
+        { watch: CONTRACT_ADDRESS }
+      );
+      console.log(formatSimulation(report, { watchLabel: "Strategy" }));
+      return;
+    }
+
     // Execute swap
     console.log("\n--- Executing Swap ---");
     const tx = await contract.swapExactInputSingle(
@@ -664,7 +619,7 @@ async function main() {
       TOKEN_OUT,
       FEE,
       AMOUNT_IN,
-      AMOUNT_OUT_MINIMUM,
+      amountOutMinimum,
       SQRT_PRICE_LIMIT_X96,
       { gasLimit: 500000 }
     );
@@ -672,7 +627,7 @@ async function main() {
     console.log(`Transaction: ${tx.hash}`);
 
     // Wait for confirmation
-    const receipt = await tx.wait();
+    const receipt = await confirmTransaction(tx, signer);
     console.log(`✅ Swap completed (Block: ${receipt.blockNumber})`);
     console.log(`Gas used: ${receipt.gasUsed.toString()}\n`);
 
@@ -714,8 +669,7 @@ async function main() {
   } catch (error) {
     console.error("❌ Swap failed:");
 
-    const contractInterface = new ethers.Interface(CONTRACT_ABI);
-    const readableError = formatErrorMessage(error, contractInterface);
+    const readableError = formatError(error);
     console.error(`Error: ${readableError}`);
 
     if (error.data) {
@@ -737,13 +691,13 @@ async function main() {
           TOKEN_OUT,
           FEE,
           AMOUNT_IN,
-          AMOUNT_OUT_MINIMUM,
+          amountOutMinimum,
           SQRT_PRICE_LIMIT_X96
         );
       } catch (staticError) {
         console.error(
           "Revert reason:",
-          formatErrorMessage(staticError, contractInterface)
+          formatError(staticError)
         );
       }
     }
@@ -1,5 +1,9 @@
 const { ethers } = require("hardhat");
 require("dotenv").config();
+const { managedSigner } = require("../lib/txManager");
+const { SIMULATE, simulateCall, formatSimulation } = require("../lib/simulate");
+const { formatError } = require("../lib/errors");
+const { SAFE_ADDRESS, SAFE_BATCH_FILE, ProposalSigner, writeSafeBatch } = require("../lib/safeBatch");
 
 // Contract configuration
 const CONTRACT_ADDRESS = "0x4F3862D359D8f76498f69732740E4d53b7676639"; // BridgeSwapStrategy
@@ -35,71 +39,24 @@ const CONTRACT_ABI = [
     stateMutability: "view",
     type: "function"
   },
-  // Custom errors
-  {
-    inputs: [{ internalType: "address", name: "router", type: "address" }],
-    name: "InvalidRouter",
-    type: "error"
-  },
-  {
-    inputs: [
-      { internalType: "bytes32", name: "role", type: "bytes32" },
-      { internalType: "address", name: "account", type: "address" }
-    ],
-    name: "AccessControlUnauthorizedAccount",
-    type: "error"
-  }
 ];
 
-// Error decoding helper
-function decodeError(error, contractInterface) {
-  if (!error.data) return null;
-
-  try {
-    const decoded = contractInterface.parseError(error.data);
-    return {
-      name: decoded.name,
-      args: decoded.args,
-      decoded: true,
-    };
-  } catch (e) {
-    return {
-      name: "Unknown",
-      data: error.data,
-      decoded: false,
-    };
-  }
-}
-
-// Format readable error message
-function formatErrorMessage(error, contractInterface) {
-  const decoded = decodeError(error, contractInterface);
-
-  if (!decoded || !decoded.decoded) {
-    return error.message;
-  }
-
-  switch (decoded.name) {
-    case "InvalidRouter":
-      return `Invalid router address: ${decoded.args[0]}`;
-    case "AccessControlUnauthorizedAccount":
-      return `Access control error: Account ${decoded.args[1]} does not have role ${decoded.args[0]}`;
-    default:
-      return `Custom error ${decoded.name}: ${JSON.stringify(decoded.args)}`;
-  }
-}
-
 async function main() {
   console.log("=== PancakeSwap Router Update ===\n");
 
-  // Setup signer
-  const [signer] = await ethers.getSigners();
+  // Setup signer; the manager tracks the nonce and speeds up a stuck update.
+  // With SAFE_ADDRESS set the Safe is the sender and the update is only proposed.
+  const [account] = await ethers.getSigners();
+  const signer = SAFE_ADDRESS
+    ? new ProposalSigner(new ethers.VoidSigner(SAFE_ADDRESS, ethers.provider), {
+        interfaces: [new ethers.Interface(CONTRACT_ABI)],
+      })
+    : managedSigner(account, { speedUpAfter: 60, log: (line) => console.log(line) });
   console.log(`Signer: ${signer.address}`);
   console.log(`Network: ${(await ethers.provider.getNetwork()).name}\n`);
 
   // Create contract instance
   const contract = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, signer);
-  const contractInterface = new ethers.Interface(CONTRACT_ABI);
 
   console.log("--- Pre-flight Checks ---");
 
@@ -160,27 +117,41 @@ async function main() {
     } catch (gasError) {
       console.log(`❌ Gas estimation failed: ${gasError.message}`);
 
-      const readableError = formatErrorMessage(gasError, contractInterface);
+      const readableError = formatError(gasError);
       console.log(`Detailed error: ${readableError}`);
 
       // If gas estimation fails, we might still try the transaction
       console.log("Attempting transaction despite gas estimation failure...");
     }
 
-    // Get current nonce
-    const currentNonce = await signer.getNonce();
-    console.log(`Current nonce: ${currentNonce}`);
+    // With SIMULATE=true, report what the update would do and stop
+    if (SIMULATE) {
+      console.log("\n--- Simulating Router Update ---");
+      const report = await simulateCall(contract, "setPancakeRouter", [NEW_ROUTER]);
+      console.log(formatSimulation(report));
+      return;
+    }
+
+    // With SAFE_ADDRESS set, write the update to a Safe Transaction Builder batch and stop
+    if (SAFE_ADDRESS) {
+      console.log("\n--- Proposing Router Update ---");
+      await contract.setPancakeRouter(NEW_ROUTER);
+      const file = SAFE_BATCH_FILE || "safe-batch-setPancakeRouter.json";
+      writeSafeBatch(file, await signer.batch({ name: "Update PancakeSwap router" }));
+      console.log(`Calldata: ${signer.transactions[0].data}`);
+      console.log(`✅ Safe batch written to ${file}; verify it with \`bss safe verify ${file}\` before approving`);
+      return;
+    }
 
     // Execute the router update
     console.log("\n--- Executing Router Update ---");
 
     const tx = await contract.setPancakeRouter(NEW_ROUTER, {
       gasLimit: 100000, // Conservative gas limit for admin function
-      nonce: currentNonce,
     });
 
     console.log(`Transaction sent: ${tx.hash}`);
-    const receipt = await tx.wait();
+    const receipt = await signer.wait(tx);
     console.log(`✅ Router update completed (Block: ${receipt.blockNumber})`);
     console.log(`Gas used: ${receipt.gasUsed.toString()}`);
 
@@ -190,7 +161,7 @@ async function main() {
     // Try to decode contract-specific errors
     if (error.data) {
       try {
-        const readableError = formatErrorMessage(error, contractInterface);
+        const readableError = formatError(error);
         console.error("Contract error:", readableError);
       } catch (decodeError) {
         console.error("Raw error data:", error.data);
@@ -198,15 +169,6 @@ async function main() {
     }
 
     // Handle common issues
-    if (error.message.includes("nonce too low") || error.message.includes("nonce")) {
-      console.log("\n--- Nonce Error Detected ---");
-      console.log("This usually happens when:");
-      console.log("1. Previous transactions are still pending");
-      console.log("2. Multiple scripts are running simultaneously");
-      console.log("3. Network congestion causing nonce desynchronization");
-      console.log("\nTry running the script again in a few seconds.");
-    }
-
     if (error.message.includes("insufficient funds")) {
       console.log("\n--- Insufficient Funds ---");
       console.log("The signer account does not have enough BNB to pay for gas.");
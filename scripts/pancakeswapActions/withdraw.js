@@ -1,5 +1,8 @@
 const { ethers } = require("hardhat");
 require("dotenv").config();
+const { managedSigner } = require("../lib/txManager");
+const { SIMULATE, simulateCall, formatSimulation } = require("../lib/simulate");
+const { SAFE_ADDRESS, SAFE_BATCH_FILE, ProposalSigner, writeSafeBatch } = require("../lib/safeBatch");
 
 // Contract configuration
 const CONTRACT_ADDRESS = "0xe91E965Ff0039531aD339BD543E07A87ae0E474b";
@@ -43,47 +46,17 @@ const ERC20_ABI = [
   },
 ];
 
-// Utility function to retry transaction with fresh nonce
-async function retryTransactionWithFreshNonce(contract, method, params, options = {}, maxRetries = 3) {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      console.log(`\n--- Transaction Attempt ${attempt}/${maxRetries} ---`);
-
-      // Get fresh nonce for each attempt
-      const signer = contract.runner;
-      const freshNonce = await signer.getNonce();
-      console.log(`Fresh nonce for attempt ${attempt}: ${freshNonce}`);
-
-      // Merge options with fresh nonce
-      const txOptions = {
-        ...options,
-        nonce: freshNonce,
-      };
-
-      // Execute transaction
-      const tx = await contract[method](...params, txOptions);
-      console.log(`Transaction hash: ${tx.hash}`);
-
-      return tx;
-    } catch (error) {
-      console.log(`❌ Attempt ${attempt} failed: ${error.message}`);
-
-      if (attempt === maxRetries) {
-        throw new Error(`Transaction failed after ${maxRetries} attempts: ${error.message}`);
-      }
-
-      // Wait a bit before retrying
-      console.log(`Waiting 2 seconds before retry...`);
-      await new Promise(resolve => setTimeout(resolve, 2000));
-    }
-  }
-}
-
 async function main() {
   console.log("=== Token Withdrawal from Contract ===\n");
 
-  // Setup signer
-  const [signer] = await ethers.getSigners();
+  // Setup signer; the manager tracks the nonce and speeds up a stuck withdrawal.
+  // With SAFE_ADDRESS set the Safe is the sender and the withdrawal is only proposed.
+  const [account] = await ethers.getSigners();
+  const signer = SAFE_ADDRESS
+    ? new ProposalSigner(new ethers.VoidSigner(SAFE_ADDRESS, ethers.provider), {
+        interfaces: [new ethers.Interface(CONTRACT_ABI)],
+      })
+    : managedSigner(account, { speedUpAfter: 60, log: (line) => console.log(line) });
   console.log(`Signer: ${signer.address}`);
   console.log(`Network: ${(await ethers.provider.getNetwork()).name}\n`);
 
@@ -146,18 +119,34 @@ async function main() {
       throw error; // Don't proceed if gas estimation fails
     }
 
-    // Execute withdrawal with retry mechanism for nonce handling
+    // With SIMULATE=true, report what the withdrawal would do and stop
+    if (SIMULATE) {
+      console.log("\n--- Simulating Withdrawal ---");
+      const report = await simulateCall(contract, "withdraw", [TOKEN_ADDRESS, AMOUNT, { gasLimit: 200000 }], {
+        watch: CONTRACT_ADDRESS,
+      });
+      console.log(formatSimulation(report, { watchLabel: "Contract" }));
+      return;
+    }
+
+    // With SAFE_ADDRESS set, write the withdrawal to a Safe Transaction Builder batch and stop
+    if (SAFE_ADDRESS) {
+      console.log("\n--- Proposing Withdrawal ---");
+      await contract.withdraw(TOKEN_ADDRESS, AMOUNT);
+      const file = SAFE_BATCH_FILE || "safe-batch-withdraw.json";
+      writeSafeBatch(file, await signer.batch({ name: "Withdraw USDTwh" }));
+      console.log(`Calldata: ${signer.transactions[0].data}`);
+      console.log(`✅ Safe batch written to ${file}; verify it with \`bss safe verify ${file}\` before approving`);
+      return;
+    }
+
+    // Execute withdrawal
     console.log("\n--- Executing Withdrawal ---");
-    const tx = await retryTransactionWithFreshNonce(
-      contract,
-      "withdraw",
-      [TOKEN_ADDRESS, AMOUNT],
-      { gasLimit: 200000 },
-      3 // max retries
-    );
+    const tx = await contract.withdraw(TOKEN_ADDRESS, AMOUNT, { gasLimit: 200000 });
+    console.log(`Transaction hash: ${tx.hash}`);
 
-    // Wait for confirmation
-    const receipt = await tx.wait();
+    // Wait for confirmation, following any replacement
+    const receipt = await signer.wait(tx);
     console.log(`✅ Withdrawal completed (Block: ${receipt.blockNumber})`);
     console.log(`Gas used: ${receipt.gasUsed.toString()}\n`);
 
@@ -210,17 +199,6 @@ async function main() {
       console.error(`Error data: ${error.data}`);
     }
 
-    // Handle nonce-related errors specifically
-    if (error.message.includes("nonce too low") || error.message.includes("nonce")) {
-      console.log("\n--- Nonce Error Detected ---");
-      console.log("This usually happens when:");
-      console.log("1. Previous transactions are still pending");
-      console.log("2. Multiple scripts are running simultaneously");
-      console.log("3. Network congestion causing nonce desynchronization");
-      console.log("\nTry running the script again in a few seconds.");
-      console.log("If the issue persists, check for pending transactions in your wallet.");
-    }
-
     throw error;
   }
 }
@@ -1,31 +1,28 @@
-const { JsonRpcProvider, Wallet, ethers, solidityPacked, Contract } = require("ethers");
+const { JsonRpcProvider, Wallet, ethers, Contract } = require("ethers");
 const { Token, TradeType, CurrencyAmount, Percent } = require("@uniswap/sdk-core");
 const { Pool, Route, Trade } = require("@uniswap/v3-sdk");
 const { abi: IUniswapV3PoolABI } = require("@uniswap/v3-core/artifacts/contracts/interfaces/IUniswapV3Pool.sol/IUniswapV3Pool.json");
 const { abi: ISwapRouter02ABI } = require('@uniswap/swap-router-contracts/artifacts/contracts/SwapRouter02.sol/SwapRouter02.json');
 const ERC20ABI = require("@openzeppelin/contracts/build/contracts/ERC20.json").abi;
-const swapConfig = require("./swap.json");
+const { getChainCatalog } = require("../lib/catalog");
+const { encodeRoutePath } = require("../lib/v3Path");
+const { loadDeployment } = require("../lib/deployments");
+const { planSwap, formatSwapPlan } = require("../lib/quotes");
+const { managedSigner, confirmTransaction } = require("../lib/txManager");
+const { SIMULATE, Simulation, formatSimulation } = require("../lib/simulate");
 require('dotenv').config();
 
 const provider = new JsonRpcProvider(process.env.ETHEREUM_RPC_URL);
-const wallet = new Wallet(process.env.MAIN_NET_PK, provider);
+// The manager tracks the nonce and speeds up a stuck approval or swap
+const wallet = managedSigner(new Wallet(process.env.MAIN_NET_PK, provider), { speedUpAfter: 60, log: (line) => console.log(line) });
 
-const { SWAP_ROUTER_ADDRESS, tokens: tokensConfig, pools: poolsConfig, swaps: swapsConfig } = swapConfig;
-
-// Helper function to find the fee for a given pair of tokens
-function getFee(tokenA_symbol, tokenB_symbol) {
-    const pool = poolsConfig.find(p => 
-        (p.tokens.includes(tokenA_symbol) && p.tokens.includes(tokenB_symbol))
-    );
-    if (!pool) {
-        throw new Error(`Pool not found for ${tokenA_symbol}/${tokenB_symbol}`);
-    }
-    return pool.fee;
-}
+const catalog = getChainCatalog(1);
+const { tokens: tokensConfig, routes: swapsConfig } = catalog;
+const { swapRouter: SWAP_ROUTER_ADDRESS, quoter: QUOTER_ADDRESS } = loadDeployment("ethereum").contracts;
 
 async function main() {
     // --- Configuration ---
-    // Set the name of the swap to execute from swap.json (e.g., "USDC to WBTC (Single Hop)")
+    // Set the name of the swap to execute from catalog/1.json (e.g., "USDC to WBTC (Single Hop)")
     const SWAP_NAME_TO_EXECUTE = "USDC to WBTC (Single Hop)"; 
     // Set the amount of the input token to swap
     const AMOUNT_TO_SWAP = "0.1";
@@ -36,7 +33,7 @@ async function main() {
     const originalSwap = swapsConfig.find(s => s.name === SWAP_NAME_TO_EXECUTE);
 
     if (!originalSwap) {
-        console.error(`Swap "${SWAP_NAME_TO_EXECUTE}" not found in swap.json.`);
+        console.error(`Swap "${SWAP_NAME_TO_EXECUTE}" not found in catalog/1.json.`);
         const availableSwaps = swapsConfig.map(s => `  - "${s.name}"`).join('\n');
         console.error("\nAvailable swaps:\n" + availableSwaps);
         process.exit(1);
@@ -50,44 +47,56 @@ async function main() {
     const tokenInSymbol = swapPath[0];
     const tokenOutSymbol = swapPath[swapPath.length - 1];
     const tokenIn = tokensConfig[tokenInSymbol];
+    const tokenOut = tokensConfig[tokenOutSymbol];
 
     const amountIn = ethers.parseUnits(AMOUNT_TO_SWAP, tokenIn.decimals);
 
     // Construct the execution path
-    const pathComponents = [];
-    for (let i = 0; i < swapPath.length - 1; i++) {
-        pathComponents.push(ethers.getAddress(tokensConfig[swapPath[i]].address));
-        pathComponents.push(getFee(swapPath[i], swapPath[i+1]));
-    }
-    pathComponents.push(ethers.getAddress(tokensConfig[swapPath[swapPath.length - 1]].address));
-    
-    // This logic was buggy, simplified it
-    const types = [];
-    for (let i = 0; i < pathComponents.length; i++) {
-        types.push(i % 2 === 0 ? 'address' : 'uint24');
-    }
+    const encodedPath = encodeRoutePath(catalog, swapPath, "uniswap-v3");
 
-    const encodedPath = solidityPacked(types, pathComponents);
+    // Fresh quote from QuoterV2; the minimum is SLIPPAGE_BPS below it, and too much price impact aborts
+    const plan = await planSwap(QUOTER_ADDRESS, provider, encodedPath, amountIn);
+    console.log(formatSwapPlan(plan, tokenOut));
 
-    // Approve the router
     const tokenInContract = new Contract(ethers.getAddress(tokenIn.address), ERC20ABI, wallet);
-    const approvalTx = await tokenInContract.approve(SWAP_ROUTER_ADDRESS, amountIn);
-    console.log(`Approving ${tokenIn.symbol} for swap... Tx hash: ${approvalTx.hash}`);
-    await approvalTx.wait();
-    console.log("Approval confirmed.");
-
     const swapRouterContract = new Contract(SWAP_ROUTER_ADDRESS, ISwapRouter02ABI, wallet);
 
-    // Note: For simplicity, we are setting amountOutMinimum to 0.
-    // In a production environment, you would want to calculate a realistic minimum amount based on a quote and slippage tolerance.
     const params = {
         path: encodedPath,
         recipient: wallet.address,
         deadline: Math.floor(Date.now() / 1000) + (60 * 20), // 20 minutes
         amountIn: amountIn,
-        amountOutMinimum: 0,
+        amountOutMinimum: plan.amountOutMinimum,
     };
 
+    // With SIMULATE=true, report what the approval and swap would do and stop.
+    // Against a live node each call runs on its own, so the swap may revert for want of the approval.
+    if (SIMULATE) {
+        const simulation = await Simulation.create(provider, {
+            interfaces: [swapRouterContract.interface],
+            watch: wallet.address,
+        });
+        const tokens = { [tokenInContract.target]: tokenIn, [ethers.getAddress(tokenOut.address)]: tokenOut };
+        try {
+            for (const tx of [
+                await tokenInContract.approve.populateTransaction(SWAP_ROUTER_ADDRESS, amountIn),
+                await swapRouterContract.exactInput.populateTransaction(params, { gasLimit: 1000000 }),
+            ]) {
+                const report = await simulation.run({ ...tx, from: wallet.address });
+                console.log(formatSimulation(report, { tokens, watchLabel: "Wallet" }));
+            }
+        } finally {
+            await simulation.finish();
+        }
+        return;
+    }
+
+    // Approve the router
+    const approvalTx = await tokenInContract.approve(SWAP_ROUTER_ADDRESS, amountIn);
+    console.log(`Approving ${tokenIn.symbol} for swap... Tx hash: ${approvalTx.hash}`);
+    await confirmTransaction(approvalTx, wallet);
+    console.log("Approval confirmed.");
+
     console.log(`Swapping ${AMOUNT_TO_SWAP} ${tokenInSymbol} for ${tokenOutSymbol}...`);
 
     const tx = await swapRouterContract.exactInput(params, {
@@ -95,7 +104,7 @@ async function main() {
     });
 
     console.log('Swap transaction sent:', tx.hash);
-    const receipt = await tx.wait();
+    const receipt = await confirmTransaction(tx, wallet);
     console.log('Swap transaction confirmed in block', receipt.blockNumber);
     console.log("\n-------------------------------------------");
 }
@@ -1,12 +1,13 @@
 
 const { JsonRpcProvider, Wallet, ethers } = require("ethers");
 const ERC20ABI = require("@openzeppelin/contracts/build/contracts/ERC20.json").abi;
-const swapConfig = require("./swap.json");
+const { getChainCatalog } = require("../lib/catalog");
 require('dotenv').config();
 
 const provider = new JsonRpcProvider(process.env.ETHEREUM_RPC_URL);
 
-const { tokens: tokensConfig } = swapConfig;
+const catalog = getChainCatalog(1);
+const { tokens: tokensConfig } = catalog;
 
 async function main() {
     // --- Configuration ---
@@ -21,7 +22,7 @@ async function main() {
     const tokenInfo = tokensConfig[TOKEN_SYMBOL_TO_CHECK];
 
     if (!tokenInfo) {
-        console.error(`Token "${TOKEN_SYMBOL_TO_CHECK}" not found in swap.json.`);
+        console.error(`Token "${TOKEN_SYMBOL_TO_CHECK}" not found in catalog/1.json.`);
         const availableTokens = Object.keys(tokensConfig).map(s => `  - "${s}"`).join('\n');
         console.error("\nAvailable tokens:\n" + availableTokens);
         process.exit(1);
@@ -1,30 +1,23 @@
-const { JsonRpcProvider, ethers, solidityPacked } = require("ethers");
-const swapConfig = require("./swap.json");
+const { JsonRpcProvider, ethers } = require("ethers");
+const { getChainCatalog } = require("../lib/catalog");
+const { encodeRoutePath } = require("../lib/v3Path");
+const { loadDeployment } = require("../lib/deployments");
 require('dotenv').config();
 
 const provider = new JsonRpcProvider(process.env.ETHEREUM_RPC_URL);
 
-const { QUOTER_ADDRESS, tokens: tokensConfig, pools: poolsConfig, swaps: swapsConfig } = swapConfig;
+const catalog = getChainCatalog(1);
+const { tokens: tokensConfig, routes: swapsConfig } = catalog;
+const QUOTER_ADDRESS = loadDeployment("ethereum").contracts.quoter;
 
 const quoterAbi = [
     'function quoteExactInput(bytes memory path, uint256 amountIn) external view returns (uint256 amountOut)'
 ];
 const quoterContract = new ethers.Contract(QUOTER_ADDRESS, quoterAbi, provider);
 
-// Helper function to find the fee for a given pair of tokens
-function getFee(tokenA_symbol, tokenB_symbol) {
-    const pool = poolsConfig.find(p => 
-        (p.tokens.includes(tokenA_symbol) && p.tokens.includes(tokenB_symbol))
-    );
-    if (!pool) {
-        throw new Error(`Pool not found for ${tokenA_symbol}/${tokenB_symbol}`);
-    }
-    return pool.fee;
-}
-
 async function main() {
     // --- Configuration ---
-    // Set the name of the swap to quote from swap.json
+    // Set the name of the swap to quote from catalog/1.json
     const SWAP_NAME_TO_QUOTE = "USDC to WHITE (Multi-Hop)"; 
     // Set the amount of the input token to quote
     const AMOUNT_TO_QUOTE = "1";
@@ -37,7 +30,7 @@ async function main() {
     const swapToQuote = swapsConfig.find(s => s.name === SWAP_NAME_TO_QUOTE);
 
     if (!swapToQuote) {
-        console.error(`Swap "${SWAP_NAME_TO_QUOTE}" not found in swap.json.`);
+        console.error(`Swap "${SWAP_NAME_TO_QUOTE}" not found in catalog/1.json.`);
         const availableSwaps = swapsConfig.map(s => `  - "${s.name}"`).join('\n');
         console.error("\nAvailable swaps:\n" + availableSwaps);
         process.exit(1);
@@ -65,19 +58,7 @@ async function getRawQuote(swap, amountInString) {
     const tokenIn = tokensConfig[tokenInSymbol];
     const amountIn = ethers.parseUnits(amountInString, tokenIn.decimals);
 
-    const pathComponents = [];
-    for (let i = 0; i < swapPath.length - 1; i++) {
-        pathComponents.push(ethers.getAddress(tokensConfig[swapPath[i]].address));
-        pathComponents.push(getFee(swapPath[i], swapPath[i+1]));
-    }
-    pathComponents.push(ethers.getAddress(tokensConfig[swapPath[swapPath.length - 1]].address));
-
-    const types = [];
-    for (let i = 0; i < pathComponents.length; i++) {
-        types.push(i % 2 === 0 ? 'address' : 'uint24');
-    }
-    
-    const encodedPath = solidityPacked(types, pathComponents);
+    const encodedPath = encodeRoutePath(catalog, swapPath, "uniswap-v3");
     return await quoterContract.quoteExactInput(encodedPath, amountIn);
 }
 
@@ -1,22 +1,17 @@
 const { JsonRpcProvider, Wallet, ethers, Contract } = require("ethers");
-const swapConfig = require("./swap.json");
+const { getChainCatalog } = require("../lib/catalog");
+const { encodeRoutePath } = require("../lib/v3Path");
+const { formatError } = require("../lib/errors");
+const { managedSigner, confirmTransaction } = require("../lib/txManager");
+const { SIMULATE, simulateCall, formatSimulation } = require("../lib/simulate");
 require("dotenv").config();
 
 // Strategy contract configuration
 const STRATEGY_CONTRACT_ADDRESS = "0x536eFD341e6B17798c52a201B4A87a961f0dC159"; // mainnet
 
-const { tokens: tokensConfig, pools: poolsConfig } = swapConfig;
-
-// Helper function to find the fee for a given pair of tokens
-function getFee(tokenA_symbol, tokenB_symbol) {
-  const pool = poolsConfig.find(
-    (p) => p.tokens.includes(tokenA_symbol) && p.tokens.includes(tokenB_symbol)
-  );
-  if (!pool) {
-    throw new Error(`Pool not found for ${tokenA_symbol}/${tokenB_symbol}`);
-  }
-  return pool.fee;
-}
+const catalog = getChainCatalog(1);
+const { tokens: tokensConfig } = catalog;
+const CATALOG_TOKENS = Object.fromEntries(Object.values(tokensConfig).map((token) => [token.address, token]));
 
 async function main() {
   // --- Configuration ---
@@ -38,7 +33,8 @@ async function main() {
   const SWAP_PATH = ["TRX", "WETH", "USDC"]; // Multi-hop path
 
   const provider = new JsonRpcProvider(process.env.ETHEREUM_RPC_URL);
-  const wallet = new Wallet(process.env.MAIN_NET_PK, provider);
+  // The manager tracks the nonce and speeds up a stuck swap
+  const wallet = managedSigner(new Wallet(process.env.MAIN_NET_PK, provider), { speedUpAfter: 60, log: (line) => console.log(line) });
 
   console.log(`Using signer: ${wallet.address}`);
   console.log(`Strategy contract: ${STRATEGY_CONTRACT_ADDRESS}`);
@@ -55,22 +51,8 @@ async function main() {
 
   const amountIn = ethers.parseUnits(AMOUNT_TO_SWAP, tokenIn.decimals);
 
-  // Encode multi-hop path: USDC -> WETH -> TRX
-  const pathComponents = [];
-  for (let i = 0; i < SWAP_PATH.length - 1; i++) {
-    pathComponents.push(ethers.getAddress(tokensConfig[SWAP_PATH[i]].address));
-    pathComponents.push(getFee(SWAP_PATH[i], SWAP_PATH[i + 1]));
-  }
-  pathComponents.push(
-    ethers.getAddress(tokensConfig[SWAP_PATH[SWAP_PATH.length - 1]].address)
-  );
-
-  const types = [];
-  for (let i = 0; i < pathComponents.length; i++) {
-    types.push(i % 2 === 0 ? "address" : "uint24");
-  }
-
-  const encodedPath = ethers.solidityPacked(types, pathComponents);
+  // Encode multi-hop path with the Uniswap V3 fee of each hop
+  const encodedPath = encodeRoutePath(catalog, SWAP_PATH, "uniswap-v3");
 
   console.log(`\n--- Executing Multi-Hop Swap via Strategy Contract ---`);
   console.log(`From: ${tokenIn.symbol} (${tokenIn.address})`);
@@ -173,6 +155,18 @@ async function main() {
       );
     }
 
+    // With SIMULATE=true, report what the swap would do and stop
+    if (SIMULATE) {
+      const report = await simulateCall(
+        strategyContract,
+        "swapExactInputMultiHop",
+        [encodedPath, amountIn, amountOutMinimum, { gasLimit: 500000 }],
+        { watch: STRATEGY_CONTRACT_ADDRESS }
+      );
+      console.log(formatSimulation(report, { tokens: CATALOG_TOKENS, watchLabel: "Strategy" }));
+      return;
+    }
+
     console.log(`\nExecuting multi-hop swap...`);
     const tx = await strategyContract.swapExactInputMultiHop(
       encodedPath,
@@ -184,7 +178,7 @@ async function main() {
     );
 
     console.log(`Transaction sent: ${tx.hash}`);
-    const receipt = await tx.wait();
+    const receipt = await confirmTransaction(tx, wallet);
     console.log(`Transaction confirmed in block: ${receipt.blockNumber}`);
 
     // Parse events from the receipt
@@ -265,15 +259,7 @@ async function main() {
   } catch (error) {
     console.error("Error executing swap:", error);
 
-    // Try to decode the error if it's a contract error
-    if (error.data) {
-      try {
-        const decoded = strategyContract.interface.parseError(error.data);
-        console.error("Contract error:", decoded);
-      } catch (decodeError) {
-        console.error("Raw error data:", error.data);
-      }
-    }
+    console.error("Contract error:", formatError(error, { interfaces: [strategyContract.interface] }));
 
     process.exit(1);
   }
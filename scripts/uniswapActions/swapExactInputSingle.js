@@ -1,35 +1,33 @@
 const { JsonRpcProvider, Wallet, ethers, Contract } = require("ethers");
-const swapConfig = require("./swap.json");
+const { getChainCatalog, getFee } = require("../lib/catalog");
+const { getStrategyAddress, loadDeployment } = require("../lib/deployments");
+const { formatError } = require("../lib/errors");
+const { managedSigner, confirmTransaction } = require("../lib/txManager");
+const { SIMULATE, simulateCall, formatSimulation } = require("../lib/simulate");
+const { encodePath } = require("../lib/v3Path");
+const { planSwap, formatSwapPlan } = require("../lib/quotes");
 require("dotenv").config();
 
 // Strategy contract configuration
-const STRATEGY_CONTRACT_ADDRESS = "0xf90e6E8E1faFFCf4a204e45b3806390a877fcd7B"; // mainnet
+const STRATEGY_CONTRACT_ADDRESS = getStrategyAddress("ethereum");
+const QUOTER_ADDRESS = loadDeployment("ethereum").contracts.quoter;
 
-const { tokens: tokensConfig, pools: poolsConfig } = swapConfig;
-
-// Helper function to find the fee for a given pair of tokens
-function getFee(tokenA_symbol, tokenB_symbol) {
-  const pool = poolsConfig.find(
-    (p) => p.tokens.includes(tokenA_symbol) && p.tokens.includes(tokenB_symbol)
-  );
-  if (!pool) {
-    throw new Error(`Pool not found for ${tokenA_symbol}/${tokenB_symbol}`);
-  }
-  return pool.fee;
-}
+const catalog = getChainCatalog(1);
+const { tokens: tokensConfig } = catalog;
+const CATALOG_TOKENS = Object.fromEntries(Object.values(tokensConfig).map((token) => [token.address, token]));
 
 async function main() {
   // --- Configuration ---
   const TOKEN_IN_SYMBOL = "USDC";
   const TOKEN_OUT_SYMBOL = "USDT";
   const AMOUNT_TO_SWAP = "0.001"; // 0.1 USDC
-  // const SLIPPAGE_TOLERANCE = 0.005; // 0.5% slippage tolerance
-  const SLIPPAGE_TOLERANCE = 1; // 100% slippage tolerance
+  // Slippage and the price impact limit come from SLIPPAGE_BPS and MAX_PRICE_IMPACT_BPS
 
   // -------------------
 
   const provider = new JsonRpcProvider(process.env.ETHEREUM_RPC_URL);
-  const wallet = new Wallet(process.env.MAIN_NET_PK, provider);
+  // The manager tracks the nonce and speeds up a stuck swap
+  const wallet = managedSigner(new Wallet(process.env.MAIN_NET_PK, provider), { speedUpAfter: 60, log: (line) => console.log(line) });
 
   console.log(`Using signer: ${wallet.address}`);
   console.log(`Strategy contract: ${STRATEGY_CONTRACT_ADDRESS}`);
@@ -45,7 +43,7 @@ async function main() {
   }
 
   const amountIn = ethers.parseUnits(AMOUNT_TO_SWAP, tokenIn.decimals);
-  const fee = getFee(TOKEN_IN_SYMBOL, TOKEN_OUT_SYMBOL);
+  const fee = getFee(catalog, TOKEN_IN_SYMBOL, TOKEN_OUT_SYMBOL, "uniswap-v3");
 
   console.log(`\n--- Executing Single Hop Swap via Strategy Contract ---`);
   console.log(`From: ${tokenIn.symbol} (${tokenIn.address})`);
@@ -97,13 +95,15 @@ async function main() {
       }`
     );
 
-    // Get quote for minimum amount out (using simple slippage calculation)
-    // In production, you'd want to get a real quote from Uniswap
-    const estimatedAmountOut = ethers.parseUnits("0.000003", tokenOut.decimals); // Very conservative estimate
-    const amountOutMinimum =
-      (estimatedAmountOut *
-        BigInt(Math.floor((1 - SLIPPAGE_TOLERANCE) * 1000))) /
-      BigInt(1000);
+    // Fresh quote from QuoterV2; aborts when the price impact is over the limit
+    const plan = await planSwap(
+      QUOTER_ADDRESS,
+      provider,
+      encodePath([tokenIn.address, tokenOut.address], [fee]),
+      amountIn
+    );
+    console.log(formatSwapPlan(plan, tokenOut));
+    const { amountOutMinimum } = plan;
 
     console.log(
       `Amount out minimum: ${ethers.formatUnits(
@@ -112,6 +112,26 @@ async function main() {
       )} ${tokenOut.symbol}`
     );
 
+    // With SIMULATE=true, report what the swap would do and stop
+    if (SIMULATE) {
+      const report = await simulateCall(
+        strategyContract,
+        "swapExactInputSingle",
+        [
+          ethers.getAddress(tokenIn.address),
+          ethers.getAddress(tokenOut.address),
+          fee,
+          amountIn,
+          amountOutMinimum,
+          0,
+          { gasLimit: 500000 },
+        ],
+        { watch: STRATEGY_CONTRACT_ADDRESS }
+      );
+      console.log(formatSimulation(report, { tokens: CATALOG_TOKENS, watchLabel: "Strategy" }));
+      return;
+    }
+
     console.log(`\nExecuting swap...`);
     const tx = await strategyContract.swapExactInputSingle(
       ethers.getAddress(tokenIn.address),
@@ -126,7 +146,7 @@ async function main() {
     );
 
     console.log(`Transaction sent: ${tx.hash}`);
-    const receipt = await tx.wait();
+    const receipt = await confirmTransaction(tx, wallet);
     console.log(`Transaction confirmed in block: ${receipt.blockNumber}`);
 
     // Parse events from the receipt
@@ -173,15 +193,7 @@ async function main() {
   } catch (error) {
     console.error("Error executing swap:", error);
 
-    // Try to decode the error if it's a contract error
-    if (error.data) {
-      try {
-        const decoded = strategyContract.interface.parseError(error.data);
-        console.error("Contract error:", decoded);
-      } catch (decodeError) {
-        console.error("Raw error data:", error.data);
-      }
-    }
+    console.error("Contract error:", formatError(error, { interfaces: [strategyContract.interface] }));
 
     process.exit(1);
   }
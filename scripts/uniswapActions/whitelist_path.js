@@ -2,54 +2,27 @@ const {
   JsonRpcProvider,
   Wallet,
   ethers,
-  solidityPacked,
   Contract,
 } = require("ethers");
-const swapConfig = require("./swap.json");
+const { getChainCatalog } = require("../lib/catalog");
+const { getStrategyAddress } = require("../lib/deployments");
+const { encodeRoutePath, pathHash: hashPath } = require("../lib/v3Path");
+const { managedSigner, confirmTransaction } = require("../lib/txManager");
+const { SAFE_ADDRESS, SAFE_BATCH_FILE, ProposalSigner, writeSafeBatch } = require("../lib/safeBatch");
 require("dotenv").config();
 
-// Strategy contract configuration
-const STRATEGY_CONTRACT_ADDRESS = "0x536eFD341e6B17798c52a201B4A87a961f0dC159"; // mainnet
-
-const {
-  tokens: tokensConfig,
-  pools: poolsConfig,
-  swaps: swapsConfig,
-} = swapConfig;
-
-// Helper function to find the fee for a given pair of tokens
-function getFee(tokenA_symbol, tokenB_symbol) {
-  const pool = poolsConfig.find(
-    (p) => p.tokens.includes(tokenA_symbol) && p.tokens.includes(tokenB_symbol)
-  );
-  if (!pool) {
-    throw new Error(`Pool not found for ${tokenA_symbol}/${tokenB_symbol}`);
-  }
-  return pool.fee;
-}
-
-// Helper function to encode a swap path
-function encodeSwapPath(swapPath) {
-  const pathComponents = [];
-  for (let i = 0; i < swapPath.length - 1; i++) {
-    pathComponents.push(ethers.getAddress(tokensConfig[swapPath[i]].address));
-    pathComponents.push(getFee(swapPath[i], swapPath[i + 1]));
-  }
-  pathComponents.push(
-    ethers.getAddress(tokensConfig[swapPath[swapPath.length - 1]].address)
-  );
+// Allows one catalog route per run. To make the allow-list match every route in
+// the catalog, use `npm run bss -- paths sync --network ethereum`.
 
-  const types = [];
-  for (let i = 0; i < pathComponents.length; i++) {
-    types.push(i % 2 === 0 ? "address" : "uint24");
-  }
+// Strategy contract configuration
+const STRATEGY_CONTRACT_ADDRESS = getStrategyAddress("ethereum");
 
-  return solidityPacked(types, pathComponents);
-}
+const catalog = getChainCatalog(1);
+const { tokens: tokensConfig, routes: swapsConfig } = catalog;
 
 async function main() {
   // --- Configuration ---
-  // Set the name of the swap path to whitelist from swap.json
+  // Set the name of the swap path to whitelist from catalog/1.json
   // const SWAP_NAME_TO_WHITELIST = "USDC to WBTC (Single Hop)";
   const SWAP_NAME_TO_WHITELIST = "USDC to WBTC (Single Hop)";
 
@@ -58,16 +31,21 @@ async function main() {
   // -------------------
 
   const provider = new JsonRpcProvider(process.env.ETHEREUM_RPC_URL);
-  const wallet = new Wallet(process.env.MAIN_NET_PK, provider);
+  // The manager tracks the nonce and speeds up a stuck allowPath.
+  // With SAFE_ADDRESS set the Safe is the sender and the paths are only proposed.
+  const wallet = SAFE_ADDRESS
+    ? new ProposalSigner(new ethers.VoidSigner(SAFE_ADDRESS, provider))
+    : managedSigner(new Wallet(process.env.MAIN_NET_PK, provider), { speedUpAfter: 60, log: (line) => console.log(line) });
 
   console.log(`Using signer: ${wallet.address}`);
   console.log(`Strategy contract: ${STRATEGY_CONTRACT_ADDRESS}`);
 
   const strategyContractAbi = [
-    "function allowSwapPath(bytes memory path)",
+    "function allowPath(bytes calldata path)",
     "function isPathAllowed(bytes32 pathHash) view returns (bool)",
     "function hasRole(bytes32 role, address account) view returns (bool)",
     "function ADMIN() view returns (bytes32)",
+    "event PathAllowed(bytes32 pathHash, bytes path, uint256 timestamp)",
   ];
 
   const strategyContract = new Contract(
@@ -92,7 +70,7 @@ async function main() {
     );
 
     if (!swapToWhitelist) {
-      console.error(`Swap "${SWAP_NAME_TO_WHITELIST}" not found in swap.json.`);
+      console.error(`Swap "${SWAP_NAME_TO_WHITELIST}" not found in catalog/1.json.`);
       const availableSwaps = swapsConfig
         .map((s) => `  - "${s.name}"`)
         .join("\n");
@@ -106,12 +84,24 @@ async function main() {
     if (WHITELIST_REVERSE_PATH) {
       const reverseSwap = {
         name: `(REVERSE) ${swapToWhitelist.name}`,
+        dex: swapToWhitelist.dex,
         path: [...swapToWhitelist.path].reverse(),
       };
       console.log(`\n--- Whitelisting Reverse Path: "${reverseSwap.name}" ---`);
       await whitelistPath(strategyContract, reverseSwap);
     }
 
+    if (SAFE_ADDRESS) {
+      if (wallet.transactions.length === 0) {
+        console.log("\nNothing to propose.");
+        return;
+      }
+      const file = SAFE_BATCH_FILE || "safe-batch-allowPath.json";
+      writeSafeBatch(file, await wallet.batch({ name: `Allow path ${SWAP_NAME_TO_WHITELIST}` }));
+      console.log(`\n✅ Safe batch written to ${file}; verify it with \`bss safe verify ${file}\` before approving`);
+      return;
+    }
+
     console.log("\n✅ Path whitelisting completed successfully!");
     console.log("-------------------------------------------");
   } catch (error) {
@@ -122,7 +112,7 @@ async function main() {
 
 async function whitelistPath(strategyContract, swap) {
   try {
-    const { name, path: swapPath } = swap;
+    const { name, dex, path: swapPath } = swap;
 
     if (swapPath.length < 2) {
       console.warn(`\nCannot whitelist "${name}": path is too short.`);
@@ -142,8 +132,8 @@ async function whitelistPath(strategyContract, swap) {
     }
 
     // Encode the swap path
-    const encodedPath = encodeSwapPath(swapPath);
-    const pathHash = ethers.keccak256(encodedPath);
+    const encodedPath = encodeRoutePath(catalog, swapPath, dex);
+    const pathHash = hashPath(encodedPath);
 
     console.log(`\nPath details for "${name}":`);
     console.log(`From: ${tokenIn.symbol} (${tokenIn.address})`);
@@ -162,10 +152,14 @@ async function whitelistPath(strategyContract, swap) {
 
     // Whitelist the path
     console.log(`Whitelisting path "${name}"...`);
-    const tx = await strategyContract.allowSwapPath(encodedPath);
+    const tx = await strategyContract.allowPath(encodedPath);
+    if (SAFE_ADDRESS) {
+      console.log(`Added to the Safe batch; calldata: ${tx.data}`);
+      return;
+    }
     console.log(`Transaction sent: ${tx.hash}`);
 
-    const receipt = await tx.wait();
+    const receipt = await confirmTransaction(tx, wallet);
     console.log(`Transaction confirmed in block: ${receipt.blockNumber}`);
 
     // Verify the path was whitelisted
@@ -1,39 +1,41 @@
-const { ethers, upgrades } = require("hardhat");
+const { ethers, upgrades, network } = require("hardhat");
+const {
+  loadDeployment,
+  recordStrategyUpgrade,
+  assertStrategyConsistency,
+} = require("./lib/deployments");
+const { managedSigner, confirmTransaction } = require("./lib/txManager");
 
 async function main() {
   // ==================================================================================
-  // IMPORTANT: Replace this with the address of your deployed proxy contract
-  // You can get this address from the output of the deploy script.
-  // const PROXY_ADDRESS = "0x487c7E54C092A56440Df2e3Facb72482d690C718"; // Sepolia
-  // const PROXY_ADDRESS = "0xD4597d6358F0533337022579147972F432553Bf0"; // Mainnet
-  // const PROXY_ADDRESS = "0x6C43f551916C67D6c1f410220F06256B208E1468"; // BSC testnet
-  //
-  const PROXY_ADDRESS = "0x4DB5d09888cbFDa5eD3264973d707AB2C185c785"; // Sepolia
-
+  // The proxy comes from deployments/<network>.json, written by scripts/deploy_bss.js.
+  // Run with `npx hardhat run scripts/upgrade.js --network <name>`.
   // ==================================================================================
-
-  if (
-    PROXY_ADDRESS === "YOUR_PROXY_ADDRESS" ||
-    !ethers.isAddress(PROXY_ADDRESS)
-  ) {
+  const deployment = loadDeployment(network.name);
+  if (!deployment.bridgeSwapStrategy) {
     console.error(
-      "Please replace 'YOUR_PROXY_ADDRESS' with the actual address of your proxy contract in scripts/upgrade.js"
+      `No BridgeSwapStrategy recorded in deployments/${network.name}.json. Deploy it with scripts/deploy_bss.js first.`
     );
     process.exit(1);
   }
 
+  // Refuse to upgrade a proxy that is not the one the registry describes
+  const PROXY_ADDRESS = await assertStrategyConsistency(deployment, ethers.provider);
+
+  // The manager tracks the nonce and follows a replaced upgrade transaction
+  const [account] = await ethers.getSigners();
+  const signer = managedSigner(account, { log: (line) => console.log(line) });
+
   // This will get the new version of the contract.
-  // Make sure you have made the desired changes in CustomStrategyWormhole.sol
+  // Make sure you have made the desired changes in BridgeSwapStrategy.sol
   // before running this script.
-  const CustomStrategyWormholeV4 = await ethers.getContractFactory(
-    "CustomStrategyWormholeV4"
-  );
+  const BridgeSwapStrategy = await ethers.getContractFactory("BridgeSwapStrategy", signer);
 
-  console.log("Preparing upgrade...");
+  console.log(`Preparing upgrade of ${PROXY_ADDRESS} on ${network.name}...`);
 
   const upgradedProxy = await upgrades.upgradeProxy(
     PROXY_ADDRESS,
-    CustomStrategyWormholeV4
+    BridgeSwapStrategy
   );
   await upgradedProxy.waitForDeployment();
 
@@ -41,19 +43,21 @@ async function main() {
   const implementationAddress = await upgrades.erc1967.getImplementationAddress(
     proxyAddress
   );
+  // hardhat-upgrades exposes the upgrade transaction as `deployTransaction`
+  const upgradeTx = upgradedProxy.deployTransaction;
+  const receipt = upgradeTx ? await confirmTransaction(upgradeTx, signer) : null;
 
-  console.log("CustomStrategyWormhole has been successfully upgraded.");
+  recordStrategyUpgrade(network.name, {
+    implementation: implementationAddress,
+    txHash: upgradeTx ? upgradeTx.hash : undefined,
+    blockNumber: receipt ? receipt.blockNumber : undefined,
+    deployer: signer.address,
+  });
+
+  console.log("BridgeSwapStrategy has been successfully upgraded.");
   console.log("Proxy is at:", proxyAddress);
   console.log("New implementation is at:", implementationAddress);
-
-  // Optional: Verify the upgrade by calling an existing function
-  const upgradedContract = await ethers.getContractAt(
-    "CustomStrategyWormholeV4",
-    proxyAddress
-  );
-
-  // const fee = await upgradedContract.getWormholeFee();
-  // console.log("Wormhole Fee from contract:", ethers.formatEther(fee), "ETH");
+  console.log(`Recorded in deployments/${network.name}.json`);
 }
 
 main()
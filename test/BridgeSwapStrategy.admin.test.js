@@ -0,0 +1,347 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const {
+  deployBridgeSwapStrategyFixture,
+  deployBridgeSwapStrategyWithBalancesFixture,
+  deployPausedBridgeSwapStrategyFixture,
+} = require("./fixtures");
+
+describe("BridgeSwapStrategy - Admin Functions", function () {
+  describe("initialize", function () {
+    it("Should store all six initialize arguments", async function () {
+      const { strategy, addresses, solanaAggregator } = await loadFixture(deployBridgeSwapStrategyFixture);
+
+      expect(await strategy.wormhole()).to.equal(addresses.wormhole);
+      expect(await strategy.tokenBridge()).to.equal(addresses.tokenBridge);
+      expect(await strategy.underlyingToken()).to.equal(addresses.underlyingToken);
+      expect(await strategy.solanaAggregatorAddress()).to.equal(solanaAggregator);
+      expect(await strategy.swapRouter()).to.equal(addresses.swapRouter);
+      expect(await strategy.pancakeSmartRouter()).to.equal(addresses.pancakeRouter);
+      expect(await strategy.isPathValidationEnabled()).to.equal(false);
+    });
+
+    it("Should grant every role to the deployer", async function () {
+      const { strategy, deployer, DEFAULT_ADMIN_ROLE, ADMIN_ROLE, REPORTING_MANAGER_ROLE } = await loadFixture(
+        deployBridgeSwapStrategyFixture
+      );
+
+      expect(await strategy.hasRole(DEFAULT_ADMIN_ROLE, deployer.address)).to.equal(true);
+      expect(await strategy.hasRole(ADMIN_ROLE, deployer.address)).to.equal(true);
+      expect(await strategy.hasRole(REPORTING_MANAGER_ROLE, deployer.address)).to.equal(true);
+    });
+
+    it("Should not be callable twice", async function () {
+      const { strategy, addresses, solanaAggregator } = await loadFixture(deployBridgeSwapStrategyFixture);
+
+      await expect(
+        strategy.initialize(
+          addresses.wormhole,
+          addresses.tokenBridge,
+          addresses.underlyingToken,
+          solanaAggregator,
+          addresses.swapRouter,
+          addresses.pancakeRouter
+        )
+      ).to.be.revertedWithCustomError(strategy, "InvalidInitialization");
+    });
+
+    it("Should emit Initialized with the configuration", async function () {
+      const { addresses, solanaAggregator } = await loadFixture(deployBridgeSwapStrategyFixture);
+      const BridgeSwapStrategy = await ethers.getContractFactory("BridgeSwapStrategy");
+      const args = [
+        addresses.wormhole,
+        addresses.tokenBridge,
+        addresses.underlyingToken,
+        solanaAggregator,
+        addresses.swapRouter,
+        addresses.pancakeRouter,
+      ];
+
+      const strategy = await upgrades.deployProxy(BridgeSwapStrategy, args, {
+        initializer: "initialize",
+        kind: "transparent",
+      });
+
+      await expect(strategy.deploymentTransaction())
+        .to.emit(strategy, "Initialized(address,address,address,bytes32,address,address,uint256)")
+        .withArgs(...args, anyValue);
+    });
+  });
+
+  describe("deposit", function () {
+    it("Should pull tokens from the reporting manager and emit the received amount", async function () {
+      const { strategy, underlyingToken, reportingManager, addresses, amounts } = await loadFixture(
+        deployBridgeSwapStrategyFixture
+      );
+      await underlyingToken.connect(reportingManager).approve(addresses.strategy, amounts.medium);
+
+      const tx = await strategy.connect(reportingManager).deposit(addresses.underlyingToken, amounts.medium);
+
+      await expect(tx).to.changeTokenBalances(
+        underlyingToken,
+        [reportingManager, addresses.strategy],
+        [-amounts.medium, amounts.medium]
+      );
+      await expect(tx)
+        .to.emit(strategy, "Deposited")
+        .withArgs(reportingManager.address, addresses.underlyingToken, amounts.medium, anyValue);
+    });
+
+    it("Should only allow the reporting manager", async function () {
+      const { strategy, user1, addresses, amounts } = await loadFixture(deployBridgeSwapStrategyFixture);
+
+      await expect(
+        strategy.connect(user1).deposit(addresses.underlyingToken, amounts.small)
+      ).to.be.revertedWithCustomError(strategy, "Unauthorized");
+    });
+
+    it("Should revert while paused", async function () {
+      const { strategy, reportingManager, addresses, amounts } = await loadFixture(
+        deployPausedBridgeSwapStrategyFixture
+      );
+
+      await expect(
+        strategy.connect(reportingManager).deposit(addresses.underlyingToken, amounts.small)
+      ).to.be.revertedWithCustomError(strategy, "EnforcedPause");
+    });
+  });
+
+  describe("withdraw", function () {
+    it("Should send tokens to the given address", async function () {
+      const { strategy, altToken, admin, user1, addresses } = await loadFixture(
+        deployBridgeSwapStrategyWithBalancesFixture
+      );
+      const amount = ethers.parseUnits("2", 18);
+
+      const tx = await strategy.connect(admin).withdraw(addresses.altToken, amount, user1.address);
+
+      await expect(tx).to.changeTokenBalances(altToken, [addresses.strategy, user1], [-amount, amount]);
+      await expect(tx)
+        .to.emit(strategy, "Withdrawn")
+        .withArgs(admin.address, addresses.altToken, amount, user1.address, anyValue);
+    });
+
+    it("Should still work while paused", async function () {
+      const { strategy, admin, user1, addresses, amounts } = await loadFixture(
+        deployPausedBridgeSwapStrategyFixture
+      );
+
+      await expect(
+        strategy.connect(admin).withdraw(addresses.underlyingToken, amounts.small, user1.address)
+      ).to.emit(strategy, "Withdrawn");
+    });
+
+    it("Should revert when the balance is insufficient", async function () {
+      const { strategy, admin, user1, addresses, balances } = await loadFixture(
+        deployBridgeSwapStrategyWithBalancesFixture
+      );
+
+      await expect(
+        strategy.connect(admin).withdraw(addresses.underlyingToken, balances.underlying + 1n, user1.address)
+      )
+        .to.be.revertedWithCustomError(strategy, "InsufficientBalance")
+        .withArgs(balances.underlying + 1n, balances.underlying);
+    });
+
+    it("Should only allow admins", async function () {
+      const { strategy, reportingManager, addresses, amounts } = await loadFixture(
+        deployBridgeSwapStrategyWithBalancesFixture
+      );
+
+      await expect(
+        strategy
+          .connect(reportingManager)
+          .withdraw(addresses.underlyingToken, amounts.small, reportingManager.address)
+      ).to.be.revertedWithCustomError(strategy, "Unauthorized");
+    });
+  });
+
+  describe("pause / unpause", function () {
+    it("Should toggle the paused state", async function () {
+      const { strategy, admin } = await loadFixture(deployBridgeSwapStrategyFixture);
+
+      await expect(strategy.connect(admin).pause()).to.emit(strategy, "Paused").withArgs(admin.address);
+      expect(await strategy.paused()).to.equal(true);
+
+      await expect(strategy.connect(admin).unpause()).to.emit(strategy, "Unpaused").withArgs(admin.address);
+      expect(await strategy.paused()).to.equal(false);
+    });
+
+    it("Should only allow admins", async function () {
+      const { strategy, reportingManager } = await loadFixture(deployBridgeSwapStrategyFixture);
+
+      await expect(strategy.connect(reportingManager).pause()).to.be.revertedWithCustomError(
+        strategy,
+        "Unauthorized"
+      );
+    });
+  });
+
+  describe("Router setters", function () {
+    it("Should update the Uniswap router", async function () {
+      const { strategy, admin, addresses } = await loadFixture(deployBridgeSwapStrategyFixture);
+      const newRouter = ethers.Wallet.createRandom().address;
+
+      await expect(strategy.connect(admin).setUniswapRouter(newRouter))
+        .to.emit(strategy, "UniswapRouterUpdated")
+        .withArgs(addresses.swapRouter, newRouter, anyValue);
+      expect(await strategy.swapRouter()).to.equal(newRouter);
+      expect(await strategy.pancakeSmartRouter()).to.equal(addresses.pancakeRouter);
+    });
+
+    it("Should update the PancakeSwap router", async function () {
+      const { strategy, admin, addresses } = await loadFixture(deployBridgeSwapStrategyFixture);
+      const newRouter = ethers.Wallet.createRandom().address;
+
+      await expect(strategy.connect(admin).setPancakeRouter(newRouter))
+        .to.emit(strategy, "PancakeRouterUpdated")
+        .withArgs(addresses.pancakeRouter, newRouter, anyValue);
+      expect(await strategy.pancakeSmartRouter()).to.equal(newRouter);
+      expect(await strategy.swapRouter()).to.equal(addresses.swapRouter);
+    });
+
+    it("Should reject the zero address", async function () {
+      const { strategy, admin } = await loadFixture(deployBridgeSwapStrategyFixture);
+
+      await expect(strategy.connect(admin).setUniswapRouter(ethers.ZeroAddress)).to.be.revertedWithCustomError(
+        strategy,
+        "InvalidRouterAddress"
+      );
+      await expect(strategy.connect(admin).setPancakeRouter(ethers.ZeroAddress)).to.be.revertedWithCustomError(
+        strategy,
+        "InvalidRouterAddress"
+      );
+    });
+
+    it("Should only allow admins", async function () {
+      const { strategy, reportingManager, user1 } = await loadFixture(deployBridgeSwapStrategyFixture);
+
+      await expect(
+        strategy.connect(reportingManager).setUniswapRouter(user1.address)
+      ).to.be.revertedWithCustomError(strategy, "Unauthorized");
+      await expect(
+        strategy.connect(reportingManager).setPancakeRouter(user1.address)
+      ).to.be.revertedWithCustomError(strategy, "Unauthorized");
+    });
+  });
+
+  describe("setSolanaAggregatorAddress", function () {
+    it("Should update the bridge-out recipient", async function () {
+      const { strategy, admin, solanaAggregator } = await loadFixture(deployBridgeSwapStrategyFixture);
+      const newAggregator = ethers.id("new aggregator");
+
+      await expect(strategy.connect(admin).setSolanaAggregatorAddress(newAggregator))
+        .to.emit(strategy, "SolanaAggregatorAddressUpdated")
+        .withArgs(solanaAggregator, newAggregator, anyValue);
+      expect(await strategy.solanaAggregatorAddress()).to.equal(newAggregator);
+    });
+
+    it("Should reject the zero address", async function () {
+      const { strategy, admin } = await loadFixture(deployBridgeSwapStrategyFixture);
+
+      await expect(
+        strategy.connect(admin).setSolanaAggregatorAddress(ethers.ZeroHash)
+      ).to.be.revertedWithCustomError(strategy, "InvalidSolanaAggregatorAddress");
+    });
+  });
+
+  describe("setUnderlyingToken", function () {
+    it("Should switch the token used by bridgeOutToSolana", async function () {
+      const { strategy, admin, altToken, tokenBridge, reportingManager, addresses } = await loadFixture(
+        deployBridgeSwapStrategyWithBalancesFixture
+      );
+
+      await expect(strategy.connect(admin).setUnderlyingToken(addresses.altToken))
+        .to.emit(strategy, "UnderlyingTokenUpdated")
+        .withArgs(addresses.underlyingToken, addresses.altToken, anyValue);
+      expect(await strategy.underlyingToken()).to.equal(addresses.altToken);
+
+      const amount = ethers.parseUnits("1", 18);
+      await expect(
+        strategy.connect(reportingManager).bridgeOutToSolana(amount, { value: await strategy.getMessageFee() })
+      ).to.changeTokenBalance(altToken, tokenBridge, amount);
+    });
+
+    it("Should reject the zero address", async function () {
+      const { strategy, admin } = await loadFixture(deployBridgeSwapStrategyFixture);
+
+      await expect(strategy.connect(admin).setUnderlyingToken(ethers.ZeroAddress)).to.be.revertedWithCustomError(
+        strategy,
+        "InvalidUnderlyingTokenAddress"
+      );
+    });
+
+    it("Should only allow admins", async function () {
+      const { strategy, reportingManager, addresses } = await loadFixture(deployBridgeSwapStrategyFixture);
+
+      await expect(
+        strategy.connect(reportingManager).setUnderlyingToken(addresses.altToken)
+      ).to.be.revertedWithCustomError(strategy, "Unauthorized");
+    });
+  });
+
+  describe("emergencyWithdraw", function () {
+    it("Should sweep the whole balance while paused", async function () {
+      const { strategy, underlyingToken, admin, user1, addresses, balances } = await loadFixture(
+        deployPausedBridgeSwapStrategyFixture
+      );
+
+      const tx = await strategy.connect(admin).emergencyWithdraw(addresses.underlyingToken, user1.address);
+
+      await expect(tx).to.changeTokenBalances(
+        underlyingToken,
+        [addresses.strategy, user1],
+        [-balances.underlying, balances.underlying]
+      );
+      await expect(tx)
+        .to.emit(strategy, "Withdrawn")
+        .withArgs(admin.address, addresses.underlyingToken, balances.underlying, user1.address, anyValue);
+    });
+
+    it("Should do nothing for a zero balance", async function () {
+      const { strategy, admin, user1 } = await loadFixture(deployPausedBridgeSwapStrategyFixture);
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const emptyToken = await MockERC20.deploy("Empty", "EMPTY", 18);
+
+      await expect(
+        strategy.connect(admin).emergencyWithdraw(await emptyToken.getAddress(), user1.address)
+      ).not.to.emit(strategy, "Withdrawn");
+    });
+
+    it("Should revert unless paused", async function () {
+      const { strategy, admin, user1, addresses } = await loadFixture(
+        deployBridgeSwapStrategyWithBalancesFixture
+      );
+
+      await expect(
+        strategy.connect(admin).emergencyWithdraw(addresses.underlyingToken, user1.address)
+      ).to.be.revertedWithCustomError(strategy, "ExpectedPause");
+    });
+
+    it("Should only allow admins", async function () {
+      const { strategy, reportingManager, addresses } = await loadFixture(deployPausedBridgeSwapStrategyFixture);
+
+      await expect(
+        strategy.connect(reportingManager).emergencyWithdraw(addresses.underlyingToken, reportingManager.address)
+      ).to.be.revertedWithCustomError(strategy, "Unauthorized");
+    });
+  });
+
+  describe("View and receive functions", function () {
+    it("Should return the Wormhole message fee", async function () {
+      const { strategy, wormhole } = await loadFixture(deployBridgeSwapStrategyFixture);
+
+      expect(await strategy.getMessageFee()).to.equal(await wormhole.messageFee());
+    });
+
+    it("Should accept native tokens for bridge fees", async function () {
+      const { strategy, user1, addresses } = await loadFixture(deployBridgeSwapStrategyFixture);
+
+      await expect(
+        user1.sendTransaction({ to: addresses.strategy, value: ethers.parseEther("1") })
+      ).to.changeEtherBalance(strategy, ethers.parseEther("1"));
+    });
+  });
+});
@@ -0,0 +1,276 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { buildVaa, devGuardianKeys } = require("../scripts/lib/vaaBuilder");
+const {
+  encodeTransferWithPayload,
+  toWormholeAddress,
+} = require("../scripts/lib/tokenBridgePayload");
+const {
+  LOCAL_WORMHOLE_CHAIN_ID,
+  SOLANA_TOKEN_BRIDGE_EMITTER,
+  deployBridgeSwapStrategyFixture,
+  deployBridgeSwapStrategyWithBalancesFixture,
+  deployPausedBridgeSwapStrategyFixture,
+} = require("./fixtures");
+
+const SOLANA_SENDER = "2Bqh5uNnKHXQBNLfkK8Je8xvZ6SUis5RH4Ngif4hT3FL";
+
+function solanaTransferVaa(fixture, overrides = {}) {
+  const transfer = {
+    amount: ethers.parseUnits("250", 6),
+    tokenAddress: fixture.addresses.underlyingToken,
+    tokenChain: LOCAL_WORMHOLE_CHAIN_ID,
+    to: fixture.addresses.strategy,
+    toChain: LOCAL_WORMHOLE_CHAIN_ID,
+    fromAddress: SOLANA_SENDER,
+    payload: ethers.toUtf8Bytes("Hello from Solana Asset Manager!"),
+    ...overrides.transfer,
+  };
+  return buildVaa({
+    emitterChain: 1,
+    emitterAddress: SOLANA_TOKEN_BRIDGE_EMITTER,
+    sequence: 1n,
+    consistencyLevel: 32,
+    payload: encodeTransferWithPayload(transfer),
+    guardianKeys: fixture.guardianKeys,
+    ...overrides.vaa,
+  });
+}
+
+describe("BridgeSwapStrategy - Bridge Functions", function () {
+  describe("bridgeInFromSolana", function () {
+    it("Should release the transfer to the strategy and emit the received amount", async function () {
+      const fixture = await loadFixture(deployBridgeSwapStrategyFixture);
+      const { strategy, underlyingToken, tokenBridge, reportingManager, addresses } = fixture;
+      const { hex, vaa } = solanaTransferVaa(fixture);
+
+      const tx = await strategy.connect(reportingManager).bridgeInFromSolana(hex);
+
+      await expect(tx).to.changeTokenBalances(
+        underlyingToken,
+        [addresses.strategy, addresses.tokenBridge],
+        [ethers.parseUnits("250", 6), -ethers.parseUnits("250", 6)]
+      );
+      await expect(tx)
+        .to.emit(strategy, "BridgedIn")
+        .withArgs(addresses.underlyingToken, ethers.parseUnits("250", 6), 1, reportingManager.address, anyValue);
+      await expect(tx).to.emit(tokenBridge, "TransferRedeemed").withArgs(1, SOLANA_TOKEN_BRIDGE_EMITTER, 1n);
+      expect(await tokenBridge.isTransferCompleted(vaa.digest)).to.equal(true);
+    });
+
+    it("Should reject a replayed VAA", async function () {
+      const fixture = await loadFixture(deployBridgeSwapStrategyFixture);
+      const { strategy, reportingManager } = fixture;
+      const { hex } = solanaTransferVaa(fixture);
+
+      await strategy.connect(reportingManager).bridgeInFromSolana(hex);
+      await expect(strategy.connect(reportingManager).bridgeInFromSolana(hex)).to.be.revertedWith(
+        "transfer already completed"
+      );
+    });
+
+    it("Should revert when the transfer does not target the strategy", async function () {
+      const fixture = await loadFixture(deployBridgeSwapStrategyFixture);
+      const { strategy, reportingManager, user1 } = fixture;
+      const { hex } = solanaTransferVaa(fixture, { transfer: { to: user1.address } });
+
+      await expect(strategy.connect(reportingManager).bridgeInFromSolana(hex)).to.be.revertedWith(
+        "invalid sender"
+      );
+    });
+
+    it("Should revert for a transfer addressed to another chain", async function () {
+      const fixture = await loadFixture(deployBridgeSwapStrategyFixture);
+      const { strategy, reportingManager } = fixture;
+      const { hex } = solanaTransferVaa(fixture, { transfer: { toChain: 4 } });
+
+      await expect(strategy.connect(reportingManager).bridgeInFromSolana(hex)).to.be.revertedWith(
+        "invalid target chain"
+      );
+    });
+
+    it("Should only allow the reporting manager", async function () {
+      const fixture = await loadFixture(deployBridgeSwapStrategyFixture);
+      const { strategy, user1 } = fixture;
+      const { hex } = solanaTransferVaa(fixture);
+
+      await expect(strategy.connect(user1).bridgeInFromSolana(hex)).to.be.revertedWithCustomError(
+        strategy,
+        "Unauthorized"
+      );
+    });
+  });
+
+  describe("VAA verification", function () {
+    it("Should reject VAAs without a guardian quorum", async function () {
+      const fixture = await loadFixture(deployBridgeSwapStrategyFixture);
+      const { strategy, reportingManager } = fixture;
+      const { hex } = solanaTransferVaa(fixture, { vaa: { signers: [0] } });
+
+      await expect(strategy.connect(reportingManager).bridgeInFromSolana(hex)).to.be.revertedWith("no quorum");
+    });
+
+    it("Should reject VAAs signed by keys outside the guardian set", async function () {
+      const fixture = await loadFixture(deployBridgeSwapStrategyFixture);
+      const { strategy, reportingManager } = fixture;
+      const impostorKeys = devGuardianKeys(6).slice(3);
+      const { hex } = solanaTransferVaa(fixture, { vaa: { guardianKeys: impostorKeys } });
+
+      await expect(strategy.connect(reportingManager).bridgeInFromSolana(hex)).to.be.revertedWith(
+        "VM signature invalid"
+      );
+    });
+
+    it("Should reject VAAs that reference an unknown guardian set", async function () {
+      const fixture = await loadFixture(deployBridgeSwapStrategyFixture);
+      const { strategy, reportingManager } = fixture;
+      const { hex } = solanaTransferVaa(fixture, { vaa: { guardianSetIndex: 1 } });
+
+      await expect(strategy.connect(reportingManager).bridgeInFromSolana(hex)).to.be.revertedWith(
+        "invalid guardian set"
+      );
+    });
+
+    it("Should reject VAAs from an unregistered emitter", async function () {
+      const fixture = await loadFixture(deployBridgeSwapStrategyFixture);
+      const { strategy, reportingManager } = fixture;
+      const { hex } = solanaTransferVaa(fixture, {
+        vaa: { emitterAddress: ethers.id("someone else") },
+      });
+
+      await expect(strategy.connect(reportingManager).bridgeInFromSolana(hex)).to.be.revertedWith(
+        "invalid emitter"
+      );
+    });
+  });
+
+  describe("bridgeIn", function () {
+    it("Should mint the wrapped asset for a foreign token", async function () {
+      const fixture = await loadFixture(deployBridgeSwapStrategyFixture);
+      const { strategy, tokenBridge, reportingManager, addresses } = fixture;
+
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const wrappedSol = await MockERC20.deploy("Wrapped SOL", "wSOL", 9);
+      const solMint = "So11111111111111111111111111111111111111112";
+      await tokenBridge.registerWrappedAsset(1, toWormholeAddress(solMint), await wrappedSol.getAddress());
+
+      // 1.5 SOL on the wire (8 decimals) is 1.5e9 base units of the 9-decimal wrapper
+      const { hex } = solanaTransferVaa(fixture, {
+        transfer: { tokenAddress: solMint, tokenChain: 1, amount: 150000000n },
+      });
+      const tx = await strategy.connect(reportingManager).bridgeIn(hex);
+
+      await expect(tx).to.changeTokenBalance(wrappedSol, addresses.strategy, ethers.parseUnits("1.5", 9));
+      await expect(tx)
+        .to.emit(strategy, "BridgedIn")
+        .withArgs(ethers.ZeroAddress, 0, 0, reportingManager.address, anyValue);
+    });
+  });
+
+  describe("bridgeOutToSolana", function () {
+    it("Should lock the bridged tokens in the token bridge", async function () {
+      const fixture = await loadFixture(deployBridgeSwapStrategyFixture);
+      const { strategy, underlyingToken, tokenBridge, reportingManager, addresses } = fixture;
+      const amount = ethers.parseUnits("100", 6);
+      await underlyingToken.mint(addresses.strategy, amount);
+
+      const tx = await strategy
+        .connect(reportingManager)
+        .bridgeOutToSolana(amount, { value: ethers.parseEther("0.01") });
+
+      await expect(tx).to.changeTokenBalances(
+        underlyingToken,
+        [addresses.strategy, addresses.tokenBridge],
+        [-amount, amount]
+      );
+      await expect(tx)
+        .to.emit(strategy, "BridgedOut")
+        .withArgs(addresses.underlyingToken, amount, 1, await strategy.solanaAggregatorAddress(), 1n, anyValue);
+      await expect(tx).to.emit(tokenBridge, "TransferTokensWithPayload");
+    });
+
+    it("Should revert when msg.value is below the Wormhole message fee", async function () {
+      const { strategy, reportingManager, amounts } = await loadFixture(
+        deployBridgeSwapStrategyWithBalancesFixture
+      );
+      const fee = await strategy.getMessageFee();
+
+      await expect(
+        strategy.connect(reportingManager).bridgeOutToSolana(amounts.small, { value: fee - 1n })
+      )
+        .to.be.revertedWithCustomError(strategy, "InsufficientBalance")
+        .withArgs(fee, fee - 1n);
+    });
+
+    it("Should revert when the strategy holds less than the amount", async function () {
+      const { strategy, reportingManager, balances } = await loadFixture(
+        deployBridgeSwapStrategyWithBalancesFixture
+      );
+      const fee = await strategy.getMessageFee();
+
+      await expect(
+        strategy.connect(reportingManager).bridgeOutToSolana(balances.underlying + 1n, { value: fee })
+      )
+        .to.be.revertedWithCustomError(strategy, "InsufficientBalance")
+        .withArgs(balances.underlying + 1n, balances.underlying);
+    });
+
+    it("Should revert while paused", async function () {
+      const { strategy, reportingManager, amounts } = await loadFixture(
+        deployPausedBridgeSwapStrategyFixture
+      );
+
+      await expect(
+        strategy
+          .connect(reportingManager)
+          .bridgeOutToSolana(amounts.small, { value: await strategy.getMessageFee() })
+      ).to.be.revertedWithCustomError(strategy, "EnforcedPause");
+    });
+  });
+
+  describe("bridgeOut", function () {
+    it("Should lock any token for an arbitrary chain and recipient", async function () {
+      const { strategy, altToken, tokenBridge, reportingManager, addresses } = await loadFixture(
+        deployBridgeSwapStrategyWithBalancesFixture
+      );
+      const amount = ethers.parseUnits("1", 18);
+      const recipient = toWormholeAddress(reportingManager.address);
+
+      const tx = await strategy
+        .connect(reportingManager)
+        .bridgeOut(addresses.altToken, amount, 4, recipient, { value: await strategy.getMessageFee() });
+
+      await expect(tx).to.changeTokenBalances(altToken, [addresses.strategy, addresses.tokenBridge], [-amount, amount]);
+      await expect(tx)
+        .to.emit(strategy, "BridgedOut")
+        .withArgs(addresses.altToken, amount, 4, recipient, 1n, anyValue);
+      await expect(tx)
+        .to.emit(tokenBridge, "TransferTokensWithPayload")
+        .withArgs(addresses.altToken, amount, 4, recipient, anyValue, "0x", 1n);
+    });
+
+    it("Should revert for a zero amount", async function () {
+      const { strategy, reportingManager, addresses } = await loadFixture(
+        deployBridgeSwapStrategyWithBalancesFixture
+      );
+
+      await expect(
+        strategy.connect(reportingManager).bridgeOut(addresses.underlyingToken, 0, 4, ethers.ZeroHash)
+      )
+        .to.be.revertedWithCustomError(strategy, "InvalidAmount")
+        .withArgs(0);
+    });
+
+    it("Should only allow the reporting manager", async function () {
+      const { strategy, user1, addresses, amounts } = await loadFixture(
+        deployBridgeSwapStrategyWithBalancesFixture
+      );
+
+      await expect(
+        strategy.connect(user1).bridgeOut(addresses.underlyingToken, amounts.small, 4, ethers.ZeroHash)
+      ).to.be.revertedWithCustomError(strategy, "Unauthorized");
+    });
+  });
+});
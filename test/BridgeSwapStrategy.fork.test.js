@@ -0,0 +1,119 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const actions = require("../scripts/lib/strategyActions");
+const { findRoute, findToken, getFee } = require("../scripts/lib/catalog");
+const { encodeRoutePath } = require("../scripts/lib/v3Path");
+const { decodeTransferWithPayload, toWormholeAddress } = require("../scripts/lib/tokenBridgePayload");
+const {
+  FORK_MODE,
+  FORK_SCENARIOS,
+  forkEnabled,
+  startFork,
+  stopFork,
+  deployForkStrategy,
+  fundFromWhale,
+} = require("./forkFixtures");
+
+const WORMHOLE_ABI = [
+  "event LogMessagePublished(address indexed sender, uint64 sequence, uint32 nonce, bytes payload, uint8 consistencyLevel)",
+];
+
+function erc20(address) {
+  return ethers.getContractAt("@openzeppelin/contracts/token/ERC20/IERC20.sol:IERC20", address);
+}
+
+for (const scenario of FORK_SCENARIOS) {
+  describe(`BridgeSwapStrategy - ${scenario.network} fork`, function () {
+    // Recording fetches every account and slot over the network
+    this.timeout(FORK_MODE === "record" ? 0 : 120000);
+
+    let fork;
+    let ctx;
+
+    before(async function () {
+      if (!forkEnabled(scenario)) this.skip();
+      fork = await startFork(scenario);
+      ctx = await deployForkStrategy(scenario);
+      ctx.decimals = findToken(ctx.catalog, ctx.init.underlyingToken).decimals;
+      await fundFromWhale(
+        ctx.underlyingToken,
+        scenario.whale,
+        await ctx.strategy.getAddress(),
+        ethers.parseUnits(scenario.fund, ctx.decimals)
+      );
+    });
+
+    after(async function () {
+      if (fork) await stopFork(fork);
+    });
+
+    for (const { route: routeName, amount } of scenario.swaps) {
+      it(`Should swap ${routeName} through the real router`, async function () {
+        const { strategy, reportingManager, catalog, profile } = ctx;
+        const route = findRoute(catalog, routeName);
+        const tokens = route.path.map((symbol) => catalog.tokens[symbol].address);
+        const fees = route.path.slice(1).map((symbol, i) => getFee(catalog, route.path[i], symbol, route.dex));
+        const amountIn = ethers.parseUnits(amount, catalog.tokens[route.path[0]].decimals);
+        const tokenIn = await erc20(tokens[0]);
+        const tokenOut = await erc20(tokens[tokens.length - 1]);
+        const strategyAddress = await strategy.getAddress();
+        const inBefore = await tokenIn.balanceOf(strategyAddress);
+        const outBefore = await tokenOut.balanceOf(strategyAddress);
+        const quoted =
+          route.dex === "uniswap-v3" && profile.contracts.quoter
+            ? await actions.quote(
+                profile.contracts.quoter,
+                ethers.provider,
+                encodeRoutePath(catalog, route.path, route.dex),
+                amountIn
+              )
+            : null;
+
+        const result = await actions.swap(strategy.connect(reportingManager), {
+          tokens,
+          fees,
+          amountIn,
+          dex: route.dex,
+        });
+
+        const received = (await tokenOut.balanceOf(strategyAddress)) - outBefore;
+        expect(received).to.be.greaterThan(0n);
+        expect(result.event.amountOut).to.equal(received);
+        expect(inBefore - (await tokenIn.balanceOf(strategyAddress))).to.equal(amountIn);
+        if (quoted !== null) expect(received).to.equal(quoted);
+      });
+    }
+
+    it("Should bridge the underlying token out to Solana through the real Token Bridge", async function () {
+      const { strategy, reportingManager, underlyingToken, init, profile, decimals } = ctx;
+      const amount = ethers.parseUnits(scenario.bridgeOut, decimals);
+      const strategyAddress = await strategy.getAddress();
+      const custodyBefore = await underlyingToken.balanceOf(init.tokenBridge);
+
+      const result = await actions.bridgeOut(strategy.connect(reportingManager), { amount, chain: 1 });
+
+      expect(await underlyingToken.balanceOf(init.tokenBridge)).to.equal(custodyBefore + amount);
+      expect(result.event.amount).to.equal(amount);
+      expect(result.event.recipient).to.equal(init.solanaAggregatorAddress);
+
+      const wormhole = new ethers.Interface(WORMHOLE_ABI);
+      const receipt = await ethers.provider.getTransactionReceipt(result.hash);
+      const published = receipt.logs
+        .filter((log) => log.address.toLowerCase() === init.wormhole.toLowerCase())
+        .map((log) => wormhole.parseLog(log));
+      expect(published).to.have.lengthOf(1);
+      expect(published[0].args.sender).to.equal(init.tokenBridge);
+      expect(published[0].args.sequence).to.equal(result.event.sequence);
+
+      const transfer = decodeTransferWithPayload(published[0].args.payload, { emitterChain: profile.wormholeChainId });
+      // The Token Bridge carries at most 8 decimals
+      const wireAmount = decimals > 8 ? amount / 10n ** BigInt(decimals - 8) : amount;
+      expect(transfer.amount).to.equal(wireAmount);
+      expect(transfer.token.address).to.equal(toWormholeAddress(init.underlyingToken));
+      expect(transfer.token.chain).to.equal(profile.wormholeChainId);
+      expect(transfer.to.address).to.equal(init.solanaAggregatorAddress);
+      expect(transfer.to.chain).to.equal(1);
+      expect(transfer.from.address).to.equal(toWormholeAddress(strategyAddress));
+    });
+  });
+}
@@ -0,0 +1,314 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const {
+  deployBridgeSwapStrategyWithBalancesFixture,
+  deployPausedBridgeSwapStrategyFixture,
+  deployPathValidationFixture,
+} = require("./fixtures");
+const { encodePath } = require("../scripts/lib/v3Path");
+
+// MockUniswapV3 pays out 110% of amountIn (in raw units)
+const mockAmountOut = (amountIn) => (amountIn * 110n) / 100n;
+
+describe("BridgeSwapStrategy - Swap Functions", function () {
+  describe("swapExactInputSingle", function () {
+    it("Should swap through the Uniswap router and keep the output", async function () {
+      const { strategy, underlyingToken, altToken, swapRouter, reportingManager, addresses, amounts } =
+        await loadFixture(deployBridgeSwapStrategyWithBalancesFixture);
+
+      const tx = await strategy
+        .connect(reportingManager)
+        .swapExactInputSingle(addresses.underlyingToken, addresses.altToken, 3000, amounts.small, 0, 0);
+
+      await expect(tx).to.changeTokenBalance(underlyingToken, addresses.strategy, -amounts.small);
+      await expect(tx).to.changeTokenBalance(altToken, addresses.strategy, mockAmountOut(amounts.small));
+      await expect(tx)
+        .to.emit(strategy, "Swapped")
+        .withArgs(addresses.underlyingToken, addresses.altToken, amounts.small, mockAmountOut(amounts.small), anyValue);
+      await expect(tx).to.emit(swapRouter, "MockSwapExecuted");
+    });
+
+    it("Should revert when the strategy holds less than amountIn", async function () {
+      const { strategy, reportingManager, addresses, balances } = await loadFixture(
+        deployBridgeSwapStrategyWithBalancesFixture
+      );
+
+      await expect(
+        strategy
+          .connect(reportingManager)
+          .swapExactInputSingle(addresses.underlyingToken, addresses.altToken, 3000, balances.underlying + 1n, 0, 0)
+      )
+        .to.be.revertedWithCustomError(strategy, "InsufficientBalance")
+        .withArgs(balances.underlying + 1n, balances.underlying);
+    });
+
+    it("Should bubble up the router's minimum-output revert", async function () {
+      const { strategy, swapRouter, reportingManager, addresses, amounts } = await loadFixture(
+        deployBridgeSwapStrategyWithBalancesFixture
+      );
+      const tooHigh = mockAmountOut(amounts.small) + 1n;
+
+      await expect(
+        strategy
+          .connect(reportingManager)
+          .swapExactInputSingle(addresses.underlyingToken, addresses.altToken, 3000, amounts.small, tooHigh, 0)
+      ).to.be.revertedWithCustomError(swapRouter, "InsufficientOutput");
+    });
+
+    it("Should revert while paused", async function () {
+      const { strategy, reportingManager, addresses, amounts } = await loadFixture(
+        deployPausedBridgeSwapStrategyFixture
+      );
+
+      await expect(
+        strategy
+          .connect(reportingManager)
+          .swapExactInputSingle(addresses.underlyingToken, addresses.altToken, 3000, amounts.small, 0, 0)
+      ).to.be.revertedWithCustomError(strategy, "EnforcedPause");
+    });
+
+    it("Should only allow the reporting manager", async function () {
+      const { strategy, user1, addresses, amounts } = await loadFixture(
+        deployBridgeSwapStrategyWithBalancesFixture
+      );
+
+      await expect(
+        strategy
+          .connect(user1)
+          .swapExactInputSingle(addresses.underlyingToken, addresses.altToken, 3000, amounts.small, 0, 0)
+      ).to.be.revertedWithCustomError(strategy, "Unauthorized");
+    });
+  });
+
+  describe("swapExactInput", function () {
+    it("Should swap a multi-hop path and report its first and last tokens", async function () {
+      const { strategy, underlyingToken, altToken, reportingManager, addresses, amounts } = await loadFixture(
+        deployBridgeSwapStrategyWithBalancesFixture
+      );
+      const path = encodePath(
+        [addresses.underlyingToken, ethers.Wallet.createRandom().address, addresses.altToken],
+        [500, 3000]
+      );
+
+      const tx = await strategy.connect(reportingManager).swapExactInput(path, amounts.small, 0);
+
+      await expect(tx).to.changeTokenBalance(underlyingToken, addresses.strategy, -amounts.small);
+      await expect(tx).to.changeTokenBalance(altToken, addresses.strategy, mockAmountOut(amounts.small));
+      await expect(tx)
+        .to.emit(strategy, "Swapped")
+        .withArgs(addresses.underlyingToken, addresses.altToken, amounts.small, mockAmountOut(amounts.small), anyValue);
+    });
+
+    it("Should revert when the strategy holds less than amountIn", async function () {
+      const { strategy, reportingManager, addresses, balances } = await loadFixture(
+        deployBridgeSwapStrategyWithBalancesFixture
+      );
+      const path = encodePath([addresses.underlyingToken, addresses.altToken], [3000]);
+
+      await expect(strategy.connect(reportingManager).swapExactInput(path, balances.underlying + 1n, 0))
+        .to.be.revertedWithCustomError(strategy, "InsufficientBalance")
+        .withArgs(balances.underlying + 1n, balances.underlying);
+    });
+
+    it("Should revert while paused", async function () {
+      const { strategy, reportingManager, addresses, amounts } = await loadFixture(
+        deployPausedBridgeSwapStrategyFixture
+      );
+      const path = encodePath([addresses.underlyingToken, addresses.altToken], [3000]);
+
+      await expect(
+        strategy.connect(reportingManager).swapExactInput(path, amounts.small, 0)
+      ).to.be.revertedWithCustomError(strategy, "EnforcedPause");
+    });
+  });
+
+  describe("swapExactInputSinglePancakeV3", function () {
+    it("Should swap through the PancakeSwap router, not the Uniswap one", async function () {
+      const { strategy, altToken, swapRouter, pancakeRouter, reportingManager, addresses, amounts } =
+        await loadFixture(deployBridgeSwapStrategyWithBalancesFixture);
+
+      const tx = await strategy
+        .connect(reportingManager)
+        .swapExactInputSinglePancakeV3(addresses.underlyingToken, addresses.altToken, 500, amounts.small, 0, 0);
+
+      await expect(tx).to.changeTokenBalance(altToken, addresses.strategy, mockAmountOut(amounts.small));
+      await expect(tx)
+        .to.emit(strategy, "PancakeSwapped")
+        .withArgs(addresses.underlyingToken, addresses.altToken, amounts.small, mockAmountOut(amounts.small), anyValue);
+      await expect(tx).to.emit(pancakeRouter, "MockSwapExecuted");
+      await expect(tx).not.to.emit(swapRouter, "MockSwapExecuted");
+    });
+
+    it("Should revert for a zero amount", async function () {
+      const { strategy, reportingManager, addresses } = await loadFixture(
+        deployBridgeSwapStrategyWithBalancesFixture
+      );
+
+      await expect(
+        strategy
+          .connect(reportingManager)
+          .swapExactInputSinglePancakeV3(addresses.underlyingToken, addresses.altToken, 500, 0, 0, 0)
+      )
+        .to.be.revertedWithCustomError(strategy, "InvalidAmount")
+        .withArgs(0);
+    });
+
+    it("Should revert with the token when the balance is insufficient", async function () {
+      const { strategy, reportingManager, addresses, balances } = await loadFixture(
+        deployBridgeSwapStrategyWithBalancesFixture
+      );
+
+      await expect(
+        strategy
+          .connect(reportingManager)
+          .swapExactInputSinglePancakeV3(
+            addresses.underlyingToken,
+            addresses.altToken,
+            500,
+            balances.underlying + 1n,
+            0,
+            0
+          )
+      )
+        .to.be.revertedWithCustomError(strategy, "InsufficientBalanceToken")
+        .withArgs(addresses.underlyingToken, balances.underlying + 1n, balances.underlying);
+    });
+
+    it("Should still swap while paused", async function () {
+      const { strategy, reportingManager, addresses, amounts } = await loadFixture(
+        deployPausedBridgeSwapStrategyFixture
+      );
+
+      await expect(
+        strategy
+          .connect(reportingManager)
+          .swapExactInputSinglePancakeV3(addresses.underlyingToken, addresses.altToken, 500, amounts.small, 0, 0)
+      ).to.emit(strategy, "PancakeSwapped");
+    });
+  });
+
+  describe("Path validation", function () {
+    it("Should allow any path while validation is disabled", async function () {
+      const { strategy, reportingManager, addresses, amounts } = await loadFixture(
+        deployBridgeSwapStrategyWithBalancesFixture
+      );
+
+      expect(await strategy.isPathValidationEnabled()).to.equal(false);
+      await expect(
+        strategy
+          .connect(reportingManager)
+          .swapExactInputSingle(addresses.underlyingToken, addresses.altToken, 10000, amounts.small, 0, 0)
+      ).to.emit(strategy, "Swapped");
+    });
+
+    it("Should record allowed paths by keccak256 hash", async function () {
+      const { strategy, admin, addresses } = await loadFixture(deployBridgeSwapStrategyWithBalancesFixture);
+      const path = encodePath([addresses.underlyingToken, addresses.altToken], [500]);
+      const pathHash = ethers.keccak256(path);
+
+      await expect(strategy.connect(admin).allowPath(path))
+        .to.emit(strategy, "PathAllowed")
+        .withArgs(pathHash, path, anyValue);
+      expect(await strategy.isPathAllowed(pathHash)).to.equal(true);
+
+      await expect(strategy.connect(admin).disallowPath(path))
+        .to.emit(strategy, "PathDisallowed")
+        .withArgs(pathHash, path, anyValue);
+      expect(await strategy.isPathAllowed(pathHash)).to.equal(false);
+    });
+
+    it("Should reject an empty path", async function () {
+      const { strategy, admin } = await loadFixture(deployBridgeSwapStrategyWithBalancesFixture);
+
+      await expect(strategy.connect(admin).allowPath("0x")).to.be.revertedWithCustomError(strategy, "EmptyPath");
+    });
+
+    it("Should only let admins manage paths and the validation flag", async function () {
+      const { strategy, reportingManager, allowedPath } = await loadFixture(deployPathValidationFixture);
+
+      await expect(strategy.connect(reportingManager).allowPath(allowedPath)).to.be.revertedWithCustomError(
+        strategy,
+        "Unauthorized"
+      );
+      await expect(strategy.connect(reportingManager).disallowPath(allowedPath)).to.be.revertedWithCustomError(
+        strategy,
+        "Unauthorized"
+      );
+      await expect(
+        strategy.connect(reportingManager).setPathValidationEnabled(false)
+      ).to.be.revertedWithCustomError(strategy, "Unauthorized");
+    });
+
+    it("Should emit PathValidationToggled", async function () {
+      const { strategy, admin } = await loadFixture(deployPathValidationFixture);
+
+      await expect(strategy.connect(admin).setPathValidationEnabled(false))
+        .to.emit(strategy, "PathValidationToggled")
+        .withArgs(false, anyValue);
+      expect(await strategy.isPathValidationEnabled()).to.equal(false);
+    });
+
+    it("Should enforce the allow-list for single-hop Uniswap swaps", async function () {
+      const { strategy, reportingManager, addresses, amounts } = await loadFixture(deployPathValidationFixture);
+      const blocked = encodePath([addresses.underlyingToken, addresses.altToken], [500]);
+
+      await expect(
+        strategy
+          .connect(reportingManager)
+          .swapExactInputSingle(addresses.underlyingToken, addresses.altToken, 3000, amounts.small, 0, 0)
+      ).to.emit(strategy, "Swapped");
+      await expect(
+        strategy
+          .connect(reportingManager)
+          .swapExactInputSingle(addresses.underlyingToken, addresses.altToken, 500, amounts.small, 0, 0)
+      )
+        .to.be.revertedWithCustomError(strategy, "PathNotAllowed")
+        .withArgs(ethers.keccak256(blocked));
+    });
+
+    it("Should enforce the allow-list for multi-hop swaps", async function () {
+      const { strategy, reportingManager, addresses, amounts, allowedPath } = await loadFixture(
+        deployPathValidationFixture
+      );
+      const blocked = encodePath([addresses.underlyingToken, addresses.altToken], [10000]);
+
+      await expect(strategy.connect(reportingManager).swapExactInput(allowedPath, amounts.small, 0)).to.emit(
+        strategy,
+        "Swapped"
+      );
+      await expect(strategy.connect(reportingManager).swapExactInput(blocked, amounts.small, 0))
+        .to.be.revertedWithCustomError(strategy, "PathNotAllowed")
+        .withArgs(ethers.keccak256(blocked));
+    });
+
+    it("Should enforce the allow-list for PancakeSwap swaps", async function () {
+      const { strategy, reportingManager, addresses, amounts } = await loadFixture(deployPathValidationFixture);
+
+      await expect(
+        strategy
+          .connect(reportingManager)
+          .swapExactInputSinglePancakeV3(addresses.underlyingToken, addresses.altToken, 3000, amounts.small, 0, 0)
+      ).to.emit(strategy, "PancakeSwapped");
+      await expect(
+        strategy
+          .connect(reportingManager)
+          .swapExactInputSinglePancakeV3(addresses.underlyingToken, addresses.altToken, 2500, amounts.small, 0, 0)
+      ).to.be.revertedWithCustomError(strategy, "PathNotAllowed");
+    });
+
+    it("Should block a path again after it is disallowed", async function () {
+      const { strategy, admin, reportingManager, addresses, amounts, allowedPath } = await loadFixture(
+        deployPathValidationFixture
+      );
+
+      await strategy.connect(admin).disallowPath(allowedPath);
+      await expect(
+        strategy
+          .connect(reportingManager)
+          .swapExactInputSingle(addresses.underlyingToken, addresses.altToken, 3000, amounts.small, 0, 0)
+      ).to.be.revertedWithCustomError(strategy, "PathNotAllowed");
+    });
+  });
+});
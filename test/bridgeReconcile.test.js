@@ -0,0 +1,201 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  outboundTransfers,
+  reconcileTransfers,
+  summarizeTransfers,
+  formatAge,
+  formatReconciliation,
+} = require("../scripts/lib/bridgeReconcile");
+const { vaaKey, apiVaaSource, fileVaaSource } = require("../scripts/lib/vaaSources");
+const { createStore, syncStore } = require("../scripts/lib/indexer");
+const { buildVaa } = require("../scripts/lib/vaaBuilder");
+const { encodeTransferWithPayload, toWormholeAddress } = require("../scripts/lib/tokenBridgePayload");
+const { LOCAL_WORMHOLE_CHAIN_ID, deployBridgeSwapStrategyWithBalancesFixture } = require("./fixtures");
+
+const DAY = 24 * 60 * 60;
+
+// Three transfers to user1 through the local token bridge, which also plays the
+// destination: sequence 1 is redeemed, 2 is signed but not redeemed, 3 has no VAA
+async function reconcileFixture() {
+  const fixture = await deployBridgeSwapStrategyWithBalancesFixture();
+  const { strategy, tokenBridge, reportingManager, user1, guardianKeys, addresses } = fixture;
+  await tokenBridge.registerChain(LOCAL_WORMHOLE_CHAIN_ID, toWormholeAddress(addresses.tokenBridge));
+
+  const amounts = [10n, 20n, 30n].map((n) => ethers.parseUnits(n.toString(), 6));
+  const fee = await strategy.getMessageFee();
+  for (const amount of amounts) {
+    await strategy
+      .connect(reportingManager)
+      .bridgeOut(addresses.underlyingToken, amount, LOCAL_WORMHOLE_CHAIN_ID, toWormholeAddress(user1.address), {
+        value: fee,
+      });
+  }
+
+  const vaas = amounts.map((amount, i) =>
+    buildVaa({
+      emitterChain: LOCAL_WORMHOLE_CHAIN_ID,
+      emitterAddress: addresses.tokenBridge,
+      sequence: BigInt(i + 1),
+      payload: encodeTransferWithPayload({
+        amount,
+        tokenAddress: addresses.underlyingToken,
+        tokenChain: LOCAL_WORMHOLE_CHAIN_ID,
+        to: user1.address,
+        toChain: LOCAL_WORMHOLE_CHAIN_ID,
+        fromAddress: addresses.strategy,
+      }),
+      guardianKeys,
+    })
+  );
+  await tokenBridge.connect(user1).completeTransferWithPayload(vaas[0].hex);
+
+  const store = createStore({ network: "hardhat", chainId: 1337, strategy: addresses.strategy });
+  await syncStore(store, strategy);
+
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "vaas-")), "vaas.json");
+  const signed = vaas.slice(0, 2).map((v) => [vaaKey(v.vaa.emitterChain, v.vaa.emitterAddress, v.vaa.sequence), v.base64]);
+  fs.writeFileSync(file, JSON.stringify(Object.fromEntries(signed)));
+
+  const options = {
+    sourceChain: LOCAL_WORMHOLE_CHAIN_ID,
+    emitter: addresses.tokenBridge,
+    vaaSource: fileVaaSource(file),
+    destinations: { [LOCAL_WORMHOLE_CHAIN_ID]: tokenBridge },
+  };
+  return { ...fixture, store, vaas, options };
+}
+
+describe("Bridge reconciliation", function () {
+  it("Should list every BridgedOut sequence from the ledger", async function () {
+    const { store, addresses } = await loadFixture(reconcileFixture);
+
+    const transfers = outboundTransfers(store.events);
+
+    expect(transfers.map((t) => t.sequence)).to.deep.equal([1n, 2n, 3n]);
+    expect(transfers[1]).to.include({
+      token: addresses.underlyingToken,
+      amount: ethers.parseUnits("20", 6),
+      destinationChain: LOCAL_WORMHOLE_CHAIN_ID,
+    });
+  });
+
+  it("Should classify transfers as completed, redeemable and pending", async function () {
+    const { store, vaas, options } = await loadFixture(reconcileFixture);
+    const now = await time.latest();
+
+    const results = await reconcileTransfers(outboundTransfers(store.events), { ...options, now });
+
+    expect(results.map((r) => r.status)).to.deep.equal(["completed", "redeemable", "pending"]);
+    expect(results[1]).to.include({ vaaHash: vaas[1].vaa.digest, redeemed: false });
+    expect(results[2]).to.include({ vaaHash: null, redeemed: null });
+    expect(summarizeTransfers(results)[LOCAL_WORMHOLE_CHAIN_ID]).to.include({
+      completed: 1,
+      redeemable: 1,
+      pending: 1,
+      stuck: 0,
+    });
+  });
+
+  it("Should flag open transfers older than the threshold as stuck", async function () {
+    const { store, options } = await loadFixture(reconcileFixture);
+    const now = (await time.latest()) + 2 * DAY;
+
+    const results = await reconcileTransfers(outboundTransfers(store.events), { ...options, now });
+
+    expect(results.map((r) => r.status)).to.deep.equal(["completed", "stuck", "stuck"]);
+    expect(results[2].age).to.be.at.least(2 * DAY);
+    const relaxed = await reconcileTransfers(outboundTransfers(store.events), { ...options, now, stuckAfter: 3 * DAY });
+    expect(relaxed.map((r) => r.status)).to.deep.equal(["completed", "redeemable", "pending"]);
+  });
+
+  it("Should leave signed transfers unverified without a destination bridge", async function () {
+    const { store, options } = await loadFixture(reconcileFixture);
+
+    const results = await reconcileTransfers(outboundTransfers(store.events), {
+      ...options,
+      destinations: {},
+      now: await time.latest(),
+    });
+
+    expect(results.map((r) => r.status)).to.deep.equal(["unverified", "unverified", "pending"]);
+  });
+
+  it("Should reject a VAA from another emitter or sequence", async function () {
+    const { store, vaas, options } = await loadFixture(reconcileFixture);
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "vaas-")), "vaas.json");
+    fs.writeFileSync(file, JSON.stringify({ [vaaKey(LOCAL_WORMHOLE_CHAIN_ID, options.emitter, 2n)]: vaas[0].base64 }));
+
+    let error;
+    try {
+      await reconcileTransfers(outboundTransfers(store.events), {
+        ...options,
+        vaaSource: fileVaaSource(file),
+        now: await time.latest(),
+      });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.match(/VAA for sequence 2 is from 2\/0x[0-9a-f]{64}\/1/);
+  });
+
+  it("Should fetch VAAs from a signed_vaa API and treat 404 as not signed", async function () {
+    const { store, vaas, options } = await loadFixture(reconcileFixture);
+    const requested = [];
+    const server = http.createServer((req, res) => {
+      requested.push(req.url);
+      const vaa = vaas.find((v) => req.url === `/v1/signed_vaa/${vaaKey(2, v.vaa.emitterAddress, v.vaa.sequence)}`);
+      if (!vaa || vaa.vaa.sequence === 2n) {
+        res.writeHead(404).end();
+        return;
+      }
+      res.writeHead(200, { "Content-Type": "application/json" }).end(JSON.stringify({ vaaBytes: vaa.base64 }));
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+    try {
+      const vaaSource = apiVaaSource(`http://127.0.0.1:${server.address().port}/`);
+      const results = await reconcileTransfers(outboundTransfers(store.events), {
+        ...options,
+        vaaSource,
+        now: await time.latest(),
+      });
+
+      expect(results.map((r) => r.status)).to.deep.equal(["completed", "pending", "redeemable"]);
+      const emitter = toWormholeAddress(options.emitter).slice(2);
+      expect(requested[0]).to.equal(`/v1/signed_vaa/2/${emitter}/1`);
+    } finally {
+      server.close();
+    }
+  });
+
+  it("Should render ages and group the table by destination chain", async function () {
+    const { store, options, addresses } = await loadFixture(reconcileFixture);
+    const now = (await time.latest()) + 3 * 3600;
+    const results = await reconcileTransfers(outboundTransfers(store.events), { ...options, now });
+
+    expect([0, 59, 61, 3600, 90061, 3 * DAY].map(formatAge)).to.deep.equal([
+      "0s",
+      "59s",
+      "1m 1s",
+      "1h 0m",
+      "1d 1h",
+      "3d 0h",
+    ]);
+
+    const table = formatReconciliation(results, "table", {
+      [addresses.underlyingToken]: { symbol: "TUSDC", decimals: 6 },
+    }).split("\n");
+    expect(table[0]).to.equal("Ethereum (2): 1 pending, 1 redeemable, 1 completed");
+    expect(table[2]).to.match(/^ {2}#2 {2}redeemable {2}\s*3h \d+m {2}20\.0 TUSDC {2}tx 0x/);
+
+    const json = JSON.parse(formatReconciliation(results, "json"));
+    expect(json[2]).to.include({ sequence: "3", status: "pending", destination: "Ethereum" });
+    expect(() => formatReconciliation(results, "csv")).to.throw(/Unknown format "csv"/);
+  });
+});
@@ -0,0 +1,683 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { parseCommandLine, main } = require("../scripts/bss");
+const { resolveProfile } = require("../scripts/lib/profiles");
+const { encodePath, encodeRoutePath } = require("../scripts/lib/v3Path");
+const actions = require("../scripts/lib/strategyActions");
+const { buildVaa } = require("../scripts/lib/vaaBuilder");
+const { encodeTransferWithPayload } = require("../scripts/lib/tokenBridgePayload");
+const { LOCAL_WORMHOLE_CHAIN_ID, SOLANA_TOKEN_BRIDGE_EMITTER, deployQuotedCatalogFixture } = require("./fixtures");
+
+// Runs the CLI against the in-process Hardhat network and returns its output
+async function runCli(argv) {
+  const lines = [];
+  const log = console.log;
+  console.log = (...args) => lines.push(args.join(" "));
+  try {
+    await main(argv);
+  } finally {
+    console.log = log;
+  }
+  return lines.join("\n");
+}
+
+// Balance change of `account` in `token` across `fn`; the CLI returns no tx
+async function balanceDelta(token, account, fn) {
+  const address = typeof account === "string" ? account : account.address;
+  const before = await token.balanceOf(address);
+  await fn();
+  return (await token.balanceOf(address)) - before;
+}
+
+// Writes a catalog for the Hardhat chain with the fixture's two tokens
+function writeCatalog(addresses) {
+  const config = {
+    chainId: 1337,
+    name: "Hardhat",
+    tokens: {
+      TUSDC: { address: addresses.underlyingToken, decimals: 6, symbol: "TUSDC" },
+      TWETH: { address: addresses.altToken, decimals: 18, symbol: "TWETH" },
+    },
+    pools: [
+      { name: "TWETH/TUSDC", dex: "uniswap-v3", tokens: ["TUSDC", "TWETH"], fee: 3000 },
+      { name: "TWETH/TUSDC", dex: "pancakeswap-v3", tokens: ["TUSDC", "TWETH"], fee: 2500 },
+    ],
+    routes: [
+      { name: "TUSDC to TWETH", dex: "uniswap-v3", path: ["TUSDC", "TWETH"] },
+      { name: "TUSDC to TWETH on Pancake", dex: "pancakeswap-v3", path: ["TUSDC", "TWETH"] },
+    ],
+  };
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bss-"));
+  fs.writeFileSync(path.join(dir, "1337.json"), JSON.stringify(config));
+  return { dir, config };
+}
+
+async function cliFixture() {
+  const fixture = await deployQuotedCatalogFixture();
+  const catalog = writeCatalog(fixture.addresses);
+  const base = ["--network", "hardhat", "--strategy", fixture.addresses.strategy, "--catalog", catalog.dir];
+  // Swaps quote first; the mock quotes the mock routers' 110%
+  const quoterFlag = ["--quoter", fixture.contracts.quoter];
+  return { ...fixture, catalog, base, quoterFlag };
+}
+
+describe("bss CLI", function () {
+  describe("Argument parsing", function () {
+    it("Should split the command, its positionals and flags", function () {
+      const parsed = parseCommandLine(["paths", "allow", "--network", "ethereum", "--route", "A to B", "--reverse"]);
+
+      expect(parsed.command).to.equal("paths");
+      expect(parsed.args).to.deep.equal(["allow"]);
+      expect(parsed.flags).to.deep.include({ network: "ethereum", route: "A to B", reverse: true });
+    });
+
+    it("Should reject unknown flags", function () {
+      expect(() => parseCommandLine(["fee", "--netwrok", "ethereum"])).to.throw(/Unknown option/);
+    });
+
+    it("Should refuse to run without an explicit network", async function () {
+      let error;
+      try {
+        await runCli(["fee"]);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.equal("Missing required flag --network");
+    });
+
+    it("Should resolve the strategy from the network profile", function () {
+      expect(resolveProfile("ethereum").strategy).to.equal("0xf90e6E8E1faFFCf4a204e45b3806390a877fcd7B");
+      expect(resolveProfile("bsc_main", { strategy: ethers.ZeroAddress }).strategy).to.equal(ethers.ZeroAddress);
+      expect(() => resolveProfile("mainnet")).to.throw(/Unknown network "mainnet"/);
+    });
+  });
+
+  describe("Commands", function () {
+    it("Should print the message fee", async function () {
+      const { base } = await loadFixture(cliFixture);
+
+      expect(await runCli(["fee", ...base])).to.include("Wormhole message fee: 10000000000000000 wei (0.01 ETH)");
+    });
+
+    it("Should deposit using the token's decimals from the catalog", async function () {
+      const { strategy, underlyingToken, deployer, addresses, base } = await loadFixture(cliFixture);
+      await underlyingToken.mint(deployer.address, ethers.parseUnits("5", 6));
+
+      expect(
+        await balanceDelta(underlyingToken, addresses.strategy, () =>
+          runCli(["deposit", ...base, "--token", "TUSDC", "--amount", "5"])
+        )
+      ).to.equal(ethers.parseUnits("5", 6));
+      expect(await underlyingToken.allowance(deployer.address, await strategy.getAddress())).to.equal(0n);
+    });
+
+    it("Should swap a named route", async function () {
+      const { altToken, addresses, base, quoterFlag } = await loadFixture(cliFixture);
+
+      expect(
+        await balanceDelta(altToken, addresses.strategy, () =>
+          runCli(["swap", ...base, ...quoterFlag, "--route", "TUSDC to TWETH", "--amount", "1"])
+        )
+      ).to.equal(1100000n);
+    });
+
+    it("Should swap a route on the DEX the catalog names", async function () {
+      const { altToken, addresses, base, quoterFlag } = await loadFixture(cliFixture);
+
+      expect(
+        await balanceDelta(altToken, addresses.strategy, () =>
+          runCli(["swap", ...base, ...quoterFlag, "--route", "TUSDC to TWETH on Pancake", "--amount", "1"])
+        )
+      ).to.equal(1100000n);
+
+      let error;
+      try {
+        await runCli(["swap", ...base, "--route", "TUSDC to TWETH on Pancake", "--dex", "uniswap-v3", "--amount", "1"]);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(/pancakeswap-v3/);
+    });
+
+    it("Should set the swap's minimum output from a fresh quote and refuse too much price impact", async function () {
+      const { altToken, addresses, catalog, base, quoter, quoterFlag } = await loadFixture(cliFixture);
+      const route = ["--route", "TUSDC to TWETH", "--amount", "1000"];
+
+      const output = await runCli(["swap", ...base, ...quoterFlag, ...route, "--slippage", "100"]);
+      expect(output).to.include(
+        "Quote: 0.0000000011 TWETH, price impact 0.00%; minimum out 0.000000001089 TWETH at 1.00% slippage"
+      );
+
+      // The quote promises more than the router delivers, so a zero-slippage minimum reverts
+      const path = encodeRoutePath(catalog.config, ["TUSDC", "TWETH"], "uniswap-v3");
+      await quoter.setRate(path, 120);
+      let error;
+      try {
+        await runCli(["swap", ...base, ...quoterFlag, ...route, "--slippage", "0"]);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(/InsufficientOutput/);
+
+      await quoter.setRate(path, 110);
+      await quoter.setDepth(path, ethers.parseUnits("50000", 6));
+      error = undefined;
+      try {
+        await runCli(["swap", ...base, ...quoterFlag, ...route]);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(/^Price impact of 1\.96% is over the 1\.00% limit/);
+
+      expect(
+        await balanceDelta(altToken, addresses.strategy, () =>
+          runCli(["swap", ...base, ...quoterFlag, ...route, "--max-impact", "200"])
+        )
+      ).to.equal(1100000000n);
+
+      error = undefined;
+      try {
+        await runCli(["swap", ...base, ...route]);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.equal(
+        "No uniswap-v3 quoter configured for hardhat; pass --quoter, or --min-out to skip the quote"
+      );
+    });
+
+    it("Should find the best route across fee tiers and print the swap that takes it", async function () {
+      const { addresses, catalog, base, quoter, quoterFlag, uniswapFactory, contracts } = await loadFixture(cliFixture);
+      for (const fee of [500, 3000]) {
+        await uniswapFactory.setPool(addresses.underlyingToken, addresses.altToken, fee, addresses.swapRouter);
+      }
+      await quoter.setRate(encodeRoutePath(catalog.config, ["TUSDC", "TWETH"], "uniswap-v3"), 105);
+      await quoter.setRate(encodePath([addresses.underlyingToken, addresses.altToken], [500]), 108);
+
+      const output = await runCli([
+        "route",
+        "TUSDC",
+        "TWETH",
+        ...base,
+        ...quoterFlag,
+        "--factory",
+        contracts.factory,
+        "--dex",
+        "uniswap-v3",
+        "--amount",
+        "1",
+      ]);
+
+      expect(output).to.include("Best routes for 1 TUSDC -> TWETH (path validation off):");
+      expect(output).to.include("  uniswap-v3: TUSDC -(500)-> TWETH = 0.00000000000108 TWETH");
+      expect(output).to.include("    bss swap --path TUSDC,TWETH --fees 500 --dex uniswap-v3 --amount 1");
+      expect(output).to.include("  uniswap-v3 TUSDC -(3000)-> TWETH: 0.00000000000105 TWETH");
+    });
+
+    it("Should swap an order in chunks within a price impact budget and reconcile its run log", async function () {
+      const { altToken, addresses, catalog, base, quoter, quoterFlag } = await loadFixture(cliFixture);
+      const store = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "twap-")), "run.json");
+      const start = ["twap", "start", ...base, ...quoterFlag, "--route", "TUSDC to TWETH", "--amount", "1000"];
+      await quoter.setDepth(
+        encodeRoutePath(catalog.config, ["TUSDC", "TWETH"], "uniswap-v3"),
+        ethers.parseUnits("50000", 6)
+      );
+
+      let output;
+      expect(
+        await balanceDelta(altToken, addresses.strategy, async () => {
+          output = await runCli([...start, "--impact-budget", "50", "--store", store]);
+        })
+      ).to.equal(1100000000n);
+      expect(output).to.include("4 chunk(s) keep each swap within 0.50% of price impact");
+      expect(output).to.include("4/4 chunk(s) filled: 1000.0 TUSDC of 1000.0 TUSDC swapped for 0.0000000011 TWETH");
+      expect(await runCli(["twap", "reconcile", ...base, "--store", store])).to.include(
+        "Matched 4 fill(s) with their swap events"
+      );
+      expect(await runCli(["twap", "status", ...base, "--store", store])).to.include("chunk 4: 250.0 TUSDC filled");
+
+      for (const [argv, message] of [
+        [[...start, "--chunks", "2", "--store", store], /already exists; resume it, or pass --store for a new order/],
+        [[...start, "--chunks", "2", "--impact-budget", "50"], /^Pass either --chunks or --impact-budget$/],
+        [["twap", "resume", ...base], /^Missing required flag --store$/],
+      ]) {
+        let error;
+        try {
+          await runCli(argv);
+        } catch (e) {
+          error = e;
+        }
+        expect(error.message).to.match(message);
+      }
+    });
+
+    it("Should plan a rebalance to the target weights, save it and execute the saved plan", async function () {
+      const { altToken, underlyingToken, addresses, base, quoterFlag, uniswapFactory, contracts } =
+        await loadFixture(cliFixture);
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rebalance-"));
+      const targets = path.join(dir, "targets.json");
+      const planFile = path.join(dir, "plan.json");
+      fs.writeFileSync(targets, JSON.stringify({ chainId: 1337, weights: { TUSDC: 10000, TWETH: 0 } }));
+      const pool = ethers.Wallet.createRandom().address;
+      await uniswapFactory.setPool(addresses.underlyingToken, addresses.altToken, 3000, pool);
+      await underlyingToken.mint(addresses.swapRouter, ethers.parseUnits("11000000000000", 6));
+      const rebalance = [...base, "--targets", targets, "--dex", "uniswap-v3", "--factory", contracts.factory];
+
+      const output = await runCli(["rebalance", ...rebalance, ...quoterFlag, "--output", planFile]);
+      expect(output).to.include("  TWETH: 10.0 TWETH = 11000000000000.0 TUSDC, 99.99% (target 0.00%), drift +99.99%");
+      expect(output).to.include(
+        "  1. sell TWETH: 10.0 TWETH -> TUSDC via uniswap-v3 TWETH -(3000)-> TUSDC, quoted 11000000000000.0 TUSDC"
+      );
+
+      expect(
+        await balanceDelta(altToken, addresses.strategy, () =>
+          runCli(["rebalance", "execute", ...base, "--plan", planFile])
+        )
+      ).to.equal(-ethers.parseUnits("10", 18));
+      expect(await runCli(["rebalance", ...rebalance, ...quoterFlag])).to.include(
+        "Every holding is within the drift band; nothing to trade"
+      );
+    });
+
+    it("Should snapshot the holdings with their NAV and compare them to the last snapshot", async function () {
+      const { base, quoterFlag } = await loadFixture(cliFixture);
+      const store = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "holdings-")), "holdings.json");
+      const holdings = ["holdings", ...base, "--dex", "uniswap-v3", ...quoterFlag, "--store", store];
+
+      const first = await runCli(holdings);
+      expect(first).to.include("  10000.0 TUSDC\n");
+      expect(first).to.include("  10.0 TWETH = 11000000000000.0 TUSDC via uniswap-v3");
+      expect(first).to.include("NAV: 11000000010000.0 TUSDC");
+      expect(first).to.not.include("Since block");
+      const [, firstBlock] = first.match(/Holdings at block (\d+)/);
+
+      await runCli(["swap", ...base, "--route", "TUSDC to TWETH", "--amount", "1000", "--min-out", "0"]);
+      expect(await runCli([...holdings, "--dry-run"])).to.include("Not saved (--dry-run)");
+      const second = await runCli(holdings);
+      expect(second).to.include(`Since block ${firstBlock} (`);
+      expect(second).to.include("NAV +210.0 TUSDC (+0.00%)");
+      expect(second).to.include("  -1000.0 TUSDC, -1000.0 TUSDC\n");
+      expect(second).to.include("  +0.0000000011 TWETH, +1210.0 TUSDC");
+
+      const snapshots = JSON.parse(fs.readFileSync(store, "utf8")).snapshots;
+      expect(snapshots.map((s) => s.nav)).to.deep.equal(["11000000010000000000", "11000000010210000000"]);
+      expect(await runCli([...holdings, "--block", firstBlock, "--compare", firstBlock, "--dry-run"])).to.include(
+        "NAV +0.0 TUSDC (+0.00%)"
+      );
+    });
+
+    it("Should allow, list and disallow a route", async function () {
+      const { strategy, catalog, base } = await loadFixture(cliFixture);
+      const pathHash = ethers.keccak256(encodeRoutePath(catalog.config, ["TUSDC", "TWETH"], "uniswap-v3"));
+
+      await runCli(["paths", "allow", ...base, "--route", "TUSDC to TWETH"]);
+      expect(await strategy.isPathAllowed(pathHash)).to.equal(true);
+      expect(await runCli(["paths", "allow", ...base, "--route", "TUSDC to TWETH"])).to.include("already allowed");
+
+      const listing = await runCli(["paths", "list", ...base]);
+      expect(listing).to.include(`[allowed] TUSDC to TWETH ${pathHash}`);
+      expect(listing).to.include("[blocked] (REVERSE) TUSDC to TWETH");
+
+      await runCli(["paths", "disallow", ...base, "--route", "TUSDC to TWETH"]);
+      expect(await strategy.isPathAllowed(pathHash)).to.equal(false);
+    });
+
+    it("Should sync the allow-list with the catalog routes", async function () {
+      const { strategy, admin, catalog, addresses, base } = await loadFixture(cliFixture);
+      const stray = encodePath([addresses.underlyingToken, addresses.altToken], [500]);
+      await strategy.connect(admin).allowPath(stray);
+      const routes = ["TUSDC to TWETH", "TUSDC to TWETH on Pancake"].flatMap((name) => {
+        const route = catalog.config.routes.find((r) => r.name === name);
+        return [route.path, [...route.path].reverse()].map((p) => encodeRoutePath(catalog.config, p, route.dex));
+      });
+
+      const dryRun = await runCli(["paths", "sync", ...base, "--dry-run"]);
+      expect(dryRun).to.include("Changes (4 to allow, 1 to disallow):");
+      expect(dryRun).to.include(`+ (REVERSE) TUSDC to TWETH on Pancake ${ethers.keccak256(routes[3])}`);
+      expect(dryRun).to.include(`- TUSDC -(500)-> TWETH ${ethers.keccak256(stray)}`);
+      expect(dryRun).to.include("Dry run: nothing sent.");
+      expect(await strategy.isPathAllowed(ethers.keccak256(routes[0]))).to.equal(false);
+
+      await runCli(["paths", "sync", ...base, "--yes"]);
+      for (const path of routes) {
+        expect(await strategy.isPathAllowed(ethers.keccak256(path))).to.equal(true);
+      }
+      expect(await strategy.isPathAllowed(ethers.keccak256(stray))).to.equal(false);
+      expect(await runCli(["paths", "sync", ...base, "--dry-run"])).to.include("Allow-list is in sync with the catalog.");
+    });
+
+    it("Should index the strategy's events and print the ledger", async function () {
+      const { base } = await loadFixture(cliFixture);
+      const store = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "ledger-")), "hardhat.json");
+
+      expect(await runCli(["index", ...base, "--store", store])).to.match(/Indexed blocks 0-\d+: \d+ event\(s\)/);
+      await runCli(["withdraw", ...base, "--token", "TWETH", "--amount", "0.5"]);
+      expect(await runCli(["index", ...base, "--store", store])).to.match(/: 1 event\(s\)/);
+
+      const ledger = await runCli(["ledger", ...base, "--store", store]);
+      expect(ledger).to.include("TUSDC (");
+      expect(ledger).to.include("deposited: 10000.0");
+      expect(ledger).to.include("withdrawn: 0.5");
+    });
+
+    it("Should report positions and PnL marked with the quoter", async function () {
+      const { addresses, base, quoter, contracts } = await loadFixture(cliFixture);
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "report-"));
+      const store = path.join(dir, "hardhat.json");
+      const csv = path.join(dir, "pnl.csv");
+
+      await runCli(["swap", ...base, "--route", "TUSDC to TWETH", "--amount", "1", "--min-out", "0"]);
+      await runCli(["index", ...base, "--store", store]);
+      const quoterFlag = ["--dex", "uniswap-v3", "--quoter", contracts.quoter];
+
+      const table = await runCli(["report", ...base, "--store", store, ...quoterFlag, "--method", "fifo"]);
+      expect(table).to.match(/TWETH\s+fifo\s+0\.0000000000011\s+1\.0\s+/);
+
+      await runCli(["report", ...base, "--store", store, ...quoterFlag, "--format", "csv", "--output", csv]);
+      const [header, ...rows] = fs.readFileSync(csv, "utf8").trim().split("\n");
+      expect(header.split(",").slice(0, 8)).to.deep.equal([
+        "asset",
+        "method",
+        "quantity",
+        "cost_basis",
+        "avg_cost",
+        "mark_value",
+        "realized_pnl",
+        "unrealized_pnl",
+      ]);
+      expect(rows.map((row) => row.split(",").slice(0, 8))).to.deep.equal([
+        ["TWETH", "fifo", "0.0000000000011", "1.0", "909090909090.90909", "1.21", "0.0", "0.21"],
+        ["TWETH", "average", "0.0000000000011", "1.0", "909090909090.90909", "1.21", "0.0", "0.21"],
+      ]);
+
+      // Marked through the PancakeSwap pool at twice the price
+      await quoter.setRate(encodePath([addresses.altToken, addresses.underlyingToken], [2500]), 220);
+      const pancake = ["--dex", "pancakeswap-v3", "--quoter", contracts.quoter];
+      await runCli(["report", ...base, "--store", store, ...pancake, "--format", "csv", "--output", csv]);
+      expect(fs.readFileSync(csv, "utf8").trim().split("\n")[1].split(",")[5]).to.equal("2.42");
+      expect(await runCli(["report", ...base, "--store", store])).to.include(
+        "Cannot value TWETH in TUSDC: no catalog route or pool on a DEX with a quoter; leaving it unmarked"
+      );
+    });
+
+    it("Should reconcile outbound transfers against a VAA file", async function () {
+      const { addresses, guardianKeys, base } = await loadFixture(cliFixture);
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "reconcile-"));
+      const store = path.join(dir, "hardhat.json");
+      const vaas = path.join(dir, "vaas.json");
+
+      await runCli(["bridge-out", ...base, "--solana", "--amount", "10"]);
+      await runCli(["bridge-out", ...base, "--solana", "--amount", "20"]);
+      await runCli(["index", ...base, "--store", store]);
+      const { vaa, base64 } = buildVaa({
+        emitterChain: LOCAL_WORMHOLE_CHAIN_ID,
+        emitterAddress: addresses.tokenBridge,
+        sequence: 1n,
+        payload: encodeTransferWithPayload({
+          amount: ethers.parseUnits("10", 6),
+          tokenAddress: addresses.underlyingToken,
+          tokenChain: LOCAL_WORMHOLE_CHAIN_ID,
+          to: SOLANA_TOKEN_BRIDGE_EMITTER,
+          toChain: 1,
+          fromAddress: addresses.strategy,
+        }),
+        guardianKeys,
+      });
+      fs.writeFileSync(vaas, JSON.stringify({ [`2/${vaa.emitterAddress.slice(2)}/1`]: base64 }));
+
+      const output = await runCli(["reconcile", ...base, "--store", store, "--vaa-source", vaas]);
+      expect(output).to.include("Solana (1): 1 pending, 1 redeemable");
+      expect(output).to.match(/#1 {2}redeemable .* 10\.0 TUSDC/);
+
+      const stuck = await runCli(["reconcile", ...base, "--store", store, "--vaa-source", vaas, "--stuck-after", "0"]);
+      expect(stuck).to.include("Solana (1): 2 stuck");
+    });
+
+    it("Should relay Solana transfers to the strategy from a VAA file", async function () {
+      const { underlyingToken, guardianKeys, addresses, base } = await loadFixture(cliFixture);
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "relay-"));
+      const store = path.join(dir, "relayer-hardhat.json");
+      const vaas = path.join(dir, "vaas.json");
+      const { vaa, base64 } = buildVaa({
+        emitterChain: 1,
+        emitterAddress: SOLANA_TOKEN_BRIDGE_EMITTER,
+        sequence: 3n,
+        payload: encodeTransferWithPayload({
+          amount: 42n,
+          tokenAddress: addresses.underlyingToken,
+          tokenChain: LOCAL_WORMHOLE_CHAIN_ID,
+          to: addresses.strategy,
+          toChain: LOCAL_WORMHOLE_CHAIN_ID,
+          fromAddress: ethers.ZeroHash,
+        }),
+        guardianKeys,
+      });
+      fs.writeFileSync(vaas, JSON.stringify({ [`1/${vaa.emitterAddress.slice(2)}/3`]: base64 }));
+      const relay = ["relay", ...base, "--vaa-source", vaas, "--store", store];
+
+      let output;
+      expect(
+        await balanceDelta(underlyingToken, addresses.strategy, async () => {
+          output = await runCli([...relay, "--from-sequence", "3"]);
+        })
+      ).to.equal(42n);
+      expect(output).to.include(`Watching Solana emitter ${SOLANA_TOKEN_BRIDGE_EMITTER} from sequence 3`);
+      expect(output).to.match(/Solana #3: redeemed in 0x/);
+
+      expect(await runCli(relay)).to.include("Scanned 0 sequence(s), 0 addressed to the strategy");
+    });
+
+    it("Should show, grant and revoke roles", async function () {
+      const { strategy, user1, REPORTING_MANAGER_ROLE, base } = await loadFixture(cliFixture);
+
+      await runCli(["roles", "grant", ...base, "--role", "REPORTING_MANAGER", "--account", user1.address]);
+      expect(await strategy.hasRole(REPORTING_MANAGER_ROLE, user1.address)).to.equal(true);
+      expect(await runCli(["roles", ...base, "--account", user1.address])).to.include("REPORTING_MANAGER: true");
+
+      await runCli(["roles", "revoke", ...base, "--role", "REPORTING_MANAGER", "--account", user1.address]);
+      expect(await strategy.hasRole(REPORTING_MANAGER_ROLE, user1.address)).to.equal(false);
+    });
+
+    it("Should list and audit role holders, and renounce a role", async function () {
+      const { strategy, deployer, admin, REPORTING_MANAGER_ROLE, base } = await loadFixture(cliFixture);
+
+      const audit = await runCli(["roles", "audit", ...base]);
+      expect(audit).to.include("ADMIN (admin: DEFAULT_ADMIN_ROLE), 2 holder(s)");
+      expect(audit).to.include(`${admin.address} [EOA] granted by ${deployer.address}`);
+      expect(audit).to.include(`[high] ${deployer.address} is an EOA holding every role`);
+
+      await runCli(["roles", "renounce", ...base, "--role", "REPORTING_MANAGER", "--yes"]);
+      expect(await strategy.hasRole(REPORTING_MANAGER_ROLE, deployer.address)).to.equal(false);
+      expect(await runCli(["roles", "list", ...base])).to.include("REPORTING_MANAGER (admin: DEFAULT_ADMIN_ROLE), 1 holder(s)");
+    });
+
+    it("Should propose admin calls to a Safe and verify the batch", async function () {
+      const { strategy, deployer, admin, addresses, ADMIN_ROLE, base } = await loadFixture(cliFixture);
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "bss-safe-")), "batch.json");
+      const safe = ["--propose", file, "--safe", admin.address];
+
+      const output = await runCli([
+        "admin",
+        "set-router",
+        ...base,
+        ...safe,
+        "--dex",
+        "pancakeswap-v3",
+        "--address",
+        addresses.swapRouter,
+      ]);
+      expect(output).to.include(`Proposing to Safe ${admin.address}; nothing is signed`);
+      expect(output).to.include(`data: ${strategy.interface.encodeFunctionData("setPancakeRouter", [addresses.swapRouter])}`);
+      expect(await strategy.pancakeSmartRouter()).to.equal(addresses.pancakeRouter);
+
+      const verified = await runCli(["safe", "verify", file, ...base]);
+      expect(verified).to.include(`#1 BridgeSwapStrategy (${addresses.strategy})`);
+      expect(verified).to.include("  setPancakeRouter(");
+      expect(verified).to.include("No problems found.");
+
+      const batch = JSON.parse(fs.readFileSync(file, "utf8"));
+      batch.transactions[0].to = deployer.address;
+      fs.writeFileSync(file, JSON.stringify(batch));
+      let error;
+      try {
+        await runCli(["safe", "verify", file, ...base]);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.equal(`2 problem(s) in ${file}; do not approve it`);
+
+      // The Safe needs ADMIN like any other sender
+      await strategy.connect(deployer).revokeRole(ADMIN_ROLE, admin.address);
+      error = undefined;
+      try {
+        await runCli(["admin", "path-validation", "on", ...base, ...safe]);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(/does not have the ADMIN role/);
+    });
+
+    it("Should emergency-withdraw a token's whole balance while paused", async function () {
+      const { altToken, user1, balances, base } = await loadFixture(cliFixture);
+
+      await runCli(["pause", "on", ...base]);
+      expect(
+        await balanceDelta(altToken, user1, () =>
+          runCli(["admin", "emergency-withdraw", ...base, "--token", "TWETH", "--to", user1.address])
+        )
+      ).to.equal(balances.alt);
+    });
+
+    it("Should pause and unpause, and report the status", async function () {
+      const { strategy, base } = await loadFixture(cliFixture);
+
+      await runCli(["pause", "on", ...base]);
+      expect(await strategy.paused()).to.equal(true);
+      expect(await runCli(["pause", ...base])).to.include("Paused: true");
+      await runCli(["pause", "off", ...base]);
+      expect(await strategy.paused()).to.equal(false);
+    });
+
+    it("Should withdraw to the given address", async function () {
+      const { altToken, user1, base } = await loadFixture(cliFixture);
+
+      expect(
+        await balanceDelta(altToken, user1, () =>
+          runCli(["withdraw", ...base, "--token", "TWETH", "--amount", "0.5", "--to", user1.address])
+        )
+      ).to.equal(ethers.parseUnits("0.5", 18));
+    });
+
+    it("Should bridge the underlying token out to Solana", async function () {
+      const { underlyingToken, addresses, base } = await loadFixture(cliFixture);
+
+      expect(
+        await balanceDelta(underlyingToken, addresses.tokenBridge, () =>
+          runCli(["bridge-out", ...base, "--solana", "--amount", "10"])
+        )
+      ).to.equal(ethers.parseUnits("10", 6));
+    });
+
+    it("Should redeem a Solana transfer VAA", async function () {
+      const { underlyingToken, guardianKeys, addresses, base } = await loadFixture(cliFixture);
+      const { base64 } = buildVaa({
+        emitterChain: 1,
+        emitterAddress: SOLANA_TOKEN_BRIDGE_EMITTER,
+        sequence: 9n,
+        payload: encodeTransferWithPayload({
+          amount: 42n,
+          tokenAddress: addresses.underlyingToken,
+          tokenChain: LOCAL_WORMHOLE_CHAIN_ID,
+          to: addresses.strategy,
+          toChain: LOCAL_WORMHOLE_CHAIN_ID,
+          fromAddress: ethers.ZeroHash,
+        }),
+        guardianKeys,
+      });
+
+      expect(
+        await balanceDelta(underlyingToken, addresses.strategy, () =>
+          runCli(["bridge-in", ...base, "--vaa", base64])
+        )
+      ).to.equal(42n);
+    });
+
+    it("Should show pending transactions and refuse to replace a mined one", async function () {
+      const { deployer, user1, base } = await loadFixture(cliFixture);
+      const mined = await deployer.sendTransaction({ to: user1.address, value: 1n });
+      await network.provider.send("evm_setAutomine", [false]);
+      try {
+        await deployer.sendTransaction({ to: user1.address, value: 1n, gasLimit: 21000n });
+        const status = await runCli(["tx", ...base]);
+
+        expect(status).to.match(/\nNonce: \d+ mined, 1 pending\nGas mode: eip1559\nmaxFeePerGas: [\d.]+ gwei/);
+      } finally {
+        await network.provider.send("evm_setAutomine", [true]);
+        await network.provider.send("evm_mine");
+      }
+
+      let error;
+      try {
+        await runCli(["tx", "speed-up", ...base, "--hash", mined.hash]);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(/is already mined in block \d+/);
+    });
+
+    it("Should simulate a deposit without sending it", async function () {
+      const { underlyingToken, deployer, addresses, base } = await loadFixture(cliFixture);
+      await underlyingToken.mint(deployer.address, ethers.parseUnits("5", 6));
+      const nonce = await deployer.getNonce();
+
+      let output;
+      expect(
+        await balanceDelta(underlyingToken, addresses.strategy, async () => {
+          output = await runCli(["deposit", ...base, "--token", "TUSDC", "--amount", "5", "--simulate"]);
+        })
+      ).to.equal(0n);
+      expect(output).to.include("Simulating with hardhat; nothing is broadcast");
+      expect(output).to.include(`Simulated deposit(address,uint256) on ${addresses.strategy} from ${deployer.address}`);
+      expect(output).to.match(/Deposited\(manager: 0x\w{40}, token: 0x\w{40}, amount: 5000000, timestamp: \d+\)/);
+      expect(output).to.include("Strategy balance changes:\n    +5.0 TUSDC");
+      expect(output).to.include("Not broadcast (--simulate).");
+      expect(await deployer.getNonce()).to.equal(nonce);
+    });
+
+    it("Should reject --simulate where it cannot apply", async function () {
+      const { base } = await loadFixture(cliFixture);
+
+      for (const [argv, message] of [
+        [["relay", ...base, "--simulate"], "relay does not support --simulate"],
+        [
+          ["deposit", ...base, "--token", "TUSDC", "--amount", "5", "--fork"],
+          "--fork, --fork-block and --from only apply with --simulate",
+        ],
+      ]) {
+        let error;
+        try {
+          await runCli(argv);
+        } catch (e) {
+          error = e;
+        }
+        expect(error.message).to.include(message);
+      }
+    });
+
+    it("Should refuse operations the signer has no role for", async function () {
+      const { strategy, user1, addresses } = await loadFixture(cliFixture);
+
+      let error;
+      try {
+        await actions.withdraw(strategy.connect(user1), addresses.altToken, 1n, user1.address);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(/does not have the ADMIN role/);
+    });
+  });
+});
@@ -0,0 +1,147 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const {
+  CATALOG_DIR,
+  validateChainCatalog,
+  loadCatalog,
+  getChainCatalog,
+  findToken,
+  getFee,
+  findRoute,
+} = require("../scripts/lib/catalog");
+
+const TOKEN_A = "0x1111111111111111111111111111111111111111";
+const TOKEN_B = "0x2222222222222222222222222222222222222222";
+const TOKEN_C = "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48";
+
+function chainCatalog(overrides = {}) {
+  return {
+    chainId: 1337,
+    name: "Hardhat",
+    tokens: {
+      A: { address: TOKEN_A, decimals: 6, symbol: "A" },
+      B: { address: TOKEN_B, decimals: 18, symbol: "B" },
+      C: { address: TOKEN_C, decimals: 18, symbol: "C" },
+    },
+    pools: [
+      { name: "A/B", dex: "uniswap-v3", tokens: ["A", "B"], fee: 500 },
+      { name: "A/B", dex: "pancakeswap-v3", tokens: ["A", "B"], fee: 100 },
+      { name: "B/C", dex: "uniswap-v3", tokens: ["B", "C"], fee: 3000 },
+    ],
+    routes: [{ name: "A to C", dex: "uniswap-v3", path: ["A", "B", "C"] }],
+    ...overrides,
+  };
+}
+
+function validationError(raw) {
+  try {
+    validateChainCatalog(raw, "test.json");
+  } catch (e) {
+    return e.message;
+  }
+  return undefined;
+}
+
+describe("Token catalog", function () {
+  describe("Committed catalog files", function () {
+    it("Should load and validate every chain", function () {
+      const catalog = loadCatalog();
+
+      expect(Object.keys(catalog)).to.include.members(["1", "56"]);
+      expect(getChainCatalog(56, { dir: CATALOG_DIR }).tokens.USDTwh.wormhole).to.deep.include({ chainId: 2 });
+    });
+
+    it("Should keep the Ethereum routes of the former swap.json", function () {
+      const ethereum = getChainCatalog(1);
+
+      expect(findRoute(ethereum, "USDC to WBTC (Single Hop)").dex).to.equal("uniswap-v3");
+    });
+  });
+
+  describe("Validation", function () {
+    it("Should accept a well-formed catalog", function () {
+      expect(validationError(chainCatalog())).to.equal(undefined);
+    });
+
+    it("Should reject addresses that are not checksummed", function () {
+      const raw = chainCatalog();
+      raw.tokens.C = { ...raw.tokens.C, address: TOKEN_C.toLowerCase() };
+
+      expect(validationError(raw)).to.include("tokens.C.address is not a checksummed address");
+    });
+
+    it("Should reject two pools for the same pair on one DEX", function () {
+      const raw = chainCatalog();
+      raw.pools.push({ name: "B/A", dex: "uniswap-v3", tokens: ["B", "A"], fee: 3000 });
+
+      expect(validationError(raw)).to.include("pools[3] (B/A) duplicates pools[0] (A/B): one uniswap-v3 pool per token pair");
+    });
+
+    it("Should reject base tokens missing from the catalog", function () {
+      expect(validationError(chainCatalog({ baseTokens: ["B", "D"] }))).to.include("baseTokens lists unknown token D");
+    });
+
+    it("Should reject a route hop without a pool on the route's DEX", function () {
+      const raw = chainCatalog({ routes: [{ name: "A to C", dex: "pancakeswap-v3", path: ["A", "B", "C"] }] });
+
+      expect(validationError(raw)).to.include("routes[0] (A to C) has no pancakeswap-v3 pool for B/C");
+    });
+
+    it("Should reject a PancakeSwap route through more than one pool", function () {
+      const pools = [...chainCatalog().pools, { dex: "pancakeswap-v3", tokens: ["B", "C"], fee: 500 }];
+      const raw = chainCatalog({ pools, routes: [{ name: "A to C", dex: "pancakeswap-v3", path: ["A", "B", "C"] }] });
+
+      expect(validationError(raw)).to.equal(
+        "Invalid catalog test.json:\n" +
+          "  - routes[0] (A to C) has 2 pools, but the strategy swaps PancakeSwap one pool at a time"
+      );
+    });
+
+    it("Should validate the Wormhole origin of wrapped tokens", function () {
+      const raw = chainCatalog();
+      raw.tokens.A = { ...raw.tokens.A, wormhole: { chainId: 9999, address: TOKEN_B } };
+      raw.tokens.B = { ...raw.tokens.B, wormhole: { chainId: 2, address: TOKEN_C.toLowerCase() } };
+
+      const message = validationError(raw);
+      expect(message).to.include("tokens.A.wormhole.chainId 9999 is not a known Wormhole chain");
+      expect(message).to.include("tokens.B.wormhole.address is not a checksummed address");
+    });
+
+    it("Should reject a file whose name does not match its chain id", function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "catalog-"));
+      fs.writeFileSync(path.join(dir, "1.json"), JSON.stringify(chainCatalog()));
+
+      expect(() => loadCatalog({ dir })).to.throw(/file name does not match chainId 1337/);
+      expect(() => getChainCatalog(56, { dir })).to.throw(/No token catalog for chain 56/);
+    });
+  });
+
+  describe("Lookups", function () {
+    const catalog = validateChainCatalog(chainCatalog());
+
+    it("Should take the fee from the requested DEX", function () {
+      expect(getFee(catalog, "A", "B", "uniswap-v3")).to.equal(500);
+      expect(getFee(catalog, "B", "A", "pancakeswap-v3")).to.equal(100);
+      expect(() => getFee(catalog, "B", "C", "pancakeswap-v3")).to.throw(/No pancakeswap-v3 pool for B\/C/);
+      expect(() => getFee(catalog, "A", "B", "sushiswap")).to.throw(/Unknown DEX "sushiswap"/);
+    });
+
+    it("Should find tokens by symbol or address", function () {
+      expect(findToken(catalog, "B").decimals).to.equal(18);
+      expect(findToken(catalog, TOKEN_C.toLowerCase()).symbol).to.equal("C");
+      expect(findToken(catalog, "D")).to.equal(undefined);
+    });
+
+    it("Should reverse named routes and list the available ones", function () {
+      expect(findRoute(catalog, "A to C", { reverse: true })).to.deep.equal({
+        name: "(REVERSE) A to C",
+        dex: "uniswap-v3",
+        path: ["C", "B", "A"],
+      });
+      expect(() => findRoute(catalog, "missing")).to.throw(/Available routes:\n {2}- "A to C"/);
+    });
+  });
+});
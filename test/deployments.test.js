@@ -0,0 +1,178 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  DEPLOYMENTS_DIR,
+  loadDeployment,
+  saveDeployment,
+  getStrategyAddress,
+  initializeArgs,
+  recordStrategyDeployment,
+  recordStrategyUpgrade,
+  checkStrategyConsistency,
+  assertStrategyConsistency,
+} = require("../scripts/lib/deployments");
+const { PROFILES } = require("../scripts/lib/profiles");
+const { deployBridgeSwapStrategyFixture } = require("./fixtures");
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+}
+
+// Records the fixture's strategy in a temporary registry, as deploy_bss.js would
+async function registeredStrategyFixture() {
+  const fixture = await deployBridgeSwapStrategyFixture();
+  const { addresses, solanaAggregator, deployer } = fixture;
+  const dir = tempDir();
+  const initialize = {
+    wormhole: addresses.wormhole,
+    tokenBridge: addresses.tokenBridge,
+    underlyingToken: addresses.underlyingToken,
+    solanaAggregatorAddress: solanaAggregator,
+    swapRouter: addresses.swapRouter,
+    pancakeRouter: addresses.pancakeRouter,
+  };
+  const deployment = recordStrategyDeployment(
+    "hardhat",
+    {
+      chainId: 1337,
+      proxy: addresses.strategy,
+      implementation: await upgrades.erc1967.getImplementationAddress(addresses.strategy),
+      initialize,
+      deployer: deployer.address,
+    },
+    { dir }
+  );
+  return { ...fixture, dir, deployment, initialize };
+}
+
+describe("Deployment registry", function () {
+  describe("Committed registry files", function () {
+    const networks = fs.readdirSync(DEPLOYMENTS_DIR).map((file) => path.basename(file, ".json"));
+
+    it("Should have a registry for every live network profile", function () {
+      expect(networks).to.include.members(["ethereum", "bsc_main", "sepolia", "bsc_test"]);
+    });
+
+    for (const network of networks) {
+      it(`Should load deployments/${network}.json and agree with the ${network} profile`, function () {
+        const deployment = loadDeployment(network);
+
+        expect(PROFILES[network], `no profile for ${network}`).to.not.equal(undefined);
+        expect(deployment.chainId).to.equal(PROFILES[network].chainId);
+        expect(deployment.wormholeChainId).to.equal(PROFILES[network].wormholeChainId);
+        for (const address of Object.values(deployment.contracts)) {
+          expect(address).to.equal(ethers.getAddress(address));
+        }
+        if (deployment.bridgeSwapStrategy) {
+          const { initialize } = deployment.bridgeSwapStrategy;
+          expect(initializeArgs(deployment).params).to.deep.equal(initialize);
+        }
+      });
+    }
+  });
+
+  describe("Recording", function () {
+    it("Should create the file on first deployment and append upgrades to the history", async function () {
+      const { dir, deployment, initialize, addresses } = await loadFixture(registeredStrategyFixture);
+
+      expect(getStrategyAddress("hardhat", { dir })).to.equal(addresses.strategy);
+      expect(deployment.bridgeSwapStrategy.initialize).to.deep.equal(initialize);
+      expect(deployment.bridgeSwapStrategy.history.map((h) => h.action)).to.deep.equal(["deploy"]);
+
+      const implementation = ethers.Wallet.createRandom().address;
+      recordStrategyUpgrade("hardhat", { implementation, txHash: ethers.ZeroHash, blockNumber: 7 }, { dir });
+
+      const reloaded = loadDeployment("hardhat", { dir });
+      expect(reloaded.bridgeSwapStrategy.implementation).to.equal(implementation);
+      expect(reloaded.bridgeSwapStrategy.history[1]).to.include({
+        action: "upgrade",
+        implementation,
+        txHash: ethers.ZeroHash,
+        blockNumber: 7,
+      });
+    });
+
+    it("Should refuse to record a deployment from another chain", async function () {
+      const { dir, addresses, initialize } = await loadFixture(registeredStrategyFixture);
+
+      expect(() =>
+        recordStrategyDeployment("hardhat", { chainId: 1, proxy: addresses.strategy, initialize }, { dir })
+      ).to.throw(/is for chain 1337, but the deployment is on chain 1/);
+    });
+
+    it("Should checksum addresses and reject malformed entries", function () {
+      const dir = tempDir();
+      const base = { version: 1, network: "localhost", chainId: 31337, contracts: {} };
+
+      const saved = saveDeployment(
+        { ...base, contracts: { wormhole: "0x98f3c9e6e3face36baad05fe09d375ef1464288b" } },
+        { dir }
+      );
+      expect(saved.contracts.wormhole).to.equal("0x98f3c9e6E3fAce36bAAd05FE09d375Ef1464288B");
+
+      expect(() => saveDeployment({ ...base, version: 2 }, { dir })).to.throw(/unsupported registry version 2/);
+      expect(() => saveDeployment({ ...base, contracts: { tokenBridge: "0x1234" } }, { dir })).to.throw(
+        /contracts.tokenBridge is not an address/
+      );
+      expect(() => loadDeployment("mainnet", { dir })).to.throw(/No deployment registry for network "mainnet"/);
+    });
+
+    it("Should list the missing parameter when building initialize arguments", function () {
+      const deployment = loadDeployment("sepolia");
+
+      expect(() => initializeArgs(deployment)).to.throw(/has no pancakeRouter to initialize with/);
+    });
+  });
+
+  describe("On-chain consistency", function () {
+    it("Should pass for a proxy initialized with the recorded parameters", async function () {
+      const { deployment, addresses } = await loadFixture(registeredStrategyFixture);
+
+      expect(await checkStrategyConsistency(deployment, ethers.provider)).to.deep.equal({
+        proxy: addresses.strategy,
+        mismatches: [],
+      });
+      expect(await assertStrategyConsistency(deployment, ethers.provider)).to.equal(addresses.strategy);
+    });
+
+    it("Should report each parameter that differs on-chain", async function () {
+      const { deployment, strategy, admin, user1 } = await loadFixture(registeredStrategyFixture);
+      await strategy.connect(admin).setPancakeRouter(user1.address);
+
+      const { mismatches } = await checkStrategyConsistency(deployment, ethers.provider);
+      expect(mismatches).to.deep.equal([
+        { field: "pancakeRouter", expected: deployment.bridgeSwapStrategy.initialize.pancakeRouter, actual: user1.address },
+      ]);
+
+      let error;
+      try {
+        await assertStrategyConsistency(deployment, ethers.provider);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(/does not match deployments\/hardhat.json:\n {2}pancakeRouter: registry/);
+    });
+
+    it("Should stop at the chain id when connected to the wrong network", async function () {
+      const { deployment } = await loadFixture(registeredStrategyFixture);
+
+      const { mismatches } = await checkStrategyConsistency({ ...deployment, chainId: 1 }, ethers.provider);
+      expect(mismatches).to.deep.equal([{ field: "chainId", expected: "1", actual: "1337" }]);
+    });
+
+    it("Should report a proxy address without code", async function () {
+      const { deployment, user1 } = await loadFixture(registeredStrategyFixture);
+      const missing = {
+        ...deployment,
+        bridgeSwapStrategy: { ...deployment.bridgeSwapStrategy, proxy: user1.address },
+      };
+
+      const { mismatches } = await checkStrategyConsistency(missing, ethers.provider);
+      expect(mismatches).to.deep.equal([{ field: "proxy", expected: "contract code", actual: "no code" }]);
+    });
+  });
+});
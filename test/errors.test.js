@@ -0,0 +1,90 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { decodeError, decodeRevertData, formatError } = require("../scripts/lib/errors");
+const { deployBridgeSwapStrategyWithBalancesFixture, deployPausedBridgeSwapStrategyFixture } = require("./fixtures");
+
+const abi = ethers.AbiCoder.defaultAbiCoder();
+
+async function revertOf(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error("Expected the call to revert");
+}
+
+describe("Error decoding", function () {
+  it("Should name strategy errors from the compiled artifact, with their arguments and a hint", async function () {
+    const { strategy, admin, addresses, balances } = await loadFixture(deployBridgeSwapStrategyWithBalancesFixture);
+
+    const error = await revertOf(
+      strategy.connect(admin).withdraw.staticCall(addresses.underlyingToken, balances.underlying + 1n, admin.address)
+    );
+    const decoded = decodeError(error);
+
+    expect(decoded.kind).to.equal("custom");
+    expect(decoded.name).to.equal("InsufficientBalance");
+    expect(decoded.args).to.deep.equal({ requested: balances.underlying + 1n, available: balances.underlying });
+    expect(formatError(error)).to.equal(
+      `InsufficientBalance(requested: ${balances.underlying + 1n}, available: ${balances.underlying}). ` +
+        `The contract's balance is short (needs ${balances.underlying + 1n}, has ${balances.underlying}); ` +
+        "lower the amount or deposit first"
+    );
+  });
+
+  it("Should decode OpenZeppelin errors and name the missing role", async function () {
+    const { strategy, reportingManager, user1, addresses, amounts } = await loadFixture(
+      deployPausedBridgeSwapStrategyFixture
+    );
+
+    const paused = decodeError(
+      await revertOf(strategy.connect(reportingManager).deposit.staticCall(addresses.underlyingToken, amounts.small))
+    );
+    expect(paused.name).to.equal("EnforcedPause");
+    expect(paused.hint).to.include("bss pause off");
+
+    const denied = decodeError(
+      await revertOf(strategy.connect(user1).grantRole.staticCall(ethers.id("ADMIN"), user1.address))
+    );
+    expect(denied.message).to.equal(
+      `AccessControlUnauthorizedAccount(account: ${user1.address}, neededRole: ${ethers.ZeroHash})`
+    );
+    expect(denied.hint).to.equal(
+      `Grant DEFAULT_ADMIN_ROLE to ${user1.address}: ` +
+        `\`bss roles grant --role DEFAULT_ADMIN_ROLE --account ${user1.address}\` from a DEFAULT_ADMIN_ROLE signer`
+    );
+  });
+
+  it("Should decode router reasons, panics, unknown selectors and empty reverts", function () {
+    const stf = decodeRevertData(
+      ethers.concat([ethers.id("Error(string)").slice(0, 10), abi.encode(["string"], ["STF"])])
+    );
+    expect(stf.message).to.equal('Error(reason: "STF")');
+    expect(stf.hint).to.match(/could not pull the input token/);
+
+    const panic = decodeRevertData(
+      ethers.concat([ethers.id("Panic(uint256)").slice(0, 10), abi.encode(["uint256"], [0x11])])
+    );
+    expect(panic.message).to.equal("Panic(0x11: arithmetic underflow or overflow)");
+
+    expect(decodeRevertData("0xdeadbeef").message).to.equal("unknown error 0xdeadbeef");
+    expect(decodeRevertData("0x").kind).to.equal("empty");
+
+    // Reason strings that only survive in the message
+    expect(decodeError({ message: "execution reverted: Too little received" }).args.reason).to.equal(
+      "Too little received"
+    );
+  });
+
+  it("Should describe insufficient funds and leave other errors alone", function () {
+    expect(
+      decodeError({ code: "INSUFFICIENT_FUNDS", message: "insufficient funds for intrinsic transaction cost" }).kind
+    ).to.equal("funds");
+
+    const network = Object.assign(new Error("could not detect network"), { shortMessage: "network down" });
+    expect(decodeError(network)).to.equal(null);
+    expect(formatError(network)).to.equal("network down");
+  });
+});
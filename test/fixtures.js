@@ -1,4 +1,15 @@
 const { ethers, upgrades } = require("hardhat");
+const {
+  devGuardianKeys,
+  guardianAddresses,
+} = require("../scripts/lib/vaaBuilder");
+const { validateChainCatalog } = require("../scripts/lib/catalog");
+const { encodePath } = require("../scripts/lib/v3Path");
+
+// Wormhole chain id the local mocks pretend to be (Ethereum)
+const LOCAL_WORMHOLE_CHAIN_ID = 2;
+// Emitter of the Solana token bridge program, as registered on the local mock
+const SOLANA_TOKEN_BRIDGE_EMITTER = ethers.id("solana token bridge emitter");
 
 async function deployContractFixture() {
   // Get signers
@@ -19,7 +30,10 @@ async function deployContractFixture() {
   await wormhole.waitForDeployment();
 
   const MockTokenBridge = await ethers.getContractFactory("MockTokenBridge");
-  const tokenBridge = await MockTokenBridge.deploy();
+  const tokenBridge = await MockTokenBridge.deploy(
+    await wormhole.getAddress(),
+    LOCAL_WORMHOLE_CHAIN_ID
+  );
   await tokenBridge.waitForDeployment();
 
   // Deploy mock Uniswap V3 Router (required for initialization)
@@ -148,8 +162,277 @@ async function deployPausedContractFixture() {
   return fixture;
 }
 
+// =====================================================
+// BridgeSwapStrategy fixtures
+// =====================================================
+
+// Deploys BridgeSwapStrategy behind a transparent proxy with the six-argument
+// initialize. The Wormhole mocks verify VAAs signed by local dev guardians and
+// trust the Solana token bridge emitter; both routers are funded MockUniswapV3s.
+async function deployBridgeSwapStrategyFixture() {
+  const [deployer, admin, reportingManager, user1, user2, user3] =
+    await ethers.getSigners();
+
+  const MockERC20 = await ethers.getContractFactory("MockERC20");
+  const underlyingToken = await MockERC20.deploy("Test USDC", "TUSDC", 6);
+  await underlyingToken.waitForDeployment();
+
+  const altToken = await MockERC20.deploy("Test WETH", "TWETH", 18);
+  await altToken.waitForDeployment();
+
+  const guardianKeys = devGuardianKeys(3);
+  const MockWormhole = await ethers.getContractFactory("MockWormhole");
+  const wormhole = await MockWormhole.deploy();
+  await wormhole.waitForDeployment();
+  await wormhole.setGuardianSet(0, guardianAddresses(guardianKeys));
+
+  const MockTokenBridge = await ethers.getContractFactory("MockTokenBridge");
+  const tokenBridge = await MockTokenBridge.deploy(
+    await wormhole.getAddress(),
+    LOCAL_WORMHOLE_CHAIN_ID
+  );
+  await tokenBridge.waitForDeployment();
+  await tokenBridge.registerChain(1, SOLANA_TOKEN_BRIDGE_EMITTER);
+
+  // The Uniswap and PancakeSwap single-hop params share a layout, so the same
+  // mock serves as both routers
+  const MockUniswapV3 = await ethers.getContractFactory("MockUniswapV3");
+  const swapRouter = await MockUniswapV3.deploy();
+  await swapRouter.waitForDeployment();
+
+  const pancakeRouter = await MockUniswapV3.deploy();
+  await pancakeRouter.waitForDeployment();
+
+  const solanaAggregator = ethers.encodeBytes32String("solana_aggregator");
+  const BridgeSwapStrategy = await ethers.getContractFactory("BridgeSwapStrategy");
+  const strategy = await upgrades.deployProxy(
+    BridgeSwapStrategy,
+    [
+      await wormhole.getAddress(),
+      await tokenBridge.getAddress(),
+      await underlyingToken.getAddress(),
+      solanaAggregator,
+      await swapRouter.getAddress(),
+      await pancakeRouter.getAddress(),
+    ],
+    {
+      initializer: "initialize",
+      kind: "transparent",
+    }
+  );
+  await strategy.waitForDeployment();
+
+  // Get role constants
+  const DEFAULT_ADMIN_ROLE = await strategy.DEFAULT_ADMIN_ROLE();
+  const ADMIN_ROLE = await strategy.ADMIN();
+  const REPORTING_MANAGER_ROLE = await strategy.REPORTING_MANAGER();
+
+  // Setup additional roles (deployer already has all roles from initialize)
+  await strategy.connect(deployer).grantRole(ADMIN_ROLE, admin.address);
+  await strategy
+    .connect(deployer)
+    .grantRole(REPORTING_MANAGER_ROLE, reportingManager.address);
+
+  // Mint tokens to the reporting manager for deposits
+  await underlyingToken.mint(
+    reportingManager.address,
+    ethers.parseUnits("100000", 6)
+  );
+
+  // Tokens locked in the bridge by earlier bridge-outs, released on bridge-in
+  await underlyingToken.mint(
+    await tokenBridge.getAddress(),
+    ethers.parseUnits("100000", 6)
+  );
+
+  // Fund both routers with output liquidity
+  for (const router of [swapRouter, pancakeRouter]) {
+    const routerAddress = await router.getAddress();
+    await underlyingToken.mint(routerAddress, ethers.parseUnits("1000000", 6));
+    await altToken.mint(routerAddress, ethers.parseUnits("1000000", 18));
+  }
+
+  // Test amounts for convenience
+  const amounts = {
+    small: ethers.parseUnits("100", 6), // 100 TUSDC
+    medium: ethers.parseUnits("1000", 6), // 1,000 TUSDC
+    large: ethers.parseUnits("10000", 6), // 10,000 TUSDC
+  };
+
+  return {
+    // Contracts
+    strategy,
+    underlyingToken,
+    altToken,
+    wormhole,
+    tokenBridge,
+    swapRouter,
+    pancakeRouter,
+
+    // Local guardian keys the wormhole mock trusts
+    guardianKeys,
+    solanaAggregator,
+
+    // Signers
+    deployer,
+    admin,
+    reportingManager,
+    user1,
+    user2,
+    user3,
+
+    // Roles
+    DEFAULT_ADMIN_ROLE,
+    ADMIN_ROLE,
+    REPORTING_MANAGER_ROLE,
+
+    // Addresses for convenience
+    addresses: {
+      strategy: await strategy.getAddress(),
+      underlyingToken: await underlyingToken.getAddress(),
+      altToken: await altToken.getAddress(),
+      wormhole: await wormhole.getAddress(),
+      tokenBridge: await tokenBridge.getAddress(),
+      swapRouter: await swapRouter.getAddress(),
+      pancakeRouter: await pancakeRouter.getAddress(),
+    },
+
+    // Test amounts
+    amounts,
+  };
+}
+
+// Fixture with underlying and alt tokens already held by the strategy
+async function deployBridgeSwapStrategyWithBalancesFixture() {
+  const fixture = await deployBridgeSwapStrategyFixture();
+  const { strategy, underlyingToken, altToken, reportingManager, amounts } =
+    fixture;
+
+  await underlyingToken
+    .connect(reportingManager)
+    .approve(fixture.addresses.strategy, amounts.large);
+  await strategy
+    .connect(reportingManager)
+    .deposit(fixture.addresses.underlyingToken, amounts.large);
+
+  const altTokenAmount = ethers.parseUnits("10", 18); // 10 TWETH
+  await altToken.mint(fixture.addresses.strategy, altTokenAmount);
+
+  return {
+    ...fixture,
+    balances: {
+      underlying: amounts.large,
+      alt: altTokenAmount,
+    },
+  };
+}
+
+// Fixture for testing pause-gated BridgeSwapStrategy functions
+async function deployPausedBridgeSwapStrategyFixture() {
+  const fixture = await deployBridgeSwapStrategyWithBalancesFixture();
+
+  await fixture.strategy.connect(fixture.admin).pause();
+
+  return fixture;
+}
+
+// Fixture with path validation on and only the underlying -> alt 0.3% pool allowed
+async function deployPathValidationFixture() {
+  const fixture = await deployBridgeSwapStrategyWithBalancesFixture();
+  const { strategy, admin, addresses } = fixture;
+
+  const allowedPath = ethers.solidityPacked(
+    ["address", "uint24", "address"],
+    [addresses.underlyingToken, 3000, addresses.altToken]
+  );
+  await strategy.connect(admin).allowPath(allowedPath);
+  await strategy.connect(admin).setPathValidationEnabled(true);
+
+  return { ...fixture, allowedPath };
+}
+
+// Fixture for quoting and routing: the funded strategy with a third token
+// (TDAI), a mock quoter and an empty mock V3 factory per DEX. Tests add the
+// pools and rates they need and build their catalog from `catalog`.
+async function deployQuotedCatalogFixture() {
+  const fixture = await deployBridgeSwapStrategyWithBalancesFixture();
+  const { addresses } = fixture;
+
+  const tokens = { TUSDC: fixture.underlyingToken, TWETH: fixture.altToken };
+  const decimals = { TUSDC: 6, TWETH: 18 };
+  // Deploys a token the routers can pay out
+  const addToken = async (symbol, tokenDecimals) => {
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const token = await MockERC20.deploy(
+      `Test ${symbol.slice(1)}`,
+      symbol,
+      tokenDecimals
+    );
+    for (const router of [addresses.swapRouter, addresses.pancakeRouter]) {
+      await token.mint(router, ethers.parseUnits("1000000", tokenDecimals));
+    }
+    tokens[symbol] = token;
+    decimals[symbol] = tokenDecimals;
+    return token;
+  };
+  const dai = await addToken("TDAI", 6);
+
+  const MockV3Factory = await ethers.getContractFactory("MockV3Factory");
+  const uniswapFactory = await MockV3Factory.deploy();
+  const pancakeFactory = await MockV3Factory.deploy();
+  const quoter = await (await ethers.getContractFactory("MockQuoter")).deploy();
+  const contracts = {
+    factory: await uniswapFactory.getAddress(),
+    pancakeFactory: await pancakeFactory.getAddress(),
+    quoter: await quoter.getAddress(),
+    pancakeQuoter: await quoter.getAddress(),
+  };
+
+  // Encodes a path of token symbols
+  const path = (symbols, fees) =>
+    encodePath(
+      symbols.map((symbol) => tokens[symbol].target),
+      fees
+    );
+  // A validated Hardhat-chain catalog of every token deployed so far
+  const catalog = ({ pools = [], routes = [], baseTokens = [] } = {}) =>
+    validateChainCatalog({
+      chainId: 1337,
+      name: "Hardhat",
+      tokens: Object.fromEntries(
+        Object.entries(tokens).map(([symbol, token]) => [
+          symbol,
+          { address: token.target, decimals: decimals[symbol], symbol },
+        ])
+      ),
+      baseTokens,
+      pools,
+      routes,
+    });
+
+  return {
+    ...fixture,
+    tokens,
+    dai,
+    addToken,
+    uniswapFactory,
+    pancakeFactory,
+    quoter,
+    contracts,
+    path,
+    catalog,
+  };
+}
+
 module.exports = {
+  LOCAL_WORMHOLE_CHAIN_ID,
+  SOLANA_TOKEN_BRIDGE_EMITTER,
   deployContractFixture,
   deployContractWithDepositsFixture,
   deployPausedContractFixture,
+  deployBridgeSwapStrategyFixture,
+  deployBridgeSwapStrategyWithBalancesFixture,
+  deployPausedBridgeSwapStrategyFixture,
+  deployPathValidationFixture,
+  deployQuotedCatalogFixture,
 };
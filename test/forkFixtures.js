@@ -0,0 +1,188 @@
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const {
+  impersonateAccount,
+  reset,
+  setBalance,
+  stopImpersonatingAccount,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const { resolveProfile } = require("../scripts/lib/profiles");
+const { getChainCatalog } = require("../scripts/lib/catalog");
+const {
+  StateRecorder,
+  loadForkState,
+  readForkState,
+  writeForkState,
+} = require("../scripts/lib/forkState");
+
+const { ethers, upgrades } = hre;
+
+// Opt-in mainnet-fork tests against the real routers and Token Bridge.
+//
+//   FORK_TESTS=replay  replays the pinned state in test/fork-state/<network>.json
+//                      onto a fresh local chain; no network access needed
+//   FORK_TESTS=record  forks the network's RPC (hardhat.config.js, or FORK_URL)
+//                      at FORK_BLOCK or the scenario's block, runs the suite and
+//                      rewrites the state file with everything the run read
+//
+// FORK_NETWORKS=ethereum,bsc_main limits the networks. Record and replay must
+// run the same tests: replay only has the slots the recorded run touched.
+const FORK_MODE = { 1: "replay", true: "replay", replay: "replay", record: "record" }[
+  process.env.FORK_TESTS || ""
+];
+const FORK_STATE_DIR = path.join(__dirname, "fork-state");
+
+// Binance hot wallets; both hold large stablecoin balances at the pinned blocks
+const FORK_SCENARIOS = [
+  {
+    network: "ethereum",
+    blockNumber: 21000000,
+    whale: "0x28C6c06298d514Db089934071355E5743bf21d60",
+    fund: "50000",
+    swaps: [
+      { route: "USDC to WETH (Single Hop)", amount: "1000" },
+      { route: "USDC to wstETH (Multi-Hop)", amount: "1000" },
+    ],
+    bridgeOut: "2500",
+  },
+  {
+    network: "bsc_main",
+    blockNumber: 43000000,
+    whale: "0xF977814e90dA44bFA03b6295A0616a897441aceC",
+    fund: "50000",
+    swaps: [{ route: "USDT to BUSD (Single Hop)", amount: "1000" }],
+    bridgeOut: "2500",
+  },
+];
+
+function forkEnabled(scenario) {
+  if (!FORK_MODE) return false;
+  const only = (process.env.FORK_NETWORKS || "").split(",").filter(Boolean);
+  return only.length === 0 || only.includes(scenario.network);
+}
+
+function stateFile(network) {
+  return path.join(FORK_STATE_DIR, `${network}.json`);
+}
+
+/**
+ * Puts the local chain at the scenario's fork block: a live fork behind a
+ * recording proxy, or a fresh chain with the pinned state written in.
+ */
+async function startFork(scenario) {
+  const file = stateFile(scenario.network);
+  if (FORK_MODE === "record") {
+    const url = process.env.FORK_URL || hre.config.networks[scenario.network].url;
+    if (!url) throw new Error(`No RPC URL for ${scenario.network}; set it in .env or pass FORK_URL`);
+    // Hardhat answers repeat fork reads from its disk cache, which the proxy would never see
+    fs.rmSync(path.join(hre.config.paths.cache, "hardhat-network-fork"), { recursive: true, force: true });
+    const recorder = new StateRecorder(url);
+    const blockNumber = Number(process.env.FORK_BLOCK || scenario.blockNumber);
+    await reset(await recorder.start(), blockNumber);
+    return { scenario, file, recorder, blockNumber };
+  }
+
+  const state = readForkState(file);
+  if (!state) {
+    throw new Error(
+      `No pinned fork state at ${path.relative(process.cwd(), file)}; record it with ` +
+        `FORK_TESTS=record FORK_NETWORKS=${scenario.network} npx hardhat test test/BridgeSwapStrategy.fork.test.js`
+    );
+  }
+  await reset();
+  await loadForkState(ethers.provider, state);
+  return { scenario, file, state, blockNumber: state.blockNumber };
+}
+
+/**
+ * Saves what a recording run read, then returns to a plain local chain so
+ * later test files start clean.
+ */
+async function stopFork(fork) {
+  if (fork.recorder) {
+    const block = await ethers.provider.getBlock(fork.blockNumber);
+    const signers = await ethers.getSigners();
+    writeForkState(
+      fork.file,
+      fork.recorder.snapshot({
+        network: fork.scenario.network,
+        chainId: resolveProfile(fork.scenario.network).chainId,
+        blockNumber: fork.blockNumber,
+        timestamp: block.timestamp,
+        exclude: signers.map((signer) => signer.address),
+      })
+    );
+    await fork.recorder.stop();
+  }
+  await reset();
+}
+
+/**
+ * Deploys BridgeSwapStrategy behind a transparent proxy with the network's
+ * recorded initialize arguments (real Wormhole, Token Bridge and routers).
+ */
+async function deployForkStrategy(scenario) {
+  const [deployer, admin, reportingManager] = await ethers.getSigners();
+  const profile = resolveProfile(scenario.network);
+  const init = profile.deployment.bridgeSwapStrategy.initialize;
+  const catalog = getChainCatalog(profile.chainId);
+
+  const BridgeSwapStrategy = await ethers.getContractFactory("BridgeSwapStrategy");
+  const strategy = await upgrades.deployProxy(
+    BridgeSwapStrategy,
+    [
+      init.wormhole,
+      init.tokenBridge,
+      init.underlyingToken,
+      init.solanaAggregatorAddress,
+      init.swapRouter,
+      init.pancakeRouter,
+    ],
+    { initializer: "initialize", kind: "transparent" }
+  );
+  await strategy.waitForDeployment();
+  await strategy.grantRole(await strategy.ADMIN(), admin.address);
+  await strategy.grantRole(await strategy.REPORTING_MANAGER(), reportingManager.address);
+
+  const underlyingToken = await ethers.getContractAt(
+    "@openzeppelin/contracts/token/ERC20/IERC20.sol:IERC20",
+    init.underlyingToken
+  );
+  return {
+    strategy,
+    underlyingToken,
+    deployer,
+    admin,
+    reportingManager,
+    profile,
+    catalog,
+    init,
+  };
+}
+
+/**
+ * Moves `amount` of `token` from an impersonated holder to `to`, giving the
+ * holder gas money first.
+ */
+async function fundFromWhale(token, whale, to, amount) {
+  const held = await token.balanceOf(whale);
+  if (held < amount) {
+    throw new Error(`Whale ${whale} holds ${held} of ${await token.getAddress()}, less than ${amount}`);
+  }
+  await impersonateAccount(whale);
+  await setBalance(whale, ethers.parseEther("10"));
+  await token.connect(await ethers.getSigner(whale)).transfer(to, amount);
+  await stopImpersonatingAccount(whale);
+}
+
+module.exports = {
+  FORK_MODE,
+  FORK_SCENARIOS,
+  FORK_STATE_DIR,
+  forkEnabled,
+  startFork,
+  stopFork,
+  deployForkStrategy,
+  fundFromWhale,
+};
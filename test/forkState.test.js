@@ -0,0 +1,126 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const { ethers } = require("hardhat");
+const { StateRecorder, loadForkState, readForkState, writeForkState } = require("../scripts/lib/forkState");
+
+// Stands in for the upstream node: answers every request from `results` by method
+async function fakeUpstream(results) {
+  const server = http.createServer((request, response) => {
+    const chunks = [];
+    request.on("data", (chunk) => chunks.push(chunk));
+    request.on("end", () => {
+      const body = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+      const answer = (req) => ({ jsonrpc: "2.0", id: req.id, result: results[req.method](req.params) });
+      response.writeHead(200, { "content-type": "application/json" });
+      response.end(JSON.stringify(Array.isArray(body) ? body.map(answer) : answer(body)));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+async function rpc(url, body) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  return response.json();
+}
+
+describe("Fork state", function () {
+  it("Should record state reads passing through the proxy, single and batched", async function () {
+    const [contract, whale, signer] = [0, 0, 0].map(() => ethers.Wallet.createRandom().address);
+    const upstream = await fakeUpstream({
+      eth_chainId: () => "0x1",
+      eth_getBalance: ([address]) => (address === whale ? "0xde0b6b3a7640000" : "0x0"),
+      eth_getTransactionCount: ([address]) => (address === signer ? "0x5" : "0x0"),
+      eth_getCode: ([address]) => (address === contract ? "0x6001" : "0x"),
+      eth_getStorageAt: ([, slot]) => (slot === "0x3" ? ethers.toBeHex(7, 32) : ethers.ZeroHash),
+    });
+    const recorder = new StateRecorder(upstream.url);
+    const url = await recorder.start();
+
+    try {
+      const single = await rpc(url, {
+        jsonrpc: "2.0",
+        id: 1,
+        method: "eth_getStorageAt",
+        params: [contract, "0x3", "0x10"],
+      });
+      const batch = await rpc(
+        url,
+        [
+          ["eth_chainId", []],
+          ["eth_getCode", [contract, "0x10"]],
+          ["eth_getStorageAt", [contract, "0x4", "0x10"]],
+          ["eth_getBalance", [whale, "0x10"]],
+          ["eth_getTransactionCount", [whale, "0x10"]],
+          ["eth_getTransactionCount", [signer, "0x10"]],
+        ].map(([method, params], id) => ({ jsonrpc: "2.0", id, method, params }))
+      );
+
+      expect(single.result).to.equal(ethers.toBeHex(7, 32));
+      expect(batch.map((r) => r.result)).to.deep.equal([
+        "0x1",
+        "0x6001",
+        ethers.ZeroHash,
+        "0xde0b6b3a7640000",
+        "0x0",
+        "0x5",
+      ]);
+    } finally {
+      await recorder.stop();
+      await new Promise((resolve) => upstream.server.close(resolve));
+    }
+
+    const state = recorder.snapshot({
+      network: "ethereum",
+      chainId: 1,
+      blockNumber: 16,
+      timestamp: 1,
+      exclude: [signer],
+    });
+    expect(state.accounts).to.deep.equal({
+      [contract]: { code: "0x6001", storage: { [ethers.toBeHex(3, 32)]: ethers.toBeHex(7, 32) } },
+      [whale]: { balance: "0xde0b6b3a7640000" },
+    });
+  });
+
+  it("Should write pinned state onto the local chain", async function () {
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const deployed = await MockERC20.deploy("Pinned", "PIN", 6);
+    const source = await deployed.getAddress();
+    const [holder] = await ethers.getSigners();
+    await deployed.mint(holder.address, 1234n);
+    const balanceSlot = ethers.solidityPackedKeccak256(["uint256", "uint256"], [holder.address, 0]);
+    const copy = ethers.Wallet.createRandom().address;
+    const whale = ethers.Wallet.createRandom().address;
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "fork-state-"));
+    const file = path.join(dir, "ethereum.json");
+    writeForkState(file, {
+      network: "ethereum",
+      chainId: 1,
+      blockNumber: 16,
+      timestamp: 1,
+      accounts: {
+        [copy]: {
+          code: await ethers.provider.getCode(source),
+          storage: { [balanceSlot]: await ethers.provider.getStorage(source, balanceSlot) },
+        },
+        [whale]: { balance: "0x64", nonce: "0x9" },
+      },
+    });
+
+    const state = readForkState(file);
+    expect(await loadForkState(ethers.provider, state)).to.equal(2);
+    expect(await MockERC20.attach(copy).balanceOf(holder.address)).to.equal(1234n);
+    expect(await ethers.provider.getBalance(whale)).to.equal(100n);
+    expect(await ethers.provider.getTransactionCount(whale)).to.equal(9);
+    expect(readForkState(path.join(dir, "missing.json"))).to.equal(null);
+  });
+});
@@ -0,0 +1,95 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const holdings = require("../scripts/lib/holdings");
+const actions = require("../scripts/lib/strategyActions");
+const { deployQuotedCatalogFixture } = require("./fixtures");
+
+// 10,000 TUSDC, 10 TWETH without a pool to value it through, and 500 TDAI quoted 1:1
+async function holdingsFixture() {
+  const fixture = await deployQuotedCatalogFixture();
+  const { addresses, reportingManager, dai, quoter, contracts } = fixture;
+  await dai.mint(addresses.strategy, ethers.parseUnits("500", 6));
+  await quoter.setRate(fixture.path(["TDAI", "TUSDC"], [500]), 100);
+
+  const catalog = fixture.catalog({ pools: [{ dex: "uniswap-v3", tokens: ["TDAI", "TUSDC"], fee: 500 }] });
+  const snapshot = async (blockNumber) =>
+    holdings.takeSnapshot(catalog, {
+      strategy: addresses.strategy,
+      underlying: "TUSDC",
+      blockNumber: blockNumber === undefined ? await ethers.provider.getBlockNumber() : blockNumber,
+      runner: reportingManager,
+      contracts,
+    });
+  return { ...fixture, strategy: fixture.strategy.connect(reportingManager), snapshot };
+}
+
+describe("Holdings snapshots", function () {
+  it("Should value every catalog token the strategy holds and total the NAV", async function () {
+    const { addresses, snapshot } = await loadFixture(holdingsFixture);
+
+    const taken = await snapshot();
+
+    expect(taken.underlying).to.deep.equal({ symbol: "TUSDC", address: addresses.underlyingToken, decimals: 6 });
+    expect(taken.nav).to.equal("10500000000");
+    expect(taken.holdings.map((h) => [h.symbol, h.balance, h.value, h.dex])).to.deep.equal([
+      ["TUSDC", "10000000000", "10000000000", undefined],
+      ["TWETH", "10000000000000000000", null, undefined],
+      ["TDAI", "500000000", "500000000", "uniswap-v3"],
+    ]);
+    expect(taken.holdings[1].error).to.equal(
+      "Cannot value TWETH in TUSDC: no catalog route or pool on a DEX with a quoter"
+    );
+  });
+
+  it("Should read a past block and compare snapshots over time", async function () {
+    const { strategy, addresses, dai, snapshot } = await loadFixture(holdingsFixture);
+    const before = await snapshot();
+    await actions.swap(strategy, {
+      tokens: [addresses.underlyingToken, dai.target],
+      fees: [500],
+      amountIn: ethers.parseUnits("1000", 6),
+    });
+
+    const after = await snapshot();
+    expect(after.nav).to.equal("10600000000");
+    expect(await snapshot(before.blockNumber)).to.deep.equal(before);
+
+    const { navChange, navChangeBps, tokens: changes } = holdings.compareSnapshots(before, after);
+    expect(navChange).to.equal(100000000n);
+    expect(navChangeBps).to.equal(95);
+    expect(changes.map((t) => [t.symbol, t.balanceChange, t.valueChange])).to.deep.equal([
+      ["TUSDC", -1000000000n, -1000000000n],
+      ["TWETH", 0n, null],
+      ["TDAI", 1100000000n, 1100000000n],
+    ]);
+  });
+
+  it("Should keep snapshots in block order in a history for one strategy", async function () {
+    const { addresses } = await loadFixture(holdingsFixture);
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "holdings-")), "holdings-hardhat.json");
+    const identity = { network: "hardhat", chainId: 1337, strategy: addresses.strategy };
+    const snapshot = (blockNumber, nav) => ({ blockNumber, nav, holdings: [] });
+
+    const history = holdings.openHistory(file, identity);
+    expect(holdings.addSnapshot(history, snapshot(20, "2"))).to.equal(undefined);
+    expect(holdings.addSnapshot(history, snapshot(10, "1"))).to.equal(undefined);
+    expect(holdings.addSnapshot(history, snapshot(30, "3")).nav).to.equal("2");
+    expect(holdings.addSnapshot(history, snapshot(20, "2b")).nav).to.equal("1");
+    holdings.saveHistory(history, file);
+
+    const saved = holdings.openHistory(file, identity);
+    expect(saved.snapshots.map((s) => [s.blockNumber, s.nav])).to.deep.equal([
+      [10, "1"],
+      [20, "2b"],
+      [30, "3"],
+    ]);
+    expect(holdings.previousSnapshot(saved, 30).nav).to.equal("2b");
+    expect(() => holdings.openHistory(file, { ...identity, strategy: ethers.ZeroAddress })).to.throw(
+      /Pass --store to use another file/
+    );
+  });
+});
@@ -0,0 +1,176 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  createStore,
+  openStore,
+  saveStore,
+  rollbackReorg,
+  syncStore,
+  ledgerTotals,
+} = require("../scripts/lib/indexer");
+const { buildVaa } = require("../scripts/lib/vaaBuilder");
+const { encodeTransferWithPayload } = require("../scripts/lib/tokenBridgePayload");
+const {
+  LOCAL_WORMHOLE_CHAIN_ID,
+  SOLANA_TOKEN_BRIDGE_EMITTER,
+  deployBridgeSwapStrategyWithBalancesFixture,
+} = require("./fixtures");
+
+// MockUniswapV3 pays out 110% of amountIn (in raw units)
+const mockAmountOut = (amountIn) => (amountIn * 110n) / 100n;
+
+// loadFixture hands every test the same objects, so each test starts its own ledger
+async function indexerFixture() {
+  const fixture = await deployBridgeSwapStrategyWithBalancesFixture();
+  const newLedger = () => ({
+    store: createStore({ network: "hardhat", chainId: 1337, strategy: fixture.addresses.strategy }),
+    file: path.join(fs.mkdtempSync(path.join(os.tmpdir(), "ledger-")), "hardhat.json"),
+  });
+  return { ...fixture, newLedger };
+}
+
+describe("Event indexer", function () {
+  describe("Backfill", function () {
+    it("Should index ledger and config events and total the token flows", async function () {
+      const { strategy, admin, reportingManager, user1, addresses, amounts, newLedger } =
+        await loadFixture(indexerFixture);
+      const { store } = newLedger();
+      await strategy
+        .connect(reportingManager)
+        .swapExactInputSingle(addresses.underlyingToken, addresses.altToken, 3000, amounts.small, 0, 0);
+      await strategy.connect(admin).withdraw(addresses.altToken, 5n, user1.address);
+
+      const result = await syncStore(store, strategy);
+
+      const names = store.events.map((e) => e.event);
+      expect(names).to.include.members(["Initialized", "RoleGranted", "Deposited", "Swapped", "Withdrawn"]);
+      expect(result.added).to.equal(store.events.length);
+      expect(store.checkpoint.number).to.equal(await ethers.provider.getBlockNumber());
+      expect(store.events.find((e) => e.event === "Deposited").args).to.include({
+        manager: reportingManager.address,
+        token: addresses.underlyingToken,
+        amount: amounts.large.toString(),
+      });
+
+      const totals = ledgerTotals(store);
+      expect(totals[addresses.underlyingToken]).to.include({
+        deposited: amounts.large,
+        swappedIn: amounts.small,
+        net: amounts.large - amounts.small,
+      });
+      expect(totals[addresses.altToken]).to.include({
+        swappedOut: mockAmountOut(amounts.small),
+        withdrawn: 5n,
+        net: mockAmountOut(amounts.small) - 5n,
+      });
+    });
+
+    it("Should leave a plain bridgeIn, which names no token, out of the totals", async function () {
+      const { strategy, reportingManager, guardianKeys, addresses, newLedger } = await loadFixture(indexerFixture);
+      const { store } = newLedger();
+      const { hex } = buildVaa({
+        emitterChain: 1,
+        emitterAddress: SOLANA_TOKEN_BRIDGE_EMITTER,
+        sequence: 1n,
+        payload: encodeTransferWithPayload({
+          amount: 42n,
+          tokenAddress: addresses.underlyingToken,
+          tokenChain: LOCAL_WORMHOLE_CHAIN_ID,
+          to: addresses.strategy,
+          toChain: LOCAL_WORMHOLE_CHAIN_ID,
+          fromAddress: ethers.ZeroHash,
+        }),
+        guardianKeys,
+      });
+      await strategy.connect(reportingManager).bridgeIn(hex);
+
+      await syncStore(store, strategy);
+
+      expect(store.events.find((e) => e.event === "BridgedIn").args).to.include({ token: ethers.ZeroAddress });
+      const totals = ledgerTotals(store);
+      expect(Object.keys(totals)).to.deep.equal([addresses.underlyingToken]);
+      expect(totals[addresses.underlyingToken]).to.include({ bridgedIn: 0n });
+    });
+
+    it("Should stop short of the head by the confirmation count", async function () {
+      const { strategy, newLedger } = await loadFixture(indexerFixture);
+      const { store } = newLedger();
+      const head = await ethers.provider.getBlockNumber();
+
+      const result = await syncStore(store, strategy, { confirmations: 2 });
+
+      expect(result.toBlock).to.equal(head - 2);
+      expect(store.events.every((e) => e.blockNumber <= head - 2)).to.equal(true);
+    });
+  });
+
+  describe("Checkpoint", function () {
+    it("Should resume from the saved checkpoint without duplicating events", async function () {
+      const { strategy, admin, addresses, newLedger } = await loadFixture(indexerFixture);
+      const { store, file } = newLedger();
+      await syncStore(store, strategy, { chunkSize: 3, onChunk: (updated) => saveStore(updated, file) });
+      const indexed = store.events.length;
+
+      const reopened = openStore(file, { chainId: 1337, strategy: addresses.strategy });
+      expect(reopened).to.deep.equal(store);
+      expect((await syncStore(reopened, strategy)).added).to.equal(0);
+
+      await strategy.connect(admin).setPathValidationEnabled(true);
+      expect((await syncStore(reopened, strategy)).added).to.equal(1);
+      expect(reopened.events).to.have.length(indexed + 1);
+      expect(fs.existsSync(`${file}.tmp`)).to.equal(false);
+    });
+
+    it("Should refuse a ledger written for another strategy", async function () {
+      const { user1, newLedger } = await loadFixture(indexerFixture);
+      const { store, file } = newLedger();
+      saveStore(store, file);
+
+      expect(() => openStore(file, { chainId: 1337, strategy: user1.address })).to.throw(/Pass --reset/);
+    });
+  });
+
+  describe("Reorgs", function () {
+    it("Should drop events from reorganized blocks and index the new ones", async function () {
+      const { strategy, admin, newLedger } = await loadFixture(indexerFixture);
+      const { store } = newLedger();
+      await syncStore(store, strategy);
+      const forkPoint = store.checkpoint.number;
+      const indexed = store.events.length;
+
+      const snapshot = await network.provider.send("evm_snapshot");
+      await strategy.connect(admin).setPathValidationEnabled(true);
+      await syncStore(store, strategy);
+      expect(store.events.at(-1).event).to.equal("PathValidationToggled");
+
+      await network.provider.send("evm_revert", [snapshot]);
+      await strategy.connect(admin).pause();
+      await network.provider.send("evm_mine");
+
+      const result = await syncStore(store, strategy);
+
+      expect(result.reorg).to.deep.equal({ toBlock: forkPoint, removed: 1 });
+      expect(store.events.slice(indexed).map((e) => e.event)).to.deep.equal(["Paused"]);
+      expect(store.checkpoint.number).to.equal(forkPoint + 2);
+    });
+
+    it("Should refuse to roll back below the oldest tracked block", async function () {
+      const { strategy, newLedger } = await loadFixture(indexerFixture);
+      const { store } = newLedger();
+      await syncStore(store, strategy);
+      store.blocks = store.blocks.map((b) => ({ ...b, hash: ethers.ZeroHash }));
+
+      let error;
+      try {
+        await rollbackReorg(store, ethers.provider);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(/Chain reorganized below the oldest tracked block/);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  desiredPaths,
+  scanPathEvents,
+  readPathState,
+  diffPaths,
+  describePath,
+  applyPathDiff,
+} = require("../scripts/lib/pathSync");
+const { encodePath, pathHash } = require("../scripts/lib/v3Path");
+const { deployBridgeSwapStrategyFixture } = require("./fixtures");
+
+async function pathSyncFixture() {
+  const fixture = await deployBridgeSwapStrategyFixture();
+  const { addresses } = fixture;
+  const catalog = {
+    chainId: 1337,
+    tokens: {
+      TUSDC: { address: addresses.underlyingToken, decimals: 6, symbol: "TUSDC" },
+      TWETH: { address: addresses.altToken, decimals: 18, symbol: "TWETH" },
+    },
+    pools: [{ dex: "uniswap-v3", tokens: ["TUSDC", "TWETH"], fee: 3000 }],
+    routes: [{ name: "TUSDC to TWETH", dex: "uniswap-v3", path: ["TUSDC", "TWETH"] }],
+  };
+  const paths = {
+    forward: encodePath([addresses.underlyingToken, addresses.altToken], [3000]),
+    reverse: encodePath([addresses.altToken, addresses.underlyingToken], [3000]),
+    stray: encodePath([addresses.underlyingToken, addresses.altToken], [500]),
+    retired: encodePath([addresses.underlyingToken, addresses.altToken], [10000]),
+  };
+  return { ...fixture, catalog, paths };
+}
+
+describe("Path allow-list sync", function () {
+  it("Should want every catalog route in both directions", async function () {
+    const { catalog, paths } = await loadFixture(pathSyncFixture);
+
+    expect(desiredPaths(catalog)).to.deep.equal([
+      { name: "TUSDC to TWETH", path: paths.forward, pathHash: pathHash(paths.forward) },
+      { name: "(REVERSE) TUSDC to TWETH", path: paths.reverse, pathHash: pathHash(paths.reverse) },
+    ]);
+    expect(desiredPaths(catalog, { reverse: false })).to.have.length(1);
+  });
+
+  it("Should keep the latest event per path across log chunks", async function () {
+    const { strategy, admin, paths } = await loadFixture(pathSyncFixture);
+    await strategy.connect(admin).allowPath(paths.stray);
+    await strategy.connect(admin).allowPath(paths.retired);
+    await strategy.connect(admin).disallowPath(paths.retired);
+
+    const events = await scanPathEvents(strategy.connect(admin), { chunkSize: 1 });
+
+    expect([...events.keys()]).to.deep.equal([pathHash(paths.stray), pathHash(paths.retired)]);
+    expect(events.get(pathHash(paths.stray))).to.include({ path: paths.stray, event: "PathAllowed" });
+    expect(events.get(pathHash(paths.retired))).to.include({ path: paths.retired, event: "PathDisallowed" });
+  });
+
+  it("Should diff the catalog against allowed and previously allowed paths", async function () {
+    const { strategy, admin, catalog, paths } = await loadFixture(pathSyncFixture);
+    await strategy.connect(admin).allowPath(paths.forward);
+    await strategy.connect(admin).allowPath(paths.stray);
+    await strategy.connect(admin).allowPath(paths.retired);
+    await strategy.connect(admin).disallowPath(paths.retired);
+
+    const diff = diffPaths(await readPathState(strategy.connect(admin), desiredPaths(catalog)));
+
+    expect(diff.toAllow.map((e) => e.path)).to.deep.equal([paths.reverse]);
+    expect(diff.toDisallow.map((e) => e.path)).to.deep.equal([paths.stray]);
+    expect(diff.unchanged.map((e) => e.path)).to.deep.equal([paths.forward, paths.retired]);
+
+    await applyPathDiff(strategy.connect(admin), diff);
+    const after = diffPaths(await readPathState(strategy.connect(admin), desiredPaths(catalog)));
+    expect(after.toAllow).to.have.length(0);
+    expect(after.toDisallow).to.have.length(0);
+  });
+
+  it("Should describe paths with catalog symbols and fall back to hex", async function () {
+    const { catalog, paths, user1 } = await loadFixture(pathSyncFixture);
+    const unknown = encodePath([user1.address, catalog.tokens.TWETH.address], [100]);
+
+    expect(describePath(paths.stray, catalog)).to.equal("TUSDC -(500)-> TWETH");
+    expect(describePath(unknown, catalog)).to.equal(`${user1.address} -(100)-> TWETH`);
+    expect(describePath("0x1234", catalog)).to.equal("0x1234");
+  });
+});
@@ -0,0 +1,143 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { computePositions, markPath, buildPnlReport, formatPnlReport } = require("../scripts/lib/pnl");
+const { encodePath } = require("../scripts/lib/v3Path");
+
+const USDC = "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48";
+const WETH = "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2";
+const WBTC = "0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599";
+const TOKENS = {
+  [USDC]: { symbol: "USDC", decimals: 6 },
+  [WETH]: { symbol: "WETH", decimals: 18 },
+  [WBTC]: { symbol: "WBTC", decimals: 8 },
+};
+const UNDERLYING = { address: USDC, symbol: "USDC", decimals: 6 };
+
+const usdc = (n) => ethers.parseUnits(n, 6);
+const weth = (n) => ethers.parseUnits(n, 18);
+
+// Ledger events as the indexer stores them, one per block
+function swaps(...list) {
+  return list.map(([tokenIn, amountIn, tokenOut, amountOut], i) => ({
+    event: i % 2 === 0 ? "Swapped" : "PancakeSwapped",
+    blockNumber: i + 1,
+    logIndex: 0,
+    args: { tokenIn, tokenOut, amountIn: amountIn.toString(), amountOut: amountOut.toString(), timestamp: "0" },
+  }));
+}
+
+// Buy 1 WETH at 1000, buy 1 WETH at 2000, sell 1 WETH at 3000
+const TRADES = swaps(
+  [USDC, usdc("1000"), WETH, weth("1")],
+  [USDC, usdc("2000"), WETH, weth("1")],
+  [WETH, weth("1"), USDC, usdc("3000")]
+);
+
+describe("PnL report", function () {
+  describe("Cost basis", function () {
+    it("Should relieve the oldest lots first under FIFO", function () {
+      const { [WETH]: position } = computePositions(TRADES, USDC, "fifo");
+
+      expect(position).to.include({
+        quantity: weth("1"),
+        costBasis: usdc("2000"),
+        realizedPnl: usdc("2000"),
+        underlyingSpent: usdc("3000"),
+        underlyingReceived: usdc("3000"),
+      });
+    });
+
+    it("Should relieve at the running average under average cost", function () {
+      const { [WETH]: position } = computePositions(TRADES, USDC, "average");
+
+      expect(position).to.include({ quantity: weth("1"), costBasis: usdc("1500"), realizedPnl: usdc("1500") });
+    });
+
+    it("Should split a lot exactly in base units", function () {
+      const events = swaps([USDC, 10n, WETH, 3n], [WETH, 1n, USDC, 4n], [WETH, 2n, USDC, 8n]);
+
+      for (const method of ["fifo", "average"]) {
+        const { [WETH]: position } = computePositions(events, USDC, method);
+        expect(position, method).to.include({ quantity: 0n, costBasis: 0n, realizedPnl: 2n });
+      }
+    });
+
+    it("Should carry the cost basis across asset-to-asset swaps", function () {
+      const events = swaps([USDC, usdc("1000"), WETH, weth("1")], [WETH, weth("0.5"), WBTC, 1000000n]);
+      const positions = computePositions(events, USDC, "fifo");
+
+      expect(positions[WETH]).to.include({ quantity: weth("0.5"), costBasis: usdc("500"), realizedPnl: 0n });
+      expect(positions[WBTC]).to.include({ quantity: 1000000n, costBasis: usdc("500"), realizedPnl: 0n });
+    });
+
+    it("Should count sales beyond the swapped-in quantity at zero cost", function () {
+      const events = swaps([USDC, usdc("100"), WETH, weth("1")], [WETH, weth("3"), USDC, usdc("600")]);
+      const { [WETH]: position } = computePositions(events, USDC, "average");
+
+      expect(position).to.include({ quantity: 0n, unmatched: weth("2"), realizedPnl: usdc("500") });
+    });
+
+    it("Should reject unknown methods", function () {
+      expect(() => computePositions(TRADES, USDC, "lifo")).to.throw(/Unknown cost method "lifo"/);
+    });
+  });
+
+  describe("Report", function () {
+    it("Should mark open positions and leave unquoted ones unmarked", function () {
+      const report = buildPnlReport(TRADES, { underlying: UNDERLYING, tokens: TOKENS, marks: { [WETH]: usdc("2500") } });
+
+      expect(report.rows.map((r) => [r.symbol, r.method])).to.deep.equal([
+        ["WETH", "fifo"],
+        ["WETH", "average"],
+      ]);
+      expect(report.rows[0]).to.include({ averageCost: usdc("2000"), markValue: usdc("2500"), unrealizedPnl: usdc("500") });
+      expect(report.rows[1]).to.include({ averageCost: usdc("1500"), unrealizedPnl: usdc("1000") });
+      expect(report.rows[0].netUnderlyingFlow).to.equal(0n);
+
+      const unmarked = buildPnlReport(TRADES, { underlying: UNDERLYING, tokens: TOKENS, methods: ["fifo"] });
+      expect(unmarked.rows[0]).to.include({ markValue: null, unrealizedPnl: null });
+    });
+
+    it("Should render the same rows as a table, CSV and JSON", function () {
+      const report = buildPnlReport(TRADES, {
+        underlying: UNDERLYING,
+        tokens: { ...TOKENS, [WETH]: { symbol: "WETH, wrapped", decimals: 18 } },
+        methods: ["fifo"],
+      });
+
+      const csv = formatPnlReport(report, "csv").split("\n");
+      expect(csv[0]).to.equal(
+        "asset,method,quantity,cost_basis,avg_cost,mark_value,realized_pnl,unrealized_pnl,net_underlying_flow,bought,sold,unmatched,token"
+      );
+      expect(csv[1]).to.equal(`"WETH, wrapped",fifo,1.0,2000.0,2000.0,,2000.0,,0.0,2.0,1.0,0.0,${WETH}`);
+
+      const json = JSON.parse(formatPnlReport(report, "json"));
+      expect(json.rows[0]).to.include({ method: "fifo", costBasis: "2000.0", unrealizedPnl: null });
+
+      const table = formatPnlReport(report, "table").split("\n");
+      expect(table[1]).to.match(/^asset\s+method\s+quantity/);
+      expect(table[3]).to.match(/^WETH, wrapped\s+fifo\s+1\.0\s+2000\.0\s+2000\.0\s+n\/a/);
+      expect(() => formatPnlReport(report, "xlsx")).to.throw(/Unknown format "xlsx"/);
+    });
+
+    it("Should find a quoter path from a catalog route or a direct pool", function () {
+      const catalog = {
+        chainId: 1,
+        tokens: {
+          USDC: { address: USDC },
+          WETH: { address: WETH },
+          WBTC: { address: WBTC },
+        },
+        pools: [
+          { dex: "uniswap-v3", tokens: ["USDC", "WETH"], fee: 500 },
+          { dex: "uniswap-v3", tokens: ["WETH", "WBTC"], fee: 3000 },
+        ],
+        routes: [{ name: "USDC to WBTC", dex: "uniswap-v3", path: ["USDC", "WETH", "WBTC"] }],
+      };
+
+      expect(markPath(catalog, "WBTC", "USDC")).to.equal(encodePath([WBTC, WETH, USDC], [3000, 500]));
+      expect(markPath(catalog, "WETH", "USDC")).to.equal(encodePath([WETH, USDC], [500]));
+      expect(markPath(catalog, "WBTC", "USDC", "pancakeswap-v3")).to.equal(undefined);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { parseBps, quoterFor, quoteWithImpact, planSwap, formatSwapPlan } = require("../scripts/lib/quotes");
+const { loadDeployment } = require("../scripts/lib/deployments");
+const { deployQuotedCatalogFixture } = require("./fixtures");
+
+async function quoterFixture() {
+  const { deployer, quoter, contracts, path } = await deployQuotedCatalogFixture();
+  return { signer: deployer, quoter, address: contracts.quoter, path: path(["TUSDC", "TWETH"], [3000]) };
+}
+
+describe("Swap quotes", function () {
+  it("Should set the minimum output the slippage below a fresh quote", async function () {
+    const { signer, address, path } = await loadFixture(quoterFixture);
+
+    const plan = await planSwap(address, signer, path, 1000000n, { slippageBps: 50 });
+
+    expect(plan).to.include({ amountOut: 1100000n, priceImpactBps: 0, slippageBps: 50, amountOutMinimum: 1094500n });
+    expect(plan.referenceIn).to.equal(1000n);
+    expect(formatSwapPlan(plan, { decimals: 6, symbol: "TWETH" })).to.equal(
+      "Quote: 1.1 TWETH, price impact 0.00%; minimum out 1.0945 TWETH at 0.50% slippage"
+    );
+  });
+
+  it("Should measure price impact against a small trade and refuse swaps over the limit", async function () {
+    const { signer, quoter, address, path } = await loadFixture(quoterFixture);
+    await quoter.setDepth(path, 50000000000n);
+
+    const quoted = await quoteWithImpact(address, signer, path, 1000000000n);
+    expect(quoted.amountOut).to.equal(1078431372n);
+    expect(quoted.priceImpactBps).to.equal(196);
+
+    let error;
+    try {
+      await planSwap(address, signer, path, 1000000000n, { maxPriceImpactBps: 100 });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal(
+      "Price impact of 1.96% is over the 1.00% limit; swap a smaller amount or raise the limit"
+    );
+
+    const plan = await planSwap(address, signer, path, 1000000000n, { slippageBps: 0, maxPriceImpactBps: 200 });
+    expect(plan.amountOutMinimum).to.equal(1078431372n);
+  });
+
+  it("Should pick each DEX's quoter from the deployment and validate basis points", function () {
+    const { contracts } = loadDeployment("bsc_main");
+
+    expect(quoterFor(contracts, "uniswap-v3")).to.equal("0x78D78E420Da98ad378D7799bE8f4AF69033EB077");
+    expect(quoterFor(contracts, "pancakeswap-v3")).to.equal("0xB048Bbc1Ee6b733FFfCFb9e9CeF7375518e25997");
+    expect(quoterFor(loadDeployment("sepolia").contracts, "pancakeswap-v3")).to.equal(undefined);
+    expect(quoterFor(undefined, "uniswap-v3")).to.equal(undefined);
+
+    expect(parseBps("75", "--slippage")).to.equal(75);
+    expect(() => parseBps("0.5", "--slippage")).to.throw(/--slippage must be a whole number of basis points/);
+    expect(() => parseBps("10001", "--slippage")).to.throw(/from 0 to 10000/);
+  });
+});
@@ -0,0 +1,174 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const rebalancer = require("../scripts/lib/rebalancer");
+const { getChainCatalog } = require("../scripts/lib/catalog");
+const actions = require("../scripts/lib/strategyActions");
+const { deployQuotedCatalogFixture } = require("./fixtures");
+
+// The strategy holds 10,000 TUSDC, 2,000 TUSDT and 8,000 TDAI, all quoted 1:1 to TUSDC
+async function rebalanceFixture() {
+  const fixture = await deployQuotedCatalogFixture();
+  const { addresses, reportingManager, dai, uniswapFactory, quoter, contracts, path } = fixture;
+  const usdt = await fixture.addToken("TUSDT", 6);
+  await usdt.mint(addresses.strategy, ethers.parseUnits("2000", 6));
+  await dai.mint(addresses.strategy, ethers.parseUnits("8000", 6));
+
+  const pool = ethers.Wallet.createRandom().address;
+  await uniswapFactory.setPool(dai, addresses.underlyingToken, 500, pool);
+  await uniswapFactory.setPool(usdt, addresses.underlyingToken, 100, pool);
+  await quoter.setRate(path(["TDAI", "TUSDC"], [500]), 100);
+  await quoter.setRate(path(["TUSDT", "TUSDC"], [100]), 100);
+  await quoter.setRate(path(["TUSDC", "TUSDT"], [100]), 100);
+
+  const catalog = fixture.catalog({
+    pools: [
+      { dex: "uniswap-v3", tokens: ["TDAI", "TUSDC"], fee: 500 },
+      { dex: "uniswap-v3", tokens: ["TUSDT", "TUSDC"], fee: 100 },
+    ],
+  });
+  const targets = rebalancer.validateTargets(
+    { chainId: 1337, weights: { TUSDC: 4000, TUSDT: 4000, TDAI: 2000 }, driftBps: 1500 },
+    catalog
+  );
+
+  // Reads the holdings and plans and routes the trades
+  const plan = async (overrides = {}, strategy = fixture.strategy) => {
+    const options = { ...targets, ...overrides };
+    const holdings = await rebalancer.readHoldings(catalog, options, {
+      underlying: "TUSDC",
+      strategy: addresses.strategy,
+      runner: reportingManager,
+      contracts,
+    });
+    const planned = rebalancer.planRebalance(holdings, options, { underlying: catalog.tokens.TUSDC });
+    return rebalancer.routeTrades(planned, catalog, { runner: reportingManager, contracts, strategy });
+  };
+  return { ...fixture, strategy: fixture.strategy.connect(reportingManager), usdt, catalog, plan };
+}
+
+describe("Portfolio rebalancer", function () {
+  it("Should value holdings with the quoter and sell the overweight before buying the underweight", async function () {
+    const { strategy, underlyingToken, usdt, dai, addresses, path, plan } = await loadFixture(rebalanceFixture);
+
+    const planned = await plan();
+
+    expect(planned.totalValue).to.equal(ethers.parseUnits("20000", 6));
+    expect(planned.rows.map((row) => [row.symbol, row.weightBps, row.targetBps, row.driftBps])).to.deep.equal([
+      ["TUSDC", 5000, 4000, 1000],
+      ["TUSDT", 1000, 4000, -3000],
+      ["TDAI", 4000, 2000, 2000],
+    ]);
+    expect(planned.trades.map((trade) => [trade.side, trade.tokenIn, trade.tokenOut, trade.amountIn])).to.deep.equal([
+      ["sell", "TDAI", "TUSDC", ethers.parseUnits("4000", 6)],
+      ["buy", "TUSDC", "TUSDT", ethers.parseUnits("6000", 6)],
+    ]);
+    expect(planned.trades[0].route).to.include({ dex: "uniswap-v3", path: path(["TDAI", "TUSDC"], [500]) });
+    expect(planned.trades[1].expectedOut).to.equal(ethers.parseUnits("6000", 6));
+
+    const lines = [];
+    const executed = await rebalancer.executePlan(planned, { strategy, log: (line) => lines.push(line) });
+
+    expect(executed.map(({ quote }) => quote.amountOutMinimum)).to.deep.equal([3980000000n, 5970000000n]);
+    expect(lines[0]).to.equal(`Step 1/2 (sell TDAI): sent in ${executed[0].result.hash}`);
+    // The mock router pays 110%
+    expect(await underlyingToken.balanceOf(addresses.strategy)).to.equal(ethers.parseUnits("8400", 6));
+    expect(await usdt.balanceOf(addresses.strategy)).to.equal(ethers.parseUnits("8600", 6));
+    expect(await dai.balanceOf(addresses.strategy)).to.equal(ethers.parseUnits("4000", 6));
+  });
+
+  it("Should leave holdings inside the drift band and small trades alone, and block disallowed paths", async function () {
+    const { strategy, admin, path, plan } = await loadFixture(rebalanceFixture);
+
+    expect((await plan({ driftBps: 3500 })).trades).to.deep.equal([]);
+
+    await actions.setPathValidation(strategy.connect(admin), true);
+    await actions.allowPath(strategy.connect(admin), path(["TDAI", "TUSDC"], [500]));
+    const planned = await plan({ minTradeValue: "5000" }, strategy);
+
+    expect(planned.skipped.map((trade) => [trade.side, trade.symbol])).to.deep.equal([["sell", "TDAI"]]);
+    expect(planned.trades.map((trade) => [trade.side, trade.symbol, trade.blocked])).to.deep.equal([
+      ["buy", "TUSDT", "no allowed route with a quote"],
+    ]);
+    const lines = [];
+    expect(await rebalancer.executePlan(planned, { strategy, log: (line) => lines.push(line) })).to.deep.equal([]);
+    expect(lines).to.deep.equal(["Step 1/1 (buy TUSDT): skipped, no allowed route with a quote"]);
+  });
+
+  it("Should leave a holding quoted at zero unpriced and untraded", async function () {
+    const { quoter, path, plan } = await loadFixture(rebalanceFixture);
+    // A pool with dust liquidity quotes a whole TDAI at nothing
+    await quoter.setDepth(path(["TDAI", "TUSDC"], [500]), 1);
+
+    const planned = await plan();
+
+    expect(planned.totalValue).to.equal(ethers.parseUnits("12000", 6));
+    expect(planned.rows.find((row) => row.symbol === "TDAI")).to.include({ price: null, value: 0n });
+    expect(planned.skipped).to.deep.equal([
+      { symbol: "TDAI", tokenIn: "TDAI", amountIn: ethers.parseUnits("8000", 6), value: 0n, reason: "quoted at zero" },
+    ]);
+    expect(planned.trades.map((trade) => [trade.side, trade.symbol, trade.amountIn])).to.deep.equal([
+      ["buy", "TUSDT", ethers.parseUnits("2800", 6)],
+    ]);
+  });
+
+  it("Should skip a holding whose quote reverts and plan the rest", async function () {
+    const { quoter, path, plan } = await loadFixture(rebalanceFixture);
+    await quoter.setRate(path(["TDAI", "TUSDC"], [500]), ethers.MaxUint256);
+
+    const planned = await plan();
+
+    expect(planned.totalValue).to.equal(ethers.parseUnits("12000", 6));
+    expect(planned.skipped).to.have.lengthOf(1);
+    expect(planned.skipped[0]).to.include({ symbol: "TDAI", amountIn: ethers.parseUnits("8000", 6), value: 0n });
+    expect(planned.skipped[0].reason).to.match(/^Cannot value TDAI in TUSDC: /);
+    expect(planned.trades.map((trade) => [trade.side, trade.symbol, trade.amountIn])).to.deep.equal([
+      ["buy", "TUSDT", ethers.parseUnits("2800", 6)],
+    ]);
+  });
+
+  it("Should cut buys down to the underlying at hand", function () {
+    const holding = (symbol, value) => ({ symbol, decimals: 0, balance: value, price: 1n, value });
+    const targets = { weights: { U: 2000, A: 4500, B: 4500 }, driftBps: 250, minTradeValue: "700" };
+
+    const planned = rebalancer.planRebalance([holding("U", 500n), holding("A", 1500n), holding("B", 0n)], targets, {
+      underlying: { symbol: "U", decimals: 0 },
+    });
+
+    expect(planned.skipped.map((trade) => [trade.side, trade.symbol, trade.value])).to.deep.equal([
+      ["sell", "A", 600n],
+    ]);
+    expect(planned.trades.map((trade) => [trade.side, trade.symbol, trade.amountIn, trade.value])).to.deep.equal([
+      ["buy", "B", 500n, 900n],
+    ]);
+  });
+
+  it("Should reject targets that do not add up or name unknown tokens", function () {
+    const catalog = { chainId: 1, tokens: { USDC: {}, WETH: {} } };
+
+    expect(() =>
+      rebalancer.validateTargets(
+        { chainId: 56, weights: { USDC: 5000, WETH: 2500.5, WBTC: 2500 }, driftBps: -1, minTradeValue: 100 },
+        catalog,
+        "targets/ethereum.json"
+      )
+    ).to.throw(
+      [
+        "Invalid targets targets/ethereum.json:",
+        "  - chainId is 56, but the catalog is for chain 1",
+        "  - weights.WETH must be a whole number of basis points",
+        "  - weights names unknown token WBTC",
+        "  - weights add up to 7500 basis points, not 10000",
+        "  - driftBps must be a whole number of basis points from 0 to 10000",
+        "  - minTradeValue must be a decimal string, got 100",
+      ].join("\n")
+    );
+    expect(rebalancer.validateTargets({ chainId: 1, weights: { USDC: 10000 } }, catalog)).to.deep.equal({
+      chainId: 1,
+      weights: { USDC: 10000 },
+      driftBps: rebalancer.DEFAULT_DRIFT_BPS,
+      minTradeValue: "0",
+    });
+    expect(rebalancer.loadTargets("example", getChainCatalog(1)).weights.USDC).to.equal(6000);
+  });
+});
@@ -0,0 +1,202 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  createState,
+  openState,
+  saveState,
+  watchSource,
+  backoffDelay,
+  relayPass,
+  registeredEmitter,
+  runRelayer,
+} = require("../scripts/lib/relayer");
+const { memoryVaaSource } = require("../scripts/lib/vaaSources");
+const { buildVaa, devGuardianKeys } = require("../scripts/lib/vaaBuilder");
+const { encodeTransferWithPayload } = require("../scripts/lib/tokenBridgePayload");
+const {
+  LOCAL_WORMHOLE_CHAIN_ID,
+  SOLANA_TOKEN_BRIDGE_EMITTER,
+  deployBridgeSwapStrategyWithBalancesFixture,
+} = require("./fixtures");
+
+const SOLANA_SENDER = "2Bqh5uNnKHXQBNLfkK8Je8xvZ6SUis5RH4Ngif4hT3FL";
+
+// loadFixture hands every test the same objects, so each test starts its own relayer state
+async function relayerFixture() {
+  const fixture = await deployBridgeSwapStrategyWithBalancesFixture();
+  const { strategy, reportingManager, guardianKeys, addresses } = fixture;
+
+  // A Solana token bridge transfer; overrides pick the sequence, recipient and signers
+  const solanaVaa = (sequence, { amount = 100n, to = addresses.strategy, toChain, keys = guardianKeys } = {}) =>
+    buildVaa({
+      emitterChain: 1,
+      emitterAddress: SOLANA_TOKEN_BRIDGE_EMITTER,
+      sequence,
+      payload: encodeTransferWithPayload({
+        amount: ethers.parseUnits(amount.toString(), 6),
+        tokenAddress: addresses.underlyingToken,
+        tokenChain: LOCAL_WORMHOLE_CHAIN_ID,
+        to,
+        toChain: toChain === undefined ? LOCAL_WORMHOLE_CHAIN_ID : toChain,
+        fromAddress: SOLANA_SENDER,
+      }),
+      guardianKeys: keys,
+    });
+
+  const newRelayer = (fromSequence = 1n) => {
+    const state = createState({ network: "hardhat", chainId: 1337, strategy: addresses.strategy });
+    watchSource(state, 1, { emitter: SOLANA_TOKEN_BRIDGE_EMITTER, fromSequence });
+    const vaaSource = memoryVaaSource();
+    const options = {
+      strategy: strategy.connect(reportingManager),
+      vaaSource,
+      wormholeChainId: LOCAL_WORMHOLE_CHAIN_ID,
+    };
+    return { state, vaaSource, options };
+  };
+  return { ...fixture, solanaVaa, newRelayer };
+}
+
+describe("Bridge-in relayer", function () {
+  describe("Passes", function () {
+    it("Should redeem transfers to the strategy and step over the rest", async function () {
+      const { strategy, underlyingToken, user1, addresses, solanaVaa, newRelayer } = await loadFixture(relayerFixture);
+      const { state, vaaSource, options } = newRelayer();
+      vaaSource
+        .add(solanaVaa(1n, { amount: 100n }).bytes)
+        .add(solanaVaa(2n, { to: user1.address }).bytes)
+        .add(solanaVaa(3n, { toChain: 4 }).bytes);
+      const before = await underlyingToken.balanceOf(addresses.strategy);
+
+      const result = await relayPass(state, options);
+
+      expect(result.scanned).to.equal(3);
+      expect(result.relayed.map((r) => [r.sequence, r.status])).to.deep.equal([["1", "redeemed"]]);
+      expect(state.sources["1"].nextSequence).to.equal("4");
+      expect((await underlyingToken.balanceOf(addresses.strategy)) - before).to.equal(ethers.parseUnits("100", 6));
+      const receipt = await ethers.provider.getTransactionReceipt(result.relayed[0].transactionHash);
+      expect(receipt.logs.map((log) => strategy.interface.parseLog(log)).filter(Boolean)[0].name).to.equal("BridgedIn");
+
+      vaaSource.add(solanaVaa(4n, { amount: 7n }).bytes);
+      const next = await relayPass(state, options);
+      expect(next.relayed.map((r) => [r.sequence, r.amount])).to.deep.equal([["4", ethers.parseUnits("7", 6).toString()]]);
+      expect(state.transfers).to.have.length(2);
+    });
+
+    it("Should record transfers someone else already redeemed without sending a transaction", async function () {
+      const { strategy, reportingManager, solanaVaa, newRelayer } = await loadFixture(relayerFixture);
+      const { state, vaaSource, options } = newRelayer();
+      const vaa = solanaVaa(1n);
+      await strategy.connect(reportingManager).bridgeInFromSolana(vaa.hex);
+      vaaSource.add(vaa.bytes);
+      const nonce = await ethers.provider.getTransactionCount(reportingManager.address);
+
+      const { relayed } = await relayPass(state, options);
+
+      expect(relayed[0]).to.include({ status: "already-completed", digest: vaa.vaa.digest });
+      expect(await ethers.provider.getTransactionCount(reportingManager.address)).to.equal(nonce);
+    });
+
+    it("Should reject VAAs the core bridge does not verify and move on", async function () {
+      const { underlyingToken, addresses, solanaVaa, newRelayer } = await loadFixture(relayerFixture);
+      const { state, vaaSource, options } = newRelayer();
+      const forgedKeys = devGuardianKeys(3).map((key) => ethers.keccak256(key));
+      vaaSource.add(solanaVaa(1n, { keys: forgedKeys }).bytes);
+      const before = await underlyingToken.balanceOf(addresses.strategy);
+
+      const { relayed } = await relayPass(state, options);
+
+      expect(relayed[0]).to.include({ status: "rejected", reason: "VM signature invalid" });
+      expect(state.sources["1"].nextSequence).to.equal("2");
+      expect(await underlyingToken.balanceOf(addresses.strategy)).to.equal(before);
+    });
+
+    it("Should refuse a VAA source that answers with another sequence", async function () {
+      const { solanaVaa, newRelayer } = await loadFixture(relayerFixture);
+      const { state, options } = newRelayer();
+      const wrong = solanaVaa(5n).bytes;
+
+      let error;
+      try {
+        await relayPass(state, { ...options, vaaSource: { getVaa: async () => wrong } });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(/VAA source returned 1\/0x[0-9a-f]{64}\/5 for 1\/0x[0-9a-f]{64}\/1/);
+      expect(state.sources["1"].nextSequence).to.equal("1");
+    });
+  });
+
+  describe("State", function () {
+    it("Should resume from the saved cursor", async function () {
+      const { addresses, solanaVaa, newRelayer } = await loadFixture(relayerFixture);
+      const { state, vaaSource, options } = newRelayer();
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "relayer-")), "relayer-hardhat.json");
+      vaaSource.add(solanaVaa(1n).bytes);
+      await relayPass(state, { ...options, onProgress: (updated) => saveState(updated, file) });
+
+      const reopened = openState(file, { chainId: 1337, strategy: addresses.strategy });
+      expect(reopened).to.deep.equal(state);
+      expect(watchSource(reopened, 1, { emitter: SOLANA_TOKEN_BRIDGE_EMITTER }).nextSequence).to.equal("2");
+      expect((await relayPass(reopened, options)).scanned).to.equal(0);
+
+      expect(() => openState(file, { chainId: 1337, strategy: ethers.ZeroAddress })).to.throw(/Pass --store/);
+      expect(() => watchSource(reopened, 4, { emitter: SOLANA_TOKEN_BRIDGE_EMITTER })).to.throw(
+        /No cursor for Bsc yet/
+      );
+    });
+
+    it("Should read source emitters from the local token bridge", async function () {
+      const { strategy } = await loadFixture(relayerFixture);
+
+      expect(await registeredEmitter(strategy, 1)).to.equal(SOLANA_TOKEN_BRIDGE_EMITTER);
+      let error;
+      try {
+        await registeredEmitter(strategy, 4);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(/No token bridge registered for Bsc/);
+    });
+  });
+
+  describe("Daemon", function () {
+    it("Should back off exponentially up to the cap", function () {
+      expect([1, 2, 3, 6, 7, 20].map((n) => backoffDelay(n))).to.deep.equal([5, 10, 20, 160, 300, 300]);
+      expect(backoffDelay(3, { initial: 1, max: 3 })).to.equal(3);
+    });
+
+    it("Should keep polling, backing off after failed passes", async function () {
+      const { solanaVaa, newRelayer } = await loadFixture(relayerFixture);
+      const { state, vaaSource, options } = newRelayer();
+      vaaSource.add(solanaVaa(1n).bytes);
+      let calls = 0;
+      const flaky = {
+        getVaa: async (...args) => {
+          calls += 1;
+          if (calls <= 2) throw new Error("API unavailable");
+          return vaaSource.getVaa(...args);
+        },
+      };
+      const sleeps = [];
+      const lines = [];
+
+      await runRelayer(state, {
+        ...options,
+        vaaSource: flaky,
+        interval: 12,
+        sleep: async (seconds) => sleeps.push(seconds),
+        shouldStop: (passes) => passes === 4,
+        log: (line) => lines.push(line),
+      });
+
+      expect(sleeps).to.deep.equal([5, 10, 12]);
+      expect(lines[0]).to.equal("Pass failed (API unavailable); retrying in 5s");
+      expect(state.transfers.map((t) => t.status)).to.deep.equal(["redeemed"]);
+    });
+  });
+});
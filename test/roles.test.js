@@ -0,0 +1,90 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { scanRoleEvents, readRoleHolders, findDeployer, auditRoles } = require("../scripts/lib/roles");
+const actions = require("../scripts/lib/strategyActions");
+const { deployBridgeSwapStrategyFixture } = require("./fixtures");
+
+describe("Role administration", function () {
+  it("Should replay grants and revokes across log chunks", async function () {
+    const { strategy, deployer, admin, user1, ADMIN_ROLE, REPORTING_MANAGER_ROLE } = await loadFixture(
+      deployBridgeSwapStrategyFixture
+    );
+    await strategy.connect(deployer).grantRole(REPORTING_MANAGER_ROLE, user1.address);
+    await strategy.connect(deployer).revokeRole(REPORTING_MANAGER_ROLE, user1.address);
+
+    const members = await scanRoleEvents(strategy.connect(deployer), { chunkSize: 1 });
+
+    expect([...members.get(ADMIN_ROLE).keys()]).to.deep.equal([deployer.address, admin.address]);
+    expect(members.get(ADMIN_ROLE).get(admin.address).grantedBy).to.equal(deployer.address);
+    expect(members.get(REPORTING_MANAGER_ROLE).has(user1.address)).to.equal(false);
+  });
+
+  it("Should flag an EOA holding every role and a deployer that kept admin after handoff", async function () {
+    const { strategy, deployer, admin, reportingManager } = await loadFixture(deployBridgeSwapStrategyFixture);
+
+    const holders = await readRoleHolders(strategy.connect(deployer));
+    const deployerAddress = findDeployer(holders);
+
+    expect(deployerAddress).to.equal(deployer.address);
+    expect(holders.map((r) => [r.role, r.adminRole, r.holders.map((h) => h.account)])).to.deep.equal([
+      ["DEFAULT_ADMIN_ROLE", "DEFAULT_ADMIN_ROLE", [deployer.address]],
+      ["ADMIN", "DEFAULT_ADMIN_ROLE", [deployer.address, admin.address]],
+      ["REPORTING_MANAGER", "DEFAULT_ADMIN_ROLE", [deployer.address, reportingManager.address]],
+    ]);
+    expect(auditRoles(holders, { deployer: deployerAddress })).to.deep.equal([
+      {
+        level: "high",
+        message: `${deployer.address} is an EOA holding every role; one leaked key controls the strategy and its funds`,
+      },
+      { level: "warning", message: "DEFAULT_ADMIN_ROLE is held only by EOAs; hand it to a multisig" },
+      {
+        level: "warning",
+        message:
+          `Deployer ${deployer.address} still holds ADMIN after handing it off; ` +
+          "renounce it with `bss roles renounce --role ADMIN` from the deployer",
+      },
+    ]);
+  });
+
+  it("Should pass a handoff to a multisig once the deployer renounces", async function () {
+    const { strategy, deployer, DEFAULT_ADMIN_ROLE, addresses } = await loadFixture(deployBridgeSwapStrategyFixture);
+    // Any contract stands in for the multisig
+    const multisig = addresses.wormhole;
+    await actions.grantRole(strategy.connect(deployer), "DEFAULT_ADMIN_ROLE", multisig);
+    for (const role of ["REPORTING_MANAGER", "ADMIN", "DEFAULT_ADMIN_ROLE"]) {
+      await actions.renounceRole(strategy.connect(deployer), role);
+    }
+
+    const holders = await readRoleHolders(strategy);
+
+    expect(holders[0].holders.map((h) => [h.account, h.contract])).to.deep.equal([[multisig, true]]);
+    expect(await strategy.hasRole(DEFAULT_ADMIN_ROLE, deployer.address)).to.equal(false);
+    expect(auditRoles(holders, { deployer: deployer.address })).to.deep.equal([]);
+  });
+
+  it("Should check the signer holds the role's admin role before granting or revoking", async function () {
+    const { strategy, admin, deployer, user1, reportingManager } = await loadFixture(deployBridgeSwapStrategyFixture);
+
+    let error;
+    try {
+      await actions.grantRole(strategy.connect(admin), "REPORTING_MANAGER", user1.address);
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal(
+      `${admin.address} cannot grant or revoke REPORTING_MANAGER: it needs DEFAULT_ADMIN_ROLE, the role's admin role`
+    );
+
+    expect(await actions.grantRole(strategy.connect(deployer), "ADMIN", admin.address)).to.deep.equal({
+      alreadyGranted: true,
+    });
+    expect(await actions.revokeRole(strategy.connect(deployer), "ADMIN", user1.address)).to.deep.equal({
+      notHeld: true,
+    });
+
+    const result = await actions.renounceRole(strategy.connect(reportingManager), "REPORTING_MANAGER");
+    expect(result.event.account).to.equal(reportingManager.address);
+    expect(await strategy.hasRole(ethers.id("REPORTING_MANAGER"), reportingManager.address)).to.equal(false);
+  });
+});
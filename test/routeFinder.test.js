@@ -0,0 +1,116 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { candidateTokenPaths, findBestRoutes, describeRoute } = require("../scripts/lib/routeFinder");
+const actions = require("../scripts/lib/strategyActions");
+const { deployQuotedCatalogFixture } = require("./fixtures");
+
+// Pools on both DEXes between the strategy's tokens and the TDAI base token
+async function routeFixture() {
+  const fixture = await deployQuotedCatalogFixture();
+  const { uniswapFactory, pancakeFactory, tokens } = fixture;
+
+  // Any non-zero address stands in for a pool
+  const pool = ethers.Wallet.createRandom().address;
+  const pools = [
+    [uniswapFactory, "TUSDC", "TWETH", 500],
+    [uniswapFactory, "TUSDC", "TWETH", 3000],
+    [uniswapFactory, "TUSDC", "TDAI", 100],
+    [uniswapFactory, "TDAI", "TWETH", 500],
+    [pancakeFactory, "TUSDC", "TWETH", 2500],
+    [pancakeFactory, "TUSDC", "TDAI", 100],
+    [pancakeFactory, "TDAI", "TWETH", 100],
+  ];
+  for (const [factory, a, b, fee] of pools) await factory.setPool(tokens[a], tokens[b], fee, pool);
+
+  return { ...fixture, catalog: fixture.catalog({ baseTokens: ["TDAI"] }) };
+}
+
+describe("Route finder", function () {
+  it("Should enumerate direct paths, then paths through distinct base tokens", function () {
+    const paths = candidateTokenPaths({ baseTokens: ["A", "B", "C", "Z"] }, "A", "Z", 3);
+
+    expect(paths[0]).to.deep.equal(["A", "Z"]);
+    expect(paths.slice(1, 3)).to.deep.equal([
+      ["A", "B", "Z"],
+      ["A", "C", "Z"],
+    ]);
+    expect(paths.slice(3)).to.deep.equal([
+      ["A", "B", "C", "Z"],
+      ["A", "C", "B", "Z"],
+    ]);
+    expect(candidateTokenPaths({ baseTokens: ["B"] }, "A", "Z", 1)).to.deep.equal([["A", "Z"]]);
+  });
+
+  it("Should quote every existing pool combination and pick the best route per DEX", async function () {
+    const { catalog, contracts, quoter, path, deployer } = await loadFixture(routeFixture);
+    await quoter.setRate(path(["TUSDC", "TWETH"], [500]), 108);
+    await quoter.setRate(path(["TUSDC", "TWETH"], [3000]), 105);
+    await quoter.setRate(path(["TUSDC", "TDAI", "TWETH"], [100, 500]), 115);
+    await quoter.setRate(path(["TUSDC", "TWETH"], [2500]), 107);
+    await quoter.setRate(path(["TUSDC", "TDAI", "TWETH"], [100, 100]), ethers.MaxUint256);
+
+    const { validationEnabled, best, routes, unavailable } = await findBestRoutes(catalog, {
+      tokenIn: "TUSDC",
+      tokenOut: "TWETH",
+      amountIn: 1000000n,
+      runner: deployer,
+      contracts,
+    });
+
+    expect(validationEnabled).to.equal(null);
+    expect(unavailable).to.deep.equal({});
+    expect(describeRoute(best["uniswap-v3"])).to.equal("TUSDC -(100)-> TDAI -(500)-> TWETH");
+    expect(best["uniswap-v3"]).to.include({ amountOut: 1150000n, path: path(["TUSDC", "TDAI", "TWETH"], [100, 500]) });
+    expect(describeRoute(best["pancakeswap-v3"])).to.equal("TUSDC -(2500)-> TWETH");
+    expect(routes.map((route) => [route.dex, describeRoute(route), route.amountOut])).to.deep.equal([
+      ["uniswap-v3", "TUSDC -(100)-> TDAI -(500)-> TWETH", 1150000n],
+      ["uniswap-v3", "TUSDC -(500)-> TWETH", 1080000n],
+      ["pancakeswap-v3", "TUSDC -(2500)-> TWETH", 1070000n],
+      ["uniswap-v3", "TUSDC -(3000)-> TWETH", 1050000n],
+      ["pancakeswap-v3", "TUSDC -(100)-> TDAI -(100)-> TWETH", null],
+    ]);
+    expect(routes[4].error).to.include(quoter.interface.getError("NoLiquidity").selector);
+  });
+
+  it("Should only pick paths the strategy's allow-list accepts", async function () {
+    const { strategy, admin, catalog, contracts, quoter, path } = await loadFixture(routeFixture);
+    await quoter.setRate(path(["TUSDC", "TDAI", "TWETH"], [100, 500]), 115);
+    await actions.setPathValidation(strategy.connect(admin), true);
+    await actions.allowPath(strategy.connect(admin), path(["TUSDC", "TWETH"], [3000]));
+
+    const { validationEnabled, best, routes } = await findBestRoutes(catalog, {
+      tokenIn: "TUSDC",
+      tokenOut: "TWETH",
+      amountIn: 1000000n,
+      runner: admin,
+      contracts,
+      strategy,
+      maxHops: { "uniswap-v3": 2, "pancakeswap-v3": 1 },
+    });
+
+    expect(validationEnabled).to.equal(true);
+    expect(describeRoute(best["uniswap-v3"])).to.equal("TUSDC -(3000)-> TWETH");
+    expect(best["pancakeswap-v3"]).to.equal(null);
+    expect(routes.filter((route) => route.allowed).length).to.equal(1);
+    expect(routes.filter((route) => route.dex === "pancakeswap-v3").map(describeRoute)).to.deep.equal([
+      "TUSDC -(2500)-> TWETH",
+    ]);
+  });
+
+  it("Should skip a DEX without a factory or quoter", async function () {
+    const { catalog, contracts, deployer } = await loadFixture(routeFixture);
+
+    const { best, unavailable } = await findBestRoutes(catalog, {
+      tokenIn: "TUSDC",
+      tokenOut: "TWETH",
+      amountIn: 1000000n,
+      runner: deployer,
+      contracts: { factory: contracts.factory, pancakeFactory: contracts.pancakeFactory, quoter: contracts.quoter },
+    });
+
+    expect(unavailable).to.deep.equal({ "pancakeswap-v3": "no quoter configured" });
+    expect(best["pancakeswap-v3"]).to.equal(null);
+    expect(best["uniswap-v3"]).to.not.equal(null);
+  });
+});
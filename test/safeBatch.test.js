@@ -0,0 +1,137 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  batchChecksum,
+  buildSafeBatch,
+  proposalCall,
+  ProposalSigner,
+  verifySafeBatch,
+  formatVerification,
+} = require("../scripts/lib/safeBatch");
+const actions = require("../scripts/lib/strategyActions");
+const { encodePath } = require("../scripts/lib/v3Path");
+const { deployBridgeSwapStrategyFixture } = require("./fixtures");
+
+// A Safe that holds ADMIN; any address will do since nothing is signed
+async function safeFixture() {
+  const fixture = await deployBridgeSwapStrategyFixture();
+  const safe = ethers.Wallet.createRandom().address;
+  await fixture.strategy.connect(fixture.deployer).grantRole(fixture.ADMIN_ROLE, safe);
+  const signer = new ProposalSigner(new ethers.VoidSigner(safe, ethers.provider), {
+    interfaces: [fixture.strategy.interface],
+  });
+  return { ...fixture, safe, signer, proposer: fixture.strategy.connect(signer) };
+}
+
+describe("Safe batches", function () {
+  it("Should queue admin calls from the Safe into a Transaction Builder batch without sending them", async function () {
+    const { strategy, safe, signer, proposer, addresses } = await loadFixture(safeFixture);
+    const path = encodePath([addresses.underlyingToken, addresses.altToken], [3000]);
+    const blockNumber = await ethers.provider.getBlockNumber();
+
+    const first = await actions.setRouter(proposer, "pancakeswap-v3", addresses.swapRouter);
+    await actions.allowPath(proposer, path);
+    const batch = await signer.batch({ name: "Router and path", createdAt: 1700000000000 });
+
+    expect(first.proposal).to.include({ index: 0, to: addresses.strategy });
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+    expect(await strategy.pancakeSmartRouter()).to.equal(addresses.pancakeRouter);
+    expect(batch).to.deep.include({ version: "1.0", chainId: "1337", createdAt: 1700000000000 });
+    expect(batch.meta).to.include({ name: "Router and path", createdFromSafeAddress: safe });
+    expect(batch.meta.checksum).to.equal(batchChecksum(batch));
+    expect(batch.transactions[0]).to.deep.equal({
+      to: addresses.strategy,
+      value: "0",
+      data: strategy.interface.encodeFunctionData("setPancakeRouter", [addresses.swapRouter]),
+      contractMethod: {
+        inputs: [{ internalType: "address", name: "_newRouter", type: "address" }],
+        name: "setPancakeRouter",
+        payable: false,
+      },
+      contractInputsValues: { _newRouter: addresses.swapRouter },
+    });
+    expect(batch.transactions[1].contractInputsValues).to.deep.equal({ path });
+  });
+
+  it("Should refuse to queue what the Safe is not allowed to do", async function () {
+    const { strategy, reportingManager, addresses } = await loadFixture(safeFixture);
+    const signer = new ProposalSigner(new ethers.VoidSigner(reportingManager.address, ethers.provider));
+
+    let error;
+    try {
+      await actions.setRouter(strategy.connect(signer), "uniswap-v3", addresses.pancakeRouter);
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.match(/does not have the ADMIN role/);
+    expect(signer.transactions).to.have.length(0);
+  });
+
+  it("Should decode a batch into named calls for signers to check", async function () {
+    const { strategy, safe, addresses, ADMIN_ROLE, user1 } = await loadFixture(safeFixture);
+    const batch = buildSafeBatch({
+      chainId: 1337,
+      safe,
+      transactions: [
+        await proposalCall(strategy, "grantRole", [ADMIN_ROLE, user1.address]),
+        await proposalCall(strategy, "emergencyWithdraw", [addresses.underlyingToken, user1.address]),
+      ],
+    });
+
+    const verified = verifySafeBatch(batch, {
+      interfaces: [strategy.interface],
+      chainId: 1337n,
+      labels: { [addresses.strategy]: "BridgeSwapStrategy", [addresses.underlyingToken]: "TUSDC" },
+    });
+
+    expect(verified.problems).to.deep.equal([]);
+    expect(formatVerification(verified)).to.equal(
+      [
+        `Batch "Transactions Batch" for Safe ${safe} on chain 1337, 2 transaction(s)`,
+        "Checksum: valid",
+        `#1 BridgeSwapStrategy (${addresses.strategy})`,
+        "  grantRole(",
+        `    role: ${ADMIN_ROLE} (ADMIN)`,
+        `    account: ${user1.address}`,
+        "  )",
+        `#2 BridgeSwapStrategy (${addresses.strategy})`,
+        "  emergencyWithdraw(",
+        `    token: ${addresses.underlyingToken} (TUSDC)`,
+        `    to: ${user1.address}`,
+        "  )",
+        "No problems found.",
+      ].join("\n")
+    );
+  });
+
+  it("Should flag edited files, other chains, unknown targets and arguments that differ from the calldata", async function () {
+    const { strategy, safe, addresses, user1 } = await loadFixture(safeFixture);
+    const batch = buildSafeBatch({
+      chainId: 1337,
+      safe,
+      transactions: [
+        await proposalCall(strategy, "setUniswapRouter", [addresses.swapRouter]),
+        { to: user1.address, value: "0", data: "0xdeadbeef" },
+      ],
+    });
+    // The app would show the honest router while the calldata sets another one
+    batch.transactions[0].data = strategy.interface.encodeFunctionData("setUniswapRouter", [user1.address]);
+
+    const verified = verifySafeBatch(batch, {
+      interfaces: [strategy.interface],
+      chainId: 56,
+      labels: { [addresses.strategy]: "BridgeSwapStrategy" },
+    });
+
+    expect(verified.checksum).to.equal("mismatch");
+    expect(verified.calls[0].args[0].value).to.equal(user1.address);
+    expect(verified.problems).to.deep.equal([
+      "The checksum does not match: the file was edited after it was created",
+      "The batch is for chain 1337, not 56",
+      "#1: The displayed setUniswapRouter(address) call does not encode to the calldata sent",
+      `#2: ${user1.address} is not a known contract`,
+      "#2: Unknown function selector 0xdeadbeef",
+    ]);
+  });
+});
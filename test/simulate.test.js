@@ -0,0 +1,152 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  Simulation,
+  SimulationSigner,
+  balanceDeltas,
+  simulateCall,
+  formatSimulation,
+} = require("../scripts/lib/simulate");
+const actions = require("../scripts/lib/strategyActions");
+const { deployBridgeSwapStrategyWithBalancesFixture } = require("./fixtures");
+
+const TRANSFER_TOPIC = ethers.id("Transfer(address,address,uint256)");
+
+function transferLog(token, from, to, value) {
+  return {
+    address: token,
+    topics: [TRANSFER_TOPIC, ethers.zeroPadValue(from, 32), ethers.zeroPadValue(to, 32)],
+    data: ethers.toBeHex(value, 32),
+  };
+}
+
+describe("Simulation", function () {
+  it("Should run a deposit and its approval in a snapshot and undo both", async function () {
+    const { strategy, underlyingToken, reportingManager, addresses } = await loadFixture(
+      deployBridgeSwapStrategyWithBalancesFixture
+    );
+    const amount = ethers.parseUnits("5", 6);
+    await underlyingToken.mint(reportingManager.address, amount);
+    const simulation = await Simulation.create(ethers.provider, {
+      interfaces: [strategy.interface],
+      watch: addresses.strategy,
+    });
+    const reports = [];
+    const signer = new SimulationSigner(reportingManager, simulation, { onReport: async (r) => reports.push(r) });
+    const before = await underlyingToken.balanceOf(addresses.strategy);
+    const nonce = await reportingManager.getNonce();
+
+    const result = await actions.deposit(strategy.connect(signer), addresses.underlyingToken, amount);
+    await simulation.finish();
+
+    expect(simulation.backend).to.equal("hardhat");
+    expect(reports.map((r) => r.function)).to.deep.equal(["approve(address,uint256)", "deposit(address,uint256)"]);
+    expect(reports[0].returnValue).to.deep.equal([true]);
+    expect(result).to.include({ hash: null, blockNumber: null });
+    expect(result.event).to.include({ manager: reportingManager.address, amount });
+    expect(result.simulation.events.map((e) => e.name)).to.deep.equal(["Transfer", "Deposited"]);
+    expect(result.simulation.balanceDeltas).to.deep.equal({ [addresses.underlyingToken]: amount });
+    expect(result.simulation.gasEstimate).to.be.greaterThan(0n);
+
+    expect(await underlyingToken.balanceOf(addresses.strategy)).to.equal(before);
+    expect(await underlyingToken.allowance(reportingManager.address, addresses.strategy)).to.equal(0n);
+    expect(await reportingManager.getNonce()).to.equal(nonce);
+  });
+
+  it("Should report a reverting call with its decoded error and not send it", async function () {
+    const { strategy, admin, addresses, balances } = await loadFixture(deployBridgeSwapStrategyWithBalancesFixture);
+    const blockNumber = await ethers.provider.getBlockNumber();
+
+    const report = await simulateCall(strategy.connect(admin), "withdraw", [
+      addresses.underlyingToken,
+      balances.underlying + 1n,
+      admin.address,
+    ]);
+
+    expect(report.revert).to.equal(
+      `InsufficientBalance(requested: ${balances.underlying + 1n}, available: ${balances.underlying})`
+    );
+    expect(report.revertHint).to.match(/^The contract's balance is short/);
+    expect(report).to.not.have.property("events");
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+
+    const simulation = await Simulation.create(ethers.provider, { interfaces: [strategy.interface] });
+    const signer = new SimulationSigner(admin, simulation);
+    let error;
+    try {
+      await actions.withdraw(strategy.connect(signer), addresses.underlyingToken, balances.underlying + 1n, admin.address);
+    } catch (e) {
+      error = e;
+    }
+    await simulation.finish();
+    expect(error.message).to.match(/^Simulated withdraw\(address,uint256,address\) reverted: InsufficientBalance\(/);
+  });
+
+  it("Should simulate with eth_call alone on nodes that are not Hardhat", async function () {
+    const { strategy, reportingManager, addresses } = await loadFixture(deployBridgeSwapStrategyWithBalancesFixture);
+    const blockNumber = await ethers.provider.getBlockNumber();
+
+    const report = await simulateCall(
+      strategy.connect(reportingManager),
+      "swapExactInputSingle",
+      [addresses.underlyingToken, addresses.altToken, 3000, 1000000n, 0n, 0],
+      { backend: "eth_call", watch: addresses.strategy }
+    );
+
+    expect(report.backend).to.equal("eth_call");
+    expect(report.returnValue).to.deep.equal([1100000n]);
+    expect(report.gasEstimate).to.be.greaterThan(0n);
+    // Hardhat's debug_traceCall has no callTracer, so events are unavailable here
+    expect(report.events).to.equal(null);
+    expect(report.note).to.match(/^events unavailable: the node does not support debug_traceCall/);
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+  });
+
+  it("Should net token transfers in and out of the watched address", function () {
+    const [token, other] = [ethers.Wallet.createRandom().address, ethers.Wallet.createRandom().address];
+    const [watched, pool] = [ethers.Wallet.createRandom().address, ethers.Wallet.createRandom().address];
+
+    const deltas = balanceDeltas(
+      [
+        transferLog(token, watched, pool, 100n),
+        transferLog(token, pool, watched, 30n),
+        transferLog(other, pool, watched, 7n),
+        transferLog(other, pool, ethers.ZeroAddress, 1n),
+      ],
+      watched.toLowerCase()
+    );
+
+    expect(deltas).to.deep.equal({ [token]: -70n, [other]: 7n });
+  });
+
+  it("Should format a report with token symbols", function () {
+    const token = ethers.Wallet.createRandom().address;
+    const report = {
+      backend: "hardhat",
+      function: "swap(uint256)",
+      to: ethers.ZeroAddress,
+      from: token,
+      value: 0n,
+      returnValue: [5n],
+      gasEstimate: 100n,
+      gasUsed: 90n,
+      events: [{ address: token, name: "Transfer", args: { from: token, to: ethers.ZeroAddress, value: 5n } }],
+      balanceDeltas: { [token]: -5000000n },
+    };
+
+    expect(
+      formatSimulation(report, { tokens: { [token]: { symbol: "TUSDC", decimals: 6 } }, watchLabel: "Strategy" })
+    ).to.equal(
+      [
+        `Simulated swap(uint256) on ${ethers.ZeroAddress} from ${token} [hardhat]`,
+        "  Returns: 5",
+        "  Gas estimate: 100 (used 90)",
+        "  Events (1):",
+        `    Transfer(from: ${token}, to: ${ethers.ZeroAddress}, value: 5) at TUSDC`,
+        "  Strategy balance changes:",
+        "    -5.0 TUSDC",
+      ].join("\n")
+    );
+  });
+});
@@ -0,0 +1,153 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { parseVaa } = require("../scripts/lib/vaa");
+const {
+  TokenBridgePayloadError,
+  decodeTokenBridgePayload,
+  decodeTransfer,
+  decodeAttestMeta,
+  decodeTransferWithPayload,
+  denormalizeAmount,
+} = require("../scripts/lib/tokenBridgePayload");
+
+// Transfer-with-payload from Solana to the Ethereum strategy (bridgeInFromSolana.js)
+const SOLANA_TO_ETHEREUM_VAA =
+  "AQAAAAQNAB5efP5RnMt3vd0q7ZLqHLU+/tPuKlSesUB0BT61NniMB9ZdZQBLcA6rCo1eDxK19uiGFYmirsZ9YWetINngFUEAAlyhQFxBpD5AMNKaD/lsK69X6r3zwZUOTaEfT97YW0e8A6KCpMOKdduRVgqbXKhyPmZGzVx5/VRISLb7SGBG7eQAA5pAJNb3wRU9liT31VirryaSIrugpJ4EtH7UYSc5/+5ob+8VqhqvNGM419SWrqWCS5VOK3nHJCqPal0wUpgakVMABJpcq+y2pj2scYtTMnzizW+Hv1l78S7Mt2zcktjxsyN3f1ucPne8c+7B6qASKflLRc4+HV/NLBic0H9cqW87rBwABd1IyCMCbZfy4wksfpTfKuAYM6eMx9h2rQeQfV8btVlaQrR5clDbIiMShIxpv3Tzr0l4YqWgRdP3FA4kCyA039QBBgpqc4h75YCFJrn4o5KJ8cPmXkqLHf9sYnupJ9u3QyqyWn+OUFAHxVOnl95Tf8/w6egSdw+toeix0XZhdMwY6NoACLgWO2wwnQqCJWFVyNe1gtOUHYZ+CQ+hC3Wio6c5nuhFeKq5SeTWy8Cld2xj8MaBnSCe9z9l/JcwR93CrCNm9W0ACVi8wa+cC0S07n/ahiCRN0g2j9cAdFxHwk5MafcAbigMQ35HLcAqDw2J/YuymSbVrqehnngzsA6oiNGfB2+3Q98BCj2LmACvjZ62/VwMaQrXKzwdjZrg8WebTTM/THGCYvFgHQyeThF3mMWFn50hKc7PxE4DDOs8izvUeUw63vrxsNwBDd1b0TtCwz++yWSPcYLdee0DwTg8Vy8WNnNfQTmSGltlCpiQSY4c8UXhyGBM7ROnTCuI/ZhpAOfRrkhALheS4K8BD0RAjX+c+9nKm9ucU+z4xAYPPGq/3Y/u8wyX2r6XKerKMUW8xR2Hh0WetBR1Dlpn9kDgU3DXW17s2gtShi/VnVkBEGkrWV88XMajatgVlJKtYiciKy0n7FIBEVAW6XYeSGBFFI7sPm2zBaPXS69QW5Gab90BLrTtu4+/VyPfNK0/x6EAEU/gIg02ujXFXiWBEZwJs8CHNrHwuMxceaqo731uFpl2fMiV8AP6Z9fHCNqON0zwzZ/Gd8E5d2Uwn7tOy/SoaH8BaLrL46a/nuEAAexzcpldXMhzI5f7CtNcASHg6qkNJvgopTTKtUORs6T1AAAAAAAT6GkgAwAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAPoAAAAAAAAAAAAAAAAoLhpkcYhizbB0Z1KLp6wzjYG60gAAgAAAAAAAAAAAAAAAPkObo4fr/z0ogTkWzgGOQqHf817AAIRoozcHfU7AqdTrffW9JjOBnfXt+EBj0HYBqM1/Lkh90hlbGxvIGZyb20gU29sYW5hIEFzc2V0IE1hbmFnZXIh";
+
+const USDC = "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48";
+const STRATEGY = "0xf90e6E8E1faFFCf4a204e45b3806390a877fcd7B";
+
+function bytes32(address) {
+  return ethers.zeroPadValue(address, 32);
+}
+
+function transferPayload({ amount, token, tokenChain, to, toChain, fee }) {
+  return ethers.solidityPacked(
+    ["uint8", "uint256", "bytes32", "uint16", "bytes32", "uint16", "uint256"],
+    [1, amount, bytes32(token), tokenChain, bytes32(to), toChain, fee]
+  );
+}
+
+function fixedString(value) {
+  return ethers.zeroPadBytes(ethers.toUtf8Bytes(value), 32);
+}
+
+describe("Token Bridge payload decoders", function () {
+  describe("TransferWithPayload (type 3)", function () {
+    it("Should decode the Solana-to-Ethereum fixture", function () {
+      const vaa = parseVaa(SOLANA_TO_ETHEREUM_VAA);
+      const transfer = decodeTransferWithPayload(vaa.payload, {
+        emitterChain: vaa.emitterChain,
+      });
+
+      expect(transfer.payloadId).to.equal(3);
+      expect(transfer.type).to.equal("TransferWithPayload");
+      expect(transfer.amount).to.equal(1000n);
+      expect(transfer.token).to.deep.equal({
+        address: bytes32(USDC).toLowerCase(),
+        native: USDC,
+        chain: 2,
+        chainName: "Ethereum",
+      });
+      expect(transfer.to.native).to.equal(STRATEGY);
+      expect(transfer.from.chainName).to.equal("Solana");
+      expect(transfer.from.native).to.equal("2Bqh5uNnKHXQBNLfkK8Je8xvZ6SUis5RH4Ngif4hT3FL");
+      expect(transfer.payload.toString()).to.equal("Hello from Solana Asset Manager!");
+    });
+
+    it("Should leave the sender's native address null without an emitter chain", function () {
+      const vaa = parseVaa(SOLANA_TO_ETHEREUM_VAA);
+      const transfer = decodeTransferWithPayload(vaa.payload);
+
+      expect(transfer.from.native).to.equal(null);
+      expect(transfer.from.chain).to.equal(null);
+      expect(transfer.from.chainName).to.equal("Unknown");
+    });
+
+    it("Should reject payloads shorter than the fixed fields", function () {
+      const vaa = parseVaa(SOLANA_TO_ETHEREUM_VAA);
+      expect(() => decodeTransferWithPayload(vaa.payload.subarray(0, 120)))
+        .to.throw(TokenBridgePayloadError)
+        .with.property("code", "BAD_LENGTH");
+    });
+  });
+
+  describe("Transfer (type 1)", function () {
+    it("Should decode amount, token, recipient and fee", function () {
+      const payload = transferPayload({
+        amount: 123456789n,
+        token: USDC,
+        tokenChain: 2,
+        to: STRATEGY,
+        toChain: 4,
+        fee: 5n,
+      });
+      const transfer = decodeTransfer(payload);
+
+      expect(transfer.type).to.equal("Transfer");
+      expect(transfer.amount).to.equal(123456789n);
+      expect(transfer.token.native).to.equal(USDC);
+      expect(transfer.to.native).to.equal(STRATEGY);
+      expect(transfer.to.chainName).to.equal("Bsc");
+      expect(transfer.fee).to.equal(5n);
+    });
+
+    it("Should render non-EVM-shaped addresses on EVM chains as null", function () {
+      const payload = ethers.solidityPacked(
+        ["uint8", "uint256", "bytes32", "uint16", "bytes32", "uint16", "uint256"],
+        [1, 1n, ethers.id("not an evm address"), 2, bytes32(STRATEGY), 2, 0n]
+      );
+      expect(decodeTransfer(payload).token.native).to.equal(null);
+    });
+  });
+
+  describe("AttestMeta (type 2)", function () {
+    it("Should decode decimals, symbol and name", function () {
+      const payload = ethers.concat([
+        ethers.solidityPacked(["uint8", "bytes32", "uint16", "uint8"], [2, bytes32(USDC), 2, 6]),
+        fixedString("USDC"),
+        fixedString("USD Coin"),
+      ]);
+      const attestation = decodeAttestMeta(payload);
+
+      expect(attestation.type).to.equal("AttestMeta");
+      expect(attestation.token.native).to.equal(USDC);
+      expect(attestation.decimals).to.equal(6);
+      expect(attestation.symbol).to.equal("USDC");
+      expect(attestation.name).to.equal("USD Coin");
+    });
+  });
+
+  describe("Dispatch", function () {
+    it("Should dispatch on the payload id", function () {
+      const vaa = parseVaa(SOLANA_TO_ETHEREUM_VAA);
+      expect(decodeTokenBridgePayload(vaa.payload).type).to.equal("TransferWithPayload");
+    });
+
+    it("Should raise UNKNOWN_PAYLOAD_ID instead of guessing", function () {
+      const payload = transferPayload({
+        amount: 1n,
+        token: USDC,
+        tokenChain: 2,
+        to: STRATEGY,
+        toChain: 2,
+        fee: 0n,
+      });
+      const mislabeled = "0x09" + payload.slice(4);
+
+      expect(() => decodeTokenBridgePayload(mislabeled))
+        .to.throw(TokenBridgePayloadError)
+        .with.property("code", "UNKNOWN_PAYLOAD_ID");
+      expect(() => decodeTransfer(mislabeled))
+        .to.throw(TokenBridgePayloadError)
+        .with.property("code", "UNKNOWN_PAYLOAD_ID");
+    });
+  });
+
+  describe("denormalizeAmount", function () {
+    it("Should scale 8-decimal wire amounts back up for 18-decimal tokens", function () {
+      expect(denormalizeAmount(150000000n, 18)).to.equal(ethers.parseUnits("1.5", 18));
+      expect(denormalizeAmount(1000n, 6)).to.equal(1000n);
+    });
+  });
+});
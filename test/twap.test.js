@@ -0,0 +1,176 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const twap = require("../scripts/lib/twap");
+const { quoteWithImpact } = require("../scripts/lib/quotes");
+const actions = require("../scripts/lib/strategyActions");
+const { deployQuotedCatalogFixture } = require("./fixtures");
+
+async function twapFixture() {
+  const fixture = await deployQuotedCatalogFixture();
+  const { addresses, reportingManager, quoter } = fixture;
+  const tokens = [addresses.underlyingToken, addresses.altToken];
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "twap-")), "twap-hardhat.json");
+
+  // An order of `amountIn` TUSDC -> TWETH through the 0.3% pool
+  const newRun = async (amountIn, chunks, window = 0) =>
+    twap.createRun({
+      network: "hardhat",
+      chainId: 1337,
+      strategy: addresses.strategy,
+      startBlock: await ethers.provider.getBlockNumber(),
+      createdAt: 1000,
+      order: {
+        dex: "uniswap-v3",
+        tokens,
+        fees: [3000],
+        quoter: await quoter.getAddress(),
+        amountIn,
+        chunks,
+        window,
+        slippageBps: 50,
+        maxPriceImpactBps: 100,
+      },
+    });
+  return {
+    ...fixture,
+    strategy: fixture.strategy.connect(reportingManager),
+    tokens,
+    path: fixture.path(["TUSDC", "TWETH"], [3000]),
+    file,
+    newRun,
+  };
+}
+
+// A clock that only moves when the executor sleeps
+function fakeClock(start) {
+  const clock = { time: start, slept: [] };
+  clock.now = () => clock.time;
+  clock.sleep = async (seconds) => {
+    clock.slept.push(seconds);
+    clock.time += seconds;
+  };
+  return clock;
+}
+
+describe("Split-order executor", function () {
+  it("Should split an order into the fewest chunks within a price impact budget", async function () {
+    const { reportingManager, quoter, path } = await loadFixture(twapFixture);
+    await quoter.setDepth(path, ethers.parseUnits("50000", 6));
+    const amountIn = ethers.parseUnits("1000", 6);
+
+    expect(twap.splitAmount(10n, 3)).to.deep.equal([3n, 3n, 4n]);
+    expect(() => twap.splitAmount(2n, 3)).to.throw(/cannot be split into 3 non-empty chunks/);
+
+    const chunks = await twap.chunksForImpact(await quoter.getAddress(), reportingManager, path, amountIn, 50);
+    expect(chunks).to.equal(4);
+    const impact = async (n) =>
+      (await quoteWithImpact(await quoter.getAddress(), reportingManager, path, amountIn / BigInt(n))).priceImpactBps;
+    expect(await impact(4)).to.be.at.most(50);
+    expect(await impact(3)).to.be.above(50);
+
+    let error;
+    try {
+      await twap.chunksForImpact(await quoter.getAddress(), reportingManager, path, amountIn, 0, { maxChunks: 8 });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal("Even 8 chunks are over the 0 bps price impact budget");
+  });
+
+  it("Should send each chunk on schedule with its own quoted minimum and save every step", async function () {
+    const { strategy, altToken, addresses, file, newRun } = await loadFixture(twapFixture);
+    const run = await newRun(ethers.parseUnits("1000", 6), 3, 600);
+    const clock = fakeClock(1000);
+    let saves = 0;
+
+    const before = await altToken.balanceOf(addresses.strategy);
+    const filled = await twap.executeRun(run, {
+      strategy,
+      now: clock.now,
+      sleep: clock.sleep,
+      onProgress: (updated) => {
+        saves += 1;
+        twap.saveRun(updated, file);
+      },
+    });
+
+    expect(clock.slept).to.deep.equal([200, 200]);
+    expect(filled.map((chunk) => chunk.amountIn)).to.deep.equal(["333333333", "333333333", "333333334"]);
+    expect(run.chunks[2].fill).to.include({
+      amountOut: "366666667",
+      quotedOut: "366666667",
+      amountOutMinimum: "364833333",
+      priceImpactBps: 0,
+    });
+    // Each chunk rounds down on its own
+    expect((await altToken.balanceOf(addresses.strategy)) - before).to.equal(1099999999n);
+    expect(saves).to.equal(6);
+
+    const saved = twap.openRun(file, { chainId: 1337, strategy: addresses.strategy });
+    expect(saved.chunks.map((chunk) => chunk.status)).to.deep.equal(["filled", "filled", "filled"]);
+    expect(twap.runSummary(saved)).to.include({ done: true, amountIn: 1000000000n, amountOut: 1099999999n });
+    expect(() => twap.openRun(file, { chainId: 1, strategy: addresses.strategy })).to.throw(
+      /is for strategy .* on chain 1337, not .* on chain 1/
+    );
+  });
+
+  it("Should resume a crashed run without sending a mined chunk twice", async function () {
+    const { strategy, altToken, addresses, quoter, tokens, path, newRun } = await loadFixture(twapFixture);
+    const run = await newRun(ethers.parseUnits("200", 6), 2);
+
+    // The run stopped after chunk 1's swap was mined but before it was logged
+    run.chunks[0].status = "sending";
+    run.chunks[0].fromBlock = await ethers.provider.getBlockNumber();
+    const mined = await actions.swap(strategy, { tokens, fees: [3000], amountIn: ethers.parseUnits("100", 6) });
+
+    // Chunk 2 cannot be quoted, so the run stops again with chunk 1 recovered
+    await quoter.setRate(path, ethers.MaxUint256);
+    const lines = [];
+    let error;
+    try {
+      await twap.executeRun(run, { strategy, log: (line) => lines.push(line) });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.match(/^Chunk 2\/2 failed: /);
+    expect(lines).to.deep.equal([`Chunk 1/2: found its swap in ${mined.hash}`]);
+    expect(run.chunks[0]).to.include({ status: "filled" });
+    expect(run.chunks[0].fill).to.include({ transactionHash: mined.hash, amountOut: "110000000", recovered: true });
+    expect(run.chunks[1]).to.include({ status: "open", attempts: 1 });
+
+    await quoter.setRate(path, 110);
+    const before = await altToken.balanceOf(addresses.strategy);
+    const filled = await twap.executeRun(run, { strategy });
+
+    expect(filled.map((chunk) => chunk.index)).to.deep.equal([1]);
+    expect(run.chunks[1]).to.include({ status: "filled", attempts: 2 });
+    expect(run.chunks[1].error).to.equal(undefined);
+    expect((await altToken.balanceOf(addresses.strategy)) - before).to.equal(110000000n);
+  });
+
+  it("Should reconcile fills with the strategy's swap events", async function () {
+    const { strategy, tokens, newRun } = await loadFixture(twapFixture);
+    const run = await newRun(ethers.parseUnits("200", 6), 2);
+    await twap.executeRun(run, { strategy });
+
+    const chunkSwap = await actions.swap(strategy, { tokens, fees: [3000], amountIn: ethers.parseUnits("100", 6) });
+    await actions.swap(strategy, { tokens, fees: [3000], amountIn: ethers.parseUnits("5", 6) });
+    const swaps = await twap.scanSwapEvents(strategy, { fromBlock: run.startBlock, chunkSize: 2 });
+    expect(swaps.length).to.equal(4);
+    expect(twap.reconcileRun(run, swaps).matched.length).to.equal(2);
+
+    const filledHash = run.chunks[1].fill.transactionHash;
+    run.chunks[0].fill.amountOut = "1";
+    run.chunks[1].fill.transactionHash = ethers.ZeroHash;
+    const { matched, mismatched, missing, unrecorded } = twap.reconcileRun(run, swaps);
+
+    expect(matched).to.deep.equal([]);
+    expect(mismatched.map(({ chunk, fields }) => [chunk.index, fields])).to.deep.equal([[0, ["amountOut"]]]);
+    expect(missing.map((chunk) => chunk.index)).to.deep.equal([1]);
+    expect(unrecorded.map((swap) => swap.transactionHash)).to.deep.equal([filledHash, chunkSwap.hash]);
+  });
+});
@@ -0,0 +1,257 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const {
+  TransactionManager,
+  TransactionError,
+  managedSigner,
+  isNonceError,
+  knownTransactionHash,
+} = require("../scripts/lib/txManager");
+
+const ONE_GWEI = ethers.parseUnits("1", "gwei");
+
+async function setAutomine(enabled) {
+  await network.provider.send("evm_setAutomine", [enabled]);
+}
+
+// With automine off hardhat fills in the block gas limit, so pending transfers must set their own
+const transfer = (to, value) => ({ to, value, gasLimit: 21000n });
+
+async function expectTransactionError(promise, code) {
+  let error;
+  try {
+    await promise;
+  } catch (e) {
+    error = e;
+  }
+  expect(error, `expected a ${code} TransactionError`).to.be.instanceOf(TransactionError);
+  expect(error.code).to.equal(code);
+  return error;
+}
+
+describe("Transaction manager", function () {
+  let account;
+  let recipient;
+
+  beforeEach(async function () {
+    [, , , , account, recipient] = await ethers.getSigners();
+  });
+
+  afterEach(async function () {
+    await setAutomine(true);
+    await network.provider.send("evm_mine");
+  });
+
+  describe("Sending", function () {
+    it("Should hand out consecutive nonces to back-to-back and concurrent sends", async function () {
+      const manager = new TransactionManager(account);
+      const start = await account.getNonce();
+      await setAutomine(false);
+
+      const first = await manager.sendTransaction(transfer(recipient.address, 1n));
+      const [second, third] = await Promise.all([
+        manager.sendTransaction(transfer(recipient.address, 2n)),
+        manager.sendTransaction(transfer(recipient.address, 3n)),
+      ]);
+
+      expect([first.nonce, second.nonce, third.nonce]).to.deep.equal([start, start + 1, start + 2]);
+      await network.provider.send("evm_mine");
+      expect((await manager.wait(third)).status).to.equal(1);
+    });
+
+    it("Should price gas with EIP-1559 by default and legacy on BSC-style chains", async function () {
+      const eip1559 = await new TransactionManager(account).sendTransaction(transfer(recipient.address, 1n));
+      const legacy = await new TransactionManager(account, { gasMode: "legacy" }).sendTransaction(
+        transfer(recipient.address, 1n)
+      );
+
+      expect(eip1559.type).to.equal(2);
+      expect(eip1559.maxFeePerGas).to.be.greaterThan(0n);
+      expect(legacy.type).to.equal(0);
+      expect(legacy.gasPrice).to.be.greaterThan(0n);
+    });
+
+    it("Should resync and retry when the nonce was already used", async function () {
+      const logs = [];
+      const manager = new TransactionManager(account, { log: (line) => logs.push(line) });
+      const stale = (await account.getNonce()) - 1;
+
+      const response = await manager.sendTransaction({ ...transfer(recipient.address, 1n), nonce: stale });
+
+      expect(response.nonce).to.equal(stale + 1);
+      expect(logs[0]).to.match(new RegExp(`^Nonce ${stale} is taken`));
+      expect(isNonceError(new Error("nonce too low"))).to.equal(true);
+    });
+
+    it("Should return the pending transaction when the node already has it, not send it again", async function () {
+      const wallet = ethers.Wallet.createRandom(ethers.provider);
+      await network.provider.send("hardhat_setBalance", [wallet.address, ethers.toQuantity(ethers.parseEther("1"))]);
+      const logs = [];
+      const manager = new TransactionManager(wallet, { log: (line) => logs.push(line) });
+      const tx = await wallet.populateTransaction(transfer(recipient.address, 1n));
+      await setAutomine(false);
+
+      // An earlier send reached the node but its reply was lost
+      const signed = await wallet.signTransaction(tx);
+      await ethers.provider.broadcastTransaction(signed);
+      const response = await manager.sendTransaction(tx);
+
+      expect(response.hash).to.equal(ethers.keccak256(signed));
+      expect(logs).to.deep.equal([`Nonce ${tx.nonce}: the node already has this transaction (${response.hash})`]);
+      await network.provider.send("evm_mine");
+      expect((await manager.wait(response)).status).to.equal(1);
+      expect(await ethers.provider.getTransactionCount(wallet.address)).to.equal(1);
+      // Geth's wording, with the raw transaction in the request ethers reports
+      const info = { payload: { method: "eth_sendRawTransaction", params: [signed] } };
+      expect(knownTransactionHash(Object.assign(new Error("already known"), { info }))).to.equal(response.hash);
+      expect(isNonceError(new Error("already known"))).to.equal(false);
+      expect(knownTransactionHash(new Error("nonce too low"))).to.equal(null);
+    });
+
+    it("Should share one manager per account", function () {
+      // A throwaway wallet keeps the options out of the registry entries other tests use
+      const wallet = ethers.Wallet.createRandom(ethers.provider);
+      const manager = managedSigner(wallet, { confirmations: 2 });
+
+      expect(managedSigner(new ethers.Wallet(wallet.privateKey, ethers.provider))).to.equal(manager);
+      expect(managedSigner(manager)).to.equal(manager);
+      expect(manager.options.confirmations).to.equal(2);
+      expect(manager.address).to.equal(wallet.address);
+    });
+  });
+
+  describe("Replacement", function () {
+    it("Should speed up a pending transaction and follow the replacement", async function () {
+      const manager = new TransactionManager(account);
+      await setAutomine(false);
+      const original = await manager.sendTransaction(transfer(recipient.address, 1n));
+
+      const faster = await manager.speedUp(original.nonce);
+      await network.provider.send("evm_mine");
+      const receipt = await manager.wait(original);
+
+      expect(faster.nonce).to.equal(original.nonce);
+      expect(faster.maxFeePerGas).to.be.at.least((original.maxFeePerGas * 115n) / 100n);
+      expect(faster.maxPriorityFeePerGas).to.be.at.least((original.maxPriorityFeePerGas * 115n) / 100n);
+      expect(receipt.hash).to.equal(faster.hash);
+      expect(await ethers.provider.getTransactionReceipt(original.hash)).to.equal(null);
+    });
+
+    it("Should cancel a pending transaction with a 0-value transfer to self", async function () {
+      const manager = new TransactionManager(account, { gasMode: "legacy" });
+      await setAutomine(false);
+      const before = await ethers.provider.getBalance(recipient.address);
+      const original = await manager.sendTransaction(transfer(recipient.address, ethers.parseEther("1")));
+
+      const cancellation = await manager.cancel(original.nonce);
+      await network.provider.send("evm_mine");
+      const receipt = await manager.wait(original.nonce);
+
+      expect(receipt.hash).to.equal(cancellation.hash);
+      expect(receipt.to).to.equal(account.address);
+      expect(cancellation.gasPrice).to.be.at.least((original.gasPrice * 115n) / 100n);
+      expect(await ethers.provider.getBalance(recipient.address)).to.equal(before);
+    });
+
+    it("Should speed up on its own while waiting for a stuck transaction", async function () {
+      const logs = [];
+      const manager = new TransactionManager(account, {
+        pollInterval: 0.05,
+        speedUpAfter: 0,
+        log: (line) => {
+          logs.push(line);
+          if (line.startsWith("Sped up")) network.provider.send("evm_mine");
+        },
+      });
+      await setAutomine(false);
+      const original = await manager.sendTransaction(transfer(recipient.address, 1n));
+
+      const receipt = await manager.wait(original);
+
+      expect(receipt.hash).to.not.equal(original.hash);
+      expect(logs).to.deep.equal([`Sped up nonce ${original.nonce}: ${receipt.hash}`]);
+    });
+
+    it("Should pick up the original transaction when it is mined just before the speed-up", async function () {
+      const logs = [];
+      const manager = new TransactionManager(account, {
+        pollInterval: 0.05,
+        speedUpAfter: 0,
+        log: (line) => logs.push(line),
+      });
+      await setAutomine(false);
+      const original = await manager.sendTransaction(transfer(recipient.address, 1n));
+      // The replacement reads fees after the pending check, by which time the original is in a block
+      const feeFields = manager.feeFields.bind(manager);
+      manager.feeFields = async () => {
+        await network.provider.send("evm_mine");
+        return feeFields();
+      };
+
+      const receipt = await manager.wait(original);
+
+      expect(receipt.hash).to.equal(original.hash);
+      expect(logs).to.deep.equal([`Nonce ${original.nonce} was taken before it could be sped up`]);
+    });
+
+    it("Should refuse to replace a nonce it knows nothing about", async function () {
+      await expectTransactionError(new TransactionManager(account).speedUp(123456), "UNKNOWN_NONCE");
+    });
+  });
+
+  describe("Waiting", function () {
+    it("Should wait for the configured confirmation depth", async function () {
+      const manager = new TransactionManager(account, { confirmations: 3, pollInterval: 0.05, timeout: 5 });
+      const response = await manager.sendTransaction(transfer(recipient.address, 1n));
+      const mined = (await ethers.provider.getBlockNumber()) + 2;
+      const miner = setTimeout(() => network.provider.send("hardhat_mine", ["0x2"]), 100);
+
+      const receipt = await manager.wait(response);
+      clearTimeout(miner);
+
+      expect(await receipt.confirmations()).to.be.at.least(3);
+      expect(await ethers.provider.getBlockNumber()).to.equal(mined);
+    });
+
+    it("Should time out on a transaction that is never mined", async function () {
+      const manager = new TransactionManager(account, { timeout: 0.1, pollInterval: 0.05 });
+      await setAutomine(false);
+      const response = await manager.sendTransaction(transfer(recipient.address, 1n));
+
+      const error = await expectTransactionError(manager.wait(response), "TIMEOUT");
+
+      expect(error.details.hashes).to.deep.equal([response.hash]);
+      await network.provider.send("evm_mine");
+    });
+
+    it("Should report a nonce taken by a transaction sent elsewhere", async function () {
+      const manager = new TransactionManager(account, { pollInterval: 0.05 });
+      await setAutomine(false);
+      const response = await manager.sendTransaction({
+        ...transfer(recipient.address, 1n),
+        maxFeePerGas: 10n * ONE_GWEI,
+        maxPriorityFeePerGas: ONE_GWEI,
+      });
+      await account.sendTransaction({
+        ...transfer(account.address, 0n),
+        nonce: response.nonce,
+        maxFeePerGas: 20n * ONE_GWEI,
+        maxPriorityFeePerGas: 2n * ONE_GWEI,
+      });
+      await network.provider.send("evm_mine");
+
+      await expectTransactionError(manager.wait(response), "NONCE_TAKEN");
+    });
+
+    it("Should surface reverted transactions", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const token = await MockERC20.deploy("Token", "TKN", 6);
+      const manager = new TransactionManager(account);
+      await setAutomine(false);
+      const response = await token.connect(manager).transfer(recipient.address, 1n, { gasLimit: 100000 });
+      await network.provider.send("evm_mine");
+
+      await expectTransactionError(manager.wait(response), "REVERTED");
+    });
+  });
+});
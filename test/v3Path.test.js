@@ -0,0 +1,166 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  MAX_FEE,
+  encodePath,
+  encodeRoutePath,
+  decodePath,
+  decodeHops,
+  reversePath,
+  pathHash,
+  numPools,
+  hasMultiplePools,
+  decodeFirstPool,
+  skipToken,
+} = require("../scripts/lib/v3Path");
+const { deployBridgeSwapStrategyFixture } = require("./fixtures");
+
+const RUNS = 40;
+const FEE_EDGES = [0, 1, 100, 500, 2500, 3000, 10000, MAX_FEE];
+
+// Deterministic byte stream so a failing case can be reproduced from its run index
+function randomSource(seed) {
+  let state = ethers.id(`v3Path ${seed}`);
+  let buffer = [];
+  const next = () => {
+    if (buffer.length === 0) {
+      state = ethers.keccak256(state);
+      buffer = Array.from(ethers.getBytes(state));
+    }
+    return buffer.shift();
+  };
+  return {
+    int: (max) => ((next() << 16) | (next() << 8) | next()) % max,
+    address: () => ethers.getAddress(ethers.hexlify(Uint8Array.from({ length: 20 }, next))),
+  };
+}
+
+function randomPath(seed) {
+  const random = randomSource(seed);
+  const hops = 1 + random.int(5);
+  const tokens = Array.from({ length: hops + 1 }, () => random.address());
+  const fees = Array.from({ length: hops }, () =>
+    random.int(2) === 0 ? FEE_EDGES[random.int(FEE_EDGES.length)] : random.int(MAX_FEE + 1)
+  );
+  return { tokens, fees, path: encodePath(tokens, fees) };
+}
+
+async function pathHarnessFixture() {
+  const PathHarness = await ethers.getContractFactory("PathHarness");
+  const harness = await PathHarness.deploy();
+  await harness.waitForDeployment();
+  return { harness };
+}
+
+describe("V3 path library", function () {
+  describe("Round trips against Path.sol", function () {
+    it("Should decode every encoded path the same way as the contract", async function () {
+      const { harness } = await loadFixture(pathHarnessFixture);
+
+      for (let run = 0; run < RUNS; run++) {
+        const { tokens, fees, path } = randomPath(run);
+        const [onChainTokens, onChainFees] = await harness.decodePath(path);
+
+        expect(decodePath(path), `run ${run}`).to.deep.equal({ tokens, fees });
+        expect([...onChainTokens], `run ${run}`).to.deep.equal(tokens);
+        expect(onChainFees.map(Number), `run ${run}`).to.deep.equal(fees);
+        expect(encodePath(onChainTokens, onChainFees), `run ${run}`).to.equal(path);
+      }
+    });
+
+    it("Should agree with the contract on pool counts, the first pool and skipping a token", async function () {
+      const { harness } = await loadFixture(pathHarnessFixture);
+
+      for (let run = 0; run < RUNS; run++) {
+        const { path } = randomPath(run);
+        const [tokenA, tokenB, fee] = await harness.decodeFirstPool(path);
+
+        expect(numPools(path), `run ${run}`).to.equal(Number(await harness.numPools(path)));
+        expect(hasMultiplePools(path), `run ${run}`).to.equal(await harness.hasMultiplePools(path));
+        expect(decodeFirstPool(path), `run ${run}`).to.deep.equal({ tokenA, tokenB, fee: Number(fee) });
+        expect(decodeHops(await harness.getFirstPool(path)), `run ${run}`).to.deep.equal([decodeHops(path)[0]]);
+        if (hasMultiplePools(path)) {
+          expect(skipToken(path), `run ${run}`).to.equal(await harness.skipToken(path));
+        }
+      }
+    });
+
+    it("Should hash paths to the contract's isPathAllowed key", async function () {
+      const { harness } = await loadFixture(pathHarnessFixture);
+
+      for (let run = 0; run < RUNS; run++) {
+        const { path } = randomPath(run);
+        expect(pathHash(path), `run ${run}`).to.equal(await harness.pathHash(path));
+      }
+    });
+
+    it("Should reverse a path into the same pools in the opposite order", async function () {
+      const { harness } = await loadFixture(pathHarnessFixture);
+
+      for (let run = 0; run < RUNS; run++) {
+        const { tokens, fees, path } = randomPath(run);
+        const reversed = reversePath(path);
+        const [onChainTokens, onChainFees] = await harness.decodePath(reversed);
+
+        expect(reversePath(reversed), `run ${run}`).to.equal(path);
+        expect([...onChainTokens], `run ${run}`).to.deep.equal([...tokens].reverse());
+        expect(onChainFees.map(Number), `run ${run}`).to.deep.equal([...fees].reverse());
+      }
+    });
+  });
+
+  describe("BridgeSwapStrategy", function () {
+    it("Should look up allowed paths and their reverse by pathHash", async function () {
+      const { strategy, admin, addresses } = await loadFixture(deployBridgeSwapStrategyFixture);
+      const path = encodePath([addresses.underlyingToken, addresses.altToken], [3000]);
+
+      await strategy.connect(admin).allowPath(path);
+
+      expect(await strategy.isPathAllowed(pathHash(path))).to.equal(true);
+      expect(await strategy.isPathAllowed(pathHash(reversePath(path)))).to.equal(false);
+    });
+  });
+
+  describe("Catalog routes", function () {
+    it("Should encode symbol routes with the fee of the requested DEX", function () {
+      const { tokens, fees } = randomPath("catalog");
+      const catalog = {
+        chainId: 1337,
+        tokens: { A: { address: tokens[0] }, B: { address: tokens[1] } },
+        pools: [
+          { dex: "uniswap-v3", tokens: ["A", "B"], fee: 500 },
+          { dex: "pancakeswap-v3", tokens: ["A", "B"], fee: fees[0] },
+        ],
+      };
+
+      expect(decodePath(encodeRoutePath(catalog, ["B", "A"], "uniswap-v3"))).to.deep.equal({
+        tokens: [tokens[1], tokens[0]],
+        fees: [500],
+      });
+      expect(decodeHops(encodeRoutePath(catalog, ["A", "B"], "pancakeswap-v3"))).to.deep.equal([
+        { tokenIn: tokens[0], tokenOut: tokens[1], fee: fees[0] },
+      ]);
+      expect(() => encodeRoutePath(catalog, ["A", "C"], "uniswap-v3")).to.throw(/Unknown token C on chain 1337/);
+    });
+  });
+
+  describe("Validation", function () {
+    it("Should reject paths whose length is not a whole number of pools", function () {
+      const { path } = randomPath(0);
+
+      expect(() => decodePath("0x")).to.throw(/Invalid V3 path length 0/);
+      expect(() => decodePath(ethers.dataSlice(path, 0, 20))).to.throw(/Invalid V3 path length 20/);
+      expect(() => decodePath(ethers.concat([path, "0x00"]))).to.throw(/Invalid V3 path length/);
+    });
+
+    it("Should reject mismatched fees and fees outside uint24", function () {
+      const { tokens } = randomPath(1);
+
+      expect(() => encodePath(tokens.slice(0, 1), [])).to.throw(/at least two tokens/);
+      expect(() => encodePath(tokens.slice(0, 2), [500, 500])).to.throw(/Expected 1 fee\(s\) for 2 tokens, got 2/);
+      expect(() => encodePath(tokens.slice(0, 2), [MAX_FEE + 1])).to.throw(/does not fit in a uint24/);
+      expect(() => encodePath([tokens[0], "0x1234"], [500])).to.throw(/Path token 1 is not an address/);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("hardhat");
+const {
+  VaaParseError,
+  parseVaa,
+  serializeVaa,
+  toVaaBuffer,
+} = require("../scripts/lib/vaa");
+
+// Collects every base64 VAA literal hard-coded in the scripts directory
+function collectScriptVaas() {
+  const found = new Map();
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(fullPath);
+      } else if (entry.name.endsWith(".js")) {
+        const source = fs.readFileSync(fullPath, "utf8");
+        for (const match of source.matchAll(/"(AQAAAA[A-Za-z0-9+/]+={0,2})"/g)) {
+          if (!found.has(match[1])) {
+            found.set(match[1], path.relative(process.cwd(), fullPath));
+          }
+        }
+      }
+    }
+  };
+  walk(path.join(__dirname, "..", "scripts"));
+  return [...found.entries()];
+}
+
+describe("VAA codec", function () {
+  const fixtures = collectScriptVaas();
+
+  it("Should find the VAA fixtures hard-coded in the scripts", function () {
+    expect(fixtures.length).to.be.greaterThan(3);
+  });
+
+  for (const [vaaBase64, source] of fixtures) {
+    it(`Should round-trip the VAA from ${source} (${vaaBase64.slice(0, 16)}...)`, function () {
+      const original = Buffer.from(vaaBase64, "base64");
+      const vaa = parseVaa(vaaBase64);
+
+      expect(serializeVaa(vaa).equals(original)).to.equal(true);
+      expect(vaa.version).to.equal(1);
+      expect(vaa.body.length).to.equal(
+        original.length - 6 - vaa.signatures.length * 66
+      );
+      expect(vaa.bodyHash).to.equal(ethers.keccak256(vaa.body));
+      expect(vaa.digest).to.equal(ethers.keccak256(vaa.bodyHash));
+    });
+  }
+
+  describe("Parsing", function () {
+    const [[vaaBase64]] = fixtures;
+
+    it("Should accept base64, hex, Buffer and Uint8Array input", function () {
+      const bytes = Buffer.from(vaaBase64, "base64");
+      const fromBase64 = parseVaa(vaaBase64);
+
+      expect(parseVaa("0x" + bytes.toString("hex")).digest).to.equal(fromBase64.digest);
+      expect(parseVaa(bytes).digest).to.equal(fromBase64.digest);
+      expect(parseVaa(new Uint8Array(bytes)).digest).to.equal(fromBase64.digest);
+    });
+
+    it("Should decode the body fields", function () {
+      const vaa = parseVaa(
+        "AQAAAAABADAhGx5BiRyQKC20jVkKrSBv2FPS6Za6sCiujxr1lm22GYTePLvYHE9QxOIHWLPMExWSxNNsTeqFjzqlD2t5x74AaKxrWGisa1gnEgAAAAAAAAAAAAAAANtUkiZfYDiDHon0lWcP+Qmt6UvZAAAAAAADHUUBAwAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAD0JAAAAAAAAAAAAAAAAAHH1LGWywx7AddD+8YRapAjeccjgnEgAAAAAAAAAAAAAAAGxD9VGRbGfWwfQQIg8GJWsgjhRoAAQAAAAAAAAAAAAAAABNtdCYiMv9pe0yZJc9cHqywYXHhQA="
+      );
+
+      expect(vaa.guardianSetIndex).to.equal(0);
+      expect(vaa.signatures).to.have.lengthOf(1);
+      expect(vaa.signatures[0].guardianIndex).to.equal(0);
+      expect(vaa.emitterChain).to.equal(10002);
+      expect(vaa.emitterAddress).to.equal(
+        ethers.zeroPadValue("0xdb5492265f6038831e89f495670ff909ade94bd9", 32)
+      );
+      expect(vaa.sequence).to.equal(204101n);
+      expect(vaa.consistencyLevel).to.equal(1);
+      expect(vaa.payload[0]).to.equal(3);
+    });
+  });
+
+  describe("Errors", function () {
+    const [[vaaBase64]] = fixtures;
+
+    it("Should raise TRUNCATED for a cut-off header", function () {
+      expect(() => parseVaa("0x0100")).to.throw(VaaParseError).with.property("code", "TRUNCATED");
+    });
+
+    it("Should raise TRUNCATED when signatures run past the end", function () {
+      const bytes = Buffer.from(vaaBase64, "base64").subarray(0, 40);
+      expect(() => parseVaa(bytes)).to.throw(VaaParseError).with.property("code", "TRUNCATED");
+    });
+
+    it("Should raise TRUNCATED when the body is shorter than its fixed fields", function () {
+      const bytes = Buffer.from(vaaBase64, "base64");
+      const vaa = parseVaa(bytes);
+      const cut = bytes.subarray(0, bytes.length - vaa.payload.length - 10);
+      expect(() => parseVaa(cut)).to.throw(VaaParseError).with.property("code", "TRUNCATED");
+    });
+
+    it("Should raise BAD_VERSION for a non-v1 VAA", function () {
+      const bytes = Buffer.from(vaaBase64, "base64");
+      bytes[0] = 2;
+      expect(() => parseVaa(bytes)).to.throw(VaaParseError).with.property("code", "BAD_VERSION");
+    });
+
+    it("Should raise BAD_INPUT for strings that are neither hex nor base64", function () {
+      expect(() => toVaaBuffer("not a vaa!")).to.throw(VaaParseError).with.property("code", "BAD_INPUT");
+      expect(() => toVaaBuffer("0xabc")).to.throw(VaaParseError).with.property("code", "BAD_INPUT");
+    });
+  });
+});
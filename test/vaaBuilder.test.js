@@ -0,0 +1,105 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { parseVaa } = require("../scripts/lib/vaa");
+const {
+  devGuardianKeys,
+  guardianAddresses,
+  buildVaa,
+  recoverGuardians,
+} = require("../scripts/lib/vaaBuilder");
+const {
+  decodeTokenBridgePayload,
+  encodeTransfer,
+  encodeAttestMeta,
+  encodeTransferWithPayload,
+  toWormholeAddress,
+} = require("../scripts/lib/tokenBridgePayload");
+
+const USDC = "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48";
+const STRATEGY = "0xf90e6E8E1faFFCf4a204e45b3806390a877fcd7B";
+const SOLANA_SENDER = "2Bqh5uNnKHXQBNLfkK8Je8xvZ6SUis5RH4Ngif4hT3FL";
+const ETH_TOKEN_BRIDGE = "0x3ee18B2214AFF97000D974cf647E7C347E8fa585";
+
+describe("VAA builder", function () {
+  const keys = devGuardianKeys(5);
+
+  it("Should derive the same dev guardian keys every time", function () {
+    expect(devGuardianKeys(5)).to.deep.equal(keys);
+    expect(new Set(guardianAddresses(keys)).size).to.equal(5);
+  });
+
+  it("Should build a VAA that parses back to the requested fields", function () {
+    const payload = encodeTransferWithPayload({
+      amount: 1000n,
+      tokenAddress: USDC,
+      tokenChain: 2,
+      to: STRATEGY,
+      toChain: 2,
+      fromAddress: SOLANA_SENDER,
+      payload: ethers.toUtf8Bytes("Hello from Solana Asset Manager!"),
+    });
+    const { hex, base64, vaa } = buildVaa({
+      emitterChain: 1,
+      emitterAddress: ethers.id("solana token bridge"),
+      sequence: 42n,
+      consistencyLevel: 32,
+      timestamp: 1700000000,
+      nonce: 7,
+      payload,
+      guardianKeys: keys,
+    });
+
+    expect(parseVaa(base64).digest).to.equal(parseVaa(hex).digest);
+    expect(vaa.emitterChain).to.equal(1);
+    expect(vaa.sequence).to.equal(42n);
+    expect(vaa.consistencyLevel).to.equal(32);
+    expect(vaa.timestamp).to.equal(1700000000);
+    expect(vaa.nonce).to.equal(7);
+
+    const transfer = decodeTokenBridgePayload(vaa.payload, { emitterChain: vaa.emitterChain });
+    expect(transfer.amount).to.equal(1000n);
+    expect(transfer.token.native).to.equal(USDC);
+    expect(transfer.to.native).to.equal(STRATEGY);
+    expect(transfer.from.native).to.equal(SOLANA_SENDER);
+    expect(transfer.payload.toString()).to.equal("Hello from Solana Asset Manager!");
+  });
+
+  it("Should sign the digest with each guardian, in index order, with v as 0/1", function () {
+    const { vaa } = buildVaa({
+      emitterChain: 2,
+      emitterAddress: ETH_TOKEN_BRIDGE,
+      sequence: 1,
+      payload: encodeTransfer({
+        amount: 5n,
+        tokenAddress: USDC,
+        tokenChain: 2,
+        to: STRATEGY,
+        toChain: 4,
+      }),
+      guardianKeys: keys,
+      signers: [3, 0, 2],
+    });
+
+    expect(vaa.emitterAddress).to.equal(toWormholeAddress(ETH_TOKEN_BRIDGE));
+    expect(vaa.signatures.map((sig) => sig.guardianIndex)).to.deep.equal([0, 2, 3]);
+    vaa.signatures.forEach((sig) => expect(sig.v).to.be.oneOf([0, 1]));
+
+    const addresses = guardianAddresses(keys);
+    expect(recoverGuardians(vaa)).to.deep.equal([
+      { guardianIndex: 0, address: addresses[0] },
+      { guardianIndex: 2, address: addresses[2] },
+      { guardianIndex: 3, address: addresses[3] },
+    ]);
+  });
+
+  it("Should encode attestations that decode back", function () {
+    const attestation = decodeTokenBridgePayload(
+      encodeAttestMeta({ tokenAddress: USDC, tokenChain: 2, decimals: 6, symbol: "USDC", name: "USD Coin" })
+    );
+
+    expect(attestation.token.native).to.equal(USDC);
+    expect(attestation.decimals).to.equal(6);
+    expect(attestation.symbol).to.equal("USDC");
+    expect(attestation.name).to.equal("USD Coin");
+  });
+});